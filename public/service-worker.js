@@ -148,6 +148,18 @@ self.addEventListener('sync', (event) => {
   // Handle background sync events here
 });
 
+// Focus the app when a notification (e.g. a cooking timer) is tapped
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const client = clients.find((c) => 'focus' in c);
+      if (client) return client.focus();
+      return self.clients.openWindow(event.notification.data?.url || '/');
+    })
+  );
+});
+
 // Push notifications (future enhancement)
 self.addEventListener('push', (event) => {
   console.log('[ServiceWorker] Push received');
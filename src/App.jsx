@@ -2,10 +2,13 @@ import { useEffect, useRef } from 'react'
 import './App.css'
 import Pages from "@/pages/index.jsx"
 import { Toaster } from "@/components/ui/toaster"
+import { toast } from "@/components/ui/use-toast"
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query'
 import { isNativeApp } from '@/utils/paymentPlatform'
 import { initializeRevenueCat } from '@/services/revenueCatService'
 import { supabase } from '@/api/supabaseClient'
+import { offlineOutbox } from '@/api/offlineOutbox'
+import { useTaskReminderSync } from '@/hooks/useTaskReminderSync'
 
 // Create a client
 const queryClient = new QueryClient({
@@ -86,7 +89,27 @@ function App() {
   // Ref to prevent setting up deep link listeners multiple times
   const deepLinkProcessed = useRef(false);
 
-  // Initialize native app features (StatusBar, RevenueCat, deep links)
+  // Task reminders fire while the app is open, not just on the Todos page
+  useTaskReminderSync();
+
+  // Replay any writes queued while offline (including from a previous session),
+  // and tell the user about any the server refused - those are dropped
+  useEffect(() => {
+    offlineOutbox.start();
+
+    return offlineOutbox.subscribe(({ rejected }) => {
+      if (!rejected?.length) return;
+      toast({
+        title: rejected.length === 1
+          ? "1 offline change couldn't be saved"
+          : `${rejected.length} offline changes couldn't be saved`,
+        description: "The server rejected changes made while you were offline. Please check your lists and redo them.",
+        variant: "destructive",
+      });
+    });
+  }, []);
+
+  // Initialize native app features (StatusBar, reminder taps, RevenueCat, deep links)
   useEffect(() => {
     if (isNativeApp()) {
       // Configure Status Bar appearance
@@ -103,6 +126,18 @@ function App() {
         console.log('StatusBar plugin not available (CSS handles styling):', err);
       });
 
+      // Open the page a task reminder points to when it's tapped
+      import('@capacitor/local-notifications').then(({ LocalNotifications }) => {
+        LocalNotifications.addListener('localNotificationActionPerformed', ({ notification }) => {
+          const url = notification.extra?.url;
+          if (!url) return;
+          window.history.pushState({}, '', url);
+          window.dispatchEvent(new PopStateEvent('popstate', { state: {} }));
+        });
+      }).catch(err => {
+        console.warn('Failed to set up notification tap listener:', err);
+      });
+
       // Initialize RevenueCat
       initializeRevenueCat()
         .then(success => {
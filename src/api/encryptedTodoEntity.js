@@ -2,7 +2,7 @@
  * Encrypted Todo Entity
  * 
  * Wraps the standard Todo with automatic client-side encryption/decryption.
- * This ensures that task titles and descriptions are encrypted before being stored
+ * This ensures that task titles, descriptions and checklists are encrypted before being stored
  * in the database, and decrypted when retrieved.
  * 
  * Encryption key selection:
@@ -19,7 +19,9 @@
  *   const tasks = await EncryptedTodo.filter({ created_by: email }, userId, familyGroupId, orderBy);
  * 
  * Unencrypted fields (for database queries/notifications):
- *   - due_date, due_time
+ *   - due_date, due_time, recurrence
+ *   - reminder_minutes_before, reminder_at
+ *   - complete_with_subtasks, assigned_to
  *   - status, priority, category
  *   - created_by, is_favorite
  *   - timestamps
@@ -27,6 +29,10 @@
  * Encrypted fields:
  *   - title
  *   - description
+ *   - subtasks (the checklist, as one JSON string)
+ * 
+ * Saving, deleting and restoring a task (re)schedules its reminder on this
+ * device (see taskReminders.js).
  */
 
 import { Todo } from './entities';
@@ -37,6 +43,7 @@ import {
   taskNeedsMigration,
   migrateTaskToEncrypted
 } from '@/utils/taskEncryption';
+import { syncTaskReminder, cancelTaskReminder } from '@/utils/taskReminders';
 
 /**
  * Encrypted Todo Entity - provides encryption layer over Todo
@@ -60,7 +67,9 @@ export const EncryptedTodo = {
     const result = await Todo.create(encryptedData, trackingContext);
     
     // Return with decrypted fields for immediate UI use
-    return decryptTaskFromStorage(result, userId, familyGroupId);
+    const task = await decryptTaskFromStorage(result, userId, familyGroupId);
+    syncTaskReminder(task);
+    return task;
   },
 
   /**
@@ -82,7 +91,10 @@ export const EncryptedTodo = {
     const result = await Todo.update(id, dataToStore, trackingContext);
     
     // Return with decrypted fields for immediate UI use
-    return decryptTaskFromStorage(result, userId, familyGroupId);
+    // (completing a task cancels its reminder)
+    const task = await decryptTaskFromStorage(result, userId, familyGroupId);
+    syncTaskReminder(task);
+    return task;
   },
 
   /**
@@ -121,13 +133,44 @@ export const EncryptedTodo = {
 
   /**
    * Delete a task (no encryption needed)
+   * Moves it to the trash - see restore() and listDeleted()
    * 
    * @param {string} id - Task ID
    * @param {Object} trackingContext - Activity tracking context
    * @returns {Promise<void>}
    */
   async delete(id, trackingContext) {
-    return Todo.delete(id, trackingContext);
+    const result = await Todo.delete(id, trackingContext);
+    cancelTaskReminder(id);
+    return result;
+  },
+
+  /**
+   * Restore a task from the trash
+   * 
+   * @param {string} id - Task ID
+   * @param {string} userId - User's Supabase UUID for decryption key
+   * @param {string|null} familyGroupId - Family group UUID (for family-shared tasks)
+   * @returns {Promise<Object>} - Restored task
+   */
+  async restore(id, userId, familyGroupId) {
+    const result = await Todo.restore(id);
+    const task = await decryptTaskFromStorage(result, userId, familyGroupId);
+    syncTaskReminder(task);
+    return task;
+  },
+
+  /**
+   * Tasks in the trash (with decryption), most recently deleted first
+   * RLS limits this to the user's own and family-shared tasks
+   * 
+   * @param {string} userId - User's Supabase UUID for decryption key
+   * @param {string|null} familyGroupId - Family group UUID (for family-shared tasks)
+   * @returns {Promise<Array>} - Array of decrypted tasks
+   */
+  async listDeleted(userId, familyGroupId) {
+    const encryptedTasks = await Todo.filter({ deleted_at: { $null: false } }, '-deleted_at');
+    return decryptTasks(encryptedTasks, userId, familyGroupId);
   },
 
   /**
@@ -16,14 +16,35 @@ export const ShoppingList = SupabaseEntities.ShoppingList;
 export const Item = SupabaseEntities.Item;
 export const ListMember = SupabaseEntities.ListMember;
 export const ShareLink = SupabaseEntities.ShareLink;
+export const ShareLinkJoin = SupabaseEntities.ShareLinkJoin;
 export const CommonItem = SupabaseEntities.CommonItem;
 
+// Store Layouts
+export const Store = SupabaseEntities.Store;
+export const StoreVisit = SupabaseEntities.StoreVisit;
+
+// Purchase History
+export const ShoppingTrip = SupabaseEntities.ShoppingTrip;
+export const TripItem = SupabaseEntities.TripItem;
+export const ItemPriceEstimate = SupabaseEntities.ItemPriceEstimate;
+
+// Barcode Scanning
+export const ProductBarcode = SupabaseEntities.ProductBarcode;
+
+// List Templates
+export const ListTemplate = SupabaseEntities.ListTemplate;
+
 // Task Management
 export const Todo = SupabaseEntities.Todo;
+export const TaskCalendarFeed = SupabaseEntities.TaskCalendarFeed;
 
 // Recipe System
 export const Recipe = SupabaseEntities.Recipe;
 export const RecipeFavorite = SupabaseEntities.RecipeFavorite;
+export const MealPlanEntry = SupabaseEntities.MealPlanEntry;
+
+// Pantry
+export const PantryItem = SupabaseEntities.PantryItem;
 
 // Analytics & Tracking
 export const Statistics = SupabaseEntities.Statistics;
@@ -44,5 +65,15 @@ export const User = supabaseAuth;
 // UserAdmin for admin operations (filtering users, etc.)
 export const UserAdmin = SupabaseEntities.UserAdmin;
 
+// ==========================================
+// ERROR EXPORTS
+// ==========================================
+
+// Thrown by Entity.updateVersioned() when concurrent edits touch the same field
+export const ConflictError = SupabaseEntities.ConflictError;
+
+// Thrown by Entity.updateVersioned() when the record keeps changing under it (retryable)
+export const RecordBusyError = SupabaseEntities.RecordBusyError;
+
 // Re-export config for convenience
 export { AUTH_PROVIDER, BACKEND_PROVIDER } from './config';
@@ -30,3 +30,12 @@ export const updateStatCount = supabaseFunctions.updateStatCount;
 
 // Analytics - Aggregated activity stats (scalable)
 export const getActivityStats = supabaseFunctions.getActivityStats;
+
+// Lists - Archive lists untouched for the user's auto-archive period
+export const autoArchiveStaleLists = supabaseFunctions.autoArchiveStaleLists;
+
+// Recipes - Import a recipe from a web page
+export const fetchRecipeFromUrl = supabaseFunctions.fetchRecipeFromUrl;
+
+// Pantry - Recipes that use up items expiring soon
+export const getRecipesForExpiringPantry = supabaseFunctions.getRecipesForExpiringPantry;
@@ -0,0 +1,338 @@
+/**
+ * Offline Mutation Outbox
+ *
+ * Queues entity writes (create/update/delete) in IndexedDB while the device is
+ * offline and replays them in order once connectivity returns.
+ *
+ * SupabaseEntity routes writes through the outbox for tables created with
+ * { offline: true }. A write is queued when:
+ *   - the browser reports it is offline, or
+ *   - the request fails with a network error (e.g. no signal in a store basement), or
+ *   - earlier writes are still waiting (so ordering is preserved)
+ *
+ * An in-memory mirror of the queue is kept so the UI can synchronously ask
+ * which records still have unsynced changes (pending badges, realtime reconcile).
+ */
+
+import { supabase } from './supabaseClient';
+import { logger } from '@/utils/logger';
+
+const DB_NAME = 'myezlist-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'mutations';
+
+// How often to retry while writes are waiting but the browser still reports
+// being online (flaky signal doesn't always fire an 'online' event)
+const RETRY_INTERVAL = 30 * 1000;
+
+/**
+ * Check whether an error was caused by the network rather than the server
+ * Supabase surfaces fetch failures as errors with a TypeError message
+ * @param {Error|Object} error
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) => {
+  if (!error) return false;
+  const message = `${error.message || ''} ${error.details || ''}`;
+  return /failed to fetch|networkerror|network request failed|load failed|fetch failed/i.test(message);
+};
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+class OfflineOutbox {
+  constructor() {
+    this.dbPromise = null;
+    this.pending = []; // In-memory mirror of the queue, ordered by seq
+    this.listeners = new Set();
+    this.isReplaying = false;
+    this.started = false;
+    this.loadPromise = null;
+  }
+
+  /**
+   * Open (and lazily create) the IndexedDB database
+   */
+  openDb() {
+    if (this.dbPromise) return this.dbPromise;
+
+    if (typeof indexedDB === 'undefined') {
+      this.dbPromise = Promise.resolve(null);
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'seq', autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        // Fall back to memory-only queue (e.g. private browsing)
+        console.error('Outbox: failed to open IndexedDB:', request.error);
+        resolve(null);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Load persisted mutations into memory (once)
+   */
+  load() {
+    if (this.loadPromise) return this.loadPromise;
+
+    this.loadPromise = (async () => {
+      const db = await this.openDb();
+      if (!db) return;
+      const tx = db.transaction(STORE_NAME, 'readonly');
+      const stored = await promisifyRequest(tx.objectStore(STORE_NAME).getAll());
+      // Keep anything enqueued before the load finished
+      const known = new Set(stored.map(m => m.seq));
+      this.pending = [...stored, ...this.pending.filter(m => !known.has(m.seq))]
+        .sort((a, b) => a.seq - b.seq);
+      logger.debug(`📤 Outbox: loaded ${stored.length} pending mutations`);
+      this.notify();
+    })().catch(error => {
+      console.error('Outbox: failed to load pending mutations:', error);
+    });
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Start listening for connectivity changes and replay anything left over
+   * from a previous session. Safe to call more than once.
+   */
+  start() {
+    if (this.started || typeof window === 'undefined') return;
+    this.started = true;
+
+    window.addEventListener('online', () => {
+      logger.debug('📤 Outbox: back online, replaying queued mutations');
+      this.notify();
+      this.replay();
+    });
+    window.addEventListener('offline', () => this.notify());
+    setInterval(() => {
+      if (this.hasPending() && this.isOnline()) this.replay();
+    }, RETRY_INTERVAL);
+
+    this.load().then(() => {
+      if (this.isOnline()) this.replay();
+    });
+  }
+
+  isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  hasPending() {
+    return this.pending.length > 0;
+  }
+
+  getPendingCount() {
+    return this.pending.length;
+  }
+
+  /**
+   * Get the IDs of records in a table that have unsynced changes
+   * @param {string} table - Table name (e.g. 'items')
+   * @returns {Set<string>}
+   */
+  getPendingRecordIds(table) {
+    return new Set(
+      this.pending.filter(m => m.table === table).map(m => m.recordId)
+    );
+  }
+
+  /**
+   * Merge all queued create/update data for a record, in order.
+   * Used to re-apply local changes on top of realtime payloads.
+   * @returns {Object|null} Merged field values, or null if nothing is pending
+   */
+  getPendingPatch(table, recordId) {
+    const mutations = this.pending.filter(
+      m => m.table === table && m.recordId === recordId && m.operation !== 'delete'
+    );
+    if (mutations.length === 0) return null;
+    return mutations.reduce((patch, m) => ({ ...patch, ...m.data }), {});
+  }
+
+  /**
+   * Check whether a record has a queued delete (or soft delete via deleted_at)
+   */
+  isPendingDelete(table, recordId) {
+    return this.pending.some(
+      m => m.table === table && m.recordId === recordId && m.operation === 'delete'
+    ) || !!this.getPendingPatch(table, recordId)?.deleted_at;
+  }
+
+  /**
+   * Subscribe to queue changes
+   * @param {Function} listener - Called with { pendingCount, drained } on every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(extra = {}) {
+    const event = { pendingCount: this.pending.length, ...extra };
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Outbox listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Queue a mutation for later replay
+   * @param {Object} mutation
+   * @param {string} mutation.table - Table name
+   * @param {'create'|'update'|'delete'} mutation.operation
+   * @param {string} mutation.recordId - Record ID (client-generated for creates)
+   * @param {Object} [mutation.data] - Row data for create/update
+   */
+  async enqueue({ table, operation, recordId, data = null }) {
+    await this.load();
+
+    // Deleting a record that was created offline: drop its queued history instead
+    if (operation === 'delete') {
+      const createdOffline = this.pending.some(
+        m => m.table === table && m.recordId === recordId && m.operation === 'create'
+      );
+      if (createdOffline) {
+        const dropped = this.pending.filter(m => m.table === table && m.recordId === recordId);
+        await this.removeMutations(dropped);
+        logger.debug(`📤 Outbox: discarded ${dropped.length} mutations for ${table} created offline`);
+        return;
+      }
+    }
+
+    const mutation = {
+      table,
+      operation,
+      recordId,
+      data,
+      queuedAt: new Date().toISOString()
+    };
+
+    const db = await this.openDb();
+    if (db) {
+      const tx = db.transaction(STORE_NAME, 'readwrite');
+      mutation.seq = await promisifyRequest(tx.objectStore(STORE_NAME).add(mutation));
+    } else {
+      const lastSeq = this.pending.length > 0 ? this.pending[this.pending.length - 1].seq : 0;
+      mutation.seq = lastSeq + 1;
+    }
+
+    this.pending.push(mutation);
+    logger.debug(`📤 Outbox: queued ${operation} on ${table}`, `(${this.pending.length} pending)`);
+    this.notify();
+  }
+
+  async removeMutations(mutations) {
+    if (mutations.length === 0) return;
+    const seqs = new Set(mutations.map(m => m.seq));
+    this.pending = this.pending.filter(m => !seqs.has(m.seq));
+
+    const db = await this.openDb();
+    if (db) {
+      const tx = db.transaction(STORE_NAME, 'readwrite');
+      const store = tx.objectStore(STORE_NAME);
+      await Promise.all([...seqs].map(seq => promisifyRequest(store.delete(seq))));
+    }
+    this.notify();
+  }
+
+  /**
+   * Send a single queued mutation to Supabase
+   */
+  async execute(mutation) {
+    const { table, operation, recordId, data } = mutation;
+    let result;
+
+    switch (operation) {
+      case 'create':
+        // upsert so a replay after a lost response doesn't fail on the primary key
+        result = await supabase.from(table).upsert({ ...data, id: recordId });
+        break;
+      case 'update':
+        result = await supabase.from(table).update(data).eq('id', recordId);
+        break;
+      case 'delete':
+        result = await supabase.from(table).delete().eq('id', recordId);
+        break;
+      default:
+        console.warn(`Outbox: unknown operation ${operation}`);
+        return;
+    }
+
+    if (result.error) {
+      throw result.error;
+    }
+  }
+
+  /**
+   * Replay queued mutations in order.
+   * Stops at the first network failure (still offline); drops mutations the
+   * server rejects so one bad write can't block the queue forever.
+   * @returns {Promise<number>} Number of mutations successfully synced
+   */
+  async replay() {
+    if (this.isReplaying) return 0;
+    await this.load();
+    if (this.pending.length === 0 || !this.isOnline()) return 0;
+
+    this.isReplaying = true;
+    let synced = 0;
+    const rejected = [];
+
+    try {
+      while (this.pending.length > 0) {
+        const mutation = this.pending[0];
+        try {
+          await this.execute(mutation);
+          synced++;
+        } catch (error) {
+          if (isNetworkError(error)) {
+            logger.debug('📤 Outbox: still offline, pausing replay');
+            break;
+          }
+          console.error(`Outbox: server rejected queued ${mutation.operation} on ${mutation.table}:`, error);
+          rejected.push(mutation);
+        }
+        await this.removeMutations([mutation]);
+      }
+    } finally {
+      this.isReplaying = false;
+    }
+
+    if (synced > 0 || rejected.length > 0) {
+      logger.success(`Outbox: synced ${synced} queued mutations`);
+      this.notify({ drained: this.pending.length === 0, synced, rejected });
+    }
+
+    return synced;
+  }
+}
+
+// Export singleton instance
+export const offlineOutbox = new OfflineOutbox();
+
+export default offlineOutbox;
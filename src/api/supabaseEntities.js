@@ -3,9 +3,51 @@
  * 
  * This file provides entity classes for database operations.
  * Each entity supports: list(), filter(), create(), update(), delete()
+ * 
+ * Entities created with { offline: true } queue their writes in the offline
+ * outbox when there is no connection (see offlineOutbox.js).
+ *
+ * Entities created with { softDelete: true } only set deleted_at on delete()
+ * and hide those records from list()/filter(). They can be brought back with
+ * restore() until the purge job removes them (see the Trash page).
  */
 
 import { supabase } from './supabaseClient';
+import { offlineOutbox, isNetworkError } from './offlineOutbox';
+import { getChangedFields, mergeChanges } from '@/utils/recordMerge';
+import { logger } from '@/utils/logger';
+
+// How many times updateVersioned() re-reads and re-merges before giving up
+const MAX_MERGE_ATTEMPTS = 3;
+
+/**
+ * Thrown by updateVersioned() when the same field was changed by someone else
+ * since the record was read. `details` carries what a merge prompt needs:
+ *   - conflicts: [{ field, base, local, remote }]
+ *   - changes: the caller's changed fields (relative to its base record)
+ *   - remote: the current server record
+ */
+export class ConflictError extends Error {
+  constructor(tableName, details) {
+    super(`Conflicting changes to ${tableName} record`);
+    this.name = 'ConflictError';
+    this.tableName = tableName;
+    this.details = details;
+  }
+}
+
+/**
+ * Thrown by updateVersioned() when every merge attempt lost the race to
+ * another save - the record is changing too fast to merge into. Nothing
+ * conflicts, so retrying a moment later is all the caller needs to do.
+ */
+export class RecordBusyError extends Error {
+  constructor(tableName) {
+    super(`The ${tableName} record keeps changing - try again`);
+    this.name = 'RecordBusyError';
+    this.tableName = tableName;
+  }
+}
 
 /**
  * Base Entity class that provides common CRUD operations
@@ -18,6 +60,52 @@ class SupabaseEntity {
     this.updatedDateCol = options.updatedDateCol || 'updated_date';
     this.hasUpdatedDate = options.hasUpdatedDate !== false; // Default true
     this.hasCreatedDate = options.hasCreatedDate !== false; // Default true
+    this.supportsOffline = options.offline === true; // Default false
+    this.versionCol = options.versionCol || null; // Revision column for conflict detection
+    this.deletedAtCol = options.softDelete ? 'deleted_at' : null; // Soft-delete column
+  }
+
+  /**
+   * Hide soft-deleted records unless the criteria ask about deleted_at themselves
+   * @param {Object} query - Supabase query builder
+   * @param {Object} criteria - Filter criteria
+   */
+  excludeDeleted(query, criteria = {}) {
+    if (!this.deletedAtCol || this.deletedAtCol in criteria) return query;
+    return query.is(this.deletedAtCol, null);
+  }
+
+  /**
+   * Whether a write should go to the outbox instead of the network.
+   * Writes queue behind any pending ones so replay order is preserved.
+   */
+  shouldQueueWrite() {
+    return this.supportsOffline && (!offlineOutbox.isOnline() || offlineOutbox.hasPending());
+  }
+
+  /**
+   * Run a write, falling back to the outbox on network failure
+   * @param {Function} write - Performs the network write and returns its result
+   * @param {Object} mutation - Outbox mutation to queue if offline
+   * @param {*} queuedResult - Value returned to the caller when the write is queued
+   */
+  async writeOrQueue(write, mutation, queuedResult) {
+    if (this.shouldQueueWrite()) {
+      await offlineOutbox.enqueue({ table: this.tableName, ...mutation });
+      // Not awaited - the write is safely queued; replay reports its own rejections
+      offlineOutbox.replay().catch(err => logger.error('Outbox replay failed:', err));
+      return queuedResult;
+    }
+
+    try {
+      return await write();
+    } catch (error) {
+      if (this.supportsOffline && isNetworkError(error)) {
+        await offlineOutbox.enqueue({ table: this.tableName, ...mutation });
+        return queuedResult;
+      }
+      throw error;
+    }
   }
 
   /**
@@ -33,9 +121,7 @@ class SupabaseEntity {
     const isDescending = actualOrderBy.startsWith('-');
     const column = isDescending ? actualOrderBy.slice(1) : actualOrderBy;
     
-    let query = supabase
-      .from(this.tableName)
-      .select('*')
+    let query = this.excludeDeleted(supabase.from(this.tableName).select('*'))
       .order(column, { ascending: !isDescending })
       .limit(limit);
 
@@ -51,11 +137,13 @@ class SupabaseEntity {
 
   /**
    * Filter records by criteria
-   * Supports MongoDB-style operators: $gte, $lte, $gt, $lt, $ne, $in
+   * Supports MongoDB-style operators: $gte, $lte, $gt, $lt, $ne, $in, $null
+   * (e.g. { deleted_at: { $null: false } } finds soft-deleted records)
    * @param {Object} criteria - Key-value pairs to filter by
    * @param {string} orderBy - Column to sort by (prefix with - for descending)
+   * @param {number} limit - Maximum records to return (default: all)
    */
-  async filter(criteria = {}, orderBy) {
+  async filter(criteria = {}, orderBy, limit) {
     // Use configured created date column as default
     const defaultOrder = `-${this.createdDateCol}`;
     const actualOrderBy = orderBy || defaultOrder;
@@ -63,9 +151,7 @@ class SupabaseEntity {
     const isDescending = actualOrderBy.startsWith('-');
     const column = isDescending ? actualOrderBy.slice(1) : actualOrderBy;
     
-    let query = supabase
-      .from(this.tableName)
-      .select('*');
+    let query = this.excludeDeleted(supabase.from(this.tableName).select('*'), criteria);
 
     // Apply filters with support for comparison operators
     Object.entries(criteria).forEach(([key, value]) => {
@@ -100,6 +186,9 @@ class SupabaseEntity {
             case '$ilike':
               query = query.ilike(key, operand);
               break;
+            case '$null':
+              query = operand ? query.is(key, null) : query.not(key, 'is', null);
+              break;
             default:
               console.warn(`Unknown operator: ${operator}`);
           }
@@ -111,6 +200,9 @@ class SupabaseEntity {
     });
 
     query = query.order(column, { ascending: !isDescending });
+    if (limit) {
+      query = query.limit(limit);
+    }
 
     const { data, error } = await query;
     
@@ -138,18 +230,33 @@ class SupabaseEntity {
       insertData[this.updatedDateCol] = new Date().toISOString();
     }
 
-    const { data, error } = await supabase
-      .from(this.tableName)
-      .insert(insertData)
-      .select()
-      .single();
-
-    if (error) {
-      console.error(`Error creating ${this.tableName}:`, error);
-      throw error;
+    // Offline-capable tables get a client-side ID so queued follow-up writes can reference it
+    if (this.supportsOffline && !insertData.id) {
+      insertData.id = crypto.randomUUID();
     }
-    
-    return data;
+
+    const write = async () => {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .insert(insertData)
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`Error creating ${this.tableName}:`, error);
+        throw error;
+      }
+      
+      return data;
+    };
+
+    if (!this.supportsOffline) return write();
+
+    return this.writeOrQueue(
+      write,
+      { operation: 'create', recordId: insertData.id, data: insertData },
+      { ...insertData, _pendingSync: true }
+    );
   }
 
   /**
@@ -165,41 +272,152 @@ class SupabaseEntity {
       dataToUpdate[this.updatedDateCol] = new Date().toISOString();
     }
 
-    const { data, error } = await supabase
-      .from(this.tableName)
-      .update(dataToUpdate)
-      .eq('id', id)
-      .select()
-      .single();
+    const write = async () => {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .update(dataToUpdate)
+        .eq('id', id)
+        .select()
+        .single();
 
-    if (error) {
-      console.error(`Error updating ${this.tableName}:`, error);
-      throw error;
+      if (error) {
+        console.error(`Error updating ${this.tableName}:`, error);
+        throw error;
+      }
+      
+      return data;
+    };
+
+    if (!this.supportsOffline) return write();
+
+    return this.writeOrQueue(
+      write,
+      { operation: 'update', recordId: id, data: dataToUpdate },
+      { id, ...dataToUpdate, _pendingSync: true }
+    );
+  }
+
+  /**
+   * Update a record only if nobody changed it since `baseRecord` was read.
+   * Changes to different fields are merged automatically; fields changed on
+   * both sides throw a ConflictError so the UI can ask the user. If other
+   * saves keep winning the race, a RecordBusyError says to try again.
+   * Falls back to a plain update() for tables without a revision column or
+   * when the write has to be queued offline (last write wins).
+   * @param {string} id - Record ID
+   * @param {Object} updateData - Edited values (may include unchanged fields)
+   * @param {Object} baseRecord - The record as the user saw it when editing started
+   * @returns {Object} The saved record
+   */
+  async updateVersioned(id, updateData, baseRecord) {
+    if (!this.versionCol || baseRecord?.[this.versionCol] == null || this.shouldQueueWrite()) {
+      return this.update(id, updateData);
     }
-    
-    return data;
+
+    let changes = getChangedFields(baseRecord, updateData);
+    let expectedVersion = baseRecord[this.versionCol];
+
+    for (let attempt = 0; attempt < MAX_MERGE_ATTEMPTS; attempt++) {
+      if (Object.keys(changes).length === 0) {
+        // Nothing left to write (no edits, or the other side made the same ones)
+        return attempt === 0 ? baseRecord : await this.get(id);
+      }
+
+      const dataToUpdate = { ...changes };
+      if (this.hasUpdatedDate) {
+        dataToUpdate[this.updatedDateCol] = new Date().toISOString();
+      }
+
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .update(dataToUpdate)
+        .eq('id', id)
+        .eq(this.versionCol, expectedVersion)
+        .select();
+
+      if (error) {
+        if (this.supportsOffline && isNetworkError(error)) {
+          // Lost signal mid-edit - queue it like any other offline write
+          return this.update(id, updateData);
+        }
+        console.error(`Error updating ${this.tableName}:`, error);
+        throw error;
+      }
+
+      if (data && data.length > 0) {
+        return data[0];
+      }
+
+      // Revision moved on - someone else saved first. Re-read and merge.
+      // get() returns trashed rows too; a row in the trash counts as deleted.
+      const remote = await this.get(id);
+      if (!remote || (this.deletedAtCol && remote[this.deletedAtCol])) {
+        throw new Error(`This ${this.tableName} record was deleted by someone else`);
+      }
+
+      const { merged, conflicts } = mergeChanges(baseRecord, changes, remote);
+      if (conflicts.length > 0) {
+        throw new ConflictError(this.tableName, { conflicts, changes, remote });
+      }
+
+      changes = merged;
+      expectedVersion = remote[this.versionCol];
+    }
+
+    throw new RecordBusyError(this.tableName);
   }
 
   /**
-   * Delete a record
+   * Delete a record (soft delete for softDelete entities)
    * @param {string} id - Record ID
    */
   async delete(id) {
-    const { error } = await supabase
-      .from(this.tableName)
-      .delete()
-      .eq('id', id);
+    if (this.deletedAtCol) {
+      await this.update(id, { [this.deletedAtCol]: new Date().toISOString() });
+      return true;
+    }
+    return this.hardDelete(id);
+  }
 
-    if (error) {
-      console.error(`Error deleting ${this.tableName}:`, error);
-      throw error;
+  /**
+   * Bring back a soft-deleted record
+   * @param {string} id - Record ID
+   * @returns {Object} The restored record
+   */
+  async restore(id) {
+    if (!this.deletedAtCol) {
+      throw new Error(`${this.tableName} records can't be restored`);
     }
-    
-    return true;
+    return this.update(id, { [this.deletedAtCol]: null });
+  }
+
+  /**
+   * Permanently delete a record, even for softDelete entities
+   * @param {string} id - Record ID
+   */
+  async hardDelete(id) {
+    const write = async () => {
+      const { error } = await supabase
+        .from(this.tableName)
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        console.error(`Error deleting ${this.tableName}:`, error);
+        throw error;
+      }
+      
+      return true;
+    };
+
+    if (!this.supportsOffline) return write();
+
+    return this.writeOrQueue(write, { operation: 'delete', recordId: id }, true);
   }
 
   /**
    * Get a single record by ID
+   * Soft-deleted records are returned too - check deleted_at where it matters
    * @param {string} id - Record ID
    * @returns {Object|null} The record or null if not found
    */
@@ -224,18 +442,42 @@ class SupabaseEntity {
 // ==========================================
 
 // Shopping Entities
-export const ShoppingList = new SupabaseEntity('shopping_lists');
-export const Item = new SupabaseEntity('items');
+// Deleted lists, items and tasks go to the trash (deleted_at) for 30 days
+export const ShoppingList = new SupabaseEntity('shopping_lists', { softDelete: true });
+// Items can be checked off without signal (shopping mode), so their writes are queued offline
+export const Item = new SupabaseEntity('items', { offline: true, versionCol: 'revision', softDelete: true });
 export const ListMember = new SupabaseEntity('list_members');
 export const ShareLink = new SupabaseEntity('share_links');
+export const ShareLinkJoin = new SupabaseEntity('share_link_joins');
 export const CommonItem = new SupabaseEntity('common_items');
 
+// Store Layouts
+export const Store = new SupabaseEntity('stores');
+export const StoreVisit = new SupabaseEntity('store_visits');
+
+// Purchase History
+export const ShoppingTrip = new SupabaseEntity('shopping_trips');
+export const TripItem = new SupabaseEntity('trip_items');
+export const ItemPriceEstimate = new SupabaseEntity('item_price_estimates');
+
+// Barcode Scanning
+export const ProductBarcode = new SupabaseEntity('product_barcodes');
+
+// List Templates
+export const ListTemplate = new SupabaseEntity('list_templates');
+
 // Task Management
-export const Todo = new SupabaseEntity('todos');
+export const Todo = new SupabaseEntity('todos', { softDelete: true });
+// Published .ics feed of a user's tasks (built client-side, see taskCalendarExport)
+export const TaskCalendarFeed = new SupabaseEntity('task_calendar_feeds');
 
 // Recipe System
 export const Recipe = new SupabaseEntity('recipes');
 export const RecipeFavorite = new SupabaseEntity('recipe_favorites');
+export const MealPlanEntry = new SupabaseEntity('meal_plan_entries');
+
+// Pantry
+export const PantryItem = new SupabaseEntity('pantry_items');
 
 // Analytics & Tracking
 export const Statistics = new SupabaseEntity('statistics');
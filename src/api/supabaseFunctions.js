@@ -219,13 +219,15 @@ export async function updateStatCount(statKey, delta = 1) {
  * @param {string} shareToken - The share link token
  * @returns {Promise<Object>} Result object with:
  *   - success: boolean
- *   - status: 'pending' | 'already_pending' | 'already_approved' (if success)
+ *   - status: 'pending' | 'approved' | 'already_pending' | 'already_approved' (if success)
  *     - 'pending': New membership request created
+ *     - 'approved': Joined straight away (link has auto-approve on)
  *     - 'already_pending': User already has a pending request (no new record created)
  *     - 'already_approved': User already has access to the list
- *   - error: 'invalid_token' | 'not_authenticated' | 'server_error' (if !success)
+ *   - error: 'invalid_token' | 'link_used_up' | 'not_authenticated' | 'server_error' (if !success)
  *   - list_id: UUID (if success)
  *   - list_name: string (if success)
+ *   - role: 'viewer' | 'shopper' | 'editor' (if success)
  *   - message: string
  */
 export async function joinListViaShareToken(shareToken) {
@@ -249,6 +251,8 @@ export async function joinListViaShareToken(shareToken) {
  * @returns {Promise<Object>} Result object with:
  *   - valid: boolean
  *   - list_name: string (if valid)
+ *   - role: string - role the link grants (if valid)
+ *   - auto_approve: boolean (if valid)
  *   - message: string (if !valid)
  */
 export async function validateShareToken(shareToken) {
@@ -265,3 +269,54 @@ export async function validateShareToken(shareToken) {
   return data;
 }
 
+/**
+ * Fetch a recipe web page and extract its schema.org Recipe (JSON-LD or
+ * microdata) via the fetch-recipe-url edge function
+ * @param {Object} params - { url }
+ * @returns {Promise<Object>} - { recipe, source, page_title, page_text }
+ *   recipe is null when the page has no structured recipe; page_text is
+ *   then the page's readable text for AI extraction
+ */
+export async function fetchRecipeFromUrl({ url }) {
+  return await callEdgeFunction('fetch-recipe-url', { url });
+}
+
+/**
+ * Archive the current user's lists that haven't been touched for
+ * profiles.auto_archive_after_days days (no-op when the rule is off)
+ *
+ * @returns {Promise<Object>} Result object with:
+ *   - archived_count: number of lists archived
+ *   - item_count: number of items on those lists
+ *   - list_ids: UUID[]
+ */
+export async function autoArchiveStaleLists() {
+  const { data, error } = await supabase.rpc('auto_archive_stale_lists');
+
+  if (error) {
+    console.error('Failed to auto-archive stale lists:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Recipes that use the current user's pantry items expiring soon
+ * @param {Object} params - { withinDays = 3, limit = 10 }
+ * @returns {Promise<Array>} - [{ recipe_id, full_title, photo_url, cooking_time,
+ *   matched_items, match_count, soonest_expiry }], most matched items first
+ */
+export async function getRecipesForExpiringPantry({ withinDays = 3, limit = 10 } = {}) {
+  const { data, error } = await supabase.rpc('get_recipes_for_expiring_pantry', {
+    p_within_days: withinDays,
+    p_limit: limit
+  });
+
+  if (error) {
+    console.error('Failed to get recipes for expiring pantry items:', error);
+    throw error;
+  }
+
+  return data || [];
+}
@@ -12,6 +12,7 @@ import { Progress } from "@/components/ui/progress";
 import { FileUp, Loader2, CheckCircle, AlertCircle } from "lucide-react";
 import { CommonItem } from "@/api/entities";
 import { GenerateImage } from "@/api/integrations";
+import { seedBarcodes } from "@/services/barcodeService";
 
 const categories = [
   "Produce",
@@ -71,10 +72,12 @@ export default function ImportMasterListDialog({ open, onClose, onComplete }) {
       const parts = line.includes('\t') ? line.split('\t') : line.split(',');
       
       // Need at least 3 columns: rank (ignored), item name, category
+      // Optional: barcode, brand, size (seed the barcode scanner's lookup table)
       if (parts.length >= 3) {
         // parts[0] is rank/popularity - ignore it
         const itemName = parts[1].trim();
         const category = parts[2].trim();
+        const [barcode, brand, sizeNotes] = parts.slice(3, 6).map(part => part.trim());
         
         if (itemName && category) {
           // Validate category
@@ -84,7 +87,10 @@ export default function ImportMasterListDialog({ open, onClose, onComplete }) {
           
           items.push({
             name: itemName,
-            category: normalizedCategory
+            category: normalizedCategory,
+            barcode: barcode || null,
+            brand: brand || null,
+            size_notes: sizeNotes || null
           });
         }
       }
@@ -113,6 +119,7 @@ export default function ImportMasterListDialog({ open, onClose, onComplete }) {
     let created = 0;
     let skipped = 0;
     let failed = 0;
+    const barcodeProducts = [];
 
     try {
       // Get existing items to check for duplicates
@@ -135,8 +142,23 @@ export default function ImportMasterListDialog({ open, onClose, onComplete }) {
         setProgress({ current: i + 1, total: parsedItems.length });
         setStatus(`Processing: ${displayName}`);
 
+        const queueBarcode = (commonItemId) => {
+          if (item.barcode) {
+            barcodeProducts.push({
+              barcode: item.barcode,
+              name: displayName,
+              brand: item.brand,
+              size_notes: item.size_notes,
+              category: item.category,
+              common_item_id: commonItemId
+            });
+          }
+        };
+
         // Check for duplicate using normalized form (handles singular/plural)
         if (existingMap.has(normalizedForComparison)) {
+          // The item exists, but a new barcode for it is still worth saving
+          queueBarcode(existingMap.get(normalizedForComparison).id);
           skipped++;
           continue;
         }
@@ -156,7 +178,7 @@ export default function ImportMasterListDialog({ open, onClose, onComplete }) {
           }
 
           // Create the item
-          await CommonItem.create({
+          const createdItem = await CommonItem.create({
             name: normalizedNameRaw, // Store the slightly normalized name without plural handling
             display_name: displayName,
             category: item.category,
@@ -165,18 +187,25 @@ export default function ImportMasterListDialog({ open, onClose, onComplete }) {
           });
 
           created++;
+          queueBarcode(createdItem.id);
           
           // Add to existingMap so we don't create duplicates within the same import batch
           // The value associated with the key doesn't matter for `has()`, just that it exists.
           // Using a simple object for consistency with how existing items are stored.
-          existingMap.set(normalizedForComparison, { name: normalizedNameRaw });
+          existingMap.set(normalizedForComparison, { id: createdItem.id, name: normalizedNameRaw });
         } catch (error) {
           console.error(`Error creating item ${displayName}:`, error);
           failed++;
         }
       }
 
-      setResult({ created, skipped, failed });
+      let barcodes = { saved: 0, failed: 0 };
+      if (barcodeProducts.length > 0) {
+        setStatus(`Saving ${barcodeProducts.length} barcodes...`);
+        barcodes = await seedBarcodes(barcodeProducts);
+      }
+
+      setResult({ created, skipped, failed, barcodes });
       setStatus('Import complete!');
 
       if (onComplete) {
@@ -217,6 +246,7 @@ export default function ImportMasterListDialog({ open, onClose, onComplete }) {
                 <li>Each line should contain: <code className="bg-blue-100 dark:bg-blue-800 px-1 rounded">Rank, Item Name, Category</code></li>
                 <li>You can separate columns with comma or tab</li>
                 <li>The first column (rank/popularity) will be ignored</li>
+                <li>Optionally add <code className="bg-blue-100 dark:bg-blue-800 px-1 rounded">Barcode, Brand, Size</code> columns to seed the barcode scanner (UPC/EAN digits)</li>
                 <li>Categories: {categories.join(", ")}</li>
                 <li>Duplicate items (including singular/plural variations) will be automatically skipped</li>
               </ul>
@@ -225,7 +255,8 @@ export default function ImportMasterListDialog({ open, onClose, onComplete }) {
                 <code className="bg-blue-100 dark:bg-blue-800 px-2 py-1 rounded block mt-1">
                   1, Milk, Dairy<br />
                   2, Apples, Produce<br />
-                  3, Bread, Bakery
+                  3, Bread, Bakery<br />
+                  4, Peanut Butter, Pantry, 051500255162, Jif, 16 oz
                 </code>
               </p>
             </div>
@@ -300,6 +331,20 @@ export default function ImportMasterListDialog({ open, onClose, onComplete }) {
                 </div>
               )}
               
+              {result.barcodes.saved > 0 && (
+                <div className="flex justify-between items-center p-3 bg-blue-50 dark:bg-blue-900/20 rounded-lg">
+                  <span className="text-sm font-medium text-blue-900 dark:text-blue-100">Barcodes Saved</span>
+                  <span className="text-lg font-bold text-blue-700 dark:text-blue-300">{result.barcodes.saved}</span>
+                </div>
+              )}
+
+              {result.barcodes.failed > 0 && (
+                <div className="flex justify-between items-center p-3 bg-red-50 dark:bg-red-900/20 rounded-lg">
+                  <span className="text-sm font-medium text-red-900 dark:text-red-100">Invalid Barcodes</span>
+                  <span className="text-lg font-bold text-red-700 dark:text-red-300">{result.barcodes.failed}</span>
+                </div>
+              )}
+
               {result.failed > 0 && (
                 <div className="flex justify-between items-center p-3 bg-red-50 dark:bg-red-900/20 rounded-lg">
                   <span className="text-sm font-medium text-red-900 dark:text-red-100">Items Failed</span>
@@ -13,6 +13,10 @@ import { canAddItem } from "@/components/utils/tierManager";
 import UpgradePrompt from "@/components/common/UpgradePrompt";
 import { incrementUsage } from "@/components/utils/usageSync";
 import { appCache } from "@/components/utils/appCache";
+import { parseItemText, getDuplicateMergeUpdate } from "@/components/utils/ingredientParser";
+import { findDuplicateItem } from "@/utils/itemMatching";
+import { useDuplicatePrompt } from "@/hooks/useDuplicatePrompt";
+import DuplicateItemsDialog from "@/components/items/DuplicateItemsDialog";
 
 const categories = [
   "Produce", "Dairy", "Meat", "Seafood", "Bakery", "Frozen", 
@@ -32,6 +36,7 @@ export default function VoiceCommandInput({ userLists, onItemAdded }) {
   const [lastCommand, setLastCommand] = useState('');
   const [showUpgradePrompt, setShowUpgradePrompt] = useState(false);
   const [upgradeMessage, setUpgradeMessage] = useState('');
+  const { ask: askDuplicate, dialogProps: duplicatePrompt } = useDuplicatePrompt();
 
   const findMatchingList = (listNameFromVoice, lists) => {
     const normalized = listNameFromVoice.toLowerCase().trim();
@@ -41,18 +46,6 @@ export default function VoiceCommandInput({ userLists, onItemAdded }) {
     });
   };
 
-  function extractQuantityFromName(name) {
-    const qtyRegex = /^(\d+(\.\d+)?)\s*x?\s*/i;
-    const match = name.match(qtyRegex);
-    if (match) {
-      return {
-        quantity: parseFloat(match[1]),
-        name: name.replace(qtyRegex, '').trim()
-      };
-    }
-    return { quantity: 1, name: name.trim() };
-  }
-
   function extractOrganicFlag(name) {
     // Check if "organic" is in the name (case-insensitive)
     // Keep the name as-is, just detect the flag
@@ -94,7 +87,7 @@ export default function VoiceCommandInput({ userLists, onItemAdded }) {
       }
 
       // Extract quantity and organic flag from item name
-      const { name: nameAfterQty, quantity: extractedQty } = extractQuantityFromName(parsed.item_name);
+      const { name: nameAfterQty, quantity: extractedQty, amount, unit } = parseItemText(parsed.item_name);
       const { name: cleanItemName, isOrganic } = extractOrganicFlag(nameAfterQty);
       const capitalizedName = capitalizeWords(cleanItemName);
       
@@ -112,6 +105,28 @@ export default function VoiceCommandInput({ userLists, onItemAdded }) {
         return;
       }
 
+      // Already on the list: merge (e.g. "Add 2 cups milk" -> 3 cups) or keep both
+      const listItems = await Item.filter({ list_id: matchedList.id });
+      const existingItem = findDuplicateItem(listItems, capitalizedName);
+      if (existingItem) {
+        const incoming = { name: capitalizedName, quantity: extractedQty, amount, unit };
+        setStatus(`"${existingItem.name}" is already on "${matchedList.name}"`);
+        const choices = await askDuplicate([{ key: existingItem.id, existing: existingItem, incoming }]);
+        if (!choices) {
+          setStatus('');
+          return;
+        }
+        if (choices[existingItem.id] === 'merge') {
+          await Item.update(existingItem.id, getDuplicateMergeUpdate(existingItem, incoming));
+          appCache.clearShoppingList(matchedList.id);
+          setStatus(`✅ Updated "${existingItem.name}"!`);
+          setTimeout(() => {
+            navigate(createPageUrl(`ListView?listId=${matchedList.id}`));
+          }, 1500);
+          return;
+        }
+      }
+
       // Step 3: Check if item exists in common/master items list FIRST
       setStatus(`Checking common items for "${capitalizedName}"...`);
       let detectedCategory = 'Other';
@@ -220,7 +235,9 @@ export default function VoiceCommandInput({ userLists, onItemAdded }) {
       await Item.create({
         list_id: matchedList.id,
         name: capitalizedName,
-        quantity: extractedQty > 1 ? `${extractedQty}x` : '',
+        quantity: extractedQty,
+        amount,
+        unit,
         category: detectedCategory,
         photo_url: photoUrl,
         added_by: currentUser.email,
@@ -376,6 +393,8 @@ export default function VoiceCommandInput({ userLists, onItemAdded }) {
         </div>
       </Card>
 
+      <DuplicateItemsDialog {...duplicatePrompt} />
+
       <UpgradePrompt
         open={showUpgradePrompt}
         onClose={() => setShowUpgradePrompt(false)}
@@ -20,13 +20,16 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Calendar } from "@/components/ui/calendar";
 import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
 import { format } from "date-fns";
-import { Calendar as CalendarIcon, Upload, X, Loader2, Sparkles, Check, Mic, MicOff } from "lucide-react";
+import { Calendar as CalendarIcon, Upload, X, Loader2, Sparkles, Check, Mic, MicOff, ScanBarcode } from "lucide-react";
 import { cn } from "@/lib/utils";
 import { CommonItem, Item, ActivityTracking } from "@/api/entities";
 import { updateStatCount } from "@/api/functions";
 import { InvokeLLM, GenerateImage, UploadFile } from "@/api/integrations";
 import { getCommonItemsCache, loadCommonItemsCache } from "@/components/utils/commonItemsCache";
 import { consumeCredits, checkCreditsAvailable } from "@/components/utils/creditManager";
+import { loadPriceEstimates, getRememberedPrice, rememberEstimatedPrice } from "@/components/utils/budgetManager";
+import { parsePrice } from "@/components/utils/tripRecorder";
+import BarcodeScannerDialog from "@/components/items/BarcodeScannerDialog";
 
 const categories = [
   "Produce",
@@ -58,6 +61,7 @@ export default function AddItemDialog({ open, onClose, onSave, listSections, edi
     size_notes: "",
     photo_url: "",
     is_organic: false,
+    estimated_price: "",
   });
   const [uploading, setUploading] = useState(false);
   const [generating, setGenerating] = useState(false);
@@ -69,10 +73,12 @@ export default function AddItemDialog({ open, onClose, onSave, listSections, edi
   const [suggestions, setSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [loadingCache, setLoadingCache] = useState(false);
+  const [showScanner, setShowScanner] = useState(false);
 
   useEffect(() => {
     if (open) {
       loadCache();
+      loadPriceEstimates();
     }
   }, [open]);
 
@@ -86,6 +92,7 @@ export default function AddItemDialog({ open, onClose, onSave, listSections, edi
         size_notes: editItem.size_notes || "",
         photo_url: editItem.photo_url || "",
         is_organic: editItem.is_organic || false,
+        estimated_price: editItem.estimated_price != null ? String(editItem.estimated_price) : "",
       });
       setSelectedGenerated(null);
       setGeneratedImages([]);
@@ -100,6 +107,7 @@ export default function AddItemDialog({ open, onClose, onSave, listSections, edi
         size_notes: "",
         photo_url: "",
         is_organic: isOrganic,
+        estimated_price: "",
       });
       setSelectedGenerated(null);
       setGeneratedImages([]);
@@ -124,9 +132,12 @@ export default function AddItemDialog({ open, onClose, onSave, listSections, edi
       const finalItem = {
         ...item,
         name: capitalizeWords(item.name.trim()),
-        photo_url: selectedGenerated || item.photo_url
+        photo_url: selectedGenerated || item.photo_url,
+        estimated_price: parsePrice(item.estimated_price)
       };
       onSave(finalItem);
+      // Pre-fill this price next time the item is added
+      rememberEstimatedPrice(finalItem.name, finalItem.estimated_price);
       resetForm();
       onClose();
     }
@@ -141,6 +152,7 @@ export default function AddItemDialog({ open, onClose, onSave, listSections, edi
       size_notes: "",
       photo_url: "",
       is_organic: false,
+      estimated_price: "",
     });
     setGeneratedImages([]);
     setSelectedGenerated(null);
@@ -227,10 +239,19 @@ export default function AddItemDialog({ open, onClose, onSave, listSections, edi
     }
   };
 
+  // Pre-fill the price last entered for this item name
+  const applyRememberedPrice = (name) => {
+    const remembered = getRememberedPrice(name);
+    if (remembered !== null) {
+      setItem(prev => prev.estimated_price ? prev : { ...prev, estimated_price: String(remembered) });
+    }
+  };
+
   const handleNameBlur = async () => {
     // Delay to allow suggestion click to register before blur
     setTimeout(async () => {
       setShowSuggestions(false);
+      applyRememberedPrice(item.name);
       
       // Only categorize if no match was found via suggestions (or if item name was just typed)
       // and if the category is still 'Other'
@@ -275,6 +296,25 @@ export default function AddItemDialog({ open, onClose, onSave, listSections, edi
     setSuggestions([]);
     setGeneratedImages([]);
     setSelectedGenerated(null);
+    applyRememberedPrice(suggestion.display_name);
+  };
+
+  const handleProductScanned = (product) => {
+    const commonItem = product.common_item_id
+      ? commonItemsCache.find(ci => ci.id === product.common_item_id)
+      : null;
+    setItem(prev => ({
+      ...prev,
+      name: product.name,
+      brand: product.brand || prev.brand,
+      size_notes: product.size_notes || prev.size_notes,
+      category: product.category || commonItem?.category || prev.category,
+      photo_url: commonItem?.photo_url || prev.photo_url
+    }));
+    setShowScanner(false);
+    setShowSuggestions(false);
+    setSuggestions([]);
+    applyRememberedPrice(product.name);
   };
 
   const startVoiceInput = () => {
@@ -394,6 +434,7 @@ export default function AddItemDialog({ open, onClose, onSave, listSections, edi
   };
 
   return (
+    <>
     <Dialog open={open} onOpenChange={(isOpen) => { // Corrected from onChangeChange to onOpenChange
       if (!isOpen) {
         resetForm();
@@ -467,6 +508,18 @@ export default function AddItemDialog({ open, onClose, onSave, listSections, edi
                   <Mic className="w-4 h-4 !text-slate-600 dark:!text-slate-300" />
                 )}
               </Button>
+              {!editItem && (
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="icon"
+                  onClick={() => setShowScanner(true)}
+                  title="Scan barcode"
+                  className="shrink-0 !bg-white dark:!bg-slate-700 !border-slate-300 dark:!border-slate-600 hover:!bg-slate-50 dark:hover:!bg-slate-600"
+                >
+                  <ScanBarcode className="w-4 h-4 !text-slate-600 dark:!text-slate-300" />
+                </Button>
+              )}
             </div>
             {isListening && (
               <p className="text-xs text-red-500 animate-pulse dark:text-red-400">Listening... Speak now</p>
@@ -511,6 +564,19 @@ export default function AddItemDialog({ open, onClose, onSave, listSections, edi
             </div>
           </div>
 
+          <div className="space-y-2">
+            <Label htmlFor="estimated-price" className="!text-slate-700 dark:!text-white">Estimated Price (Optional)</Label>
+            <Input
+              id="estimated-price"
+              inputMode="decimal"
+              placeholder="e.g., 3.49"
+              value={item.estimated_price}
+              onChange={(e) => setItem({ ...item, estimated_price: e.target.value })}
+              maxLength={10}
+              className="!bg-white dark:!bg-slate-700 !text-slate-800 dark:!text-white !border-slate-300 dark:!border-slate-600 placeholder:!text-slate-400 dark:placeholder:!text-slate-500"
+            />
+          </div>
+
           {/* Organic Checkbox - Compact Version Above Brand */}
           <div className="flex items-center space-x-2 p-2 !bg-green-50 rounded-lg border !border-green-200 dark:!bg-green-900/20 dark:!border-green-700">
             <input
@@ -685,5 +751,12 @@ export default function AddItemDialog({ open, onClose, onSave, listSections, edi
         </div>
       </DialogContent>
     </Dialog>
+
+    <BarcodeScannerDialog
+      open={showScanner}
+      onClose={() => setShowScanner(false)}
+      onProductScanned={handleProductScanned}
+    />
+    </>
   );
 }
\ No newline at end of file
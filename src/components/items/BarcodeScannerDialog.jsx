@@ -0,0 +1,300 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Camera, Loader2, ScanBarcode, Tag } from "lucide-react";
+import {
+  normalizeBarcode,
+  usesNativeCamera,
+  scanWithNativeCamera,
+  startLiveScan,
+  lookupBarcode,
+  labelBarcode,
+} from "@/services/barcodeService";
+
+const categories = [
+  "Produce",
+  "Pantry",
+  "Dairy",
+  "Meat & Seafood",
+  "Frozen",
+  "Beverages",
+  "Snacks",
+  "Household",
+  "Bakery",
+  "Personal Care",
+  "Cleaning",
+  "Baby",
+  "Pet",
+  "Other"
+];
+
+const EMPTY_LABEL = { name: "", brand: "", size_notes: "", category: "" };
+
+/**
+ * Scan a UPC/EAN barcode and resolve it to a product.
+ * Unknown codes prompt the user to label the product, which adds it to the
+ * shared barcode table for the next person who scans it.
+ *
+ * @param {boolean} open
+ * @param {function} onClose
+ * @param {function} onProductScanned - Called with { barcode, name, brand, size_notes, category, common_item_id }
+ */
+export default function BarcodeScannerDialog({ open, onClose, onProductScanned }) {
+  const videoRef = useRef(null);
+  const stopScanRef = useRef(null);
+  const [step, setStep] = useState("scanning"); // scanning | looking-up | label
+  const [error, setError] = useState("");
+  const [manualCode, setManualCode] = useState("");
+  const [scannedCode, setScannedCode] = useState(null);
+  const [label, setLabel] = useState(EMPTY_LABEL);
+  const [saving, setSaving] = useState(false);
+  const isNative = usesNativeCamera();
+
+  const stopScan = () => {
+    if (stopScanRef.current) {
+      stopScanRef.current();
+      stopScanRef.current = null;
+    }
+  };
+
+  const handleCode = useCallback(async (code) => {
+    setScannedCode(code);
+    setStep("looking-up");
+    setError("");
+    try {
+      const product = await lookupBarcode(code);
+      if (product) {
+        onProductScanned(product);
+        return;
+      }
+      setLabel(EMPTY_LABEL);
+      setStep("label");
+    } catch (lookupError) {
+      console.error("Barcode lookup failed:", lookupError);
+      setError("Couldn't look up this barcode. Please try again.");
+      setStep("scanning");
+    }
+  }, [onProductScanned]);
+
+  const takeNativePhoto = async () => {
+    setError("");
+    try {
+      const code = await scanWithNativeCamera();
+      if (code) {
+        await handleCode(code);
+      } else {
+        setError("No barcode found in the photo. Try again with the barcode filling the frame.");
+      }
+    } catch (cameraError) {
+      // Dismissing the camera rejects too; only report real failures
+      if (!/cancel/i.test(cameraError?.message || "")) {
+        console.error("Camera scan failed:", cameraError);
+        setError("Couldn't open the camera.");
+      }
+    }
+  };
+
+  // Web: live preview while the dialog is open on the scanning step
+  useEffect(() => {
+    if (!open || isNative || step !== "scanning") return;
+
+    let cancelled = false;
+    // Wait a frame so the <video> element is mounted inside the dialog
+    const frame = requestAnimationFrame(() => {
+      if (!videoRef.current) return;
+      startLiveScan(videoRef.current, handleCode)
+        .then(stop => {
+          if (cancelled) stop();
+          else stopScanRef.current = stop;
+        })
+        .catch(scanError => {
+          console.warn("Live barcode scan unavailable:", scanError);
+          if (!cancelled) setError("Camera unavailable. Enter the barcode number instead.");
+        });
+    });
+
+    return () => {
+      cancelled = true;
+      cancelAnimationFrame(frame);
+      stopScan();
+    };
+  }, [open, isNative, step, handleCode]);
+
+  useEffect(() => {
+    if (!open) {
+      setStep("scanning");
+      setError("");
+      setManualCode("");
+      setScannedCode(null);
+      setLabel(EMPTY_LABEL);
+    }
+  }, [open]);
+
+  const handleManualLookup = () => {
+    const code = normalizeBarcode(manualCode);
+    if (!code) {
+      setError("Enter the 8–14 digit number printed under the barcode.");
+      return;
+    }
+    stopScan();
+    handleCode(code);
+  };
+
+  const handleSaveLabel = async () => {
+    if (!label.name.trim()) return;
+    setSaving(true);
+    try {
+      const product = await labelBarcode(scannedCode, label);
+      onProductScanned(product);
+    } catch (saveError) {
+      console.error("Failed to label barcode:", saveError);
+      // Someone may have labeled it in the meantime; still use what was typed
+      onProductScanned({ barcode: scannedCode, ...label, name: label.name.trim() });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <ScanBarcode className="w-5 h-5 text-blue-600" />
+            {step === "label" ? "New Product" : "Scan Barcode"}
+          </DialogTitle>
+        </DialogHeader>
+
+        {step === "scanning" && (
+          <div className="space-y-4 py-2">
+            {isNative ? (
+              <Button onClick={takeNativePhoto} className="w-full h-24 flex-col gap-2">
+                <Camera className="w-8 h-8" />
+                Take a photo of the barcode
+              </Button>
+            ) : (
+              <div className="relative aspect-video bg-black rounded-lg overflow-hidden">
+                <video ref={videoRef} className="w-full h-full object-cover" muted playsInline />
+                <div className="absolute inset-x-8 top-1/2 h-0.5 bg-red-500/80" />
+              </div>
+            )}
+
+            {error && (
+              <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+            )}
+
+            <div className="space-y-2">
+              <Label htmlFor="barcode-manual">Or type the barcode number</Label>
+              <div className="flex gap-2">
+                <Input
+                  id="barcode-manual"
+                  inputMode="numeric"
+                  placeholder="e.g., 012345678905"
+                  value={manualCode}
+                  onChange={(e) => setManualCode(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && handleManualLookup()}
+                />
+                <Button variant="outline" onClick={handleManualLookup} disabled={!manualCode.trim()}>
+                  Look up
+                </Button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {step === "looking-up" && (
+          <div className="py-10 text-center">
+            <Loader2 className="w-8 h-8 text-blue-500 animate-spin mx-auto mb-3" />
+            <p className="text-sm text-slate-600 dark:text-slate-400">Looking up {scannedCode}...</p>
+          </div>
+        )}
+
+        {step === "label" && (
+          <div className="space-y-4 py-2">
+            <p className="text-sm text-slate-600 dark:text-slate-400">
+              We don&apos;t know barcode <span className="font-mono">{scannedCode}</span> yet.
+              Tell us what it is and it&apos;ll be recognized next time.
+            </p>
+
+            <div className="space-y-2">
+              <Label htmlFor="barcode-name">Item Name *</Label>
+              <Input
+                id="barcode-name"
+                placeholder="e.g., Peanut Butter"
+                value={label.name}
+                onChange={(e) => setLabel({ ...label, name: e.target.value })}
+                maxLength={50}
+                autoFocus
+              />
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-2">
+                <Label htmlFor="barcode-brand">Brand</Label>
+                <Input
+                  id="barcode-brand"
+                  value={label.brand}
+                  onChange={(e) => setLabel({ ...label, brand: e.target.value })}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="barcode-size">Size</Label>
+                <Input
+                  id="barcode-size"
+                  placeholder="e.g., 16 oz"
+                  value={label.size_notes}
+                  onChange={(e) => setLabel({ ...label, size_notes: e.target.value })}
+                />
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label>Category</Label>
+              <Select
+                value={label.category}
+                onValueChange={(value) => setLabel({ ...label, category: value })}
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder="Choose a category" />
+                </SelectTrigger>
+                <SelectContent>
+                  {categories.map(category => (
+                    <SelectItem key={category} value={category}>{category}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="flex justify-end gap-3">
+              <Button variant="outline" onClick={() => setStep("scanning")} disabled={saving}>
+                Scan Again
+              </Button>
+              <Button onClick={handleSaveLabel} disabled={saving || !label.name.trim()}>
+                {saving ? (
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                ) : (
+                  <Tag className="w-4 h-4 mr-2" />
+                )}
+                Save & Use
+              </Button>
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
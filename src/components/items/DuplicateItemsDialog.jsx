@@ -0,0 +1,93 @@
+import { useState, useEffect } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Copy } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { combineItemQuantities } from "@/components/utils/ingredientParser";
+
+/**
+ * Asks what to do with items that are already on the list: merge the
+ * quantity into the existing item, or add a second row.
+ * Usually driven by the useDuplicatePrompt hook.
+ *
+ * @param {boolean} open
+ * @param {Array} duplicates - [{ key, existing, incoming }] where incoming is
+ *   { name, quantity, amount, unit }
+ * @param {function} onConfirm - Called with { [key]: 'merge' | 'keep' }
+ * @param {function} onCancel - Don't add anything
+ */
+export default function DuplicateItemsDialog({ open, duplicates = [], onConfirm, onCancel }) {
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    // Merging is what people want almost every time
+    setChoices(Object.fromEntries(duplicates.map(d => [d.key, "merge"])));
+  }, [duplicates]);
+
+  const describeMerge = ({ existing, incoming }) => {
+    const { quantity } = combineItemQuantities(existing, incoming);
+    const prefix = existing.is_checked ? "Uncheck" : "Merge";
+    return quantity ? `${prefix} → ${quantity}` : prefix;
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onCancel()}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Copy className="w-5 h-5 text-amber-500" />
+            {duplicates.length === 1 ? "Already on this list" : `${duplicates.length} items already on this list`}
+          </DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-4 py-2 max-h-[60vh] overflow-y-auto">
+          {duplicates.map((duplicate) => (
+            <div key={duplicate.key} className="space-y-2">
+              <p className="text-sm text-slate-700 dark:text-slate-300">
+                <span className="font-medium">{duplicate.incoming.name}</span>
+                {duplicate.incoming.quantity && ` (${duplicate.incoming.quantity})`}
+                {" matches "}
+                <span className="font-medium">{duplicate.existing.name}</span>
+                {duplicate.existing.quantity && ` (${duplicate.existing.quantity})`}
+                {duplicate.existing.is_checked && " — checked off"}
+              </p>
+              <div className="grid grid-cols-2 gap-2">
+                {[
+                  { value: "merge", label: describeMerge(duplicate) },
+                  { value: "keep", label: "Keep both" },
+                ].map(({ value, label }) => (
+                  <button
+                    key={value}
+                    onClick={() => setChoices(prev => ({ ...prev, [duplicate.key]: value }))}
+                    className={cn(
+                      "p-2 rounded-lg border-2 text-sm text-left transition-all",
+                      choices[duplicate.key] === value
+                        ? "border-blue-500 bg-blue-50 dark:bg-blue-900/30"
+                        : "border-slate-200 hover:border-slate-300 dark:border-slate-700"
+                    )}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <Button variant="outline" onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button onClick={() => onConfirm(choices)}>
+            Continue
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
-import { Loader2, Plus } from "lucide-react";
+import { Loader2, Plus, ScanBarcode } from "lucide-react";
 import { cn } from "@/lib/utils";
 import { User, Item, ActivityTracking, CommonItem } from "@/api/entities";
 import { supabase } from "@/api/supabaseClient";
@@ -10,9 +10,15 @@ import { InvokeLLM, GenerateImage } from "@/api/integrations";
 import { consumeCredits, checkCreditsAvailable } from "@/components/utils/creditManager";
 import { appCache } from "@/components/utils/appCache";
 import { incrementUsage } from "@/components/utils/usageSync";
+import { loadPriceEstimates, getRememberedPrice } from "@/components/utils/budgetManager";
 import { canAddItem } from "@/components/utils/tierManager";
+import { parseItemText, getDuplicateMergeUpdate } from "@/components/utils/ingredientParser";
+import { findDuplicateItem } from "@/utils/itemMatching";
+import { useDuplicatePrompt } from "@/hooks/useDuplicatePrompt";
 import UpgradePrompt from "@/components/common/UpgradePrompt";
 import InsufficientCreditsDialog from "@/components/common/InsufficientCreditsDialog";
+import BarcodeScannerDialog from "@/components/items/BarcodeScannerDialog";
+import DuplicateItemsDialog from "@/components/items/DuplicateItemsDialog";
 import { logger } from "@/utils/logger";
 
 const categories = [
@@ -45,6 +51,9 @@ export default function FastAddItemInput({ listId, existingItems = [], onItemAdd
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [loadingCache, setLoadingCache] = useState(false);
   const [selectedSuggestion, setSelectedSuggestion] = useState(null);
+  const [showScanner, setShowScanner] = useState(false);
+  const [scannedProduct, setScannedProduct] = useState(null);
+  const { ask: askDuplicate, dialogProps: duplicatePrompt } = useDuplicatePrompt();
   const [showUpgradePrompt, setShowUpgradePrompt] = useState(false);
   const [upgradeMessage, setUpgradeMessage] = useState("");
   
@@ -58,6 +67,7 @@ export default function FastAddItemInput({ listId, existingItems = [], onItemAdd
 
   useEffect(() => {
     loadCache();
+    loadPriceEstimates();
   }, []);
 
   const loadCache = async () => {
@@ -73,22 +83,10 @@ export default function FastAddItemInput({ listId, existingItems = [], onItemAdd
     setLoadingCache(false);
   };
 
-  const extractQuantityFromName = (fullName) => {
-    const quantityPattern = /\b(\d+(\.\d+)?\s*(kg|g|lb|lbs|oz|ml|l|litre|liter|pack|packs|x|dozen|piece|pieces)?)\b/i;
-    const match = fullName.match(quantityPattern);
-    
-    if (match) {
-      const extractedQty = match[0].trim();
-      const cleanName = fullName.replace(match[0], '').trim();
-      return { name: cleanName, quantity: extractedQty };
-    }
-    
-    return { name: fullName, quantity: '' };
-  };
-
   const handleNameChange = (value) => {
     setItemName(value);
     setSelectedSuggestion(null);
+    setScannedProduct(null);
     
     if (value.trim().length >= 3) {
       const isOrganic = /\borganic\b/gi.test(value);
@@ -182,6 +180,15 @@ export default function FastAddItemInput({ listId, existingItems = [], onItemAdd
     setSuggestions([]);
   };
 
+  const handleProductScanned = (product) => {
+    setShowScanner(false);
+    setItemName(product.name);
+    setSelectedSuggestion(null);
+    setScannedProduct(product);
+    setShowSuggestions(false);
+    setSuggestions([]);
+  };
+
   const handleAddItem = async () => {
     if (!itemName.trim()) {
       alert('Please enter an item name.');
@@ -193,19 +200,29 @@ export default function FastAddItemInput({ listId, existingItems = [], onItemAdd
     setCurrentStatus('Checking...');
 
     try {
+      const parsed = parseItemText(itemName);
+
       // Check for duplicate item in the list (use passed prop - instant, no API call)
-      const normalizedName = itemName.toLowerCase().trim();
-      const duplicate = existingItems.find(item => 
-        item.name.toLowerCase().trim() === normalizedName
-      );
-      
+      const duplicate = findDuplicateItem(existingItems, parsed.name);
       if (duplicate) {
-        alert(`An item named "${itemName}" already exists in this list.`);
-        setItemName('');
-        setShowSuggestions(false);
-        setIsFastAdding(false);
         setCurrentStatus('');
-        return;
+        const choices = await askDuplicate([{ key: duplicate.id, existing: duplicate, incoming: parsed }]);
+        if (!choices) {
+          setIsFastAdding(false);
+          return;
+        }
+        if (choices[duplicate.id] === 'merge') {
+          // "2 cups milk" + "1 cup milk" -> one item with 3 cups
+          setCurrentStatus(`Updating "${duplicate.name}"...`);
+          await Item.update(duplicate.id, getDuplicateMergeUpdate(duplicate, parsed));
+          appCache.clearShoppingList(listId);
+          setItemName('');
+          setSelectedSuggestion(null);
+          setScannedProduct(null);
+          setCurrentStatus('');
+          onItemAdded();
+          return;
+        }
       }
 
       // Check tier limits before adding item (use cache for fast response)
@@ -218,7 +235,8 @@ export default function FastAddItemInput({ listId, existingItems = [], onItemAdd
         return;
       }
 
-      const needsAI = !selectedSuggestion;
+      // Scanned products already know their category
+      const needsAI = !selectedSuggestion && !scannedProduct?.category;
 
       if (needsAI) {
         const creditCheck = await checkCreditsAvailable('fast_add_ai');
@@ -242,16 +260,19 @@ export default function FastAddItemInput({ listId, existingItems = [], onItemAdd
 
       const currentUser = await User.me();
 
-      const { name: cleanName, quantity: extractedQty } = extractQuantityFromName(itemName);
+      const { name: cleanName, quantity: extractedQty, amount, unit } = parsed;
       const capitalizedName = capitalizeWords(cleanName);
       const normalizedNameForLookup = cleanName.toLowerCase().trim().replace(/\borganic\b/gi, '').trim();
       
       const isOrganic = /\borganic\b/gi.test(itemName);
 
       let commonItemFound = null;
+      const scannedCommonItem = scannedProduct?.common_item_id
+        ? commonItemsCache.find(ci => ci.id === scannedProduct.common_item_id)
+        : null;
 
-      if (selectedSuggestion) {
-        commonItemFound = selectedSuggestion;
+      if (selectedSuggestion || scannedCommonItem) {
+        commonItemFound = selectedSuggestion || scannedCommonItem;
         setCurrentStatus('Using selected item data...');
       } else {
         setCurrentStatus('Checking item database...');
@@ -295,7 +316,7 @@ export default function FastAddItemInput({ listId, existingItems = [], onItemAdd
       }
 
       if (commonItemFound) {
-        detectedCategory = commonItemFound.category;
+        detectedCategory = scannedProduct?.category || commonItemFound.category;
         photoUrl = commonItemFound.photo_url || '';
         
         // Increment usage count via secure RPC function (fire-and-forget)
@@ -303,6 +324,8 @@ export default function FastAddItemInput({ listId, existingItems = [], onItemAdd
           supabase.rpc('increment_common_item_usage', { item_id: commonItemFound.id })
             .catch(err => console.warn("Could not update usage count:", err));
         }
+      } else if (scannedProduct?.category) {
+        detectedCategory = scannedProduct.category;
       } else {
         const creditResult = await consumeCredits(
           'fast_add_ai',
@@ -352,10 +375,15 @@ export default function FastAddItemInput({ listId, existingItems = [], onItemAdd
         list_id: listId,
         name: capitalizedName,
         quantity: extractedQty,
+        amount,
+        unit,
         category: detectedCategory,
         photo_url: photoUrl,
         added_by: currentUser.email,
         is_organic: isOrganic,
+        brand: scannedProduct?.brand || '',
+        size_notes: scannedProduct?.size_notes || '',
+        estimated_price: getRememberedPrice(capitalizedName),
       });
 
       // Increment total items count
@@ -370,6 +398,7 @@ export default function FastAddItemInput({ listId, existingItems = [], onItemAdd
 
       setItemName('');
       setSelectedSuggestion(null);
+      setScannedProduct(null);
       setCurrentStatus('');
       onItemAdded();
     } catch (error) {
@@ -421,6 +450,16 @@ export default function FastAddItemInput({ listId, existingItems = [], onItemAdd
             </div>
           )}
         </div>
+        <Button
+          type="button"
+          variant="outline"
+          onClick={() => setShowScanner(true)}
+          disabled={isFastAdding}
+          className="h-9 px-2 dark:bg-slate-700 dark:border-slate-600"
+          title="Scan barcode"
+        >
+          <ScanBarcode className="w-4 h-4 text-slate-600 dark:text-slate-300" />
+        </Button>
         <Button
           onClick={handleAddItem}
           disabled={isFastAdding || !itemName.trim()}
@@ -439,6 +478,11 @@ export default function FastAddItemInput({ listId, existingItems = [], onItemAdd
           )}
         </Button>
       </div>
+        {scannedProduct && !isFastAdding && (scannedProduct.brand || scannedProduct.size_notes) && (
+          <p className="mt-2 text-xs text-slate-500 dark:text-slate-400">
+            Scanned: {[scannedProduct.brand, scannedProduct.size_notes].filter(Boolean).join(' · ')}
+          </p>
+        )}
         {isFastAdding && currentStatus && (
           <div className="mt-2 text-xs text-blue-600 flex items-center gap-2 dark:text-blue-400">
             <Loader2 className="w-3 h-3 animate-spin" />
@@ -455,6 +499,14 @@ export default function FastAddItemInput({ listId, existingItems = [], onItemAdd
         featureName="Additional Items"
       />
 
+      <DuplicateItemsDialog {...duplicatePrompt} />
+
+      <BarcodeScannerDialog
+        open={showScanner}
+        onClose={() => setShowScanner(false)}
+        onProductScanned={handleProductScanned}
+      />
+
       <InsufficientCreditsDialog
         open={showInsufficientCredits}
         onClose={() => setShowInsufficientCredits(false)}
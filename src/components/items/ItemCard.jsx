@@ -1,10 +1,14 @@
 
-import React from "react";
+import React, { useState } from "react";
 import { Card } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
-import { Check, Star, Trash2, Pencil } from "lucide-react";
+import { Input } from "@/components/ui/input";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import { Check, Star, Trash2, Pencil, CloudOff, Repeat, LineChart } from "lucide-react";
 import { cn } from "@/lib/utils";
+import { describeReplenishRule } from "@/components/utils/staplesManager";
+import { parsePrice, formatPrice } from "@/components/utils/tripRecorder";
 
 const getCategoryClassName = (category) => {
   const map = {
@@ -26,8 +30,59 @@ const getCategoryClassName = (category) => {
   return map[category] || "item-card-other";
 };
 
-export default function ItemCard({ item, onToggleCheck, onToggleFavorite, onDelete, onEdit, isShoppingMode = false, hideCheckbox = false, onCardClick = null, compactView = false }) {
+// Inline estimated price editor shown in the item actions row
+function EstimatedPriceButton({ item, onSave }) {
+  const [open, setOpen] = useState(false);
+  const [value, setValue] = useState("");
+
+  const handleOpenChange = (isOpen) => {
+    if (isOpen) {
+      setValue(item.estimated_price != null ? String(item.estimated_price) : "");
+    }
+    setOpen(isOpen);
+  };
+
+  const handleSave = () => {
+    onSave(item, parsePrice(value));
+    setOpen(false);
+  };
+
+  return (
+    <Popover open={open} onOpenChange={handleOpenChange}>
+      <PopoverTrigger asChild>
+        <Button
+          variant="ghost"
+          size="sm"
+          className="h-5 px-1 text-[10px] text-emerald-600 hover:text-emerald-700 dark:text-emerald-400 dark:hover:text-emerald-300"
+          title="Estimated price"
+        >
+          {item.estimated_price != null ? formatPrice(item.estimated_price) : "$?"}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-48 p-2" align="start">
+        <div className="flex gap-1.5">
+          <Input
+            inputMode="decimal"
+            placeholder="Est. price"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && handleSave()}
+            className="h-8 text-sm"
+            autoFocus
+          />
+          <Button size="sm" className="h-8" onClick={handleSave}>
+            Save
+          </Button>
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+}
+
+export default function ItemCard({ item, onToggleCheck, onToggleFavorite, onDelete, onEdit, isShoppingMode = false, hideCheckbox = false, onCardClick = null, compactView = false, isPendingSync = false, onShowPriceHistory = null, onUpdateEstimatedPrice = null, canCheck = true, canEdit = true, selected = null, onSelect = null }) {
   const categoryClass = getCategoryClassName(item.category);
+  // Multi-select (ListView bulk actions): tapping anywhere selects, actions are hidden
+  const isSelecting = selected !== null;
   
   // Remove "Organic" word from name in compact view to save space
   const displayName = compactView 
@@ -36,26 +91,43 @@ export default function ItemCard({ item, onToggleCheck, onToggleFavorite, onDele
 
   return (
     <Card
-      onClick={onCardClick ? onCardClick : (isShoppingMode ? () => onToggleCheck(item) : undefined)}
+      onClick={isSelecting ? () => onSelect(item) : onCardClick ? onCardClick : (isShoppingMode && canCheck ? () => onToggleCheck(item) : undefined)}
       className={cn(
         "transition-all duration-300 border-2 w-full overflow-hidden",
         isShoppingMode ? "p-0 cursor-pointer" : "p-0.5",
         categoryClass,
         item.is_checked ? "bg-slate-50 opacity-60 dark:bg-slate-800/50" : "bg-white hover:shadow-md dark:bg-slate-800",
         (isShoppingMode || onCardClick) && "active:scale-95",
-        onCardClick && "cursor-pointer"
+        (onCardClick || isSelecting) && "cursor-pointer",
+        selected && "ring-2 ring-blue-500"
       )}>
 
       <div className={cn("flex items-stretch w-full min-w-0 overflow-hidden", isShoppingMode ? "gap-1" : "gap-1.5")}>
+        {/* Selection Box - replaces the check button while selecting */}
+        {isSelecting &&
+        <div
+          className={cn(
+            "min-w-[30px] h-auto rounded-lg border-2 flex items-center justify-center transition-all flex-shrink-0 self-stretch",
+            selected ?
+            "bg-blue-500 border-blue-500" :
+            "border-dashed border-slate-300 dark:border-slate-600"
+          )}>
+
+            {selected && <Check className="w-4 h-4 text-white" />}
+          </div>
+        }
+
         {/* Check Button - Hidden in Shopping Mode or when hideCheckbox is true */}
-        {!isShoppingMode && !hideCheckbox &&
+        {!isShoppingMode && !hideCheckbox && !isSelecting &&
         <button
           onClick={() => onToggleCheck(item)}
+          disabled={!canCheck}
           className={cn(
             "min-w-[30px] h-auto rounded-lg border-2 flex items-center justify-center transition-all flex-shrink-0 self-stretch",
             item.is_checked ?
             "bg-green-500 border-green-500" :
-            "border-slate-300 hover:border-slate-400 active:scale-95 dark:border-slate-600 dark:hover:border-slate-500"
+            "border-slate-300 hover:border-slate-400 active:scale-95 dark:border-slate-600 dark:hover:border-slate-500",
+            !canCheck && "cursor-default pointer-events-none"
           )}>
 
             {item.is_checked && <Check className="w-4 h-4 text-white" />}
@@ -79,11 +151,35 @@ export default function ItemCard({ item, onToggleCheck, onToggleFavorite, onDele
             </div>
             
             <div className={cn("flex items-center flex-wrap min-w-0 w-full overflow-hidden", isShoppingMode ? "gap-0.5 mt-0" : "gap-1 mt-0.5")}>
+              {isPendingSync &&
+              <Badge
+                variant="outline"
+                className="text-[10px] h-4 px-1 gap-0.5 bg-amber-50 text-amber-700 border-amber-300 dark:bg-amber-900/30 dark:text-amber-300 dark:border-amber-700 flex-shrink-0"
+                title="Waiting to sync"
+              >
+                  <CloudOff className="w-2.5 h-2.5" />
+                  {!compactView && "Pending"}
+                </Badge>
+              }
+              {item.replenish_rule && !compactView &&
+              <Badge
+                variant="outline"
+                className="text-[10px] h-4 px-1 bg-green-50 text-green-700 border-green-200 dark:bg-green-900/30 dark:text-green-300 dark:border-green-700 flex-shrink-0"
+                title={`Staple: ${describeReplenishRule(item)}`}
+              >
+                  <Repeat className="w-2.5 h-2.5" />
+                </Badge>
+              }
               {item.quantity &&
               <Badge variant="secondary" className="text-[10px] h-4 px-1 bg-slate-100 text-slate-700 dark:bg-slate-700 dark:text-slate-200 flex-shrink-0 max-w-[80px] truncate">
                   {item.quantity}
                 </Badge>
               }
+              {isShoppingMode && item.estimated_price != null &&
+              <Badge variant="secondary" className="text-[10px] h-4 px-1 bg-emerald-50 text-emerald-700 dark:bg-emerald-900/30 dark:text-emerald-300 flex-shrink-0">
+                  ~{formatPrice(item.estimated_price)}
+                </Badge>
+              }
               {item.category && !compactView &&
               <Badge 
                 variant="outline" 
@@ -118,9 +214,9 @@ export default function ItemCard({ item, onToggleCheck, onToggleFavorite, onDele
           </div>
 
           {/* Actions - Only show in non-shopping mode */}
-          {!isShoppingMode && (
+          {!isShoppingMode && !isSelecting && (
             <div className="flex items-center gap-4 mt-0.5 flex-shrink-0 overflow-hidden">
-              {!hideCheckbox && (
+              {!hideCheckbox && canEdit && (
                 <Button
                   variant="ghost"
                   size="sm"
@@ -133,7 +229,7 @@ export default function ItemCard({ item, onToggleCheck, onToggleFavorite, onDele
                   <Star className={cn("w-3 h-3", item.is_favorite && "fill-current")} />
                 </Button>
               )}
-              {!onCardClick && (
+              {!onCardClick && canEdit && (
                 <Button
                   variant="ghost"
                   size="sm"
@@ -143,14 +239,30 @@ export default function ItemCard({ item, onToggleCheck, onToggleFavorite, onDele
                   <Pencil className="w-3 h-3" />
                 </Button>
               )}
-              <Button
-                variant="ghost"
-                size="sm"
-                onClick={() => onDelete(item)}
-                className="h-5 px-1 text-red-500 hover:text-red-600 dark:text-red-400 dark:hover:text-red-300"
-              >
-                <Trash2 className="w-3 h-3" />
-              </Button>
+              {onUpdateEstimatedPrice && (
+                <EstimatedPriceButton item={item} onSave={onUpdateEstimatedPrice} />
+              )}
+              {onShowPriceHistory && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onShowPriceHistory(item)}
+                  className="h-5 px-1 text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200"
+                  title="Price history"
+                >
+                  <LineChart className="w-3 h-3" />
+                </Button>
+              )}
+              {canEdit && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onDelete(item)}
+                  className="h-5 px-1 text-red-500 hover:text-red-600 dark:text-red-400 dark:hover:text-red-300"
+                >
+                  <Trash2 className="w-3 h-3" />
+                </Button>
+              )}
             </div>
           )}
         </div>
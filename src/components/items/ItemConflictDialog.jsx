@@ -0,0 +1,115 @@
+import { useState, useEffect } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { GitMerge } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+const FIELD_LABELS = {
+  name: "Name",
+  quantity: "Quantity",
+  category: "Category",
+  brand: "Brand",
+  size_notes: "Size / Notes",
+  photo_url: "Photo",
+  is_organic: "Organic",
+  estimated_price: "Estimated price",
+};
+
+// Parsed from quantity on save, so they follow whichever quantity is picked
+const DERIVED_FIELDS = ["amount", "unit"];
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "(empty)";
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  return String(value);
+};
+
+/**
+ * Merge prompt shown when someone else changed the same item fields while
+ * the user was editing. Each conflicting field can keep the user's value or
+ * take the other person's; fields only one side changed were already merged.
+ *
+ * @param {boolean} open - Whether the dialog is open
+ * @param {Array} conflicts - [{ field, base, local, remote }] from ConflictError.details
+ * @param {function} onResolve - Called with { field: chosenValue } for every conflict
+ * @param {function} onCancel - Called when the user discards their edit
+ */
+export default function ItemConflictDialog({ open, conflicts = [], onResolve, onCancel }) {
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    // Default to keeping the user's own values
+    setChoices(Object.fromEntries(conflicts.map(c => [c.field, "local"])));
+  }, [conflicts]);
+
+  const handleSave = () => {
+    const resolved = Object.fromEntries(
+      conflicts.map(c => [c.field, choices[c.field] === "remote" ? c.remote : c.local])
+    );
+    onResolve(resolved);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onCancel()}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <GitMerge className="w-5 h-5 text-amber-500" />
+            Someone else edited this item
+          </DialogTitle>
+        </DialogHeader>
+
+        <p className="text-sm text-slate-600 dark:text-slate-400">
+          These fields were changed by another list member while you were editing.
+          Choose which value to keep.
+        </p>
+
+        <div className="space-y-4 py-2">
+          {conflicts.filter(c => !DERIVED_FIELDS.includes(c.field)).map((conflict) => (
+            <div key={conflict.field} className="space-y-2">
+              <p className="text-sm font-semibold text-slate-800 dark:text-slate-100">
+                {FIELD_LABELS[conflict.field] || conflict.field}
+              </p>
+              <div className="grid grid-cols-2 gap-2">
+                {[
+                  { side: "local", label: "Yours", value: conflict.local },
+                  { side: "remote", label: "Theirs", value: conflict.remote },
+                ].map(({ side, label, value }) => (
+                  <button
+                    key={side}
+                    onClick={() => setChoices(prev => ({ ...prev, [conflict.field]: side }))}
+                    className={cn(
+                      "p-3 rounded-lg border-2 text-left transition-all",
+                      choices[conflict.field] === side
+                        ? "border-blue-500 bg-blue-50 dark:bg-blue-900/30"
+                        : "border-slate-200 hover:border-slate-300 dark:border-slate-600"
+                    )}
+                  >
+                    <span className="block text-xs text-slate-500 dark:text-slate-400">{label}</span>
+                    <span className="block text-sm text-slate-800 dark:text-slate-100 break-words">
+                      {formatValue(value)}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <Button variant="outline" onClick={onCancel}>
+            Discard My Changes
+          </Button>
+          <Button onClick={handleSave}>
+            Save Merged
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
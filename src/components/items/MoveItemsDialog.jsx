@@ -0,0 +1,68 @@
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { ArrowRightLeft, Copy, Loader2, ChevronRight } from "lucide-react";
+
+/**
+ * Pick the list to move or copy the selected items to
+ *
+ * @param {boolean} open
+ * @param {"move"|"copy"} mode
+ * @param {number} itemCount - Number of selected items
+ * @param {Array|null} lists - Destination lists (null while loading)
+ * @param {boolean} isWorking
+ * @param {function} onClose
+ * @param {function} onSelect - Called with the destination list
+ */
+export default function MoveItemsDialog({ open, mode = "move", itemCount = 0, lists, isWorking = false, onClose, onSelect }) {
+  const Icon = mode === "copy" ? Copy : ArrowRightLeft;
+  const verb = mode === "copy" ? "Copy" : "Move";
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && !isWorking && onClose()}>
+      <DialogContent className="sm:max-w-sm">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Icon className="w-5 h-5 text-blue-600" />
+            {verb} {itemCount} item{itemCount === 1 ? "" : "s"} to...
+          </DialogTitle>
+        </DialogHeader>
+
+        <div className="py-2 max-h-[50vh] overflow-y-auto space-y-2">
+          {lists === null ? (
+            <div className="flex justify-center py-6">
+              <Loader2 className="w-6 h-6 animate-spin text-slate-400" />
+            </div>
+          ) : lists.length === 0 ? (
+            <p className="text-sm text-slate-500 dark:text-slate-400 py-4 text-center">
+              You don&apos;t have any other lists you can add items to.
+            </p>
+          ) : (
+            lists.map(list => (
+              <button
+                key={list.id}
+                onClick={() => onSelect(list)}
+                disabled={isWorking}
+                className="w-full flex items-center justify-between p-3 rounded-lg border border-slate-200 hover:bg-slate-50 disabled:opacity-50 dark:border-slate-700 dark:hover:bg-slate-800 text-left"
+              >
+                <span className="font-medium text-slate-800 dark:text-slate-100 truncate">{list.name}</span>
+                <ChevronRight className="w-4 h-4 text-slate-400 flex-shrink-0" />
+              </button>
+            ))
+          )}
+        </div>
+
+        <div className="flex justify-end">
+          <Button variant="outline" onClick={onClose} disabled={isWorking}>
+            {isWorking && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+            Cancel
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,84 @@
+import { useState, useEffect } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { parsePrice } from "@/components/utils/tripRecorder";
+
+/**
+ * Optional price prompt shown when an item is checked off in Shopping Mode
+ * with price tracking turned on.
+ *
+ * @param {boolean} open
+ * @param {Object|null} item - Item just checked off
+ * @param {Object|null} entry - Existing trip entry for the item ({ price, quantity })
+ * @param {function} onSave - Called with { price, quantity }
+ * @param {function} onSkip - Close without recording a price
+ */
+export default function PriceEntryDialog({ open, item, entry = null, onSave, onSkip }) {
+  const [price, setPrice] = useState("");
+  const [quantity, setQuantity] = useState("");
+
+  useEffect(() => {
+    if (open) {
+      setPrice(entry?.price != null ? String(entry.price) : "");
+      setQuantity(entry?.quantity ?? item?.quantity ?? "");
+    }
+  }, [open, item, entry]);
+
+  const handleSave = () => {
+    onSave({
+      price: parsePrice(price),
+      quantity: quantity.trim() || null,
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onSkip()}>
+      <DialogContent className="sm:max-w-sm">
+        <DialogHeader>
+          <DialogTitle className="truncate">{item?.name}</DialogTitle>
+        </DialogHeader>
+
+        <div className="grid grid-cols-2 gap-3 py-2">
+          <div className="space-y-2">
+            <Label htmlFor="price-paid">Price paid</Label>
+            <Input
+              id="price-paid"
+              inputMode="decimal"
+              placeholder="0.00"
+              value={price}
+              onChange={(e) => setPrice(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && handleSave()}
+              autoFocus
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="quantity-bought">Quantity</Label>
+            <Input
+              id="quantity-bought"
+              placeholder="e.g., 2 lbs"
+              value={quantity}
+              onChange={(e) => setQuantity(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && handleSave()}
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <Button variant="outline" onClick={onSkip}>
+            Skip
+          </Button>
+          <Button onClick={handleSave}>
+            Save
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
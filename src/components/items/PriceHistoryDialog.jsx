@@ -0,0 +1,131 @@
+import { useState, useEffect } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { ChartContainer, ChartTooltip, ChartTooltipContent } from "@/components/ui/chart";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid } from "recharts";
+import { Loader2, LineChart as LineChartIcon } from "lucide-react";
+import { format } from "date-fns";
+import { getItemPriceHistory, formatPrice } from "@/components/utils/tripRecorder";
+
+const chartConfig = {
+  price: {
+    label: "Price",
+    color: "hsl(var(--chart-1))",
+  },
+};
+
+/**
+ * Price paid for an item across past shopping trips
+ *
+ * @param {boolean} open
+ * @param {function} onClose
+ * @param {Object|null} item - Item to show history for
+ */
+export default function PriceHistoryDialog({ open, onClose, item }) {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!open || !item) return;
+    let cancelled = false;
+
+    setLoading(true);
+    getItemPriceHistory(item.name)
+      .then(rows => {
+        if (!cancelled) setHistory(rows);
+      })
+      .catch(error => console.error("Error loading price history:", error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, item]);
+
+  const chartData = history.map(row => ({
+    date: format(new Date(row.purchased_date), "MMM d"),
+    price: Number(row.price),
+    store: row.store_name,
+  }));
+
+  const prices = chartData.map(point => point.price);
+  const lowest = prices.length > 0 ? Math.min(...prices) : null;
+  const latest = prices.length > 0 ? prices[prices.length - 1] : null;
+  const average = prices.length > 0 ? prices.reduce((sum, p) => sum + p, 0) / prices.length : null;
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2 min-w-0">
+            <LineChartIcon className="w-5 h-5 text-blue-500 flex-shrink-0" />
+            <span className="truncate">Price history: {item?.name}</span>
+          </DialogTitle>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="flex justify-center py-10">
+            <Loader2 className="w-6 h-6 animate-spin text-slate-400" />
+          </div>
+        ) : chartData.length === 0 ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400 text-center py-10">
+            No prices recorded yet. Turn on price tracking in Shopping Mode to start a history.
+          </p>
+        ) : (
+          <div className="space-y-4">
+            <div className="grid grid-cols-3 gap-2 text-center">
+              {[
+                { label: "Latest", value: latest },
+                { label: "Lowest", value: lowest },
+                { label: "Average", value: average },
+              ].map(({ label, value }) => (
+                <div key={label} className="rounded-lg bg-slate-50 p-2 dark:bg-slate-700">
+                  <p className="text-xs text-slate-500 dark:text-slate-400">{label}</p>
+                  <p className="text-base font-semibold text-slate-800 dark:text-slate-100">{formatPrice(value)}</p>
+                </div>
+              ))}
+            </div>
+
+            <ChartContainer config={chartConfig} className="h-48 w-full">
+              <LineChart data={chartData} margin={{ left: 4, right: 12, top: 8 }}>
+                <CartesianGrid vertical={false} />
+                <XAxis dataKey="date" tickLine={false} axisLine={false} tickMargin={8} />
+                <YAxis
+                  tickLine={false}
+                  axisLine={false}
+                  width={48}
+                  tickFormatter={(value) => formatPrice(value)}
+                />
+                <ChartTooltip
+                  content={
+                    <ChartTooltipContent
+                      formatter={(value, name, entry) => (
+                        <span>
+                          {formatPrice(value)}
+                          {entry.payload.store && ` at ${entry.payload.store}`}
+                        </span>
+                      )}
+                    />
+                  }
+                />
+                <Line
+                  dataKey="price"
+                  type="monotone"
+                  stroke="var(--color-price)"
+                  strokeWidth={2}
+                  dot={{ r: 3 }}
+                />
+              </LineChart>
+            </ChartContainer>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
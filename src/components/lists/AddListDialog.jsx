@@ -1,5 +1,5 @@
 
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import {
   Dialog,
   DialogContent,
@@ -9,7 +9,16 @@ import {
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
-import { ShoppingCart, Store, ShoppingBasket, Apple, Home as HomeIcon, Sparkles, Gift, Utensils } from "lucide-react";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { ShoppingCart, Store, ShoppingBasket, Apple, Home as HomeIcon, Sparkles, Gift, Utensils, Trash2, Users } from "lucide-react";
+import { ListTemplate } from "@/api/entities";
+import { loadTemplates } from "@/components/utils/listTemplates";
 
 const icons = [
   { value: "shopping-cart", Icon: ShoppingCart },
@@ -33,10 +42,51 @@ const colors = [
   { value: "beige", label: "Warm Beige", class: "from-amber-400 to-amber-600" },
 ];
 
-export default function AddListDialog({ open, onClose, onSave }) {
+const BLANK_LIST = "blank";
+
+export default function AddListDialog({ open, onClose, onSave, userId }) {
   const [name, setName] = useState("");
   const [selectedIcon, setSelectedIcon] = useState("shopping-cart");
   const [selectedColor, setSelectedColor] = useState("ocean");
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState(BLANK_LIST);
+
+  useEffect(() => {
+    if (!open) return;
+    loadTemplates()
+      .then(setTemplates)
+      .catch(error => {
+        console.warn("Could not load list templates:", error);
+        setTemplates([]);
+      });
+  }, [open]);
+
+  const selectedTemplate = templates.find(t => t.id === templateId) || null;
+
+  const handleTemplateChange = (value) => {
+    setTemplateId(value);
+    const template = templates.find(t => t.id === value);
+    if (template) {
+      // Keep a name the user already typed
+      if (!name.trim() || templates.some(t => t.name === name)) {
+        setName(template.name);
+      }
+      setSelectedIcon(template.icon || "shopping-cart");
+      setSelectedColor(template.color || "ocean");
+    }
+  };
+
+  const handleDeleteTemplate = async () => {
+    if (!selectedTemplate || !confirm(`Delete the template "${selectedTemplate.name}"?`)) return;
+    try {
+      await ListTemplate.delete(selectedTemplate.id);
+      setTemplates(prev => prev.filter(t => t.id !== selectedTemplate.id));
+      setTemplateId(BLANK_LIST);
+    } catch (error) {
+      console.error("Error deleting template:", error);
+      alert("Failed to delete template. Please try again.");
+    }
+  };
 
   const handleSave = () => {
     if (name.trim()) {
@@ -44,10 +94,12 @@ export default function AddListDialog({ open, onClose, onSave }) {
         name: name.trim(),
         icon: selectedIcon,
         color: selectedColor,
+        template: selectedTemplate,
       });
       setName("");
       setSelectedIcon("shopping-cart");
       setSelectedColor("ocean");
+      setTemplateId(BLANK_LIST);
       onClose();
     }
   };
@@ -60,6 +112,48 @@ export default function AddListDialog({ open, onClose, onSave }) {
         </DialogHeader>
         
         <div className="space-y-6 py-4">
+          {templates.length > 0 && (
+            <div className="space-y-2">
+              <Label>Start From</Label>
+              <div className="flex gap-2">
+                <Select value={templateId} onValueChange={handleTemplateChange}>
+                  <SelectTrigger className="flex-1">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={BLANK_LIST}>Blank list</SelectItem>
+                    {templates.map(template => (
+                      <SelectItem key={template.id} value={template.id}>
+                        <span className="flex items-center gap-2">
+                          {template.name}
+                          <span className="text-xs text-slate-500">
+                            {(template.items || []).length} items
+                          </span>
+                          {template.owner_id !== userId && (
+                            <Users className="w-3 h-3 text-slate-500" />
+                          )}
+                        </span>
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {selectedTemplate && selectedTemplate.owner_id === userId && (
+                  <Button
+                    variant="outline"
+                    size="icon"
+                    onClick={handleDeleteTemplate}
+                    title="Delete template"
+                  >
+                    <Trash2 className="w-4 h-4 text-red-500" />
+                  </Button>
+                )}
+              </div>
+              {selectedTemplate && selectedTemplate.owner_id !== userId && (
+                <p className="text-xs text-slate-500">Shared by your family</p>
+              )}
+            </div>
+          )}
+
           <div className="space-y-2">
             <Label htmlFor="name">List Name</Label>
             <Input
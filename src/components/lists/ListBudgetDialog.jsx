@@ -0,0 +1,96 @@
+import { useState, useEffect } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Slider } from "@/components/ui/slider";
+import { Wallet } from "lucide-react";
+import { DEFAULT_WARNING_PERCENT, getEstimatedTotal } from "@/components/utils/budgetManager";
+import { parsePrice, formatPrice } from "@/components/utils/tripRecorder";
+
+/**
+ * Set (or clear) a shopping list's budget and warning threshold
+ *
+ * @param {boolean} open
+ * @param {function} onClose
+ * @param {Object} list - Shopping list being edited
+ * @param {Array} items - Items on the list, for the current estimate
+ * @param {function} onSave - Called with { budget, budget_warning_percent }
+ */
+export default function ListBudgetDialog({ open, onClose, list, items = [], onSave }) {
+  const [budget, setBudget] = useState("");
+  const [warningPercent, setWarningPercent] = useState(DEFAULT_WARNING_PERCENT);
+
+  useEffect(() => {
+    if (open) {
+      setBudget(list?.budget != null ? String(list.budget) : "");
+      setWarningPercent(list?.budget_warning_percent || DEFAULT_WARNING_PERCENT);
+    }
+  }, [open, list]);
+
+  const activeEstimate = getEstimatedTotal(items.filter(item => !item.is_checked));
+
+  const handleSave = () => {
+    onSave({
+      budget: parsePrice(budget),
+      budget_warning_percent: warningPercent,
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-sm">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Wallet className="w-5 h-5 text-emerald-600" />
+            List Budget
+          </DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-6 py-4">
+          <div className="space-y-2">
+            <Label htmlFor="list-budget">Budget per trip</Label>
+            <Input
+              id="list-budget"
+              inputMode="decimal"
+              placeholder="No budget"
+              value={budget}
+              onChange={(e) => setBudget(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && handleSave()}
+            />
+            {activeEstimate > 0 && (
+              <p className="text-xs text-slate-500 dark:text-slate-400">
+                Items on this list are estimated at {formatPrice(activeEstimate)}
+              </p>
+            )}
+          </div>
+
+          <div className="space-y-3">
+            <Label>Warn me at {warningPercent}% of the budget</Label>
+            <Slider
+              min={50}
+              max={100}
+              step={5}
+              value={[warningPercent]}
+              onValueChange={([value]) => setWarningPercent(value)}
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave}>
+            Save Budget
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
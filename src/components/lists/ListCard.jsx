@@ -1,6 +1,6 @@
 import React from "react";
 import { Card, CardContent } from "@/components/ui/card";
-import { ShoppingCart, Store, ShoppingBasket, Apple, Home as HomeIcon, Sparkles, Gift, Utensils, ChevronRight, Trash2, Edit, Users } from "lucide-react";
+import { ShoppingCart, Store, ShoppingBasket, Apple, Home as HomeIcon, Sparkles, Gift, Utensils, ChevronRight, Trash2, Edit, Users, Archive, ArchiveRestore } from "lucide-react";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
 
@@ -26,7 +26,7 @@ const colorMap = {
   beige: "from-amber-400 to-amber-600",
 };
 
-export default function ListCard({ list, itemCount, checkedCount, onClick, onDelete, onEdit, isOwner, isFamilyShared }) {
+export default function ListCard({ list, itemCount, checkedCount, onClick, onDelete, onEdit, onArchive, onRestore, isOwner, isFamilyShared }) {
   const Icon = iconMap[list.icon] || ShoppingCart;
   const gradient = colorMap[list.color] || colorMap.ocean;
 
@@ -40,6 +40,15 @@ export default function ListCard({ list, itemCount, checkedCount, onClick, onDel
     if (onEdit) onEdit();
   };
 
+  const handleArchiveToggle = (e) => {
+    e.stopPropagation(); // Prevent card click
+    if (list.archived) {
+      onRestore?.();
+    } else {
+      onArchive?.();
+    }
+  };
+
   return (
     <Card 
       onClick={onClick}
@@ -73,6 +82,11 @@ export default function ListCard({ list, itemCount, checkedCount, onClick, onDel
                 Owner
               </Badge>
             )}
+            {list.archived && list.archived_date && (
+              <Badge variant="secondary" className="bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-300 text-xs px-1.5 py-0">
+                Archived {new Date(list.archived_date).toLocaleDateString()}
+              </Badge>
+            )}
             {isFamilyShared && !isOwner && (
               <Badge variant="secondary" className="bg-purple-100 text-purple-700 dark:bg-purple-900/30 dark:text-purple-300 text-xs px-1.5 py-0 flex items-center gap-0.5">
                 <Users className="w-3 h-3" />
@@ -84,6 +98,21 @@ export default function ListCard({ list, itemCount, checkedCount, onClick, onDel
           {/* Action Buttons - Always visible */}
           {isOwner && (
             <div className="flex gap-1">
+              {(list.archived ? onRestore : onArchive) && (
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={handleArchiveToggle}
+                  className="h-7 w-7 hover:bg-amber-50 dark:hover:bg-amber-900/30 flex-shrink-0"
+                  title={list.archived ? "Restore list" : "Archive list"}
+                >
+                  {list.archived ? (
+                    <ArchiveRestore className="w-3.5 h-3.5 text-amber-600 dark:text-amber-400" />
+                  ) : (
+                    <Archive className="w-3.5 h-3.5 text-amber-600 dark:text-amber-400" />
+                  )}
+                </Button>
+              )}
               {onEdit && (
                 <Button
                   variant="ghost"
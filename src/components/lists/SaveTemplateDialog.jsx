@@ -0,0 +1,100 @@
+import { useState, useEffect } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { LayoutTemplate, Loader2 } from "lucide-react";
+import { getFamilyInfo } from "@/services/familyService";
+
+/**
+ * Save the current list as a reusable template
+ *
+ * @param {boolean} open
+ * @param {function} onClose
+ * @param {Object} list - Shopping list being saved
+ * @param {number} itemCount - Number of items that will go into the template
+ * @param {boolean} isSaving
+ * @param {function} onSave - Called with { name, shareWithFamily }
+ */
+export default function SaveTemplateDialog({ open, onClose, list, itemCount = 0, isSaving = false, onSave }) {
+  const [name, setName] = useState("");
+  const [shareWithFamily, setShareWithFamily] = useState(false);
+  const [hasFamily, setHasFamily] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setName(list?.name || "");
+    setShareWithFamily(false);
+    getFamilyInfo()
+      .then(info => setHasFamily(!!info?.has_family))
+      .catch(() => setHasFamily(false));
+  }, [open, list]);
+
+  const handleSave = () => {
+    if (name.trim()) {
+      onSave({ name: name.trim(), shareWithFamily: hasFamily && shareWithFamily });
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-sm">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <LayoutTemplate className="w-5 h-5 text-indigo-600" />
+            Save as Template
+          </DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-5 py-4">
+          <div className="space-y-2">
+            <Label htmlFor="template-name">Template Name</Label>
+            <Input
+              id="template-name"
+              placeholder="e.g., Weekly Groceries, BBQ Party, Camping"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && handleSave()}
+              maxLength={50}
+            />
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              Saves {itemCount} item{itemCount === 1 ? "" : "s"}, the store sections, icon and color.
+            </p>
+          </div>
+
+          {hasFamily && (
+            <div className="flex items-center justify-between gap-3">
+              <div>
+                <Label htmlFor="template-share">Share with family</Label>
+                <p className="text-xs text-slate-500 dark:text-slate-400">
+                  Family members can create lists from it
+                </p>
+              </div>
+              <Switch
+                id="template-share"
+                checked={shareWithFamily}
+                onCheckedChange={setShareWithFamily}
+              />
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <Button variant="outline" onClick={onClose} disabled={isSaving}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={isSaving || !name.trim()}>
+            {isSaving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+            Save Template
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -7,26 +7,82 @@ import {
   DialogTitle,
 } from "@/components/ui/dialog";
 import { Button } from "@/components/ui/button";
-import { Input } from "@/components/ui/input";
 import { Badge } from "@/components/ui/badge";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
 import { ShareLink } from "@/api/entities";
 import { ListMember } from "@/api/entities";
 import { User } from "@/api/entities";
-import { Copy, Check, UserX, Link as LinkIcon, RefreshCw, Users, UserCheck, Clock, AlertCircle } from "lucide-react";
+import { UserX, Link as LinkIcon, RefreshCw, Users, UserCheck, Clock, AlertCircle } from "lucide-react";
 import { cn } from "@/lib/utils";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  LIST_ROLES,
+  ROLE_LABELS,
+  ROLE_DESCRIPTIONS,
+  ASSIGNABLE_ROLES,
+  normalizeRole,
+} from "@/components/utils/listPermissions";
+import ShareLinkCard from "./ShareLinkCard";
 
 // Maximum number of shared members (excluding owner)
 const MAX_SHARED_MEMBERS = 5;
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXPIRY_OPTIONS = [
+  { value: "1", label: "1 day", days: 1 },
+  { value: "7", label: "7 days", days: 7 },
+  { value: "never", label: "Never", days: null },
+];
+
+const MAX_USE_OPTIONS = [
+  { value: "1", label: "Single use", uses: 1 },
+  { value: "5", label: "5 people", uses: 5 },
+  { value: "unlimited", label: "Unlimited", uses: null },
+];
+
+const DEFAULT_LINK_OPTIONS = {
+  role: LIST_ROLES.EDITOR,
+  expiry: "7",
+  maxUses: "unlimited",
+  autoApprove: false,
+};
+
+// Role picker used for the share link and for each member
+function RoleSelect({ value, onChange, disabled }) {
+  return (
+    <Select value={normalizeRole(value)} onValueChange={onChange} disabled={disabled}>
+      <SelectTrigger className="h-8 w-[110px] text-xs">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {ASSIGNABLE_ROLES.map(role => (
+          <SelectItem key={role} value={role} title={ROLE_DESCRIPTIONS[role]}>
+            {ROLE_LABELS[role]}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
 export default function ShareDialog({ open, onClose, list, onShareLinkCreated }) {
-  const [shareLink, setShareLink] = useState(null);
+  const [shareLinks, setShareLinks] = useState([]);
   const [members, setMembers] = useState([]);
   const [pendingMembers, setPendingMembers] = useState([]);
-  const [copied, setCopied] = useState(false);
   const [loading, setLoading] = useState(false);
   const [currentUser, setCurrentUser] = useState(null);
+  // Options for the next generated link
+  const [linkOptions, setLinkOptions] = useState(DEFAULT_LINK_OPTIONS);
 
   useEffect(() => {
     if (open && list) {
@@ -40,13 +96,9 @@ export default function ShareDialog({ open, onClose, list, onShareLinkCreated })
       const user = await User.me();
       setCurrentUser(user);
 
-      // Load existing share link
-      const links = await ShareLink.filter({ list_id: list.id, is_active: true });
-      if (links.length > 0) {
-        setShareLink(links[0]);
-      } else {
-        setShareLink(null);
-      }
+      // Load active share links (RLS only returns them to the owner)
+      const links = await ShareLink.filter({ list_id: list.id, is_active: true }, "-created_date");
+      setShareLinks(links);
 
       // Load members
       const listMembers = await ListMember.filter({ list_id: list.id });
@@ -65,14 +117,20 @@ export default function ShareDialog({ open, onClose, list, onShareLinkCreated })
     setLoading(true); // Preserve loading state management
     try {
       const token = Math.random().toString(36).substring(2) + Date.now().toString(36);
+      const expiryDays = EXPIRY_OPTIONS.find(o => o.value === linkOptions.expiry)?.days;
+      const maxUses = MAX_USE_OPTIONS.find(o => o.value === linkOptions.maxUses)?.uses;
       
       const newLink = await ShareLink.create({ // Use imported ShareLink
         list_id: list.id,
         token: token,
-        is_active: true
+        is_active: true,
+        role: linkOptions.role,
+        expires_at: expiryDays ? new Date(Date.now() + expiryDays * DAY_MS).toISOString() : null,
+        max_uses: maxUses ?? null,
+        auto_approve: linkOptions.autoApprove
       });
 
-      setShareLink(newLink); // Update component state with the new link
+      setShareLinks(prev => [newLink, ...prev]); // Update component state with the new link
 
       // Call callback to track activity
       if (onShareLinkCreated) {
@@ -87,18 +145,31 @@ export default function ShareDialog({ open, onClose, list, onShareLinkCreated })
     setLoading(false); // Preserve loading state management
   };
 
-  const deactivateLink = async () => {
-    if (!confirm("Are you sure you want to deactivate this share link? No one will be able to join using this link anymore.")) {
+  // Revoking deactivates rather than deletes, so the link's join history is kept
+  const deactivateLink = async (link) => {
+    if (!confirm("Are you sure you want to revoke this share link? No one will be able to join using this link anymore.")) {
       return;
     }
 
     setLoading(true);
     try {
-      await ShareLink.update(shareLink.id, { is_active: false });
-      setShareLink(null);
+      await ShareLink.update(link.id, { is_active: false });
+      setShareLinks(prev => prev.filter(l => l.id !== link.id));
     } catch (error) {
       console.error("Error deactivating link:", error);
-      alert("Failed to deactivate link. Please try again.");
+      alert("Failed to revoke link. Please try again.");
+    }
+    setLoading(false);
+  };
+
+  const changeMemberRole = async (member, role) => {
+    setLoading(true);
+    try {
+      await ListMember.update(member.id, { role });
+      loadData();
+    } catch (error) {
+      console.error("Error changing member role:", error);
+      alert("Failed to change role. Please try again.");
     }
     setLoading(false);
   };
@@ -137,14 +208,11 @@ export default function ShareDialog({ open, onClose, list, onShareLinkCreated })
     setLoading(false);
   };
 
-  const copyToClipboard = () => {
-    const url = `${window.location.origin}/JoinListViaLink?token=${shareLink.token}`;
-    navigator.clipboard.writeText(url);
-    setCopied(true);
-    setTimeout(() => setCopied(false), 2000);
+  const updateLinkOption = (key, value) => {
+    setLinkOptions(prev => ({ ...prev, [key]: value }));
   };
 
-  const isOwner = members.find(m => m.user_id === currentUser?.id)?.role === 'owner';
+  const isOwner = !!currentUser && list?.owner_id === currentUser.id;
   
   // Count approved members excluding the owner
   const approvedMembersCount = members.filter(m => m.role !== 'owner' && m.status === 'approved').length;
@@ -163,94 +231,40 @@ export default function ShareDialog({ open, onClose, list, onShareLinkCreated })
           <div>
             <div className="flex items-center gap-2 mb-3">
               <LinkIcon className="w-5 h-5 text-blue-600" />
-              <h3 className="font-semibold text-slate-800">Share Link</h3>
+              <h3 className="font-semibold text-slate-800">Share Links</h3>
             </div>
 
-            {shareLink ? (
-              <div className="space-y-3">
-                <div className="flex gap-2">
-                  <Input
-                    value={`${window.location.origin}/JoinListViaLink?token=${shareLink.token}`}
-                    readOnly
-                    className="font-mono text-sm"
-                  />
-                  <Button
-                    onClick={copyToClipboard}
-                    variant="outline"
-                    className="shrink-0"
-                  >
-                    {copied ? (
-                      <>
-                        <Check className="w-4 h-4 mr-2" />
-                        Copied!
-                      </>
-                    ) : (
-                      <>
-                        <Copy className="w-4 h-4 mr-2" />
-                        Copy
-                      </>
-                    )}
-                  </Button>
+            {!isOwner ? (
+              // Non-owner: Cannot see share links due to RLS security
+              // Show appropriate message instead of misleading "no link exists"
+              <div className="text-center py-6 bg-slate-50 rounded-lg">
+                <div className="w-12 h-12 bg-slate-100 rounded-full flex items-center justify-center mx-auto mb-3">
+                  <Users className="w-6 h-6 text-slate-400" />
                 </div>
-
-                {isOwner && (
-                  <div className="flex gap-2">
-                    <Button
-                      onClick={deactivateLink}
-                      variant="outline"
-                      size="sm"
-                      disabled={loading}
-                      className="text-red-600 hover:text-red-700"
-                    >
-                      <UserX className="w-4 h-4 mr-2" />
-                      Deactivate Link
-                    </Button>
-                  </div>
-                )}
-
-                <p className="text-xs text-slate-500">
-                  Users will need your approval to access this list.
+                <p className="text-sm font-medium text-slate-800 mb-2">
+                  Share Link Management
+                </p>
+                <p className="text-sm text-slate-600">
+                  Only the list owner can view and manage share links.
+                </p>
+                <p className="text-xs text-slate-500 mt-2">
+                  Contact the list owner if you need to invite someone.
                 </p>
-                
-                {/* Member limit indicator */}
-                <div className={cn(
-                  "mt-3 p-2 rounded-md text-xs",
-                  isAtMemberLimit 
-                    ? "bg-amber-50 text-amber-700 border border-amber-200" 
-                    : "bg-slate-100 text-slate-600"
-                )}>
-                  {isAtMemberLimit ? (
-                    <span className="flex items-center gap-1">
-                      <AlertCircle className="w-3 h-3" />
-                      Member limit reached ({approvedMembersCount}/{MAX_SHARED_MEMBERS}). Remove a member to add more.
-                    </span>
-                  ) : (
-                    <span>{remainingSlots} of {MAX_SHARED_MEMBERS} member slots available</span>
-                  )}
-                </div>
               </div>
             ) : (
-              <div className="text-center py-6 bg-slate-50 rounded-lg">
-                {!isOwner ? (
-                  // Non-owner: Cannot see share links due to RLS security
-                  // Show appropriate message instead of misleading "no link exists"
-                  <>
-                    <div className="w-12 h-12 bg-slate-100 rounded-full flex items-center justify-center mx-auto mb-3">
-                      <Users className="w-6 h-6 text-slate-400" />
-                    </div>
-                    <p className="text-sm font-medium text-slate-800 mb-2">
-                      Share Link Management
-                    </p>
-                    <p className="text-sm text-slate-600">
-                      Only the list owner can view and manage share links.
-                    </p>
-                    <p className="text-xs text-slate-500 mt-2">
-                      Contact the list owner if you need to invite someone.
-                    </p>
-                  </>
-                ) : isAtMemberLimit ? (
+              <div className="space-y-3">
+                {shareLinks.map(link => (
+                  <ShareLinkCard
+                    key={link.id}
+                    link={link}
+                    onRevoke={deactivateLink}
+                    disabled={loading}
+                  />
+                ))}
+
+                {isAtMemberLimit ? (
                   // Owner at member limit - show warning
-                  <>
+                  <div className="text-center py-6 bg-slate-50 rounded-lg">
                     <div className="w-12 h-12 bg-amber-100 rounded-full flex items-center justify-center mx-auto mb-3">
                       <AlertCircle className="w-6 h-6 text-amber-600" />
                     </div>
@@ -263,21 +277,78 @@ export default function ShareDialog({ open, onClose, list, onShareLinkCreated })
                     <p className="text-xs text-slate-500">
                       Remove an existing member to share with someone new.
                     </p>
-                  </>
+                  </div>
                 ) : (
-                  // Owner can generate share link
-                  <>
-                    <LinkIcon className="w-12 h-12 text-slate-300 mx-auto mb-3" />
-                    <p className="text-sm text-slate-600 mb-2">
-                      No active share link. Generate one to invite others.
-                    </p>
-                    <p className="text-xs text-slate-500 mb-4">
-                      {remainingSlots} of {MAX_SHARED_MEMBERS} member slots available
-                    </p>
+                  // Owner can generate a new link
+                  <div className="p-3 bg-slate-50 rounded-lg space-y-3">
+                    {shareLinks.length === 0 && (
+                      <p className="text-sm text-slate-600">
+                        No active share link. Generate one to invite others.
+                      </p>
+                    )}
+                    <div className="grid grid-cols-3 gap-2">
+                      <div className="space-y-1">
+                        <Label className="text-xs">Role</Label>
+                        <RoleSelect
+                          value={linkOptions.role}
+                          onChange={(value) => updateLinkOption("role", value)}
+                          disabled={loading}
+                        />
+                      </div>
+                      <div className="space-y-1">
+                        <Label className="text-xs">Expires</Label>
+                        <Select
+                          value={linkOptions.expiry}
+                          onValueChange={(value) => updateLinkOption("expiry", value)}
+                          disabled={loading}
+                        >
+                          <SelectTrigger className="h-8 text-xs">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {EXPIRY_OPTIONS.map(option => (
+                              <SelectItem key={option.value} value={option.value}>
+                                {option.label}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                      <div className="space-y-1">
+                        <Label className="text-xs">Uses</Label>
+                        <Select
+                          value={linkOptions.maxUses}
+                          onValueChange={(value) => updateLinkOption("maxUses", value)}
+                          disabled={loading}
+                        >
+                          <SelectTrigger className="h-8 text-xs">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {MAX_USE_OPTIONS.map(option => (
+                              <SelectItem key={option.value} value={option.value}>
+                                {option.label}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                    </div>
+                    <div className="flex items-center justify-between gap-3">
+                      <Label htmlFor="share-auto-approve" className="text-sm font-normal text-slate-700">
+                        Approve people automatically
+                      </Label>
+                      <Switch
+                        id="share-auto-approve"
+                        checked={linkOptions.autoApprove}
+                        onCheckedChange={(checked) => updateLinkOption("autoApprove", checked)}
+                        disabled={loading}
+                      />
+                    </div>
                     <Button
                       onClick={handleGenerateLink}
                       disabled={loading}
-                      className="bg-blue-600 hover:bg-blue-700"
+                      className="w-full bg-blue-600 hover:bg-blue-700"
                     >
                       {loading ? (
                         <>
@@ -287,12 +358,35 @@ export default function ShareDialog({ open, onClose, list, onShareLinkCreated })
                       ) : (
                         <>
                           <LinkIcon className="w-4 h-4 mr-2" />
-                          Generate Share Link
+                          {shareLinks.length > 0 ? "Generate Another Link" : "Generate Share Link"}
                         </>
                       )}
                     </Button>
-                  </>
+                  </div>
                 )}
+
+                <p className="text-xs text-slate-500">
+                  {linkOptions.autoApprove
+                    ? "People who join get access right away while there are member slots left."
+                    : "Users will need your approval to access this list."}
+                </p>
+
+                {/* Member limit indicator */}
+                <div className={cn(
+                  "p-2 rounded-md text-xs",
+                  isAtMemberLimit 
+                    ? "bg-amber-50 text-amber-700 border border-amber-200" 
+                    : "bg-slate-100 text-slate-600"
+                )}>
+                  {isAtMemberLimit ? (
+                    <span className="flex items-center gap-1">
+                      <AlertCircle className="w-3 h-3" />
+                      Member limit reached ({approvedMembersCount}/{MAX_SHARED_MEMBERS}). Remove a member to add more.
+                    </span>
+                  ) : (
+                    <span>{remainingSlots} of {MAX_SHARED_MEMBERS} member slots available</span>
+                  )}
+                </div>
               </div>
             )}
           </div>
@@ -349,13 +443,18 @@ export default function ShareDialog({ open, onClose, list, onShareLinkCreated })
                             </p>
                             <Badge variant="secondary" className="text-xs mt-1 bg-yellow-100 text-yellow-700">
                               <Clock className="w-3 h-3 mr-1" />
-                              Pending
+                              Pending · {ROLE_LABELS[normalizeRole(member.role)]}
                             </Badge>
                           </div>
                         </div>
 
                         {isOwner && (
                           <div className="flex gap-2">
+                            <RoleSelect
+                              value={member.role}
+                              onChange={(role) => changeMemberRole(member, role)}
+                              disabled={loading}
+                            />
                             <Button
                               onClick={() => approveMember(member)}
                               size="sm"
@@ -403,25 +502,35 @@ export default function ShareDialog({ open, onClose, list, onShareLinkCreated })
                           <p className="font-medium text-slate-800 text-sm">
                             {member.user_email}
                           </p>
-                          <Badge
-                            variant={member.role === 'owner' ? 'default' : 'secondary'}
-                            className="text-xs mt-1"
-                          >
-                            {member.role}
-                          </Badge>
+                          {!(isOwner && member.role !== 'owner') && (
+                            <Badge
+                              variant={member.role === 'owner' ? 'default' : 'secondary'}
+                              className="text-xs mt-1"
+                              title={ROLE_DESCRIPTIONS[normalizeRole(member.role)]}
+                            >
+                              {ROLE_LABELS[normalizeRole(member.role)]}
+                            </Badge>
+                          )}
                         </div>
                       </div>
 
                       {isOwner && member.role !== 'owner' && (
-                        <Button
-                          onClick={() => removeMember(member)}
-                          variant="ghost"
-                          size="sm"
-                          disabled={loading}
-                          className="text-red-600 hover:text-red-700 hover:bg-red-50"
-                        >
-                          <UserX className="w-4 h-4" />
-                        </Button>
+                        <div className="flex items-center gap-1">
+                          <RoleSelect
+                            value={member.role}
+                            onChange={(role) => changeMemberRole(member, role)}
+                            disabled={loading}
+                          />
+                          <Button
+                            onClick={() => removeMember(member)}
+                            variant="ghost"
+                            size="sm"
+                            disabled={loading}
+                            className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                          >
+                            <UserX className="w-4 h-4" />
+                          </Button>
+                        </div>
                       )}
                     </div>
                   ))}
@@ -0,0 +1,147 @@
+import { useState } from "react";
+import { format, formatDistanceToNow } from "date-fns";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { ShareLinkJoin } from "@/api/entities";
+import { Copy, Check, UserX, History, Loader2 } from "lucide-react";
+import { ROLE_LABELS, normalizeRole } from "@/components/utils/listPermissions";
+
+const getShareLinkUrl = (link) =>
+  `${window.location.origin}/JoinListViaLink?token=${link.token}`;
+
+// Why a link no longer works, or null if people can still join with it
+function getShareLinkProblem(link) {
+  if (link.expires_at && new Date(link.expires_at) <= new Date()) return "Expired";
+  if (link.max_uses != null && (link.use_count || 0) >= link.max_uses) return "Used up";
+  return null;
+}
+
+/**
+ * One active share link: copy, its limits, join history and revoke
+ *
+ * @param {Object} link - share_links row
+ * @param {function} onRevoke - Called with the link
+ * @param {boolean} disabled
+ */
+export default function ShareLinkCard({ link, onRevoke, disabled = false }) {
+  const [copied, setCopied] = useState(false);
+  const [joins, setJoins] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [loadingHistory, setLoadingHistory] = useState(false);
+
+  const problem = getShareLinkProblem(link);
+
+  const copyToClipboard = () => {
+    navigator.clipboard.writeText(getShareLinkUrl(link));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const toggleHistory = async () => {
+    if (showHistory) {
+      setShowHistory(false);
+      return;
+    }
+    setShowHistory(true);
+    setLoadingHistory(true);
+    try {
+      setJoins(await ShareLinkJoin.filter({ share_link_id: link.id }, "-created_date"));
+    } catch (error) {
+      console.error("Error loading join history:", error);
+      setJoins([]);
+    }
+    setLoadingHistory(false);
+  };
+
+  const details = [
+    ROLE_LABELS[normalizeRole(link.role)],
+    link.expires_at
+      ? `expires ${formatDistanceToNow(new Date(link.expires_at), { addSuffix: true })}`
+      : "never expires",
+    link.max_uses != null
+      ? `${link.use_count || 0}/${link.max_uses} used`
+      : `${link.use_count || 0} joined`,
+  ];
+
+  return (
+    <div className="p-3 rounded-lg border border-slate-200 space-y-2">
+      <div className="flex gap-2">
+        <Input
+          value={getShareLinkUrl(link)}
+          readOnly
+          className="font-mono text-sm"
+        />
+        <Button
+          onClick={copyToClipboard}
+          variant="outline"
+          className="shrink-0"
+          disabled={!!problem}
+        >
+          {copied ? (
+            <>
+              <Check className="w-4 h-4 mr-2" />
+              Copied!
+            </>
+          ) : (
+            <>
+              <Copy className="w-4 h-4 mr-2" />
+              Copy
+            </>
+          )}
+        </Button>
+      </div>
+
+      <div className="flex items-center flex-wrap gap-1.5 text-xs text-slate-600">
+        {problem && (
+          <Badge variant="secondary" className="bg-red-100 text-red-700">{problem}</Badge>
+        )}
+        {link.auto_approve && (
+          <Badge variant="secondary" className="bg-green-100 text-green-700">Auto-approve</Badge>
+        )}
+        <span>{details.join(" • ")}</span>
+      </div>
+
+      <div className="flex gap-2">
+        <Button
+          onClick={toggleHistory}
+          variant="ghost"
+          size="sm"
+          className="text-slate-600"
+        >
+          <History className="w-4 h-4 mr-2" />
+          {showHistory ? "Hide history" : "Join history"}
+        </Button>
+        <Button
+          onClick={() => onRevoke(link)}
+          variant="ghost"
+          size="sm"
+          disabled={disabled}
+          className="text-red-600 hover:text-red-700 hover:bg-red-50"
+        >
+          <UserX className="w-4 h-4 mr-2" />
+          Revoke
+        </Button>
+      </div>
+
+      {showHistory && (
+        <div className="pl-2 border-l-2 border-slate-200 space-y-1">
+          {loadingHistory ? (
+            <Loader2 className="w-4 h-4 animate-spin text-slate-400" />
+          ) : joins?.length ? (
+            joins.map(join => (
+              <p key={join.id} className="text-xs text-slate-600">
+                <span className="font-medium">{join.user_email || "Deleted user"}</span>
+                {" joined "}
+                {format(new Date(join.created_date), "MMM d, yyyy h:mm a")}
+                {join.status === "approved" ? " (auto-approved)" : " (requested access)"}
+              </p>
+            ))
+          ) : (
+            <p className="text-xs text-slate-500">Nobody has used this link yet</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
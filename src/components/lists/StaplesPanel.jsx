@@ -0,0 +1,193 @@
+import { useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Repeat, X } from "lucide-react";
+import { REPLENISH_RULES, isStaple } from "@/components/utils/staplesManager";
+
+const DEFAULT_INTERVAL_DAYS = 7;
+
+// One entry per item name, preferring the unchecked copy, then the newest
+const getUniqueItems = (items) => {
+  const byName = new Map();
+  items.forEach(item => {
+    const key = item.name.toLowerCase().trim();
+    const existing = byName.get(key);
+    if (!existing
+      || (existing.is_checked && !item.is_checked)
+      || (existing.is_checked === item.is_checked && isStaple(item) && !isStaple(existing))) {
+      byName.set(key, item);
+    }
+  });
+  return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Manage staple (auto-replenishing) items for a list.
+ *
+ * @param {boolean} open
+ * @param {function} onClose
+ * @param {Array} items - All items on the list
+ * @param {function} onSetRule - Called with (item, { replenish_rule, replenish_every_days })
+ * @param {boolean} canEdit - Whether the user can change rules
+ */
+export default function StaplesPanel({ open, onClose, items, onSetRule, canEdit = true }) {
+  const [newStapleId, setNewStapleId] = useState("");
+
+  const uniqueItems = getUniqueItems(items);
+  const staples = items
+    .filter(isStaple)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const stapleNames = new Set(staples.map(item => item.name.toLowerCase().trim()));
+  const candidates = uniqueItems.filter(item => !stapleNames.has(item.name.toLowerCase().trim()));
+
+  const handleRuleChange = (item, rule) => {
+    onSetRule(item, {
+      replenish_rule: rule,
+      replenish_every_days: rule === REPLENISH_RULES.INTERVAL
+        ? (item.replenish_every_days || DEFAULT_INTERVAL_DAYS)
+        : null,
+    });
+  };
+
+  const handleDaysChange = (item, value) => {
+    const days = parseInt(value, 10);
+    if (!days || days < 1) return;
+    onSetRule(item, { replenish_rule: REPLENISH_RULES.INTERVAL, replenish_every_days: days });
+  };
+
+  const handleAddStaple = () => {
+    const item = candidates.find(i => i.id === newStapleId);
+    if (!item) return;
+    onSetRule(item, { replenish_rule: REPLENISH_RULES.ON_CHECK, replenish_every_days: null });
+    setNewStapleId("");
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-md max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Repeat className="w-5 h-5 text-green-600" />
+            Staples
+          </DialogTitle>
+        </DialogHeader>
+
+        <p className="text-sm text-slate-600 dark:text-slate-400">
+          Staples are added back to this list automatically after you check them off,
+          with the same brand, size and category.
+        </p>
+
+        <div className="space-y-2 py-2">
+          {staples.length === 0 ? (
+            <p className="text-sm text-slate-500 dark:text-slate-400 text-center py-4">
+              No staples yet. Pick an item below to make it a staple.
+            </p>
+          ) : (
+            staples.map(item => (
+              <div
+                key={item.id}
+                className="rounded-lg border border-slate-200 p-3 dark:border-slate-600 space-y-2"
+              >
+                <div className="flex items-center gap-2">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-semibold text-slate-800 dark:text-slate-100 truncate">
+                      {item.name}
+                    </p>
+                    {(item.brand || item.size_notes) && (
+                      <p className="text-xs text-slate-500 dark:text-slate-400 truncate">
+                        {[item.brand, item.size_notes].filter(Boolean).join(" • ")}
+                      </p>
+                    )}
+                  </div>
+                  {canEdit && (
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-8 w-8 flex-shrink-0"
+                      onClick={() => onSetRule(item, { replenish_rule: null, replenish_every_days: null })}
+                      title="Stop replenishing"
+                    >
+                      <X className="w-4 h-4" />
+                    </Button>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  <Select
+                    value={item.replenish_rule}
+                    onValueChange={(rule) => handleRuleChange(item, rule)}
+                    disabled={!canEdit}
+                  >
+                    <SelectTrigger className="h-9 flex-1">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={REPLENISH_RULES.ON_CHECK}>Re-add when checked off</SelectItem>
+                      <SelectItem value={REPLENISH_RULES.INTERVAL}>Re-add every N days</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  {item.replenish_rule === REPLENISH_RULES.INTERVAL && (
+                    <div className="flex items-center gap-1 flex-shrink-0">
+                      <Input
+                        type="number"
+                        min={1}
+                        max={365}
+                        defaultValue={item.replenish_every_days || DEFAULT_INTERVAL_DAYS}
+                        onBlur={(e) => handleDaysChange(item, e.target.value)}
+                        className="h-9 w-16"
+                        disabled={!canEdit}
+                      />
+                      <span className="text-sm text-slate-600 dark:text-slate-400">days</span>
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+
+        {canEdit && candidates.length > 0 && (
+          <div className="space-y-2 border-t border-slate-200 pt-4 dark:border-slate-700">
+            <Label>Add a staple</Label>
+            <div className="flex gap-2">
+              <Select value={newStapleId} onValueChange={setNewStapleId}>
+                <SelectTrigger className="h-9 flex-1">
+                  <SelectValue placeholder="Choose an item" />
+                </SelectTrigger>
+                <SelectContent>
+                  {candidates.map(item => (
+                    <SelectItem key={item.id} value={item.id}>
+                      {item.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button onClick={handleAddStaple} disabled={!newStapleId} className="h-9">
+                Add
+              </Button>
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <Button variant="outline" onClick={onClose}>
+            Done
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
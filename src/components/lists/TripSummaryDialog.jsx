@@ -0,0 +1,80 @@
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { CheckCircle } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { formatPrice } from "@/components/utils/tripRecorder";
+
+/**
+ * Shown after a shopping trip is completed: what was bought, what it cost,
+ * and how that compares to the estimate and the list's budget.
+ *
+ * @param {boolean} open
+ * @param {function} onClose
+ * @param {Object|null} summary - { itemCount, storeName, estimatedTotal, actualTotal, budget }
+ */
+export default function TripSummaryDialog({ open, onClose, summary }) {
+  if (!summary) return null;
+
+  const { itemCount, storeName, estimatedTotal, actualTotal, budget } = summary;
+  // Compare what was actually paid when prices were entered, otherwise the estimate
+  const spent = actualTotal ?? estimatedTotal;
+  const difference = budget != null && spent != null ? Math.round((budget - spent) * 100) / 100 : null;
+
+  const rows = [
+    { label: "Estimated", value: estimatedTotal },
+    { label: "Paid", value: actualTotal },
+    { label: "Budget", value: budget },
+  ].filter(row => row.value != null);
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-sm">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <CheckCircle className="w-5 h-5 text-green-500" />
+            Trip Complete
+          </DialogTitle>
+        </DialogHeader>
+
+        <p className="text-sm text-slate-600 dark:text-slate-400">
+          {itemCount} {itemCount === 1 ? "item" : "items"}{storeName ? ` at ${storeName}` : ""}
+        </p>
+
+        {rows.length > 0 && (
+          <div className="space-y-2 py-2">
+            {rows.map(({ label, value }) => (
+              <div key={label} className="flex justify-between text-sm">
+                <span className="text-slate-600 dark:text-slate-400">{label}</span>
+                <span className="font-semibold text-slate-800 dark:text-slate-100">{formatPrice(value)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {difference !== null && (
+          <div
+            className={cn(
+              "rounded-lg px-3 py-2 text-sm font-medium text-center",
+              difference >= 0
+                ? "bg-green-50 text-green-800 dark:bg-green-900/30 dark:text-green-200"
+                : "bg-red-50 text-red-800 dark:bg-red-900/30 dark:text-red-200"
+            )}
+          >
+            {difference >= 0
+              ? `${formatPrice(difference)} under budget`
+              : `${formatPrice(-difference)} over budget`}
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <Button onClick={onClose}>Done</Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
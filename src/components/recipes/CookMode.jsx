@@ -0,0 +1,367 @@
+import { useState, useEffect, useMemo, useCallback, useRef } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { X, ChevronLeft, ChevronRight, Check, Timer, Play, Pause, BellRing, ChefHat } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { useWakeLock } from "@/hooks/useWakeLock";
+import { detectTimers, formatTimer } from "@/components/utils/cookingTimers";
+import { requestNotificationPermission, showNotification } from "@/utils/notifications";
+
+// Swipe distance (px) or speed (px/s) that turns the page
+const SWIPE_OFFSET = 80;
+const SWIPE_VELOCITY = 500;
+
+const slideVariants = {
+  enter: (direction) => ({ x: direction > 0 ? "100%" : "-100%", opacity: 0 }),
+  center: { x: 0, opacity: 1 },
+  exit: (direction) => ({ x: direction > 0 ? "-100%" : "100%", opacity: 0 })
+};
+
+// Short beep for a finished timer while the app is on screen
+function playAlarm() {
+  try {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    const context = new AudioContext();
+    [0, 0.4, 0.8].forEach(offset => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.frequency.value = 880;
+      gain.gain.setValueAtTime(0.3, context.currentTime + offset);
+      gain.gain.exponentialRampToValueAtTime(0.01, context.currentTime + offset + 0.3);
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(context.currentTime + offset);
+      oscillator.stop(context.currentTime + offset + 0.3);
+    });
+    setTimeout(() => context.close(), 1500);
+  } catch (error) {
+    console.warn("CookMode: could not play timer sound:", error);
+  }
+}
+
+/**
+ * Full-screen, one-step-per-screen cooking mode: an ingredient checklist
+ * first, then each step in large type. Swipe or use the arrow keys to move
+ * between steps. Durations in a step ("simmer for 20 minutes") can be
+ * started as timers; several can run at once and keep running while cook
+ * mode is closed, with a notification when each one finishes.
+ *
+ * Keep it mounted (and key it by recipe) so timers survive closing it.
+ *
+ * @param {boolean} open
+ * @param {string} title - Recipe title
+ * @param {string[]} ingredients - Ingredient lines, already scaled
+ * @param {Array} steps - [{ title, instruction }]
+ * @param {function} onClose
+ * @param {function} [onFinish] - Called when the cook taps Done on the last step
+ */
+export default function CookMode({ open, title, ingredients = [], steps = [], onClose, onFinish }) {
+  // Screen 0 is the ingredient checklist, screen n is step n
+  const [screen, setScreen] = useState(ingredients.length > 0 ? 0 : 1);
+  const [direction, setDirection] = useState(1);
+  const [checkedIngredients, setCheckedIngredients] = useState(() => new Set());
+  const [timers, setTimers] = useState([]);
+  const [now, setNow] = useState(() => Date.now());
+  const nextTimerId = useRef(1);
+
+  useWakeLock(open);
+
+  const lastScreen = steps.length;
+  const firstScreen = ingredients.length > 0 ? 0 : 1;
+  const stepTimers = useMemo(() => steps.map(step => detectTimers(step.instruction)), [steps]);
+
+  const goTo = useCallback((target) => {
+    const clamped = Math.min(lastScreen, Math.max(firstScreen, target));
+    setDirection(clamped >= screen ? 1 : -1);
+    setScreen(clamped);
+  }, [screen, firstScreen, lastScreen]);
+
+  // Keyboard navigation and no page scrolling behind the overlay
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleKeyDown = (e) => {
+      if (e.key === "ArrowRight") goTo(screen + 1);
+      else if (e.key === "ArrowLeft") goTo(screen - 1);
+      else if (e.key === "Escape") onClose();
+    };
+
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+    window.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.body.style.overflow = previousOverflow;
+      window.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [open, screen, goTo, onClose]);
+
+  const hasRunningTimers = timers.some(timer => timer.running);
+
+  // Timers count down from an end time, so they stay right while the tab
+  // is in the background and intervals are throttled
+  useEffect(() => {
+    if (!hasRunningTimers) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [hasRunningTimers]);
+
+  const getRemaining = useCallback((timer) => {
+    return timer.running ? (timer.endsAt - now) / 1000 : timer.remaining;
+  }, [now]);
+
+  useEffect(() => {
+    const finished = timers.filter(timer => timer.running && getRemaining(timer) <= 0);
+    if (finished.length === 0) return;
+
+    setTimers(prev => prev.map(timer =>
+      finished.some(f => f.id === timer.id) ? { ...timer, running: false, remaining: 0, done: true } : timer
+    ));
+
+    playAlarm();
+    navigator.vibrate?.([300, 150, 300]);
+    finished.forEach(timer => {
+      showNotification(`⏰ ${timer.label} is done`, {
+        body: title,
+        tag: `cook-timer-${timer.id}`,
+        requireInteraction: true
+      });
+    });
+  }, [timers, getRemaining, title]);
+
+  const startTimer = (stepIndex, detected) => {
+    // First timer: ask now, while we have a user gesture
+    requestNotificationPermission();
+    setNow(Date.now());
+    setTimers(prev => [...prev, {
+      id: nextTimerId.current++,
+      step: stepIndex,
+      text: detected.text,
+      label: `Step ${stepIndex + 1}: ${detected.text}`,
+      duration: detected.seconds,
+      endsAt: Date.now() + detected.seconds * 1000,
+      remaining: detected.seconds,
+      running: true,
+      done: false
+    }]);
+  };
+
+  const toggleTimer = (id) => {
+    const current = Date.now();
+    setNow(current);
+    setTimers(prev => prev.map(timer => {
+      if (timer.id !== id) return timer;
+      if (timer.running) {
+        return { ...timer, running: false, remaining: Math.max(0, (timer.endsAt - current) / 1000) };
+      }
+      return { ...timer, running: true, endsAt: current + timer.remaining * 1000 };
+    }));
+  };
+
+  const dismissTimer = (id) => {
+    setTimers(prev => prev.filter(timer => timer.id !== id));
+  };
+
+  const toggleIngredient = (index) => {
+    setCheckedIngredients(prev => {
+      const next = new Set(prev);
+      if (next.has(index)) next.delete(index);
+      else next.add(index);
+      return next;
+    });
+  };
+
+  const handleDragEnd = (_, info) => {
+    if (info.offset.x < -SWIPE_OFFSET || info.velocity.x < -SWIPE_VELOCITY) goTo(screen + 1);
+    else if (info.offset.x > SWIPE_OFFSET || info.velocity.x > SWIPE_VELOCITY) goTo(screen - 1);
+  };
+
+  const step = screen > 0 ? steps[screen - 1] : null;
+  const progress = lastScreen > 0 ? (screen / lastScreen) * 100 : 0;
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          transition={{ duration: 0.2 }}
+          className="fixed inset-0 z-50 flex flex-col bg-white dark:bg-slate-950"
+          role="dialog"
+          aria-modal="true"
+          aria-label={`Cook mode: ${title}`}
+        >
+          {/* Header */}
+          <div className="flex items-center gap-3 px-4 pt-[max(0.75rem,env(safe-area-inset-top))] pb-3 border-b border-slate-200 dark:border-slate-800">
+            <Button variant="ghost" size="icon" onClick={onClose} aria-label="Exit cook mode" className="dark:text-slate-200 dark:hover:bg-slate-800">
+              <X className="w-6 h-6" />
+            </Button>
+            <div className="flex-1 min-w-0">
+              <p className="text-sm text-slate-500 dark:text-slate-400">
+                {step ? `Step ${screen} of ${steps.length}` : "Get ready"}
+              </p>
+              <h2 className="font-semibold text-slate-800 dark:text-slate-100 truncate">{title}</h2>
+            </div>
+          </div>
+          <div className="h-1 bg-slate-100 dark:bg-slate-800">
+            <div className="h-full bg-orange-500 transition-all duration-300" style={{ width: `${progress}%` }} />
+          </div>
+
+          {/* Current screen */}
+          <div className="relative flex-1 overflow-hidden">
+            <AnimatePresence initial={false} custom={direction} mode="popLayout">
+              <motion.div
+                key={screen}
+                custom={direction}
+                variants={slideVariants}
+                initial="enter"
+                animate="center"
+                exit="exit"
+                transition={{ type: "tween", duration: 0.25 }}
+                drag="x"
+                dragDirectionLock
+                dragConstraints={{ left: 0, right: 0 }}
+                dragElastic={0.3}
+                onDragEnd={handleDragEnd}
+                className="absolute inset-0 overflow-y-auto px-5 sm:px-10 py-6 touch-pan-y"
+              >
+                <div className="max-w-3xl mx-auto">
+                  {step ? (
+                    <>
+                      <Badge className="bg-orange-500 text-white text-base px-3 py-1 mb-4">Step {screen}</Badge>
+                      <h3 className="text-2xl sm:text-3xl font-bold text-slate-800 dark:text-slate-100 mb-4">{step.title}</h3>
+                      <p className="text-xl sm:text-3xl leading-relaxed text-slate-700 dark:text-slate-200 whitespace-pre-line">
+                        {step.instruction}
+                      </p>
+
+                      {stepTimers[screen - 1]?.length > 0 && (
+                        <div className="flex flex-wrap gap-3 mt-8">
+                          {stepTimers[screen - 1].map((detected, idx) => {
+                            const active = timers.find(timer => timer.step === screen - 1 && timer.text === detected.text);
+                            return (
+                              <Button
+                                key={idx}
+                                variant="outline"
+                                onClick={() => active ? toggleTimer(active.id) : startTimer(screen - 1, detected)}
+                                disabled={active?.done}
+                                className="h-14 px-5 text-lg border-2 border-orange-300 text-orange-700 dark:border-orange-700 dark:text-orange-300 dark:bg-slate-900"
+                              >
+                                <Timer className="w-5 h-5 mr-2" />
+                                {active
+                                  ? (active.done ? "Done" : `${formatTimer(getRemaining(active))}${active.running ? "" : " (paused)"}`)
+                                  : `Start ${detected.text} timer`}
+                              </Button>
+                            );
+                          })}
+                        </div>
+                      )}
+                    </>
+                  ) : (
+                    <>
+                      <div className="flex items-center gap-2 mb-1">
+                        <ChefHat className="w-7 h-7 text-orange-500" />
+                        <h3 className="text-2xl sm:text-3xl font-bold text-slate-800 dark:text-slate-100">Ingredients</h3>
+                      </div>
+                      <p className="text-slate-500 dark:text-slate-400 mb-5">
+                        {checkedIngredients.size} of {ingredients.length} ready - tick each one off as you set it out.
+                      </p>
+                      <div className="space-y-2">
+                        {ingredients.map((ingredient, idx) => {
+                          const checked = checkedIngredients.has(idx);
+                          return (
+                            <button
+                              key={idx}
+                              onClick={() => toggleIngredient(idx)}
+                              className={cn(
+                                "w-full flex items-center gap-4 p-3 rounded-xl border-2 text-left transition-colors",
+                                checked
+                                  ? "border-green-300 bg-green-50 dark:border-green-800 dark:bg-green-900/20"
+                                  : "border-slate-200 dark:border-slate-800 hover:border-orange-300"
+                              )}
+                            >
+                              <span className={cn(
+                                "w-7 h-7 rounded-md border-2 flex items-center justify-center flex-shrink-0",
+                                checked ? "bg-green-500 border-green-500" : "border-slate-300 dark:border-slate-600"
+                              )}>
+                                {checked && <Check className="w-5 h-5 text-white" />}
+                              </span>
+                              <span className={cn(
+                                "text-lg sm:text-xl text-slate-800 dark:text-slate-100",
+                                checked && "line-through text-slate-400 dark:text-slate-500"
+                              )}>
+                                {ingredient}
+                              </span>
+                            </button>
+                          );
+                        })}
+                      </div>
+                    </>
+                  )}
+                </div>
+              </motion.div>
+            </AnimatePresence>
+          </div>
+
+          {/* Running timers */}
+          {timers.length > 0 && (
+            <div className="flex gap-2 overflow-x-auto px-4 py-2 border-t border-slate-200 dark:border-slate-800 bg-slate-50 dark:bg-slate-900">
+              {timers.map(timer => (
+                <div
+                  key={timer.id}
+                  className={cn(
+                    "flex items-center gap-2 pl-3 pr-1 py-1 rounded-full border flex-shrink-0",
+                    timer.done
+                      ? "bg-green-100 border-green-400 text-green-800 animate-pulse dark:bg-green-900/40 dark:border-green-700 dark:text-green-200"
+                      : "bg-white border-slate-200 text-slate-700 dark:bg-slate-800 dark:border-slate-700 dark:text-slate-200"
+                  )}
+                >
+                  {timer.done ? <BellRing className="w-4 h-4" /> : <Timer className="w-4 h-4 text-orange-500" />}
+                  <button onClick={() => goTo(timer.step + 1)} className="text-sm whitespace-nowrap" title={timer.label}>
+                    Step {timer.step + 1}
+                  </button>
+                  <span className="font-mono text-sm font-semibold">{timer.done ? "Done!" : formatTimer(getRemaining(timer))}</span>
+                  {!timer.done && (
+                    <Button variant="ghost" size="icon" className="h-7 w-7" onClick={() => toggleTimer(timer.id)} aria-label={timer.running ? "Pause timer" : "Resume timer"}>
+                      {timer.running ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                    </Button>
+                  )}
+                  <Button variant="ghost" size="icon" className="h-7 w-7" onClick={() => dismissTimer(timer.id)} aria-label="Dismiss timer">
+                    <X className="w-4 h-4" />
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Navigation */}
+          <div className="flex gap-3 px-4 pt-3 pb-[max(0.75rem,env(safe-area-inset-bottom))] border-t border-slate-200 dark:border-slate-800">
+            <Button
+              variant="outline"
+              onClick={() => goTo(screen - 1)}
+              disabled={screen <= firstScreen}
+              className="flex-1 h-14 text-lg dark:bg-slate-900 dark:text-slate-100 dark:border-slate-700"
+            >
+              <ChevronLeft className="w-6 h-6 mr-1" />Back
+            </Button>
+            {screen < lastScreen ? (
+              <Button onClick={() => goTo(screen + 1)} className="flex-1 h-14 text-lg bg-orange-500 hover:bg-orange-600 text-white">
+                {screen === 0 ? "Start cooking" : "Next"}<ChevronRight className="w-6 h-6 ml-1" />
+              </Button>
+            ) : (
+              <Button
+                onClick={() => {
+                  onFinish?.();
+                  onClose();
+                }}
+                className="flex-1 h-14 text-lg bg-green-600 hover:bg-green-700 text-white"
+              >
+                <Check className="w-6 h-6 mr-2" />Done
+              </Button>
+            )}
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
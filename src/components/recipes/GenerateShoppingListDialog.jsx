@@ -0,0 +1,107 @@
+import { useState, useEffect } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { ShoppingCart, Loader2 } from "lucide-react";
+
+/**
+ * Preview the consolidated meal plan ingredients and pick the list to add
+ * them to
+ *
+ * @param {boolean} open
+ * @param {Array} items - From buildShoppingItems()
+ * @param {Array|null} lists - Lists the user can add to (null while loading)
+ * @param {boolean} isWorking
+ * @param {function} onClose
+ * @param {function} onGenerate - Called with the chosen list
+ */
+export default function GenerateShoppingListDialog({ open, items = [], lists, isWorking = false, onClose, onGenerate }) {
+  const [listId, setListId] = useState("");
+
+  useEffect(() => {
+    if (open) setListId("");
+  }, [open]);
+
+  const targetList = lists?.find(list => list.id === listId);
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && !isWorking && onClose()}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <ShoppingCart className="w-5 h-5 text-orange-500" />
+            Shopping list for this week
+          </DialogTitle>
+        </DialogHeader>
+
+        {items.length === 0 ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400 py-4 text-center">
+            Plan some recipes first - their ingredients will show up here.
+          </p>
+        ) : (
+          <div className="max-h-[40vh] overflow-y-auto divide-y divide-slate-100 dark:divide-slate-700 border rounded-lg dark:border-slate-700">
+            {items.map(item => (
+              <div key={item.id} className="flex items-start justify-between gap-3 px-3 py-2">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-slate-800 dark:text-slate-100 truncate">{item.name}</p>
+                  {item.recipes.length > 1 && (
+                    <p className="text-xs text-slate-500 dark:text-slate-400">
+                      {item.recipes.length} recipes
+                    </p>
+                  )}
+                </div>
+                {item.quantity && (
+                  <span className="text-sm text-slate-600 dark:text-slate-300 whitespace-nowrap">{item.quantity}</span>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <Label>Add to list</Label>
+          {lists === null ? (
+            <div className="flex justify-center py-2">
+              <Loader2 className="w-5 h-5 animate-spin text-slate-400" />
+            </div>
+          ) : lists.length === 0 ? (
+            <p className="text-sm text-slate-500 dark:text-slate-400">
+              You don&apos;t have any lists you can add items to.
+            </p>
+          ) : (
+            <Select value={listId} onValueChange={setListId} disabled={isWorking}>
+              <SelectTrigger>
+                <SelectValue placeholder="Choose a list" />
+              </SelectTrigger>
+              <SelectContent>
+                {lists.map(list => (
+                  <SelectItem key={list.id} value={list.id}>{list.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" onClick={onClose} disabled={isWorking}>
+            Cancel
+          </Button>
+          <Button
+            onClick={() => onGenerate(targetList)}
+            disabled={!targetList || items.length === 0 || isWorking}
+            className="bg-orange-500 hover:bg-orange-600 text-white"
+          >
+            {isWorking && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+            Add {items.length} item{items.length === 1 ? "" : "s"}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,163 @@
+import { useState, useEffect } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { ChevronUp, ChevronDown, Sparkles, Trash2 } from "lucide-react";
+import { getAisleMap } from "@/utils/storeLayout";
+
+/**
+ * Create or edit a store's aisle layout.
+ * Rows are in walking order; each category can have an aisle label.
+ *
+ * @param {boolean} open
+ * @param {function} onClose
+ * @param {Object|null} store - Store being edited, or null to create one
+ * @param {Array|null} suggestion - Learned aisle map from suggestAisleMap()
+ * @param {function} onSave - Called with { name, aisle_map }
+ * @param {function} onDelete - Optional; shown for existing stores
+ */
+export default function StoreLayoutDialog({ open, onClose, store = null, suggestion = null, onSave, onDelete }) {
+  const [name, setName] = useState("");
+  const [aisleMap, setAisleMap] = useState([]);
+
+  useEffect(() => {
+    if (open) {
+      setName(store?.name || "");
+      setAisleMap(getAisleMap(store));
+    }
+  }, [open, store]);
+
+  const moveEntry = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= aisleMap.length) return;
+    const next = [...aisleMap];
+    [next[index], next[target]] = [next[target], next[index]];
+    setAisleMap(next);
+  };
+
+  const updateAisle = (index, aisle) => {
+    setAisleMap(prev => prev.map((entry, i) => i === index ? { ...entry, aisle } : entry));
+  };
+
+  const applySuggestion = () => {
+    // Take the learned order but keep any aisle labels edited in this dialog
+    const labels = Object.fromEntries(aisleMap.map(entry => [entry.category, entry.aisle]));
+    setAisleMap(suggestion.map(entry => ({ ...entry, aisle: labels[entry.category] ?? entry.aisle })));
+  };
+
+  const handleSave = () => {
+    if (!name.trim()) return;
+    onSave({
+      name: name.trim(),
+      aisle_map: aisleMap.map(({ category, aisle }) => ({ category, aisle: (aisle || "").trim() })),
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-md max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{store ? "Edit Store Layout" : "Add Store"}</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-6 py-4">
+          <div className="space-y-2">
+            <Label htmlFor="store-name">Store Name</Label>
+            <Input
+              id="store-name"
+              placeholder="e.g., Costco on Main St"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={50}
+            />
+          </div>
+
+          {suggestion && (
+            <div className="rounded-lg border border-blue-200 bg-blue-50 p-3 dark:border-blue-800 dark:bg-blue-900/30">
+              <p className="text-sm text-blue-800 dark:text-blue-200 flex items-start gap-2">
+                <Sparkles className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                Based on the order you check items off here, we suggest:{" "}
+                {suggestion.map(entry => entry.category).join(" → ")}
+              </p>
+              <Button size="sm" variant="outline" className="mt-2" onClick={applySuggestion}>
+                Use Suggested Order
+              </Button>
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <Label>Walking Order</Label>
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              Arrange sections in the order you walk the store. Aisle labels are optional.
+            </p>
+            <div className="space-y-1.5">
+              {aisleMap.map((entry, index) => (
+                <div
+                  key={entry.category}
+                  className="flex items-center gap-2 rounded-lg border border-slate-200 px-2 py-1.5 dark:border-slate-600"
+                >
+                  <span className="w-5 text-xs text-slate-400 text-right flex-shrink-0">{index + 1}</span>
+                  <span className="flex-1 min-w-0 truncate text-sm text-slate-800 dark:text-slate-100">
+                    {entry.category}
+                  </span>
+                  <Input
+                    value={entry.aisle || ""}
+                    onChange={(e) => updateAisle(index, e.target.value)}
+                    placeholder="Aisle"
+                    className="h-8 w-20 text-sm"
+                    maxLength={12}
+                  />
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-8 w-8"
+                    onClick={() => moveEntry(index, -1)}
+                    disabled={index === 0}
+                  >
+                    <ChevronUp className="w-4 h-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-8 w-8"
+                    onClick={() => moveEntry(index, 1)}
+                    disabled={index === aisleMap.length - 1}
+                  >
+                    <ChevronDown className="w-4 h-4" />
+                  </Button>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex justify-between gap-3">
+          {store && onDelete ? (
+            <Button
+              variant="ghost"
+              onClick={() => onDelete(store)}
+              className="text-red-600 hover:text-red-700 dark:text-red-400"
+            >
+              <Trash2 className="w-4 h-4 mr-2" />
+              Delete
+            </Button>
+          ) : <span />}
+          <div className="flex gap-3">
+            <Button variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button onClick={handleSave} disabled={!name.trim()}>
+              {store ? "Save Layout" : "Add Store"}
+            </Button>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
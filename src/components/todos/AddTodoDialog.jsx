@@ -20,9 +20,14 @@ import {
 import { Calendar } from "@/components/ui/calendar";
 import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
 import { format } from "date-fns";
-import { Calendar as CalendarIcon, Users } from "lucide-react";
+import { Calendar as CalendarIcon, Users, UserCheck } from "lucide-react";
 import { cn } from "@/lib/utils";
 import { Switch } from "@/components/ui/switch";
+import RecurrenceEditor from "./RecurrenceEditor";
+import ReminderPicker from "./ReminderPicker";
+import SubtaskEditor from "./SubtaskEditor";
+import AssigneeAvatar from "./AssigneeAvatar";
+import { normalizeRecurrence, getFirstDueDate } from "@/components/utils/taskRecurrence";
 
 // Parse date string (YYYY-MM-DD) as local date to avoid timezone shift
 const parseLocalDate = (dateString) => {
@@ -54,7 +59,7 @@ const statuses = [
   { value: "completed", label: "Completed" },
 ];
 
-export default function AddTodoDialog({ open, onClose, onSave, editTodo = null, isInFamily = false, familyGroupId = null, isOwner = true }) {
+export default function AddTodoDialog({ open, onClose, onSave, editTodo = null, isInFamily = false, familyGroupId = null, isOwner = true, familyMembers = [] }) {
   const [todo, setTodo] = useState({
     title: "",
     description: "",
@@ -64,6 +69,12 @@ export default function AddTodoDialog({ open, onClose, onSave, editTodo = null,
     due_date: "",
     due_time: "", // Added due_time field
     shared_with_family: false, // Family sharing toggle
+    recurrence: null,
+    reminder_minutes_before: null,
+    reminder_at: null,
+    subtasks: [],
+    complete_with_subtasks: false,
+    assigned_to: null,
   });
 
   useEffect(() => {
@@ -77,6 +88,13 @@ export default function AddTodoDialog({ open, onClose, onSave, editTodo = null,
         due_date: editTodo.due_date || "",
         due_time: editTodo.due_time || "", // Added due_time field
         shared_with_family: editTodo.shared_with_family || false,
+        recurrence: editTodo.recurrence || null,
+        reminder_minutes_before: editTodo.reminder_minutes_before ?? null,
+        reminder_at: editTodo.reminder_at || null,
+        // Kept as-is if it couldn't be decrypted (not an array)
+        subtasks: editTodo.subtasks ?? [],
+        complete_with_subtasks: editTodo.complete_with_subtasks || false,
+        assigned_to: editTodo.assigned_to || null,
       });
     } else {
       resetForm();
@@ -86,10 +104,23 @@ export default function AddTodoDialog({ open, onClose, onSave, editTodo = null,
   const handleSave = () => {
     if (todo.title.trim()) {
       // Convert empty strings to null for date fields (database expects null, not "")
+      // A repeating task needs a due date - default to its first occurrence
+      // A reminder relative to the due date is dropped if there's no due date
+      const recurrence = normalizeRecurrence(todo.recurrence);
+      const dueDate = todo.due_date || (recurrence && getFirstDueDate(recurrence)) || null;
       const todoData = {
         ...todo,
-        due_date: todo.due_date || null,
+        due_date: dueDate,
         due_time: todo.due_time || null,
+        recurrence,
+        reminder_minutes_before: dueDate ? todo.reminder_minutes_before : null,
+        subtasks: Array.isArray(todo.subtasks)
+          ? todo.subtasks
+              .map(subtask => ({ ...subtask, title: subtask.title.trim() }))
+              .filter(subtask => subtask.title)
+          : todo.subtasks,
+        // Only family-shared tasks can be assigned
+        assigned_to: todo.shared_with_family ? todo.assigned_to : null,
       };
       onSave(todoData);
       resetForm();
@@ -106,6 +137,12 @@ export default function AddTodoDialog({ open, onClose, onSave, editTodo = null,
       due_date: "",
       due_time: "", // Added due_time field
       shared_with_family: false,
+      recurrence: null,
+      reminder_minutes_before: null,
+      reminder_at: null,
+      subtasks: [],
+      complete_with_subtasks: false,
+      assigned_to: null,
     });
   };
 
@@ -149,6 +186,15 @@ export default function AddTodoDialog({ open, onClose, onSave, editTodo = null,
             />
           </div>
 
+          {Array.isArray(todo.subtasks) && (
+            <SubtaskEditor
+              subtasks={todo.subtasks}
+              onChange={(subtasks) => setTodo({ ...todo, subtasks })}
+              completeWithSubtasks={todo.complete_with_subtasks}
+              onCompleteWithSubtasksChange={(checked) => setTodo({ ...todo, complete_with_subtasks: checked })}
+            />
+          )}
+
           <div className="grid grid-cols-2 gap-3">
             <div className="space-y-2">
               <Label htmlFor="category">Category</Label>
@@ -258,6 +304,19 @@ export default function AddTodoDialog({ open, onClose, onSave, editTodo = null,
             </div>
           </div>
 
+          <RecurrenceEditor
+            value={todo.recurrence}
+            onChange={(recurrence) => setTodo({ ...todo, recurrence })}
+            dueDate={todo.due_date}
+          />
+
+          <ReminderPicker
+            minutesBefore={todo.reminder_minutes_before}
+            reminderAt={todo.reminder_at}
+            onChange={(reminder) => setTodo({ ...todo, ...reminder })}
+            hasDueDate={Boolean(todo.due_date || todo.recurrence)}
+          />
+
           {/* Family Sharing Toggle - only show if user is in a family WITH valid familyGroupId AND owns the task */}
           {/* SECURITY: Require familyGroupId to prevent unencrypted family-shared tasks */}
           {/* When editing another family member's task, hide the toggle to prevent encryption key issues */}
@@ -281,6 +340,35 @@ export default function AddTodoDialog({ open, onClose, onSave, editTodo = null,
               />
             </div>
           )}
+
+          {/* Assignee - family-shared tasks only, picked from the family roster */}
+          {isInFamily && familyGroupId && todo.shared_with_family && familyMembers.length > 0 && (
+            <div className="space-y-2">
+              <Label className="flex items-center gap-1">
+                <UserCheck className="w-4 h-4" />
+                Assigned to
+              </Label>
+              <Select
+                value={todo.assigned_to || "unassigned"}
+                onValueChange={(value) => setTodo({ ...todo, assigned_to: value === "unassigned" ? null : value })}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="unassigned">Unassigned</SelectItem>
+                  {familyMembers.map((member) => (
+                    <SelectItem key={member.user_id} value={member.user_id}>
+                      <span className="flex items-center gap-2">
+                        <AssigneeAvatar member={member} className="h-5 w-5" />
+                        {member.full_name || member.email}
+                      </span>
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
         </div>
 
         <div className="flex justify-end gap-3">
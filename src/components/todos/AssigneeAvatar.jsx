@@ -0,0 +1,37 @@
+import { Avatar, AvatarFallback } from "@/components/ui/avatar";
+import { cn } from "@/lib/utils";
+
+const AVATAR_COLORS = [
+  "bg-purple-500",
+  "bg-pink-500",
+  "bg-blue-500",
+  "bg-emerald-500",
+  "bg-amber-500",
+  "bg-cyan-500",
+  "bg-rose-500",
+  "bg-indigo-500",
+];
+
+// Each member keeps the same color everywhere
+const colorFor = (userId) => {
+  let hash = 0;
+  for (const char of String(userId)) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+  return AVATAR_COLORS[Math.abs(hash) % AVATAR_COLORS.length];
+};
+
+/**
+ * Initial of a family member in a colored circle (profiles have no photos)
+ * @param {Object} member - Family member from getFamilyInfo (user_id, full_name, email)
+ */
+export default function AssigneeAvatar({ member, className }) {
+  const name = member.full_name || member.email || "?";
+  return (
+    <Avatar className={cn("h-6 w-6", className)} title={`Assigned to ${name}`}>
+      <AvatarFallback className={cn("text-[11px] font-semibold text-white", colorFor(member.user_id))}>
+        {name[0].toUpperCase()}
+      </AvatarFallback>
+    </Avatar>
+  );
+}
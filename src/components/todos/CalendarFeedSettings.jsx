@@ -0,0 +1,143 @@
+import { useEffect, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import { CalendarArrowDown, Copy, Check, Download, Loader2 } from "lucide-react";
+import {
+  getTasksFeed,
+  enableTasksFeed,
+  publishTasksFeed,
+  disableTasksFeed,
+  getTasksFeedUrl,
+} from "@/components/utils/taskCalendarExport";
+
+/**
+ * Header button for getting tasks into a calendar app: a one-off .ics
+ * download, or a subscription feed this device keeps up to date while the
+ * Tasks page is open.
+ * @param {Array|null} tasks - Decrypted tasks, null until they've loaded
+ */
+export default function CalendarFeedSettings({ tasks, userId, onExport }) {
+  const [feed, setFeed] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [failed, setFailed] = useState(false);
+  // Latest feed for the refresh effect, without re-running it on every publish
+  const feedRef = useRef(null);
+  feedRef.current = feed;
+
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    getTasksFeed(userId)
+      .then(existing => { if (!cancelled) setFeed(existing); })
+      .catch(error => console.warn("Loading calendar feed failed:", error))
+      .finally(() => { if (!cancelled) setIsLoading(false); });
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  // Republish whenever the tasks change (skipped when nothing in the feed did)
+  const isEnabled = Boolean(feed);
+  useEffect(() => {
+    // Never publish the empty list a page shows while it's still loading
+    if (!isEnabled || !tasks) return;
+    publishTasksFeed(feedRef.current, tasks)
+      .then(published => setFeed(current => current && published))
+      .catch(error => console.warn("Refreshing calendar feed failed:", error));
+  }, [isEnabled, tasks]);
+
+  const handleToggle = async (enabled) => {
+    setIsSaving(true);
+    setFailed(false);
+    try {
+      if (enabled) {
+        setFeed(await enableTasksFeed(tasks, userId));
+      } else {
+        await disableTasksFeed(feed);
+        setFeed(null);
+      }
+    } catch (error) {
+      console.error("Updating calendar feed failed:", error);
+      setFailed(true);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(getTasksFeedUrl(feed));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error("Failed to copy:", error);
+    }
+  };
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button
+          variant="outline"
+          size="icon"
+          className="h-10 w-10 rounded-full border-slate-200 dark:border-slate-700 hover:bg-slate-100 dark:hover:bg-slate-800"
+          title="Add to calendar"
+        >
+          <CalendarArrowDown className={feed
+            ? "w-5 h-5 text-purple-600 dark:text-purple-400"
+            : "w-5 h-5 text-slate-600 dark:text-slate-400"}
+          />
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-80 space-y-3 dark:bg-slate-800 dark:border-slate-600">
+        <Button variant="outline" className="w-full justify-start gap-2" onClick={onExport}>
+          <Download className="w-4 h-4" />
+          Download .ics file
+        </Button>
+
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <Label htmlFor="calendar-feed" className="font-medium text-slate-800 dark:text-slate-200">
+              Calendar subscription
+            </Label>
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              Your calendar app stays in sync with your tasks
+            </p>
+          </div>
+          {isLoading || isSaving
+            ? <Loader2 className="w-5 h-5 animate-spin text-slate-400" />
+            : <Switch id="calendar-feed" checked={Boolean(feed)} onCheckedChange={handleToggle} disabled={!tasks} />}
+        </div>
+
+        {feed && (
+          <div className="flex gap-2">
+            <Input
+              readOnly
+              value={getTasksFeedUrl(feed)}
+              onFocus={(e) => e.target.select()}
+              className="text-xs dark:bg-slate-700 dark:border-slate-500 dark:text-slate-200"
+              aria-label="Calendar subscription link"
+            />
+            <Button variant="outline" size="icon" onClick={handleCopy} title="Copy link" className="flex-shrink-0">
+              {copied ? <Check className="w-4 h-4 text-green-600" /> : <Copy className="w-4 h-4" />}
+            </Button>
+          </div>
+        )}
+
+        <p className="text-xs text-slate-500 dark:text-slate-400">
+          {feed
+            ? "Updates when you open Tasks. Anyone with this link can read your task titles - turn the subscription off to disable the link."
+            : "Tasks are encrypted, so the subscription is a readable copy this app publishes to a private link. Only turn it on if you're OK with that."}
+        </p>
+        {failed && (
+          <p className="text-xs text-red-600 dark:text-red-400">
+            Couldn&apos;t update the subscription. Please try again.
+          </p>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+}
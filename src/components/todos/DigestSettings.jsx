@@ -0,0 +1,84 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import { Bell, BellRing } from "lucide-react";
+import {
+  getDigestTime,
+  setDigestTime,
+  scheduleDailyDigest,
+  requestReminderPermission,
+} from "@/utils/taskReminders";
+
+const DEFAULT_DIGEST_TIME = "08:00";
+
+/**
+ * Header button with the daily digest setting: one notification a day
+ * listing the tasks due. The setting is per device.
+ */
+export default function DigestSettings({ tasks }) {
+  const [time, setTime] = useState(() => getDigestTime());
+  const [blocked, setBlocked] = useState(false);
+
+  const updateTime = (newTime) => {
+    setDigestTime(newTime);
+    setTime(newTime);
+    scheduleDailyDigest(tasks);
+  };
+
+  const handleToggle = async (enabled) => {
+    if (!enabled) {
+      updateTime(null);
+      setBlocked(false);
+      return;
+    }
+    updateTime(DEFAULT_DIGEST_TIME);
+    setBlocked(!(await requestReminderPermission()));
+  };
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button
+          variant="outline"
+          size="icon"
+          className="h-10 w-10 rounded-full border-slate-200 dark:border-slate-700 hover:bg-slate-100 dark:hover:bg-slate-800"
+          title="Daily digest"
+        >
+          {time
+            ? <BellRing className="w-5 h-5 text-purple-600 dark:text-purple-400" />
+            : <Bell className="w-5 h-5 text-slate-600 dark:text-slate-400" />}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-72 space-y-3 dark:bg-slate-800 dark:border-slate-600">
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <Label htmlFor="daily-digest" className="font-medium text-slate-800 dark:text-slate-200">
+              Daily digest
+            </Label>
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              A morning summary of what&apos;s due
+            </p>
+          </div>
+          <Switch id="daily-digest" checked={Boolean(time)} onCheckedChange={handleToggle} />
+        </div>
+        {time && (
+          <Input
+            type="time"
+            value={time}
+            onChange={(e) => e.target.value && updateTime(e.target.value)}
+            className="text-base dark:bg-slate-700 dark:border-slate-500 dark:text-slate-200"
+            aria-label="Digest time"
+          />
+        )}
+        {blocked && time && (
+          <p className="text-xs text-amber-600 dark:text-amber-400">
+            Notifications are blocked. Allow them in your browser or device settings to get the digest.
+          </p>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+}
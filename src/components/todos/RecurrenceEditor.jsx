@@ -0,0 +1,148 @@
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Repeat } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { RECURRENCE_FREQUENCIES, WEEKDAY_NAMES } from "@/components/utils/taskRecurrence";
+
+// Parse date string (YYYY-MM-DD) as local date to avoid timezone shift
+const parseLocalDate = (dateString) => {
+  if (!dateString) return null;
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const ORDINALS = { 1: "1st", 2: "2nd", 3: "3rd", 4: "4th", [-1]: "last" };
+
+const frequencies = [
+  { value: "none", label: "Does not repeat" },
+  { value: RECURRENCE_FREQUENCIES.DAILY, label: "Daily" },
+  { value: RECURRENCE_FREQUENCIES.WEEKLY, label: "Weekly" },
+  { value: RECURRENCE_FREQUENCIES.MONTHLY, label: "Monthly" },
+  { value: RECURRENCE_FREQUENCIES.AFTER_COMPLETION, label: "Days after completion" },
+];
+
+/**
+ * Repeat rule picker for a task (see taskRecurrence.jsx for the rule shape).
+ * New rules start from the due date: weekly on its weekday, monthly on its
+ * day of the month.
+ */
+export default function RecurrenceEditor({ value, onChange, dueDate }) {
+  const anchor = parseLocalDate(dueDate) || new Date();
+  const anchorDay = anchor.getDate();
+  const anchorWeek = anchorDay > 28 ? -1 : Math.ceil(anchorDay / 7);
+  const anchorWeekday = anchor.getDay();
+
+  const handleFrequencyChange = (freq) => {
+    switch (freq) {
+      case RECURRENCE_FREQUENCIES.DAILY:
+        onChange({ freq });
+        break;
+      case RECURRENCE_FREQUENCIES.WEEKLY:
+        onChange({ freq, weekdays: [anchorWeekday] });
+        break;
+      case RECURRENCE_FREQUENCIES.MONTHLY:
+        onChange({ freq, day: anchorDay });
+        break;
+      case RECURRENCE_FREQUENCIES.AFTER_COMPLETION:
+        onChange({ freq, days: 7 });
+        break;
+      default:
+        onChange(null);
+    }
+  };
+
+  const toggleWeekday = (day) => {
+    const weekdays = value.weekdays.includes(day)
+      ? value.weekdays.filter(d => d !== day)
+      : [...value.weekdays, day].sort((a, b) => a - b);
+    // At least one day stays selected
+    if (weekdays.length > 0) onChange({ ...value, weekdays });
+  };
+
+  return (
+    <div className="space-y-2">
+      <Label className="flex items-center gap-1">
+        <Repeat className="w-4 h-4" />
+        Repeat
+      </Label>
+      <Select value={value?.freq || "none"} onValueChange={handleFrequencyChange}>
+        <SelectTrigger>
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {frequencies.map((f) => (
+            <SelectItem key={f.value} value={f.value}>
+              {f.label}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+
+      {value?.freq === RECURRENCE_FREQUENCIES.WEEKLY && (
+        <div className="flex gap-1" role="group" aria-label="Repeat on">
+          {WEEKDAY_NAMES.map((name, day) => {
+            const selected = value.weekdays.includes(day);
+            return (
+              <button
+                key={name}
+                type="button"
+                onClick={() => toggleWeekday(day)}
+                aria-pressed={selected}
+                title={name}
+                className={cn(
+                  "flex-1 h-9 rounded-md text-xs font-medium border transition-colors",
+                  selected
+                    ? "bg-purple-600 border-purple-600 text-white"
+                    : "border-slate-300 text-slate-600 hover:bg-slate-100 dark:border-slate-500 dark:text-slate-300 dark:hover:bg-slate-700"
+                )}
+              >
+                {name.slice(0, 2)}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {value?.freq === RECURRENCE_FREQUENCIES.MONTHLY && (
+        <Select
+          value={value.week ? "weekday" : "day"}
+          onValueChange={(mode) => onChange(mode === "weekday"
+            ? { freq: value.freq, week: anchorWeek, weekday: anchorWeekday }
+            : { freq: value.freq, day: anchorDay })}
+        >
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="day">On day {value.day || anchorDay}</SelectItem>
+            <SelectItem value="weekday">
+              On the {ORDINALS[value.week || anchorWeek]} {WEEKDAY_NAMES[value.week ? value.weekday : anchorWeekday]}
+            </SelectItem>
+          </SelectContent>
+        </Select>
+      )}
+
+      {value?.freq === RECURRENCE_FREQUENCIES.AFTER_COMPLETION && (
+        <div className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+          <Input
+            type="number"
+            min="1"
+            max="365"
+            value={value.days}
+            onChange={(e) => onChange({ ...value, days: parseInt(e.target.value, 10) || 1 })}
+            className="w-20 text-base dark:bg-slate-700 dark:border-slate-500 dark:text-slate-200"
+            aria-label="Days after completion"
+          />
+          days after it&apos;s completed
+        </div>
+      )}
+    </div>
+  );
+}
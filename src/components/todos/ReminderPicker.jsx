@@ -0,0 +1,91 @@
+import { useState } from "react";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Bell } from "lucide-react";
+import { format } from "date-fns";
+import { REMINDER_OFFSETS, requestReminderPermission } from "@/utils/taskReminders";
+
+/**
+ * Reminder picker for a task: an offset from the due date/time
+ * (reminder_minutes_before) or a custom time (reminder_at). Offsets need a
+ * due date; picking any reminder asks for notification permission.
+ */
+export default function ReminderPicker({ minutesBefore, reminderAt, onChange, hasDueDate }) {
+  const [blocked, setBlocked] = useState(false);
+
+  const selected = reminderAt
+    ? "custom"
+    : minutesBefore != null ? String(minutesBefore) : "none";
+
+  const handleChange = async (value) => {
+    if (value === "none") {
+      onChange({ reminder_minutes_before: null, reminder_at: null });
+      setBlocked(false);
+      return;
+    }
+
+    if (value === "custom") {
+      // Start from an hour from now, on the minute
+      const start = new Date(Date.now() + 3600000);
+      start.setSeconds(0, 0);
+      onChange({ reminder_minutes_before: null, reminder_at: start.toISOString() });
+    } else {
+      onChange({ reminder_minutes_before: Number(value), reminder_at: null });
+    }
+    setBlocked(!(await requestReminderPermission()));
+  };
+
+  return (
+    <div className="space-y-2">
+      <Label className="flex items-center gap-1">
+        <Bell className="w-4 h-4" />
+        Reminder
+      </Label>
+      <Select value={selected} onValueChange={handleChange}>
+        <SelectTrigger>
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value="none">No reminder</SelectItem>
+          {REMINDER_OFFSETS.map((offset) => (
+            <SelectItem key={offset.value} value={String(offset.value)} disabled={!hasDueDate}>
+              {offset.label}
+            </SelectItem>
+          ))}
+          <SelectItem value="custom">Custom...</SelectItem>
+        </SelectContent>
+      </Select>
+
+      {selected === "custom" && (
+        <Input
+          type="datetime-local"
+          value={format(new Date(reminderAt), "yyyy-MM-dd'T'HH:mm")}
+          onChange={(e) => e.target.value && onChange({
+            reminder_minutes_before: null,
+            reminder_at: new Date(e.target.value).toISOString(),
+          })}
+          className="text-base dark:bg-slate-700 dark:border-slate-500 dark:text-slate-200"
+          aria-label="Reminder time"
+        />
+      )}
+
+      {!hasDueDate && selected === "none" && (
+        <p className="text-xs text-slate-500 dark:text-slate-400">
+          Set a due date to be reminded before it&apos;s due.
+        </p>
+      )}
+      {blocked && selected !== "none" && (
+        <p className="text-xs text-amber-600 dark:text-amber-400">
+          Notifications are blocked. Allow them in your browser or device settings to get reminders.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Checkbox } from "@/components/ui/checkbox";
+import { ListChecks, ChevronUp, ChevronDown, X, Plus } from "lucide-react";
+import { createSubtask, toggleSubtask, moveSubtask } from "@/components/utils/taskSubtasks";
+
+/**
+ * Checklist editor for a task: add, rename, check, reorder and remove
+ * items, and choose whether checking the last one completes the task.
+ */
+export default function SubtaskEditor({ subtasks, onChange, completeWithSubtasks, onCompleteWithSubtasksChange }) {
+  const [newTitle, setNewTitle] = useState("");
+
+  const addSubtask = () => {
+    if (!newTitle.trim()) return;
+    onChange([...subtasks, createSubtask(newTitle)]);
+    setNewTitle("");
+  };
+
+  const renameSubtask = (id, title) => {
+    onChange(subtasks.map(subtask => subtask.id === id ? { ...subtask, title } : subtask));
+  };
+
+  return (
+    <div className="space-y-2">
+      <Label className="flex items-center gap-1">
+        <ListChecks className="w-4 h-4" />
+        Checklist
+      </Label>
+
+      {subtasks.length > 0 && (
+        <ul className="space-y-1">
+          {subtasks.map((subtask, index) => (
+            <li key={subtask.id} className="flex items-center gap-2">
+              <Checkbox
+                checked={subtask.done}
+                onCheckedChange={() => onChange(toggleSubtask(subtasks, subtask.id))}
+                aria-label={`Mark "${subtask.title}" as ${subtask.done ? "not done" : "done"}`}
+              />
+              <Input
+                value={subtask.title}
+                onChange={(e) => renameSubtask(subtask.id, e.target.value)}
+                maxLength={200}
+                className="h-8 flex-1 text-base dark:bg-slate-700 dark:border-slate-500 dark:text-slate-200"
+                aria-label={`Checklist item ${index + 1}`}
+              />
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                onClick={() => onChange(moveSubtask(subtasks, index, -1))}
+                disabled={index === 0}
+                className="h-8 w-8 flex-shrink-0"
+                title="Move up"
+              >
+                <ChevronUp className="w-4 h-4" />
+              </Button>
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                onClick={() => onChange(moveSubtask(subtasks, index, 1))}
+                disabled={index === subtasks.length - 1}
+                className="h-8 w-8 flex-shrink-0"
+                title="Move down"
+              >
+                <ChevronDown className="w-4 h-4" />
+              </Button>
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                onClick={() => onChange(subtasks.filter(s => s.id !== subtask.id))}
+                className="h-8 w-8 flex-shrink-0 text-slate-400 hover:text-red-600"
+                title="Remove"
+              >
+                <X className="w-4 h-4" />
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex gap-2">
+        <Input
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              addSubtask();
+            }
+          }}
+          placeholder="Add an item"
+          maxLength={200}
+          className="text-base dark:bg-slate-700 dark:border-slate-500 dark:text-slate-200"
+          aria-label="New checklist item"
+        />
+        <Button type="button" variant="outline" size="icon" onClick={addSubtask} disabled={!newTitle.trim()} title="Add item">
+          <Plus className="w-4 h-4" />
+        </Button>
+      </div>
+
+      {subtasks.length > 0 && (
+        <div className="flex items-center justify-between gap-3 pt-1">
+          <Label htmlFor="complete-with-subtasks" className="text-sm font-normal text-slate-600 dark:text-slate-300">
+            Complete the task when every item is checked
+          </Label>
+          <Switch
+            id="complete-with-subtasks"
+            checked={completeWithSubtasks}
+            onCheckedChange={onCompleteWithSubtasksChange}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
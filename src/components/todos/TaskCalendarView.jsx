@@ -0,0 +1,362 @@
+import { createContext, useContext, useMemo, useRef, useState } from "react";
+import { Row, useDayRender } from "react-day-picker";
+import {
+  addDays,
+  differenceInCalendarDays,
+  endOfWeek,
+  format,
+  isSameDay,
+  isSameMonth,
+  parseISO,
+  startOfDay,
+  startOfMonth,
+  startOfWeek,
+} from "date-fns";
+import { Calendar } from "@/components/ui/calendar";
+import { Button } from "@/components/ui/button";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import { CheckCircle2, Circle, ChevronLeft, ChevronRight, CalendarDays, CalendarClock } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+const toDateString = (date) => format(date, "yyyy-MM-dd");
+
+const PRIORITY_CHIP_STYLES = {
+  high: "bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-200",
+  medium: "bg-purple-100 text-purple-800 dark:bg-purple-900/40 dark:text-purple-200",
+  low: "bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-200",
+};
+
+// Tasks in a day: open ones first, then by due time (untimed last)
+const compareTasks = (a, b) => {
+  const doneA = a.status === "completed" ? 1 : 0;
+  const doneB = b.status === "completed" ? 1 : 0;
+  if (doneA !== doneB) return doneA - doneB;
+  return (a.due_time || "99").localeCompare(b.due_time || "99");
+};
+
+// Drag & drop: tasks carry their id; any day (or agenda date) is a drop target.
+// HTML5 drag events don't fire on touch screens (or in the native app's
+// WebView), so task rows also have a "Move to date" picker.
+const TASK_DRAG_TYPE = "application/x-myezlist-task";
+
+function useTaskDrop(dateString, onReschedule, tasksById) {
+  const [isOver, setIsOver] = useState(false);
+  if (!dateString) return { isOver: false, dropProps: {} };
+
+  return {
+    isOver,
+    dropProps: {
+      onDragOver: (e) => {
+        if (!e.dataTransfer.types.includes(TASK_DRAG_TYPE)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "move";
+        setIsOver(true);
+      },
+      onDragLeave: () => setIsOver(false),
+      onDrop: (e) => {
+        e.preventDefault();
+        setIsOver(false);
+        const task = tasksById.get(e.dataTransfer.getData(TASK_DRAG_TYPE));
+        if (task && task.due_date !== dateString) onReschedule(task, dateString);
+      },
+    },
+  };
+}
+
+const dragProps = (task) => ({
+  draggable: true,
+  onDragStart: (e) => {
+    e.dataTransfer.setData(TASK_DRAG_TYPE, task.id);
+    e.dataTransfer.effectAllowed = "move";
+  },
+});
+
+const CalendarTasksContext = createContext(null);
+
+// The week view is the month grid limited to the selected week's row
+function WeekRow(props) {
+  const { weekStart } = useContext(CalendarTasksContext);
+  return props.dates.some(date => isSameDay(date, weekStart)) ? <Row {...props} /> : null;
+}
+
+// A day cell: the day number (selects the day) and its tasks (drag to move)
+function TaskDay({ date, displayMonth }) {
+  const buttonRef = useRef(null);
+  const dayRender = useDayRender(date, displayMonth, buttonRef);
+  const { tasksByDate, tasksById, maxTasks, onEdit, onReschedule } = useContext(CalendarTasksContext);
+  const dateString = toDateString(date);
+  const { isOver, dropProps } = useTaskDrop(dateString, onReschedule, tasksById);
+
+  if (dayRender.isHidden) return <div role="gridcell" />;
+
+  const { className, children, ...buttonProps } = dayRender.buttonProps;
+  const tasks = tasksByDate.get(dateString) || [];
+  const hidden = tasks.length - maxTasks;
+
+  return (
+    <div className={cn(className, isOver && "bg-purple-100 dark:bg-purple-900/40")} {...dropProps}>
+      <button
+        ref={buttonRef}
+        name="day"
+        type="button"
+        {...buttonProps}
+        className="self-start w-6 h-6 rounded-full text-xs hover:bg-slate-200 dark:hover:bg-slate-600"
+      >
+        {children}
+      </button>
+      <div className="space-y-0.5 min-w-0">
+        {tasks.slice(0, maxTasks).map(task => (
+          <div
+            key={task.id}
+            {...dragProps(task)}
+            onClick={() => onEdit(task)}
+            title={task.due_time ? `${task.due_time.slice(0, 5)} ${task.title}` : task.title}
+            className={cn(
+              "px-1 rounded text-[10px] sm:text-xs leading-4 truncate cursor-grab active:cursor-grabbing",
+              task.status === "completed"
+                ? "bg-slate-100 text-slate-400 line-through dark:bg-slate-700 dark:text-slate-500"
+                : PRIORITY_CHIP_STYLES[task.priority] || PRIORITY_CHIP_STYLES.medium
+            )}
+          >
+            {task.title}
+          </div>
+        ))}
+        {hidden > 0 && (
+          <p className="px-1 text-[10px] text-slate-500 dark:text-slate-400">+{hidden} more</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Date picker that reschedules a task - the drag & drop fallback for touch
+function MoveToDateButton({ task, onReschedule }) {
+  const [open, setOpen] = useState(false);
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button
+          variant="ghost"
+          size="icon"
+          className="h-8 w-8 flex-shrink-0 text-slate-400 hover:text-purple-600"
+          title="Move to date…"
+          aria-label={`Move "${task.title}" to another date`}
+        >
+          <CalendarClock className="w-4 h-4" />
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-auto p-0 dark:bg-slate-800 dark:border-slate-600">
+        <Calendar
+          mode="single"
+          selected={parseISO(task.due_date)}
+          defaultMonth={parseISO(task.due_date)}
+          onSelect={(date) => {
+            setOpen(false);
+            if (date && toDateString(date) !== task.due_date) onReschedule(task, toDateString(date));
+          }}
+        />
+      </PopoverContent>
+    </Popover>
+  );
+}
+
+// One task in the agenda and the selected day's list
+function AgendaTask({ task, onToggleComplete, onEdit, onReschedule }) {
+  const isCompleted = task.status === "completed";
+  return (
+    <div
+      {...dragProps(task)}
+      className="flex items-center gap-3 p-2 rounded-lg bg-white border border-slate-200 cursor-grab dark:bg-slate-800 dark:border-slate-700"
+    >
+      <button
+        onClick={() => onToggleComplete(task)}
+        className="flex-shrink-0 hover:scale-110 transition-transform"
+        aria-label={isCompleted ? "Mark as not done" : "Mark as done"}
+      >
+        {isCompleted
+          ? <CheckCircle2 className="w-5 h-5 text-green-500 dark:text-green-400" />
+          : <Circle className="w-5 h-5 text-slate-400 dark:text-slate-500" />}
+      </button>
+      <button onClick={() => onEdit(task)} className="flex-1 min-w-0 text-left">
+        <p className={cn(
+          "text-sm font-medium break-words",
+          isCompleted ? "line-through text-slate-500 dark:text-slate-400" : "text-slate-800 dark:text-slate-100"
+        )}>
+          {task.title}
+        </p>
+      </button>
+      {task.due_time && (
+        <span className="text-xs text-slate-500 dark:text-slate-400 flex-shrink-0">{task.due_time.slice(0, 5)}</span>
+      )}
+      <MoveToDateButton task={task} onReschedule={onReschedule} />
+    </div>
+  );
+}
+
+// A date in the agenda; tasks can be dropped on it (except on "Overdue")
+function AgendaGroup({ label, dateString, tasks, tasksById, ...taskHandlers }) {
+  const { isOver, dropProps } = useTaskDrop(dateString, taskHandlers.onReschedule, tasksById);
+  return (
+    <section className={cn("rounded-xl p-2 -mx-2", isOver && "bg-purple-100 dark:bg-purple-900/40")} {...dropProps}>
+      <h3 className={cn(
+        "text-sm font-semibold mb-2",
+        label === "Overdue" ? "text-red-600 dark:text-red-400" : "text-slate-700 dark:text-slate-200"
+      )}>
+        {label}
+      </h3>
+      <div className="space-y-2">
+        {tasks.map(task => <AgendaTask key={task.id} task={task} {...taskHandlers} />)}
+      </div>
+    </section>
+  );
+}
+
+function agendaLabel(dateString, today) {
+  const days = differenceInCalendarDays(parseISO(dateString), today);
+  if (days === 0) return "Today";
+  if (days === 1) return "Tomorrow";
+  return format(parseISO(dateString), days < 7 ? "EEEE" : "EEEE, MMM d");
+}
+
+/**
+ * Tasks with a due date as a month grid, a week or an agenda list. Tasks can
+ * be dragged to another day (or agenda date), or moved with a date picker, to
+ * reschedule them.
+ *
+ * @param {Array} todos - Tasks to show (those without a due date are skipped)
+ * @param {string} view - "month", "week" or "agenda"
+ * @param {Function} onReschedule - (task, "yyyy-MM-dd") => void
+ */
+export default function TaskCalendarView({ todos, view, onReschedule, onEdit, onToggleComplete }) {
+  const [selectedDay, setSelectedDay] = useState(() => startOfDay(new Date()));
+  const [month, setMonth] = useState(() => startOfMonth(new Date()));
+  const today = startOfDay(new Date());
+  const weekStart = startOfWeek(selectedDay);
+
+  const { tasksByDate, tasksById } = useMemo(() => {
+    const byDate = new Map();
+    const byId = new Map();
+    todos.filter(todo => todo.due_date).forEach(todo => {
+      byId.set(todo.id, todo);
+      byDate.set(todo.due_date, [...(byDate.get(todo.due_date) || []), todo]);
+    });
+    byDate.forEach(tasks => tasks.sort(compareTasks));
+    return { tasksByDate: byDate, tasksById: byId };
+  }, [todos]);
+
+  const taskHandlers = { onEdit, onToggleComplete, onReschedule };
+
+  if (view === "agenda") {
+    const todayString = toDateString(today);
+    const open = [...tasksById.values()].filter(task => task.status !== "completed");
+    const overdue = open.filter(task => task.due_date < todayString).sort(compareTasks);
+    const upcomingDates = [...new Set(open.filter(task => task.due_date >= todayString).map(task => task.due_date))].sort();
+
+    if (overdue.length === 0 && upcomingDates.length === 0) {
+      return (
+        <div className="text-center py-16 text-slate-500 dark:text-slate-400">
+          <CalendarDays className="w-12 h-12 mx-auto mb-3 text-slate-300 dark:text-slate-600" />
+          Nothing scheduled. Tasks with a due date show up here.
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        {overdue.length > 0 && (
+          <AgendaGroup label="Overdue" tasks={overdue} tasksById={tasksById} {...taskHandlers} />
+        )}
+        {upcomingDates.map(dateString => (
+          <AgendaGroup
+            key={dateString}
+            label={agendaLabel(dateString, today)}
+            dateString={dateString}
+            tasks={tasksByDate.get(dateString).filter(task => task.status !== "completed")}
+            tasksById={tasksById}
+            {...taskHandlers}
+          />
+        ))}
+      </div>
+    );
+  }
+
+  const isWeek = view === "week";
+  const selectedTasks = tasksByDate.get(toDateString(selectedDay)) || [];
+
+  const moveWeek = (weeks) => {
+    const day = addDays(selectedDay, weeks * 7);
+    setSelectedDay(day);
+    setMonth(startOfMonth(startOfWeek(day)));
+  };
+
+  const selectDay = (day) => {
+    if (!day) return;
+    setSelectedDay(day);
+    if (!isSameMonth(day, month)) setMonth(startOfMonth(day));
+  };
+
+  return (
+    <CalendarTasksContext.Provider value={{ tasksByDate, tasksById, weekStart, maxTasks: isWeek ? 8 : 2, onEdit, onReschedule }}>
+      <div className="rounded-xl border border-slate-200 bg-white dark:border-slate-700 dark:bg-slate-800">
+        {isWeek && (
+          <div className="flex items-center justify-between px-3 pt-3">
+            <Button variant="outline" size="icon" className="h-7 w-7" onClick={() => moveWeek(-1)} aria-label="Previous week">
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <span className="text-sm font-medium text-slate-800 dark:text-slate-100">
+              {format(weekStart, "MMM d")} – {format(endOfWeek(weekStart), "MMM d, yyyy")}
+            </span>
+            <Button variant="outline" size="icon" className="h-7 w-7" onClick={() => moveWeek(1)} aria-label="Next week">
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+          </div>
+        )}
+        <Calendar
+          mode="single"
+          required
+          selected={selectedDay}
+          onSelect={selectDay}
+          month={isWeek ? startOfMonth(weekStart) : month}
+          onMonthChange={setMonth}
+          className="p-2 sm:p-3"
+          classNames={{
+            months: "w-full",
+            month: "w-full space-y-3",
+            caption: isWeek ? "hidden" : "flex justify-center pt-1 relative items-center",
+            nav: isWeek ? "hidden" : "space-x-1 flex items-center",
+            table: "w-full border-collapse",
+            head_row: "flex",
+            head_cell: "flex-1 text-muted-foreground font-normal text-xs",
+            row: "flex w-full",
+            cell: "flex-1 min-w-0 p-0 border border-slate-100 dark:border-slate-700",
+            day: cn(
+              "flex flex-col gap-0.5 w-full p-1 text-left text-slate-800 dark:text-slate-100",
+              isWeek ? "min-h-40" : "h-20 sm:h-24 overflow-hidden"
+            ),
+            day_selected: "bg-purple-50 ring-2 ring-inset ring-purple-400 dark:bg-purple-900/20",
+            day_today: "[&>button]:bg-purple-600 [&>button]:text-white",
+            day_outside: isWeek ? "" : "opacity-50",
+          }}
+          components={{
+            Day: TaskDay,
+            ...(isWeek && { Row: WeekRow }),
+          }}
+        />
+      </div>
+
+      {/* Selected day */}
+      <section className="mt-4">
+        <h3 className="text-sm font-semibold mb-2 text-slate-700 dark:text-slate-200">
+          {format(selectedDay, "EEEE, MMM d")}
+        </h3>
+        {selectedTasks.length === 0 ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400">Nothing due this day.</p>
+        ) : (
+          <div className="space-y-2">
+            {selectedTasks.map(task => <AgendaTask key={task.id} task={task} {...taskHandlers} />)}
+          </div>
+        )}
+      </section>
+    </CalendarTasksContext.Provider>
+  );
+}
@@ -16,9 +16,17 @@ import {
   Zap,
   Leaf,
   Users,
+  Repeat,
+  Bell,
+  ListChecks,
 } from "lucide-react";
 import { format } from "date-fns";
 import { cn } from "@/lib/utils";
+import { describeRecurrence } from "@/components/utils/taskRecurrence";
+import { describeReminder } from "@/utils/taskReminders";
+import { getSubtasks, getSubtaskProgress } from "@/components/utils/taskSubtasks";
+import { Checkbox } from "@/components/ui/checkbox";
+import AssigneeAvatar from "./AssigneeAvatar";
 
 // Parse date string (YYYY-MM-DD) as local date to avoid timezone shift
 const parseLocalDate = (dateString) => {
@@ -39,10 +47,14 @@ const statusIcons = {
   completed: <CheckCircle2 className="w-5 h-5 text-green-500 dark:text-green-400" />,
 };
 
-export default function TodoCard({ todo, onToggleComplete, onToggleFavorite, onEdit, onDelete, isExpanded, onToggleExpand }) {
+export default function TodoCard({ todo, assignee, onToggleComplete, onToggleSubtask, onToggleFavorite, onEdit, onDelete, isExpanded, onToggleExpand }) {
   const priority = priorityConfig[todo.priority] || priorityConfig.medium;
   const PriorityIcon = priority.icon;
   const isCompleted = todo.status === 'completed';
+  const recurrenceLabel = describeRecurrence(todo.recurrence);
+  const reminderLabel = describeReminder(todo);
+  const subtasks = getSubtasks(todo);
+  const subtaskProgress = getSubtaskProgress(todo);
 
   return (
     <Card className={cn(
@@ -83,9 +95,31 @@ export default function TodoCard({ todo, onToggleComplete, onToggleFavorite, onE
             <PriorityIcon className="w-3 h-3" />
           </Badge>
 
+          {/* Checklist progress */}
+          {subtaskProgress.total > 0 && (
+            <span
+              className={cn(
+                "flex items-center gap-0.5 text-xs flex-shrink-0",
+                subtaskProgress.done === subtaskProgress.total
+                  ? "text-green-600 dark:text-green-400"
+                  : "text-slate-500 dark:text-slate-400"
+              )}
+              aria-label={`${subtaskProgress.done} of ${subtaskProgress.total} checklist items done`}
+            >
+              <ListChecks className="w-4 h-4" />
+              {subtaskProgress.done}/{subtaskProgress.total}
+            </span>
+          )}
+
+          {recurrenceLabel && (
+            <Repeat className="w-4 h-4 text-purple-500 dark:text-purple-400 flex-shrink-0" aria-label={recurrenceLabel} />
+          )}
+
           {todo.is_favorite && (
             <Star className="w-4 h-4 text-yellow-500 fill-current flex-shrink-0" />
           )}
+
+          {assignee && <AssigneeAvatar member={assignee} className="h-5 w-5 flex-shrink-0" />}
         </div>
       </div>
 
@@ -106,6 +140,41 @@ export default function TodoCard({ todo, onToggleComplete, onToggleFavorite, onE
             </p>
           )}
 
+          {/* Checklist */}
+          {subtasks.length > 0 && (
+            <div className="mb-3">
+              <div className="h-1.5 mb-2 rounded-full bg-slate-100 dark:bg-slate-700 overflow-hidden">
+                <div
+                  className="h-full bg-gradient-to-r from-purple-500 to-pink-500 transition-all"
+                  style={{ width: `${(subtaskProgress.done / subtaskProgress.total) * 100}%` }}
+                />
+              </div>
+              <ul className="space-y-1.5">
+                {subtasks.map((subtask) => (
+                  <li key={subtask.id} className="flex items-start gap-2">
+                    <Checkbox
+                      id={`subtask-${subtask.id}`}
+                      checked={subtask.done}
+                      onCheckedChange={() => onToggleSubtask(todo, subtask.id)}
+                      className="mt-0.5"
+                    />
+                    <label
+                      htmlFor={`subtask-${subtask.id}`}
+                      className={cn(
+                        "text-sm break-words cursor-pointer",
+                        subtask.done
+                          ? "line-through text-slate-400 dark:text-slate-500"
+                          : "text-slate-700 dark:text-slate-200"
+                      )}
+                    >
+                      {subtask.title}
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {/* Badges */}
           <div className="flex flex-wrap items-center gap-2 mb-3">
             {todo.shared_with_family && (
@@ -114,6 +183,12 @@ export default function TodoCard({ todo, onToggleComplete, onToggleFavorite, onE
                 Family
               </Badge>
             )}
+            {assignee && (
+              <Badge variant="outline" className="text-xs flex items-center gap-1 pl-0.5 border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-200">
+                <AssigneeAvatar member={assignee} className="h-4 w-4" />
+                {assignee.full_name || assignee.email}
+              </Badge>
+            )}
             {todo.status === 'in_progress' && (
               <Badge className="bg-blue-500 text-white text-xs hover:bg-blue-600">
                 In Progress
@@ -126,6 +201,18 @@ export default function TodoCard({ todo, onToggleComplete, onToggleFavorite, onE
                 {todo.due_time && ` at ${todo.due_time}`}
               </Badge>
             )}
+            {recurrenceLabel && (
+              <Badge variant="outline" className="text-xs flex items-center gap-1 border-purple-300 dark:border-purple-700 text-purple-700 dark:text-purple-300">
+                <Repeat className="w-3 h-3" />
+                {recurrenceLabel}
+              </Badge>
+            )}
+            {reminderLabel && !isCompleted && (
+              <Badge variant="outline" className="text-xs flex items-center gap-1 border-amber-300 dark:border-amber-700 text-amber-700 dark:text-amber-300">
+                <Bell className="w-3 h-3" />
+                {reminderLabel}
+              </Badge>
+            )}
           </div>
 
           {/* Actions */}
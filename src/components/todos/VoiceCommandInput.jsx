@@ -6,6 +6,7 @@ import { User, Todo, Statistics, ActivityTracking } from "@/api/entities";
 import { InvokeLLM } from "@/api/integrations";
 import { cn } from "@/lib/utils";
 import { consumeCredits, checkCreditsAvailable } from "@/components/utils/creditManager";
+import { normalizeRecurrence, getFirstDueDate } from "@/components/utils/taskRecurrence";
 
 // Helper function to capitalize first letter of each word
 const capitalizeWords = (str) => {
@@ -94,6 +95,12 @@ Return ONLY a JSON object with these fields:
           - priority: "low", "medium", or "high" based on urgency (default: medium)
           - category: one of "home", "work", "personal", "errands", "family", "health", "finance", "other" (default: personal)
           - description: any additional details (optional)
+          - recurrence: only if the task repeats (optional), one of:
+              {"freq": "daily"}
+              {"freq": "weekly", "weekdays": [0-6, ...]} (0 = Sunday, e.g. "every Tuesday" = [2], "weekdays" = [1,2,3,4,5])
+              {"freq": "monthly", "day": 1-31} (e.g. "on the 15th of every month")
+              {"freq": "monthly", "week": 1-4 or -1 for last, "weekday": 0-6} (e.g. "first Monday of the month")
+              {"freq": "after_completion", "days": N} (e.g. "every 3 days" counted from when it's done)
           
           Command: "${transcript}"
           
@@ -106,21 +113,34 @@ Return ONLY a JSON object with these fields:
               due_time: { type: "string" },
               priority: { type: "string" },
               category: { type: "string" },
-              description: { type: "string" }
+              description: { type: "string" },
+              recurrence: {
+                type: "object",
+                properties: {
+                  freq: { type: "string", enum: ["daily", "weekly", "monthly", "after_completion"] },
+                  weekdays: { type: "array", items: { type: "integer" } },
+                  day: { type: "integer" },
+                  week: { type: "integer" },
+                  weekday: { type: "integer" },
+                  days: { type: "integer" }
+                }
+              }
             },
             required: ["title"]
           }
         });
 
         // Clean up the task data
+        const recurrence = normalizeRecurrence(result.recurrence);
         const taskData = {
           title: capitalizeWords(result.title),
           status: "pending",
           priority: result.priority || "medium",
           category: result.category || "personal",
           description: result.description || "",
-          due_date: result.due_date || null,
+          due_date: result.due_date || (recurrence && getFirstDueDate(recurrence)) || null,
           due_time: result.due_time || null,
+          recurrence,
         };
 
         // Call the parent callback to create the task
@@ -0,0 +1,142 @@
+import { User, ItemPriceEstimate } from "@/api/entities";
+
+/**
+ * List budgets and per-item price estimates.
+ *
+ * Estimated prices entered for an item are remembered per item name
+ * (item_price_estimates) so the price pre-fills the next time the same item
+ * is added to any list.
+ */
+
+export const DEFAULT_WARNING_PERCENT = 90;
+
+const normalizeName = (name) => (name || "").toLowerCase().trim();
+
+// name_key -> { id, estimated_price }; loaded once per session and user, so
+// switching accounts without a reload doesn't show the previous user's prices
+let estimatesUserId = null;
+let estimatesPromise = null;
+let estimatesByName = new Map();
+
+/**
+ * Load the current user's remembered prices (cached for the session)
+ * @returns {Promise<Map>}
+ */
+export async function loadPriceEstimates() {
+  const session = await User.getSession();
+  const userId = session?.user?.id || null;
+  if (userId !== estimatesUserId) {
+    estimatesUserId = userId;
+    estimatesPromise = null;
+    estimatesByName = new Map();
+  }
+  if (!userId) return estimatesByName;
+
+  if (!estimatesPromise) {
+    estimatesPromise = ItemPriceEstimate.list()
+      .then(rows => {
+        const byName = new Map(rows.map(row => [row.name_key, row]));
+        // Signed in as someone else while loading - don't let these leak into their cache
+        if (estimatesUserId === userId) estimatesByName = byName;
+        return byName;
+      })
+      .catch(error => {
+        console.warn("budgetManager: failed to load price estimates:", error);
+        if (estimatesUserId === userId) estimatesPromise = null;
+        return estimatesByName;
+      });
+  }
+  return estimatesPromise;
+}
+
+/**
+ * Get the remembered price for an item name (call loadPriceEstimates() first)
+ * @returns {number|null}
+ */
+export function getRememberedPrice(name) {
+  const row = estimatesByName.get(normalizeName(name));
+  return row ? Number(row.estimated_price) : null;
+}
+
+/**
+ * Remember the estimated price for an item name
+ * @param {string} name
+ * @param {number|null} price - Ignored when null
+ */
+export async function rememberEstimatedPrice(name, price) {
+  const nameKey = normalizeName(name);
+  if (!nameKey || price === null || price === undefined) return;
+
+  try {
+    await loadPriceEstimates();
+    const existing = estimatesByName.get(nameKey);
+    if (existing) {
+      if (Number(existing.estimated_price) === price) return;
+      const updated = await ItemPriceEstimate.update(existing.id, { estimated_price: price });
+      estimatesByName.set(nameKey, { ...existing, ...updated });
+    } else {
+      if (!estimatesUserId) return;
+      const created = await ItemPriceEstimate.create({
+        user_id: estimatesUserId,
+        name_key: nameKey,
+        estimated_price: price,
+      });
+      estimatesByName.set(nameKey, created);
+    }
+  } catch (error) {
+    console.warn(`budgetManager: failed to remember price for "${name}":`, error);
+  }
+}
+
+/**
+ * Sum of estimated prices
+ * @param {Array} items
+ * @returns {number}
+ */
+export function getEstimatedTotal(items) {
+  const total = items.reduce((sum, item) => sum + (Number(item.estimated_price) || 0), 0);
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Compare an amount to a list's budget
+ * @param {Object} list - Shopping list (budget, budget_warning_percent)
+ * @param {number} amount
+ * @returns {Object|null} { budget, percent, remaining, level: 'ok'|'warning'|'over' },
+ *   or null when the list has no budget
+ */
+export function getBudgetStatus(list, amount) {
+  const budget = list?.budget != null ? Number(list.budget) : null;
+  if (!budget) return null;
+
+  const percent = (amount / budget) * 100;
+  const warningPercent = list.budget_warning_percent || DEFAULT_WARNING_PERCENT;
+  let level = "ok";
+  if (amount > budget) level = "over";
+  else if (percent >= warningPercent) level = "warning";
+
+  return {
+    budget,
+    percent,
+    remaining: Math.round((budget - amount) * 100) / 100,
+    level,
+  };
+}
+
+/**
+ * Running cart total for a trip in progress: the price paid where one was
+ * entered, otherwise the item's estimated price
+ * @param {Array} items - Items on the list
+ * @param {Object} draft - Trip draft from tripRecorder ({ entries })
+ * @returns {number}
+ */
+export function getCartTotal(items, draft) {
+  const entries = draft?.entries || {};
+  const total = items
+    .filter(item => entries[item.id])
+    .reduce((sum, item) => {
+      const paid = entries[item.id].price;
+      return sum + (paid != null ? paid : (Number(item.estimated_price) || 0));
+    }, 0);
+  return Math.round(total * 100) / 100;
+}
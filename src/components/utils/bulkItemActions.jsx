@@ -0,0 +1,177 @@
+import { User, ShoppingList, ListMember, Item } from "@/api/entities";
+import { updateStatCount } from "@/api/functions";
+import { appCache } from "./appCache";
+import { canAddItem } from "./tierManager";
+import { getDuplicateMergeUpdate } from "./ingredientParser";
+import { getListRole, getListPermissions } from "./listPermissions";
+import { findDuplicateItem } from "@/utils/itemMatching";
+import { trackItem } from "@/utils/trackingContext";
+
+/**
+ * Bulk item actions (ListView multi-select).
+ *
+ * Moving or copying items needs editor access on the destination list -
+ * enforce_shopper_item_update() checks this server-side for moves. Copies
+ * count toward the item limit; moves don't change how many items there are.
+ */
+
+// Item fields carried over when copying to another list
+const COPY_FIELDS = [
+  "name",
+  "quantity",
+  "amount",
+  "unit",
+  "category",
+  "brand",
+  "size_notes",
+  "photo_url",
+  "is_organic",
+  "store_section",
+  "estimated_price",
+];
+
+const toCopy = (item) => Object.fromEntries(
+  COPY_FIELDS
+    .filter(field => item[field] !== undefined && item[field] !== null)
+    .map(field => [field, item[field]])
+);
+
+/**
+ * Lists the user can move or copy items into (editor or owner, not archived)
+ * @param {string} userId
+ * @param {string} excludeListId - The list the items are on
+ * @returns {Promise<Array>} Lists sorted by name
+ */
+export async function getDestinationLists(userId, excludeListId) {
+  let lists = appCache.getShoppingListEntities();
+  if (!lists) {
+    lists = await ShoppingList.list();
+    appCache.setShoppingListEntities(lists);
+  }
+
+  let memberships = appCache.getListMemberships(userId);
+  if (!memberships) {
+    memberships = await ListMember.filter({ user_id: userId });
+    appCache.setListMemberships(userId, memberships);
+  }
+
+  return lists
+    .filter(list => list.id !== excludeListId && !list.archived)
+    .filter(list => {
+      const membership = memberships.find(m => m.list_id === list.id);
+      return getListPermissions(getListRole(list, membership, userId)).canEdit;
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Items that are already on the destination list, in the shape
+ * useDuplicatePrompt's ask() expects
+ * @param {Array} items - Items being moved/copied
+ * @param {Array} targetItems - Items on the destination list
+ * @returns {Array} [{ key, existing, incoming }]
+ */
+export function findTransferDuplicates(items, targetItems) {
+  return items
+    .map(item => ({ key: item.id, existing: findDuplicateItem(targetItems, item.name), incoming: item }))
+    .filter(duplicate => duplicate.existing);
+}
+
+/**
+ * Move or copy items to another list
+ * @param {Object} params
+ * @param {"move"|"copy"} params.mode
+ * @param {Array} params.items - Selected items
+ * @param {Object} params.targetList - Destination list
+ * @param {Array} params.duplicates - From findTransferDuplicates()
+ * @param {Object} params.choices - { [itemId]: 'merge' | 'keep' } for the duplicates
+ * @param {Object} params.user - Current user
+ * @returns {Promise<{transferred: number, merged: number, skipped: number, failed: number}>}
+ *   skipped = copies left out because of the item limit; failed = items
+ *   whose write failed (they stay where they were)
+ */
+export async function transferItems({ mode, items, targetList, duplicates = [], choices = {}, user }) {
+  const mergeInto = new Map(
+    duplicates
+      .filter(duplicate => choices[duplicate.key] === "merge")
+      .map(duplicate => [duplicate.key, duplicate.existing])
+  );
+
+  const toMerge = items.filter(item => mergeInto.has(item.id));
+  let toTransfer = items.filter(item => !mergeInto.has(item.id));
+  let skipped = 0;
+
+  // Only new rows on the destination list count toward the limit
+  if (mode === "copy" && toTransfer.length > 0) {
+    const itemCheck = await canAddItem();
+    const remaining = itemCheck.canAdd && itemCheck.limit != null
+      ? Math.max(0, itemCheck.limit - (itemCheck.currentCount || 0))
+      : 0;
+    skipped = Math.max(0, toTransfer.length - remaining);
+    toTransfer = toTransfer.slice(0, remaining);
+  }
+
+  // Merge quantities into the existing item, combining several selected
+  // items that match the same one
+  const mergedTargets = new Map();
+  const merged = [];
+  let failed = 0;
+  for (const item of toMerge) {
+    try {
+      const existing = mergedTargets.get(mergeInto.get(item.id).id) || mergeInto.get(item.id);
+      const saved = await Item.update(
+        existing.id,
+        getDuplicateMergeUpdate(existing, item),
+        trackItem[mode](user.id, item.name, targetList.name)
+      );
+      mergedTargets.set(existing.id, { ...existing, ...saved });
+      merged.push(item);
+    } catch (error) {
+      console.error(`bulkItemActions: failed to merge "${item.name}":`, error);
+      failed++;
+    }
+  }
+
+  let transferred = 0;
+  for (const item of toTransfer) {
+    try {
+      if (mode === "move") {
+        await Item.update(item.id, { list_id: targetList.id }, trackItem.move(user.id, item.name, targetList.name));
+      } else {
+        await Item.create(
+          { ...toCopy(item), list_id: targetList.id, added_by: user.email, is_checked: false },
+          trackItem.copy(user.id, item.name, targetList.name)
+        );
+      }
+      transferred++;
+    } catch (error) {
+      console.error(`bulkItemActions: failed to ${mode} "${item.name}":`, error);
+      failed++;
+    }
+  }
+
+  // Moved items that were merged no longer exist on their own
+  let removed = 0;
+  if (mode === "move") {
+    for (const item of merged) {
+      try {
+        await Item.delete(item.id, trackItem.delete(user.id, item.name));
+        removed++;
+      } catch (error) {
+        // Its quantity is on the destination already; the original just stays behind
+        console.error(`bulkItemActions: failed to remove merged "${item.name}":`, error);
+      }
+    }
+  }
+
+  const itemDelta = mode === "copy" ? transferred : -removed;
+  if (itemDelta !== 0) {
+    const currentUser = await User.me();
+    await User.updateMe({ current_total_items: Math.max(0, (currentUser.current_total_items || 0) + itemDelta) });
+    appCache.clearUser();
+    await updateStatCount("total_items", itemDelta);
+  }
+
+  appCache.clearShoppingList(targetList.id);
+  return { transferred, merged: merged.length, skipped, failed };
+}
@@ -0,0 +1,109 @@
+/**
+ * Cooking timers.
+ *
+ * Finds durations in recipe step text ("simmer for 20 minutes", "bake
+ * 1 hr 15 mins", "rest 5-10 minutes") so cook mode can offer a timer for
+ * each one.
+ */
+
+const WORD_NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, twelve: 12, fifteen: 15, twenty: 20, thirty: 30,
+  forty: 40, "forty-five": 45, fifty: 50, sixty: 60, ninety: 90
+};
+
+const UNICODE_FRACTIONS = { "½": 0.5, "¼": 0.25, "¾": 0.75, "⅓": 1 / 3, "⅔": 2 / 3 };
+
+const UNIT_SECONDS = { h: 3600, m: 60, s: 1 };
+
+const MIN_TIMER_SECONDS = 10;
+
+const NUMBER = `(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*[½¼¾⅓⅔]|\\d+(?:\\.\\d+)?|${Object.keys(WORD_NUMBERS).sort((a, b) => b.length - a.length).join("|")})`;
+const RANGE = `${NUMBER}(?:\\s*(?:-|–|to|or)\\s*${NUMBER})?`;
+const UNIT = "(?:hours?|hrs?|minutes?|mins?|seconds?|secs?)\\b";
+const PART = `(${RANGE})\\s*(${UNIT})`;
+
+// "1 hour 15 minutes", "1 hr and 15 mins", "half an hour", "20 minutes"
+const DURATION_PATTERN = new RegExp(
+  `(?<![\\w./])(?:half an hour|${PART}(?:,?\\s*(?:and\\s+)?${PART})?)`,
+  "gi"
+);
+
+function parseNumber(text) {
+  const value = text.trim().toLowerCase();
+  if (value in WORD_NUMBERS) return WORD_NUMBERS[value];
+
+  const mixed = value.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+
+  const fraction = value.match(/^(\d+)\/(\d+)$/);
+  if (fraction) return Number(fraction[1]) / Number(fraction[2]);
+
+  const unicode = value.match(/^(\d*)([½¼¾⅓⅔])$/);
+  if (unicode) return Number(unicode[1] || 0) + UNICODE_FRACTIONS[unicode[2]];
+
+  return Number(value);
+}
+
+// Lower and upper bound of "10-12" / "10 to 12" / "10"
+function parseRange(text) {
+  const [low, high] = text.split(/\s*(?:-|–|\bto\b|\bor\b)\s*/i).map(parseNumber);
+  return [low, high ?? low];
+}
+
+function unitSeconds(unit) {
+  return UNIT_SECONDS[unit.toLowerCase()[0]];
+}
+
+/**
+ * Durations mentioned in a step
+ * @param {string} text - Step instruction
+ * @returns {Array<{text: string, seconds: number, maxSeconds: number}>}
+ *   text is the phrase as written ("10-12 minutes"); a timer for a range
+ *   runs for the lower bound (seconds) so the cook can check early
+ */
+export function detectTimers(text) {
+  if (!text) return [];
+
+  const timers = [];
+  for (const match of text.matchAll(DURATION_PATTERN)) {
+    let seconds = 0;
+    let maxSeconds = 0;
+
+    if (!match[1]) {
+      // half an hour
+      seconds = maxSeconds = 1800;
+    } else {
+      for (const [range, unit] of [[match[1], match[2]], [match[3], match[4]]]) {
+        if (!range) continue;
+        const [low, high] = parseRange(range);
+        seconds += low * unitSeconds(unit);
+        maxSeconds += high * unitSeconds(unit);
+      }
+    }
+
+    seconds = Math.round(seconds);
+    // Too short to need a timer - and keeps "stir a second time" out
+    if (seconds >= MIN_TIMER_SECONDS && Number.isFinite(seconds)) {
+      timers.push({ text: match[0], seconds, maxSeconds: Math.round(maxSeconds) });
+    }
+  }
+  return timers;
+}
+
+/**
+ * Short label for a duration: 90 -> "1:30", 3900 -> "1:05:00"
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatTimer(seconds) {
+  const total = Math.max(0, Math.ceil(seconds));
+  const hrs = Math.floor(total / 3600);
+  const mins = Math.floor(total % 3600 / 60);
+  const secs = total % 60;
+
+  if (hrs > 0) {
+    return `${hrs}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
@@ -1,5 +1,6 @@
 // -----------------------------
 // ingredient-parser.js
+import { addQuantities, formatQuantity, formatAmount, formatUnit, convertAmount, convertToSystem } from './unitConverter';
 
 // --- Helpers & Dictionaries --------------------------------------------------
 const UNICODE_FRACTIONS = {
@@ -34,7 +35,7 @@ const UNIT_SYNONYMS = {
   quart: ['quart','quarts','qt'],
   gallon: ['gallon','gallons','gal'],
   milliliter: ['milliliter','milliliters','ml'],
-  liter: ['liter','liters','l'],
+  liter: ['liter','liters','litre','litres','l'],
   ounce: ['ounce','ounces','oz'],
   lb: ['pound','pounds','lb','lbs'],
   g: ['gram','grams','g'],
@@ -42,11 +43,14 @@ const UNIT_SYNONYMS = {
   can: ['can','cans'],
   jar: ['jar','jars'],
   bottle: ['bottle','bottles'],
-  package: ['package','packages','pkg'],
+  package: ['package','packages','pkg','pack','packs'],
   box: ['box','boxes'],
   bag: ['bag','bags'],
   carton: ['carton','cartons'],
   sheet: ['sheet','sheets'],
+  stick: ['stick','sticks'],
+  clove: ['clove','cloves'],
+  slice: ['slice','slices'],
   inch: ['inch','inches','in']
 };
 
@@ -222,4 +226,270 @@ export function parseIngredients(lines) {
     .map(s => (typeof s === 'string' ? s : ''))
     .map(parseIngredient)
     .filter(row => row.item); // keep only non-empty items (filters out water and empty strings)
-}
\ No newline at end of file
+}
+// --- Scaling recipe lines -----------------------------------------------------
+// Leading amount of an ingredient line, after unicode fractions are expanded
+// ("1½" -> "1 0.5"): "2", "1 1/2", "1 0.5", "0.5", "3/4", and ranges of
+// those ("1-2", "2 to 3"), optionally followed by a unit ("400g", "2 cups")
+const SCALE_AMOUNT = '\\d+\\/\\d+|\\d+(?:\\.\\d+)?(?:\\s+(?:\\d+\\/\\d+|0?\\.\\d+))?';
+const SCALE_LINE_RE = new RegExp(
+  `^(${SCALE_AMOUNT})(?:\\s*(?:-|–|to)\\s*(${SCALE_AMOUNT}))?(?:\\s*([a-z]+\\.?)(?![a-z]))?\\s*(.*)$`, 'i'
+);
+
+// Metric amounts read fine as decimals; cups, spoons and counts read better
+// as fractions ("1 ½ cups" rather than "1.5 cups")
+const METRIC_UNITS = ['milliliter', 'liter', 'g', 'kg'];
+const DISPLAY_FRACTIONS = [
+  [1/8, '⅛'], [1/4, '¼'], [1/3, '⅓'], [3/8, '⅜'], [1/2, '½'],
+  [5/8, '⅝'], [2/3, '⅔'], [3/4, '¾'], [7/8, '⅞']
+];
+
+// Plurals the suffix rules in pluralizeWord / singularizeWord get wrong
+const IRREGULAR_PLURALS = { leaf: 'leaves', loaf: 'loaves', half: 'halves' };
+
+function pluralizeWord(word) {
+  const lower = word.toLowerCase();
+  if (IRREGULAR_PLURALS[lower]) return IRREGULAR_PLURALS[lower];
+  if (/s$/i.test(word)) return word;
+  if (/[^aeiou]y$/i.test(word)) return word.slice(0, -1) + 'ies';
+  if (/(x|z|ch|sh|tomato|potato)$/i.test(word)) return word + 'es';
+  return word + 's';
+}
+
+function singularizeWord(word) {
+  const lower = word.toLowerCase();
+  const irregular = Object.keys(IRREGULAR_PLURALS).find(key => IRREGULAR_PLURALS[key] === lower);
+  if (irregular) return irregular;
+  if (/ies$/i.test(word)) return word.slice(0, -3) + 'y';
+  if (/(x|z|ch|sh|ss|o)es$/i.test(word)) return word.slice(0, -2);
+  if (/[^s]s$/i.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Make the counted noun of a unitless line agree with its amount: the last
+ * word before any comma, bracket or preposition, skipping trailing
+ * descriptors ("large eggs, beaten" -> "large egg, beaten")
+ */
+function inflectCountedNoun(text, plural) {
+  const phrase = text.split(/[,(;]/)[0];
+  const words = phrase.split(' ');
+  const prep = words.findIndex(w => PREPOSITIONS.includes(w.toLowerCase()));
+  let i = (prep === -1 ? words.length : prep) - 1;
+  while (i >= 0 && (DESCRIPTORS.includes(words[i].toLowerCase()) || /ed$/i.test(words[i]))) i--;
+  if (i < 0 || i > 3 || !/^[a-z]+$/i.test(words[i])) return text;
+
+  words[i] = plural ? pluralizeWord(words[i]) : singularizeWord(words[i]);
+  return words.join(' ') + text.slice(phrase.length);
+}
+
+function formatRecipeAmount(amount, unit) {
+  if (METRIC_UNITS.includes(unit)) return formatAmount(amount);
+
+  const whole = Math.floor(amount);
+  const fraction = DISPLAY_FRACTIONS.find(([value]) => Math.abs(amount - whole - value) < 0.02);
+  if (fraction) return whole ? `${whole} ${fraction[1]}` : fraction[1];
+  return formatAmount(amount - whole < 0.02 ? whole : amount);
+}
+
+/**
+ * Rescale the quantity at the start of a recipe ingredient line, keeping the
+ * rest of the line as written ("1½ cups flour, sifted" x2 -> "3 cups flour,
+ * sifted"). Ranges scale both ends. Lines without a leading amount ("Salt
+ * to taste", "a pinch of nutmeg") are returned unchanged.
+ * @param {string} line
+ * @param {number} scale - e.g. 2 for double the servings
+ * @param {'metric'|'imperial'|null} system - Also convert the unit
+ * @returns {string}
+ */
+export function scaleIngredientLine(line, scale = 1, system = null) {
+  if (typeof line !== 'string' || !line.trim()) return line;
+
+  const working = normalizeSpaces(unicodeFracsToAscii(line));
+  if (VAGUE_PHRASES.some(phrase => new RegExp(`^${phrase}\\b`, 'i').test(working))) return line;
+
+  const m = working.match(SCALE_LINE_RE);
+  if (!m) return line;
+
+  const low = parseMixedNumber(m[1]);
+  const high = m[2] ? parseMixedNumber(m[2]) : null;
+  if (low == null) return line;
+
+  const unit = m[3] ? matchUnitToken(m[3]) : null;
+  // A word that isn't a unit ("2 large eggs") stays part of the text
+  const rest = unit ? m[4] : [m[3], m[4]].filter(Boolean).join(' ');
+
+  let amounts = [low, high].filter(a => a != null).map(a => a * scale);
+  const target = system && unit ? convertToSystem(amounts[amounts.length - 1], unit, system).unit : unit;
+  if (scale === 1 && target === unit) return line;
+
+  if (target !== unit) {
+    // Converted amounts don't need more precision than the original
+    amounts = amounts.map(a => convertAmount(a, unit, target)).map(a => (a >= 10 ? Math.round(a) : a));
+  }
+
+  const top = amounts[amounts.length - 1];
+  const quantity = [
+    amounts.map(a => formatRecipeAmount(a, target)).join('-'),
+    target && formatUnit(top, target)
+  ].filter(Boolean).join(' ');
+  // "2 large eggs" halved is "1 large egg"
+  const text = !target && ((high ?? low) > 1) !== (top > 1) ? inflectCountedNoun(rest, top > 1) : rest;
+
+  return [quantity, text].filter(Boolean).join(' ');
+}
+
+// --- Structured quantities (shopping list items) ------------------------------
+// Items store a numeric amount plus a normalized unit alongside the display
+// quantity, so the same item added twice can be merged ("2 cups" + "1 cup").
+
+// Mixed numbers and fractions first, so "1/2" isn't read as 1
+const AMOUNT_PATTERN = '\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:\\.\\d+)?';
+
+// Leading amount (ranges use the upper bound - better to buy enough), the
+// space after it, an optional "x" ("3x apples") and whatever follows
+const LEADING_QTY_RE = new RegExp(
+  `^(${AMOUNT_PATTERN})(?:\\s*(?:-|–)\\s*(${AMOUNT_PATTERN}))?(\\s*)(x\\b\\s*)?(.*)$`, 'i'
+);
+
+// Words that make a leading number part of the product name ("7 Up",
+// "9 grain bread", "5 spice powder", "3 bean salad", "7 layer dip")
+const NUMBERED_NAME_RE = /^(?:up|grain|bean|spice|layer|seed)\b/i;
+
+// Trailing amount: "Milk 2 liters", "Eggs x12", "Apples 3"
+const TRAILING_QTY_RE = /^(.*\S)\s+(?:x\s*)?(\d+(?:\.\d+)?|\d+\/\d+)\s*([a-z]+)?$/i;
+
+function readLeadingQuantity(working) {
+  const m = working.match(LEADING_QTY_RE);
+  if (!m) return null;
+
+  const [, low, high, space, times, after] = m;
+  // Anything glued to the amount must be a unit ("400g"), not part of a
+  // name ("7up")
+  if (!space && !times && after && !matchUnitToken(after.split(' ')[0])) return null;
+
+  let amount = parseMixedNumber(high || low);
+  if (amount == null) return null;
+  let rest = after.trim();
+  if (!high && !times && /^\d+$/.test(low) && NUMBERED_NAME_RE.test(rest)) return null;
+
+  if (/^dozen\b/i.test(rest)) {
+    amount *= 12;
+    rest = rest.slice('dozen'.length).trim();
+  }
+
+  const [first, ...others] = rest.split(' ');
+  const unit = matchUnitToken(first || '');
+  if (unit) rest = others.join(' ');
+
+  return { amount, unit, rest: rest.replace(/^of\s+/i, '').trim() };
+}
+
+/**
+ * Parse a quantity on its own ("2 cups", "1 1/2 lb", "3x", "400g", "1 dozen")
+ * @returns {{amount: number|null, unit: string|null}} nulls when the text
+ *   isn't a plain amount (e.g. "a few", "2 large")
+ */
+export function parseQuantity(text) {
+  const working = normalizeSpaces(unicodeFracsToAscii(String(text ?? '')))
+    .replace(/^x\s*/i, '');
+  const parsed = readLeadingQuantity(working);
+  if (!parsed || parsed.rest) return { amount: null, unit: null };
+  return { amount: parsed.amount, unit: parsed.unit };
+}
+
+/**
+ * Normalize a typed quantity into the item fields { quantity, amount, unit }.
+ * Text that isn't a plain amount is kept as-is with no amount.
+ */
+export function quantityFields(quantity) {
+  const text = String(quantity ?? '').trim();
+  const { amount, unit } = parseQuantity(text);
+  return {
+    quantity: amount != null ? formatQuantity(amount, unit) : text,
+    amount,
+    unit
+  };
+}
+
+/**
+ * Split a typed shopping item into name and quantity
+ * ("2 cups milk", "2lb Chicken", "3x Apples", "Milk 2 liters", "Eggs x12")
+ * @returns {{name: string, quantity: string, amount: number|null, unit: string|null}}
+ */
+export function parseItemText(text) {
+  const working = normalizeSpaces(unicodeFracsToAscii(String(text ?? '')));
+  const none = { name: working, quantity: '', amount: null, unit: null };
+  if (!working) return none;
+
+  let parsed = readLeadingQuantity(working);
+  let name = parsed?.rest;
+
+  if (!name) {
+    const m = working.match(TRAILING_QTY_RE);
+    if (!m) return none;
+    const trailing = readLeadingQuantity([m[2], m[3]].filter(Boolean).join(' '));
+    // The trailing word must be a unit ("Apples 3 red" isn't a quantity)
+    if (!trailing || trailing.rest) return none;
+    parsed = trailing;
+    name = m[1];
+  }
+
+  return {
+    name,
+    quantity: formatQuantity(parsed.amount, parsed.unit),
+    amount: parsed.amount,
+    unit: parsed.unit
+  };
+}
+
+/**
+ * An item's structured quantity, parsing the display quantity for items
+ * saved before amount/unit existed
+ */
+export function getItemQuantity(item) {
+  if (item?.amount != null) {
+    return { amount: Number(item.amount), unit: item.unit || null };
+  }
+  return parseQuantity(item?.quantity);
+}
+
+/**
+ * Combine a quantity being added with an item already on the list
+ * @param {Object} existingItem - Item on the list
+ * @param {{amount, unit}} incoming - Quantity being added
+ * @returns {{quantity, amount, unit}|null} Fields to update, or null when the
+ *   quantities can't be combined (missing amount, or e.g. cups vs grams)
+ */
+export function mergeItemQuantity(existingItem, incoming) {
+  const merged = addQuantities(getItemQuantity(existingItem), incoming);
+  if (!merged) return null;
+  return { ...merged, quantity: formatQuantity(merged.amount, merged.unit) };
+}
+
+/**
+ * Quantity fields for merging a duplicate into an existing item. Compatible
+ * amounts are added up; otherwise both quantities are kept as text
+ * ("2 cups + 100 g").
+ * @returns {{quantity, amount, unit}|{}} Empty when there's nothing to add
+ */
+export function combineItemQuantities(existingItem, incoming) {
+  const merged = mergeItemQuantity(existingItem, incoming);
+  if (merged) return merged;
+
+  const incomingText = incoming.quantity || formatQuantity(incoming.amount, incoming.unit);
+  if (!incomingText) return {};
+  if (!existingItem.quantity) return quantityFields(incomingText);
+  return { quantity: `${existingItem.quantity} + ${incomingText}`, amount: null, unit: null };
+}
+
+/**
+ * Fields to update when the user merges a duplicate into an existing item;
+ * a checked-off item goes back on the list
+ */
+export function getDuplicateMergeUpdate(existingItem, incoming) {
+  return {
+    ...combineItemQuantities(existingItem, incoming),
+    ...(existingItem.is_checked && { is_checked: false, checked_date: null })
+  };
+}
@@ -0,0 +1,84 @@
+import { User, ShoppingList, Item } from "@/api/entities";
+import { autoArchiveStaleLists } from "@/api/functions";
+import { appCache } from "./appCache";
+import { canCreateShoppingList } from "./tierManager";
+import { trackShoppingList } from "@/utils/trackingContext";
+
+/**
+ * Archived lists.
+ *
+ * Archived lists (and their items) don't count toward the user's list and
+ * item limits - the family-aware counts already skip them server-side, so
+ * the per-user usage counters are adjusted here to match.
+ */
+
+// Options for profiles.auto_archive_after_days (null = off)
+export const AUTO_ARCHIVE_OPTIONS = [
+  { value: null, label: "Never" },
+  { value: 30, label: "After 30 days" },
+  { value: 60, label: "After 60 days" },
+  { value: 90, label: "After 90 days" },
+];
+
+async function adjustUsage(listDelta, itemDelta) {
+  const currentUser = await User.me();
+  await User.updateMe({
+    current_shopping_lists: Math.max(0, (currentUser.current_shopping_lists || 0) + listDelta),
+    current_total_items: Math.max(0, (currentUser.current_total_items || 0) + itemDelta),
+  });
+  appCache.clearUser();
+}
+
+/**
+ * Archive a list
+ * @param {Object} list
+ * @param {string} userId
+ * @returns {Promise<Object>} Updated list
+ */
+export async function archiveList(list, userId) {
+  const updated = await ShoppingList.update(
+    list.id,
+    { archived: true, archived_date: new Date().toISOString() },
+    trackShoppingList.archive(userId, list.name)
+  );
+  const items = await Item.filter({ list_id: list.id });
+  await adjustUsage(-1, -items.length);
+  return updated;
+}
+
+/**
+ * Restore an archived list, if the user has room for another list
+ * @param {Object} list
+ * @param {string} userId
+ * @returns {Promise<{restored: boolean, list?: Object, message?: string}>}
+ */
+export async function restoreList(list, userId) {
+  const canCreate = await canCreateShoppingList();
+  if (!canCreate.canCreate) {
+    return { restored: false, message: canCreate.message };
+  }
+
+  const updated = await ShoppingList.update(
+    list.id,
+    { archived: false, archived_date: null },
+    trackShoppingList.restore(userId, list.name)
+  );
+  const items = await Item.filter({ list_id: list.id });
+  await adjustUsage(1, items.length);
+  return { restored: true, list: updated };
+}
+
+/**
+ * Apply the user's auto-archive rule
+ * @param {Object} user - Current user (profile)
+ * @returns {Promise<number>} Number of lists archived
+ */
+export async function runAutoArchive(user) {
+  if (!user?.auto_archive_after_days) return 0;
+
+  const result = await autoArchiveStaleLists();
+  if (result?.archived_count > 0) {
+    await adjustUsage(-result.archived_count, -(result.item_count || 0));
+  }
+  return result?.archived_count || 0;
+}
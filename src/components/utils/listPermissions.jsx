@@ -0,0 +1,75 @@
+/**
+ * List member roles and what each one may do.
+ * Mirrors get_list_role / has_list_role in the database, which is where the
+ * rules are actually enforced - this is only used to hide actions in the UI.
+ *   - viewer:  read-only
+ *   - shopper: can check items off
+ *   - editor:  can add, edit and delete items
+ *   - owner:   list owner; also manages sharing and deletes the list
+ */
+export const LIST_ROLES = {
+  VIEWER: "viewer",
+  SHOPPER: "shopper",
+  EDITOR: "editor",
+  OWNER: "owner",
+};
+
+const ROLE_RANK = {
+  viewer: 1,
+  shopper: 2,
+  editor: 3,
+  owner: 4,
+};
+
+export const ROLE_LABELS = {
+  viewer: "Viewer",
+  shopper: "Shopper",
+  editor: "Editor",
+  owner: "Owner",
+};
+
+export const ROLE_DESCRIPTIONS = {
+  viewer: "Can see the list",
+  shopper: "Can check items off",
+  editor: "Can add, edit and delete items",
+  owner: "Manages the list and who it's shared with",
+};
+
+// Roles the owner can give to other people
+export const ASSIGNABLE_ROLES = [LIST_ROLES.VIEWER, LIST_ROLES.SHOPPER, LIST_ROLES.EDITOR];
+
+// Memberships created before roles existed (or cached from then) say 'member'
+export function normalizeRole(role) {
+  return ROLE_RANK[role] ? role : LIST_ROLES.EDITOR;
+}
+
+/**
+ * Current user's role on a list
+ * @param {Object} list - Shopping list
+ * @param {Object|null} membership - The user's list_members row, if any
+ * @param {string} userId
+ * @returns {string|null} Role, or null if the user has no access
+ */
+export function getListRole(list, membership, userId) {
+  if (!list || !userId) return null;
+  if (list.owner_id === userId) return LIST_ROLES.OWNER;
+  if (membership) {
+    return membership.status === "pending" ? null : normalizeRole(membership.role);
+  }
+  // Family-shared lists without a membership row
+  return list.shared_with_family ? LIST_ROLES.EDITOR : null;
+}
+
+/**
+ * What a role allows
+ * @param {string|null} role
+ * @returns {{canCheck: boolean, canEdit: boolean, canManage: boolean}}
+ */
+export function getListPermissions(role) {
+  const rank = ROLE_RANK[role] || 0;
+  return {
+    canCheck: rank >= ROLE_RANK.shopper,
+    canEdit: rank >= ROLE_RANK.editor,
+    canManage: rank >= ROLE_RANK.owner,
+  };
+}
@@ -0,0 +1,121 @@
+import { User, Item, ListTemplate } from "@/api/entities";
+import { updateStatCount } from "@/api/functions";
+import { appCache } from "./appCache";
+import { canAddItem } from "./tierManager";
+import { trackShoppingList } from "@/utils/trackingContext";
+
+/**
+ * List templates.
+ *
+ * A template is a snapshot of a list (icon, color, store sections and items)
+ * kept in list_templates. Items live in the template row as jsonb, so saved
+ * templates don't count toward the item limit until a list is created from
+ * one.
+ */
+
+// Item fields copied into a template
+const TEMPLATE_ITEM_FIELDS = [
+  "name",
+  "quantity",
+  "amount",
+  "unit",
+  "category",
+  "brand",
+  "size_notes",
+  "photo_url",
+  "is_organic",
+  "store_section",
+];
+
+const toTemplateItem = (item) => Object.fromEntries(
+  TEMPLATE_ITEM_FIELDS
+    .filter(field => item[field] !== undefined && item[field] !== null)
+    .map(field => [field, item[field]])
+);
+
+/**
+ * Templates the user can create lists from: their own plus family-shared
+ * ones (RLS decides which are visible)
+ * @returns {Promise<Array>}
+ */
+export async function loadTemplates() {
+  return ListTemplate.list("name");
+}
+
+/**
+ * Save a list as a template. Checked-off items are included, since a template
+ * describes everything the list usually needs.
+ * @param {Object} params
+ * @param {Object} params.list - Shopping list
+ * @param {Array} params.items - Items on the list
+ * @param {string} params.name - Template name
+ * @param {boolean} params.shareWithFamily
+ * @param {string} params.userId
+ * @returns {Promise<Object>} Created template
+ */
+export async function saveListAsTemplate({ list, items, name, shareWithFamily, userId }) {
+  const seen = new Set();
+  const templateItems = items
+    .filter(item => {
+      const key = item.name.toLowerCase().trim();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(toTemplateItem);
+
+  return ListTemplate.create(
+    {
+      owner_id: userId,
+      name: name.trim(),
+      icon: list.icon,
+      color: list.color,
+      store_sections: list.store_sections || null,
+      items: templateItems,
+      share_with_family: shareWithFamily,
+    },
+    trackShoppingList.saveTemplate(userId, name)
+  );
+}
+
+/**
+ * Add a template's items to a (new) list, stopping at the user's item limit
+ * @param {Object} template
+ * @param {string} listId
+ * @param {string} addedBy - Email of the user creating the list
+ * @returns {Promise<{created: number, skipped: number}>}
+ */
+export async function addTemplateItems(template, listId, addedBy) {
+  const templateItems = template.items || [];
+  if (templateItems.length === 0) return { created: 0, skipped: 0 };
+
+  const itemCheck = await canAddItem();
+  const remaining = itemCheck.canAdd && itemCheck.limit != null
+    ? Math.max(0, itemCheck.limit - (itemCheck.currentCount || 0))
+    : 0;
+  const toCreate = templateItems.slice(0, remaining);
+
+  let created = 0;
+  for (const templateItem of toCreate) {
+    try {
+      await Item.create({
+        ...templateItem,
+        list_id: listId,
+        added_by: addedBy,
+        is_checked: false,
+      });
+      created++;
+    } catch (error) {
+      console.error(`listTemplates: failed to add "${templateItem.name}":`, error);
+    }
+  }
+
+  if (created > 0) {
+    const currentUser = await User.me();
+    await User.updateMe({ current_total_items: (currentUser.current_total_items || 0) + created });
+    appCache.clearUser();
+    await updateStatCount("total_items", created);
+  }
+
+  return { created, skipped: templateItems.length - created };
+}
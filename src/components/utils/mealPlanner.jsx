@@ -0,0 +1,188 @@
+import { User, Item, CommonItem } from "@/api/entities";
+import { updateStatCount } from "@/api/functions";
+import { format, addDays, startOfWeek } from "date-fns";
+import { appCache } from "./appCache";
+import { canAddItem } from "./tierManager";
+import { parseIngredient, parseQuantity, combineItemQuantities, getDuplicateMergeUpdate } from "./ingredientParser";
+import { formatQuantity } from "./unitConverter";
+import { buildVariantLookup, findInLookup, findDuplicateItem } from "@/utils/itemMatching";
+import { trackItem } from "@/utils/trackingContext";
+
+/**
+ * Meal planner.
+ *
+ * A meal plan is a set of meal_plan_entries (recipe + day + servings). A week
+ * of entries becomes one shopping list: every ingredient is parsed with
+ * ingredientParser, scaled from the recipe's servings to the planned ones,
+ * and ingredients that appear in several recipes are merged (converting units
+ * where they're compatible, e.g. cups + tbsp).
+ */
+
+// Weeks start on Monday
+export const WEEK_STARTS_ON = 1;
+
+const DATE_FORMAT = "yyyy-MM-dd";
+
+/**
+ * Monday of the week containing a date
+ * @param {Date} date
+ * @returns {Date}
+ */
+export function getWeekStart(date = new Date()) {
+  return startOfWeek(date, { weekStartsOn: WEEK_STARTS_ON });
+}
+
+/**
+ * The seven days of a week as planned_date values ("2026-10-19")
+ * @param {Date} weekStart
+ * @returns {string[]}
+ */
+export function getWeekDates(weekStart) {
+  return Array.from({ length: 7 }, (_, i) => format(addDays(weekStart, i), DATE_FORMAT));
+}
+
+/**
+ * A recipe's ingredients as plain text lines
+ * (ingredients are stored either as strings or as { name, quantity, notes })
+ * @param {Object} recipe
+ * @returns {string[]}
+ */
+export function getIngredientLines(recipe) {
+  return (recipe?.ingredients || []).map(ing => {
+    if (typeof ing === "string") return ing;
+    return (ing.quantity ? `${ing.quantity} ${ing.name}` : ing.name) + (ing.notes ? ` (${ing.notes})` : "");
+  });
+}
+
+/**
+ * Servings a meal plan entry is cooked for
+ * @param {Object} entry
+ * @param {Object} recipe
+ * @returns {number}
+ */
+export function getPlannedServings(entry, recipe) {
+  return entry.servings || recipe?.servings || 4;
+}
+
+const capitalize = (name) => name.replace(/\b\w/g, char => char.toUpperCase());
+
+/**
+ * One shopping item for a scaled ingredient line. Amounts are scaled; text
+ * quantities ("a pinch", "2 large") can't be and are kept as they are.
+ */
+function scaleIngredient(line, scale) {
+  const { quantity, item } = parseIngredient(line);
+  if (!item) return null;
+
+  const { amount, unit } = parseQuantity(quantity);
+  if (amount == null) {
+    return { name: capitalize(item), quantity, amount: null, unit: null };
+  }
+
+  const scaled = Math.round(amount * scale * 100) / 100;
+  return { name: capitalize(item), quantity: formatQuantity(scaled, unit), amount: scaled, unit };
+}
+
+/**
+ * Consolidated shopping items for a set of meal plan entries
+ * @param {Array} entries - meal_plan_entries
+ * @param {Map<string, Object>} recipesById
+ * @returns {Array} [{ id, name, quantity, amount, unit, recipes: string[] }] sorted by name
+ */
+export function buildShoppingItems(entries, recipesById) {
+  const items = [];
+
+  for (const entry of entries) {
+    const recipe = recipesById.get(entry.recipe_id);
+    if (!recipe) continue;
+
+    const scale = recipe.servings ? getPlannedServings(entry, recipe) / recipe.servings : 1;
+
+    for (const line of getIngredientLines(recipe)) {
+      const incoming = scaleIngredient(line, scale);
+      if (!incoming) continue;
+
+      const existing = findDuplicateItem(items, incoming.name);
+      if (existing) {
+        Object.assign(existing, combineItemQuantities(existing, incoming));
+        if (!existing.recipes.includes(recipe.full_title)) {
+          existing.recipes.push(recipe.full_title);
+        }
+      } else {
+        items.push({ ...incoming, id: `plan-${items.length}`, recipes: [recipe.full_title] });
+      }
+    }
+  }
+
+  return items.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Write consolidated meal plan items to a list
+ * @param {Object} params
+ * @param {Array} params.items - From buildShoppingItems()
+ * @param {Object} params.targetList
+ * @param {Array} params.duplicates - [{ key, existing, incoming }] for useDuplicatePrompt
+ * @param {Object} params.choices - { [itemId]: 'merge' | 'keep' } for the duplicates
+ * @param {Object} params.user - Current user
+ * @returns {Promise<{added: number, merged: number, skipped: number}>}
+ *   skipped = items left out because of the item limit
+ */
+export async function addShoppingItemsToList({ items, targetList, duplicates = [], choices = {}, user }) {
+  const mergeInto = new Map(
+    duplicates
+      .filter(duplicate => choices[duplicate.key] === "merge")
+      .map(duplicate => [duplicate.key, duplicate.existing])
+  );
+
+  const toMerge = items.filter(item => mergeInto.has(item.id));
+  let toCreate = items.filter(item => !mergeInto.has(item.id));
+
+  const itemCheck = await canAddItem();
+  const remaining = itemCheck.canAdd && itemCheck.limit != null
+    ? Math.max(0, itemCheck.limit - (itemCheck.currentCount || 0))
+    : 0;
+  const skipped = Math.max(0, toCreate.length - remaining);
+  toCreate = toCreate.slice(0, remaining);
+
+  const mergedTargets = new Map();
+  for (const item of toMerge) {
+    const existing = mergedTargets.get(mergeInto.get(item.id).id) || mergeInto.get(item.id);
+    const update = getDuplicateMergeUpdate(existing, item);
+    await Item.update(existing.id, update, trackItem.edit(user.id, existing.name));
+    mergedTargets.set(existing.id, { ...existing, ...update });
+  }
+
+  // Category and photo from the master item list, like recipe imports
+  const masterItemLookup = toCreate.length > 0 ? buildVariantLookup(await CommonItem.list()) : new Map();
+
+  let added = 0;
+  for (const item of toCreate) {
+    const masterItem = findInLookup(masterItemLookup, item.name);
+    try {
+      await Item.create({
+        list_id: targetList.id,
+        name: item.name,
+        quantity: item.quantity,
+        amount: item.amount,
+        unit: item.unit,
+        category: masterItem?.category || "Other",
+        photo_url: masterItem?.photo_url || null,
+        added_by: user.email
+      }, trackItem.add(user.id, item.name));
+      added++;
+    } catch (error) {
+      console.error(`mealPlanner: failed to add "${item.name}":`, error);
+    }
+  }
+
+  if (added > 0) {
+    const currentUser = await User.me();
+    await User.updateMe({ current_total_items: (currentUser.current_total_items || 0) + added });
+    appCache.clearUser();
+    await updateStatCount("total_items", added);
+  }
+
+  appCache.clearShoppingList(targetList.id);
+  return { added, merged: toMerge.length, skipped };
+}
@@ -0,0 +1,216 @@
+import { addDays, differenceInCalendarDays, format, parseISO } from "date-fns";
+import { ActivityTracking, PantryItem } from "@/api/entities";
+import { OPERATIONS, PAGES } from "@/utils/trackingContext";
+import { buildVariantLookup, findInLookup, normalizeForMatching } from "@/utils/itemMatching";
+import {
+  parseIngredient,
+  parseQuantity,
+  getItemQuantity,
+  combineItemQuantities
+} from "./ingredientParser";
+import { convertAmount, formatQuantity } from "./unitConverter";
+
+/**
+ * Pantry: what the user has at home.
+ *   - Completing a shopping trip stocks the bought items (stockPantry)
+ *   - Cooking a recipe takes its ingredients back out (takeIngredientsFromPantry)
+ * Items expiring soonest come first so they get used up.
+ */
+
+// Rough shelf life of fresh groceries, used as the expiry of items stocked
+// from a trip; other categories keep well enough not to need one
+const SHELF_LIFE_DAYS = {
+  "Produce": 7,
+  "Dairy": 10,
+  "Meat & Seafood": 3,
+  "Bakery": 5,
+};
+
+// Items within this many days of their expiry are "expiring soon"
+export const EXPIRING_SOON_DAYS = 3;
+
+const toDateString = (date) => format(date, "yyyy-MM-dd");
+
+/**
+ * Estimated expiry for a freshly bought item
+ * @param {string} category
+ * @param {Date} boughtOn
+ * @returns {string|null} yyyy-MM-dd, or null when the category keeps
+ */
+export function estimateExpiry(category, boughtOn = new Date()) {
+  const days = SHELF_LIFE_DAYS[category];
+  return days ? toDateString(addDays(boughtOn, days)) : null;
+}
+
+/**
+ * How close an item is to its expiry date
+ * @param {string|null} expiresOn - yyyy-MM-dd
+ * @returns {{status: 'expired'|'soon'|'fresh'|'none', daysLeft: number|null}}
+ */
+export function getExpiryStatus(expiresOn, today = new Date()) {
+  if (!expiresOn) return { status: "none", daysLeft: null };
+  const daysLeft = differenceInCalendarDays(parseISO(expiresOn), today);
+  if (daysLeft < 0) return { status: "expired", daysLeft };
+  if (daysLeft <= EXPIRING_SOON_DAYS) return { status: "soon", daysLeft };
+  return { status: "fresh", daysLeft };
+}
+
+/**
+ * Soonest expiry first, items without an expiry last, then by name
+ */
+export function sortPantryItems(items) {
+  return [...items].sort((a, b) => {
+    if (a.expires_on !== b.expires_on) {
+      if (!a.expires_on) return 1;
+      if (!b.expires_on) return -1;
+      return a.expires_on < b.expires_on ? -1 : 1;
+    }
+    return (a.name || "").localeCompare(b.name || "");
+  });
+}
+
+const trackPantryActivity = (userId, operationName, description) => {
+  if (!userId) return;
+  ActivityTracking.create({
+    operation_type: "UPDATE",
+    page: PAGES.PANTRY,
+    operation_name: operationName,
+    description,
+    user_id: userId,
+    timestamp: new Date().toISOString()
+  }).catch(err => console.warn("Activity tracking failed:", err));
+};
+
+/**
+ * Add items bought on a shopping trip to the user's pantry. Items already
+ * in the pantry get the quantities added up and keep their (earlier) expiry.
+ * @param {Array} boughtItems - List items bought on the trip
+ * @param {Object} options
+ * @param {string} options.userId - Pantry owner
+ * @param {string} [options.listId] - List the items were bought from
+ * @returns {Promise<{added: number, updated: number}>}
+ */
+export async function stockPantry(boughtItems, { userId, listId } = {}) {
+  const result = { added: 0, updated: 0 };
+  if (!userId || boughtItems.length === 0) return result;
+
+  const pantry = await PantryItem.filter({ owner_id: userId });
+  const boughtOn = new Date();
+
+  for (const item of boughtItems) {
+    if (!item.name?.trim()) continue;
+    try {
+      const incoming = { quantity: item.quantity, ...getItemQuantity(item) };
+      const existing = findInLookup(buildVariantLookup(pantry), item.name);
+
+      if (existing) {
+        const update = {
+          ...combineItemQuantities(existing, incoming),
+          ...(!existing.expires_on && { expires_on: estimateExpiry(item.category, boughtOn) })
+        };
+        const updated = await PantryItem.update(existing.id, update);
+        pantry[pantry.indexOf(existing)] = { ...existing, ...update, ...updated };
+        result.updated++;
+      } else {
+        const created = await PantryItem.create({
+          owner_id: userId,
+          name: item.name.trim(),
+          quantity: item.quantity || "",
+          amount: incoming.amount,
+          unit: incoming.unit,
+          category: item.category || "Other",
+          photo_url: item.photo_url || null,
+          expires_on: estimateExpiry(item.category, boughtOn),
+          source_list_id: listId || item.list_id || null
+        });
+        pantry.push(created);
+        result.added++;
+      }
+    } catch (error) {
+      console.error(`pantryManager: failed to stock "${item.name}":`, error);
+    }
+  }
+
+  if (result.added + result.updated > 0) {
+    trackPantryActivity(
+      userId,
+      OPERATIONS.PANTRY.STOCK_FROM_TRIP,
+      `User stocked ${result.added + result.updated} items in the pantry from a shopping trip`
+    );
+  }
+  return result;
+}
+
+// Pantry item named as a word in the ingredient ("Tomato" in "ripe tomatoes")
+const findInIngredient = (pantry, ingredientName) => {
+  const text = ` ${normalizeForMatching(ingredientName).exact} `;
+  return pantry.find(item => {
+    const name = normalizeForMatching(item.name).exact;
+    return name.length >= 3 && normalizeForMatching(name).variants.some(variant => text.includes(` ${variant} `));
+  }) || null;
+};
+
+/**
+ * Take a cooked recipe's ingredients out of the user's pantry. Amounts are
+ * subtracted when the units convert ("200 g" from "1 kg"); items that run
+ * out are removed. Ingredients without a usable amount ("salt to taste",
+ * "2 chicken breasts" against "1 lb") leave the pantry item alone.
+ * @param {Array<string>} ingredientLines - As shown to the cook (already scaled)
+ * @param {Object} options
+ * @param {string} options.userId - Pantry owner
+ * @param {string} [options.recipeTitle] - For activity tracking
+ * @returns {Promise<{used: Array<string>, removed: Array<string>, skipped: Array<string>}>}
+ *   Names of pantry items reduced, used up, and matched but left unchanged
+ */
+export async function takeIngredientsFromPantry(ingredientLines, { userId, recipeTitle } = {}) {
+  const result = { used: [], removed: [], skipped: [] };
+  if (!userId || ingredientLines.length === 0) return result;
+
+  let pantry = await PantryItem.filter({ owner_id: userId });
+  if (pantry.length === 0) return result;
+
+  for (const line of ingredientLines) {
+    const { quantity, item: ingredientName } = parseIngredient(line);
+    if (!ingredientName) continue;
+
+    const pantryItem = findInLookup(buildVariantLookup(pantry), ingredientName)
+      || findInIngredient(pantry, ingredientName);
+    if (!pantryItem) continue;
+
+    const needed = parseQuantity(quantity);
+    const stock = getItemQuantity(pantryItem);
+    const neededInStockUnit = needed.amount != null && stock.amount != null
+      ? convertAmount(needed.amount, needed.unit, stock.unit)
+      : null;
+
+    if (neededInStockUnit == null) {
+      result.skipped.push(pantryItem.name);
+      continue;
+    }
+
+    try {
+      const remaining = Math.round((stock.amount - neededInStockUnit) * 100) / 100;
+      if (remaining <= 0) {
+        await PantryItem.delete(pantryItem.id);
+        pantry = pantry.filter(item => item.id !== pantryItem.id);
+        result.removed.push(pantryItem.name);
+      } else {
+        const update = { quantity: formatQuantity(remaining, stock.unit), amount: remaining, unit: stock.unit };
+        await PantryItem.update(pantryItem.id, update);
+        pantry = pantry.map(item => item.id === pantryItem.id ? { ...item, ...update } : item);
+        result.used.push(pantryItem.name);
+      }
+    } catch (error) {
+      console.error(`pantryManager: failed to use "${pantryItem.name}":`, error);
+    }
+  }
+
+  if (result.used.length + result.removed.length > 0) {
+    trackPantryActivity(
+      userId,
+      OPERATIONS.PANTRY.USE_FOR_RECIPE,
+      `User used ${result.used.length + result.removed.length} pantry items cooking "${recipeTitle || "a recipe"}"`
+    );
+  }
+  return result;
+}
@@ -0,0 +1,136 @@
+import { Item } from "@/api/entities";
+import { updateStatCount } from "@/api/functions";
+import { trackItem } from "@/utils/trackingContext";
+import { canAddItem } from "./tierManager";
+import { incrementUsage } from "./usageSync";
+
+/**
+ * Staple items re-add themselves after being checked off.
+ *   - on_check: re-added as soon as it's checked off (or shopping is completed)
+ *   - interval: re-added replenish_every_days after it was checked off
+ * The rule moves to the re-created item, so only the newest copy carries it.
+ */
+export const REPLENISH_RULES = {
+  ON_CHECK: "on_check",
+  INTERVAL: "interval",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields copied onto the re-created staple
+const STAPLE_FIELDS = [
+  "name",
+  "quantity",
+  "amount",
+  "unit",
+  "category",
+  "brand",
+  "size_notes",
+  "photo_url",
+  "is_organic",
+  "store_section",
+  "is_favorite",
+  "replenish_rule",
+  "replenish_every_days",
+];
+
+const normalizeName = (name) => (name || "").toLowerCase().trim();
+
+export function isStaple(item) {
+  return !!item?.replenish_rule;
+}
+
+/**
+ * Describe a staple's rule for display, e.g. "Every 7 days"
+ */
+export function describeReplenishRule(item) {
+  if (item?.replenish_rule === REPLENISH_RULES.ON_CHECK) return "When checked off";
+  if (item?.replenish_rule === REPLENISH_RULES.INTERVAL) {
+    const days = item.replenish_every_days || 7;
+    return days === 1 ? "Every day" : `Every ${days} days`;
+  }
+  return null;
+}
+
+/**
+ * Get the checked-off staples that are due to be re-added.
+ * Skips staples that already have an unchecked copy on the list.
+ * @param {Array} items - All items on the list
+ * @param {Date} now
+ * @returns {Array} Source items to replenish
+ */
+export function getDueStaples(items, now = new Date()) {
+  const activeNames = new Set(
+    items.filter(item => !item.is_checked).map(item => normalizeName(item.name))
+  );
+
+  const due = [];
+  items.forEach(item => {
+    if (!item.is_checked || !isStaple(item)) return;
+    const name = normalizeName(item.name);
+    if (activeNames.has(name)) return;
+
+    if (item.replenish_rule === REPLENISH_RULES.INTERVAL) {
+      const checkedAt = item.checked_date ? new Date(item.checked_date).getTime() : 0;
+      const days = item.replenish_every_days || 7;
+      if (now.getTime() - checkedAt < days * DAY_MS) return;
+    }
+
+    // One copy per staple even if several checked rows carry the rule
+    activeNames.add(name);
+    due.push(item);
+  });
+
+  return due;
+}
+
+/**
+ * Re-create due staples on the list, preserving brand, size_notes, category etc.
+ * @param {Array} items - All items on the list
+ * @param {Object} options
+ * @param {string} options.userId - For activity tracking
+ * @param {string} options.addedBy - Email recorded on the new items
+ * @param {string} options.page - Page name for activity tracking
+ * @returns {Promise<Array>} The newly created items
+ */
+export async function replenishStaples(items, { userId, addedBy, page } = {}) {
+  const due = getDueStaples(items);
+  if (due.length === 0) return [];
+
+  const tierCheck = await canAddItem(true);
+  if (!tierCheck.canAdd) {
+    console.warn("staplesManager: item limit reached, not replenishing staples");
+    return [];
+  }
+
+  const created = [];
+  for (const staple of due) {
+    try {
+      const itemData = Object.fromEntries(
+        STAPLE_FIELDS.filter(field => staple[field] !== undefined).map(field => [field, staple[field]])
+      );
+      const newItem = await Item.create(
+        {
+          ...itemData,
+          list_id: staple.list_id,
+          is_checked: false,
+          checked_date: null,
+          added_by: addedBy || staple.added_by,
+        },
+        trackItem.replenish(userId, staple.name, page)
+      );
+
+      // The rule now lives on the new copy
+      await Item.update(staple.id, { replenish_rule: null, replenish_every_days: null });
+
+      await incrementUsage("current_total_items");
+      await updateStatCount("total_items", 1);
+
+      created.push(newItem);
+    } catch (error) {
+      console.error(`staplesManager: failed to replenish "${staple.name}":`, error);
+    }
+  }
+
+  return created;
+}
@@ -0,0 +1,242 @@
+import { addDays, format, parseISO } from "date-fns";
+import { normalizeRecurrence, RECURRENCE_FREQUENCIES } from "@/components/utils/taskRecurrence";
+import { getSubtasks } from "@/components/utils/taskSubtasks";
+import { DEFAULT_DUE_TIME } from "@/utils/taskReminders";
+import { isNativeApp } from "@/utils/paymentPlatform";
+import { TaskCalendarFeed } from "@/api/entities";
+
+/**
+ * iCalendar (.ics) export of tasks with a due date. The file is always built
+ * in the browser from the already-decrypted tasks - titles and descriptions
+ * are encrypted in the database, so the server can't build one.
+ *
+ * Two ways to get it into a calendar:
+ * - a one-off .ics file (re-export to update; each task keeps its UID, so
+ *   importing again updates events instead of duplicating them)
+ * - an opt-in subscription feed: the app uploads the calendar it built to
+ *   task_calendar_feeds and refreshes it when the tasks change, and calendar
+ *   apps poll it from the task-calendar-feed edge function. The published
+ *   copy is plaintext behind a secret link, which is why it's opt-in.
+ */
+
+const ICS_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Timed tasks show as a 30 minute event
+const TIMED_EVENT_DURATION = "PT30M";
+
+// RFC 5545 text escaping
+const escapeText = (text) => String(text)
+  .replace(/\\/g, "\\\\")
+  .replace(/;/g, "\\;")
+  .replace(/,/g, "\\,")
+  .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets are folded onto continuation lines
+const foldLine = (line) => {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = new TextEncoder().encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+const toUtcStamp = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const durationMinutes = (minutes) => `${minutes < 0 ? "-" : ""}PT${Math.abs(minutes)}M`;
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Repeat rule as an RRULE (after-completion rules have no calendar equivalent)
+function toRRule(recurrence) {
+  const rule = normalizeRecurrence(recurrence);
+  switch (rule?.freq) {
+    case RECURRENCE_FREQUENCIES.DAILY:
+      return "FREQ=DAILY";
+    case RECURRENCE_FREQUENCIES.WEEKLY:
+      return `FREQ=WEEKLY;BYDAY=${rule.weekdays.map(day => ICS_WEEKDAYS[day]).join(",")}`;
+    case RECURRENCE_FREQUENCIES.MONTHLY:
+      return rule.week
+        ? `FREQ=MONTHLY;BYDAY=${rule.week}${ICS_WEEKDAYS[rule.weekday]}`
+        : `FREQ=MONTHLY;BYMONTHDAY=${rule.day}`;
+    default:
+      return null;
+  }
+}
+
+function buildEvent(task, stamp) {
+  const dueDate = parseISO(task.due_date);
+  const dueTime = task.due_time?.slice(0, 5);
+  const subtasks = getSubtasks(task);
+  const isCompleted = task.status === "completed";
+
+  const description = [
+    task.description,
+    subtasks.length > 0 && subtasks.map(s => `${s.done ? "[x]" : "[ ]"} ${s.title}`).join("\n"),
+  ].filter(Boolean).join("\n\n");
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${task.id}@myezlist`,
+    `DTSTAMP:${stamp}`,
+    `SUMMARY:${escapeText(`${isCompleted ? "✓ " : ""}${task.title}`)}`,
+  ];
+
+  // Without a time the task is an all-day event; with one it's in local
+  // (floating) time, like the due time itself
+  if (dueTime) {
+    lines.push(`DTSTART:${format(dueDate, "yyyyMMdd")}T${dueTime.replace(":", "")}00`);
+    lines.push(`DURATION:${TIMED_EVENT_DURATION}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${format(dueDate, "yyyyMMdd")}`);
+    lines.push(`DTEND;VALUE=DATE:${format(addDays(dueDate, 1), "yyyyMMdd")}`);
+  }
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (task.category) lines.push(`CATEGORIES:${escapeText(task.category)}`);
+  if (task.priority === "high") lines.push("PRIORITY:1");
+
+  const rrule = !isCompleted && toRRule(task.recurrence);
+  if (rrule) lines.push(`RRULE:${rrule}`);
+
+  // Reminders: a custom time as-is; an offset relative to the event start
+  // (all-day events start at midnight, reminders count from 9am like the app)
+  let trigger = null;
+  if (task.reminder_at) {
+    trigger = `TRIGGER;VALUE=DATE-TIME:${toUtcStamp(new Date(task.reminder_at))}`;
+  } else if (task.reminder_minutes_before != null) {
+    const startOffset = dueTime ? 0 : timeToMinutes(DEFAULT_DUE_TIME);
+    trigger = `TRIGGER:${durationMinutes(startOffset - task.reminder_minutes_before)}`;
+  }
+  if (trigger && !isCompleted) {
+    lines.push("BEGIN:VALARM", "ACTION:DISPLAY", `DESCRIPTION:${escapeText(task.title)}`, trigger, "END:VALARM");
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * Build an iCalendar file of the tasks that have a due date
+ * @param {Array} tasks - Decrypted tasks
+ * @param {Object} options
+ * @param {string} options.calendarName
+ * @param {Date} options.now - DTSTAMP of the events
+ * @returns {string} .ics file content
+ */
+export function buildTasksCalendar(tasks, { calendarName = "MyEZList Tasks", now = new Date() } = {}) {
+  const stamp = toUtcStamp(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//MyEZList//Tasks//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    ...tasks
+      .filter(task => task.due_date && !task.deleted_at)
+      .flatMap(task => buildEvent(task, stamp)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Save the tasks as an .ics file (shared via the share sheet in the native
+ * app, where downloads aren't available)
+ * @param {Array} tasks - Decrypted tasks
+ * @returns {Promise<number>} Number of tasks exported
+ */
+export async function exportTasksCalendar(tasks) {
+  const exported = tasks.filter(task => task.due_date && !task.deleted_at);
+  const fileName = `myezlist-tasks-${format(new Date(), "yyyy-MM-dd")}.ics`;
+  const blob = new Blob([buildTasksCalendar(exported)], { type: "text/calendar;charset=utf-8" });
+
+  const file = new File([blob], fileName, { type: blob.type });
+  if (isNativeApp() && navigator.canShare?.({ files: [file] })) {
+    await navigator.share({ files: [file], title: "Tasks calendar" });
+    return exported.length;
+  }
+
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+  return exported.length;
+}
+
+// --- Subscription feed -------------------------------------------------------
+
+const FEED_FUNCTION_URL = `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/task-calendar-feed`;
+
+// DTSTAMP changes on every build; ignore it when checking for changes
+const withoutStamps = (ics) => ics.replace(/^DTSTAMP:.*\r\n/gm, "");
+
+/**
+ * The user's calendar feed, if they've turned it on
+ * @param {string} userId
+ * @returns {Promise<Object|null>}
+ */
+export async function getTasksFeed(userId) {
+  const [feed] = await TaskCalendarFeed.filter({ owner_id: userId });
+  return feed || null;
+}
+
+/**
+ * Turn the feed on and publish the tasks to it
+ * @param {Array} tasks - Decrypted tasks
+ * @param {string} userId
+ * @returns {Promise<Object>} The feed
+ */
+export async function enableTasksFeed(tasks, userId) {
+  return TaskCalendarFeed.create({ owner_id: userId, ics: buildTasksCalendar(tasks) });
+}
+
+/**
+ * Republish the feed if the tasks in it changed
+ * @param {Object} feed
+ * @param {Array} tasks - Decrypted tasks
+ * @returns {Promise<Object>} The feed as published
+ */
+export async function publishTasksFeed(feed, tasks) {
+  const ics = buildTasksCalendar(tasks);
+  if (withoutStamps(ics) === withoutStamps(feed.ics || "")) return feed;
+  return TaskCalendarFeed.update(feed.id, { ics });
+}
+
+/**
+ * Turn the feed off - its link stops working (turning it on again makes a new one)
+ * @param {Object} feed
+ */
+export async function disableTasksFeed(feed) {
+  await TaskCalendarFeed.delete(feed.id);
+}
+
+/**
+ * Subscription URL for calendar apps (webcal:// opens the subscribe prompt)
+ * @param {Object} feed
+ * @returns {string}
+ */
+export function getTasksFeedUrl(feed) {
+  return `${FEED_FUNCTION_URL}?token=${feed.token}`.replace(/^https?:/, "webcal:");
+}
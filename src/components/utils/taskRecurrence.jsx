@@ -0,0 +1,229 @@
+import {
+  addDays,
+  addMonths,
+  format,
+  getDay,
+  getDaysInMonth,
+  isSameMonth,
+  lastDayOfMonth,
+  parseISO,
+  setDate,
+  startOfDay,
+  startOfMonth,
+} from "date-fns";
+import { getSubtasks, resetSubtasks } from "@/components/utils/taskSubtasks";
+
+/**
+ * Recurring tasks. A task's recurrence rule (todos.recurrence) is one of:
+ *   - { freq: "daily" }
+ *   - { freq: "weekly", weekdays: [2, 4] }         0 = Sunday
+ *   - { freq: "monthly", day: 15 }                 clamped to short months
+ *   - { freq: "monthly", week: 2, weekday: 2 }     2nd Tuesday, week -1 = last
+ *   - { freq: "after_completion", days: 3 }        3 days after it's done
+ * Completing a recurring task creates the next occurrence; the rule moves
+ * to the new task so only the newest occurrence carries it.
+ */
+export const RECURRENCE_FREQUENCIES = {
+  DAILY: "daily",
+  WEEKLY: "weekly",
+  MONTHLY: "monthly",
+  AFTER_COMPLETION: "after_completion",
+};
+
+export const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Fields copied onto the next occurrence
+const OCCURRENCE_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "category",
+  "due_time",
+  "created_by",
+  "shared_with_family",
+  "is_favorite",
+  "recurrence",
+  "reminder_minutes_before",
+  "complete_with_subtasks",
+  "assigned_to",
+];
+
+const toDateString = (date) => format(date, "yyyy-MM-dd");
+
+const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+const ordinal = (n) => {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? "th" : ({ 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th");
+  return `${n}${suffix}`;
+};
+
+/**
+ * A valid rule in canonical form, or null (for rules typed by hand or
+ * returned by the voice command parser)
+ * @param {Object|null} rule
+ * @returns {Object|null}
+ */
+export function normalizeRecurrence(rule) {
+  if (!rule || typeof rule !== "object") return null;
+  const toInt = (value) => (value === undefined || value === null || value === "" ? NaN : Number(value));
+
+  switch (rule.freq) {
+    case RECURRENCE_FREQUENCIES.DAILY:
+      return { freq: rule.freq };
+
+    case RECURRENCE_FREQUENCIES.WEEKLY: {
+      const weekdays = [...new Set((rule.weekdays || []).map(toInt))]
+        .filter(day => isInteger(day, 0, 6))
+        .sort((a, b) => a - b);
+      return weekdays.length > 0 ? { freq: rule.freq, weekdays } : null;
+    }
+
+    case RECURRENCE_FREQUENCIES.MONTHLY: {
+      const week = toInt(rule.week);
+      const weekday = toInt(rule.weekday);
+      if ((isInteger(week, 1, 4) || week === -1) && isInteger(weekday, 0, 6)) {
+        return { freq: rule.freq, week, weekday };
+      }
+      const day = toInt(rule.day);
+      return isInteger(day, 1, 31) ? { freq: rule.freq, day } : null;
+    }
+
+    case RECURRENCE_FREQUENCIES.AFTER_COMPLETION: {
+      const days = toInt(rule.days);
+      return isInteger(days, 1, 365) ? { freq: rule.freq, days } : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Short description of a rule: "Every Tuesday", "Monthly on the 2nd Tuesday"
+ * @param {Object|null} rule
+ * @returns {string|null}
+ */
+export function describeRecurrence(rule) {
+  const normalized = normalizeRecurrence(rule);
+  if (!normalized) return null;
+
+  switch (normalized.freq) {
+    case RECURRENCE_FREQUENCIES.DAILY:
+      return "Every day";
+
+    case RECURRENCE_FREQUENCIES.WEEKLY: {
+      const { weekdays } = normalized;
+      if (weekdays.length === 7) return "Every day";
+      if (weekdays.join() === "1,2,3,4,5") return "Every weekday";
+      if (weekdays.length === 1) return `Every ${WEEKDAY_NAMES[weekdays[0]]}`;
+      return `Every ${weekdays.map(day => WEEKDAY_NAMES[day].slice(0, 3)).join(", ")}`;
+    }
+
+    case RECURRENCE_FREQUENCIES.MONTHLY:
+      return normalized.week
+        ? `Monthly on the ${normalized.week === -1 ? "last" : ordinal(normalized.week)} ${WEEKDAY_NAMES[normalized.weekday]}`
+        : `Monthly on the ${ordinal(normalized.day)}`;
+
+    case RECURRENCE_FREQUENCIES.AFTER_COMPLETION:
+      return normalized.days === 1 ? "1 day after completion" : `${normalized.days} days after completion`;
+
+    default:
+      return null;
+  }
+}
+
+// The nth weekday of a month (week -1 = last), null when the month has no such day
+function nthWeekdayOfMonth(month, week, weekday) {
+  if (week === -1) {
+    const last = lastDayOfMonth(month);
+    return addDays(last, -((getDay(last) - weekday + 7) % 7));
+  }
+  const first = startOfMonth(month);
+  const date = addDays(first, (weekday - getDay(first) + 7) % 7 + (week - 1) * 7);
+  return isSameMonth(date, first) ? date : null;
+}
+
+// First date matching a calendar rule strictly after `date`
+function occurrenceAfter(rule, date) {
+  switch (rule.freq) {
+    case RECURRENCE_FREQUENCIES.WEEKLY:
+      for (let i = 1; i <= 7; i++) {
+        const candidate = addDays(date, i);
+        if (rule.weekdays.includes(getDay(candidate))) return candidate;
+      }
+      return addDays(date, 7);
+
+    case RECURRENCE_FREQUENCIES.MONTHLY:
+      for (let i = 0; i <= 12; i++) {
+        const month = addMonths(startOfMonth(date), i);
+        const candidate = rule.week
+          ? nthWeekdayOfMonth(month, rule.week, rule.weekday)
+          : setDate(month, Math.min(rule.day, getDaysInMonth(month)));
+        if (candidate && candidate > date) return candidate;
+      }
+      return addMonths(date, 1);
+
+    default:
+      return addDays(date, 1);
+  }
+}
+
+/**
+ * Due date for a new recurring task: the first occurrence from today on
+ * @param {Object} rule
+ * @param {Date} from
+ * @returns {string|null} yyyy-MM-dd, null when the rule is invalid
+ */
+export function getFirstDueDate(rule, from = new Date()) {
+  const normalized = normalizeRecurrence(rule);
+  if (!normalized) return null;
+  const today = startOfDay(from);
+  if (normalized.freq === RECURRENCE_FREQUENCIES.AFTER_COMPLETION) return toDateString(today);
+  return toDateString(occurrenceAfter(normalized, addDays(today, -1)));
+}
+
+/**
+ * Due date of the occurrence after the one being completed. Calendar rules
+ * follow the due date, skipping occurrences already in the past (a task
+ * done late doesn't come back overdue).
+ * @param {Object} rule
+ * @param {string|null} dueDate - Due date of the completed task (yyyy-MM-dd)
+ * @param {Date} completedOn
+ * @returns {string|null} yyyy-MM-dd, null when the rule is invalid
+ */
+export function getNextDueDate(rule, dueDate, completedOn = new Date()) {
+  const normalized = normalizeRecurrence(rule);
+  if (!normalized) return null;
+  const today = startOfDay(completedOn);
+
+  if (normalized.freq === RECURRENCE_FREQUENCIES.AFTER_COMPLETION) {
+    return toDateString(addDays(today, normalized.days));
+  }
+
+  let next = occurrenceAfter(normalized, dueDate ? parseISO(dueDate) : today);
+  while (next < today) {
+    next = occurrenceAfter(normalized, next);
+  }
+  return toDateString(next);
+}
+
+/**
+ * Task data for the next occurrence of a completed recurring task
+ * @param {Object} todo - The task being completed (decrypted)
+ * @param {Date} completedOn
+ * @returns {Object|null} null when the task doesn't repeat
+ */
+export function buildNextOccurrence(todo, completedOn = new Date()) {
+  const dueDate = getNextDueDate(todo?.recurrence, todo?.due_date, completedOn);
+  if (!dueDate) return null;
+
+  return {
+    ...Object.fromEntries(
+      OCCURRENCE_FIELDS.filter(field => todo[field] !== undefined).map(field => [field, todo[field]])
+    ),
+    // The checklist starts over
+    subtasks: resetSubtasks(getSubtasks(todo)),
+    status: "pending",
+    due_date: dueDate,
+  };
+}
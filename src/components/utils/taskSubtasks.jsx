@@ -0,0 +1,79 @@
+/**
+ * Task checklists. A task's subtasks (todos.subtasks) are an ordered list of
+ *   { id, title, done }
+ * stored as one encrypted JSON string (see taskEncryption.js), so the
+ * database sees neither the items nor how many there are. Tasks with
+ * complete_with_subtasks set are completed when their last item is checked.
+ */
+
+/**
+ * A task's checklist; empty when it has none (or it couldn't be decrypted)
+ * @param {Object} todo
+ * @returns {Array}
+ */
+export function getSubtasks(todo) {
+  return Array.isArray(todo?.subtasks) ? todo.subtasks : [];
+}
+
+/**
+ * @param {string} title
+ * @returns {Object} A new unchecked item
+ */
+export function createSubtask(title) {
+  return { id: crypto.randomUUID(), title: title.trim(), done: false };
+}
+
+/**
+ * Checked and total item counts
+ * @param {Object} todo
+ * @returns {{done: number, total: number}}
+ */
+export function getSubtaskProgress(todo) {
+  const subtasks = getSubtasks(todo);
+  return { done: subtasks.filter(subtask => subtask.done).length, total: subtasks.length };
+}
+
+/**
+ * @param {Array} subtasks
+ * @param {string} id
+ * @returns {Array} The checklist with the item checked or unchecked
+ */
+export function toggleSubtask(subtasks, id) {
+  return subtasks.map(subtask => subtask.id === id ? { ...subtask, done: !subtask.done } : subtask);
+}
+
+/**
+ * @param {Array} subtasks
+ * @param {number} index
+ * @param {number} offset - -1 moves the item up, 1 down
+ * @returns {Array} The reordered checklist (unchanged at either end)
+ */
+export function moveSubtask(subtasks, index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= subtasks.length) return subtasks;
+  const reordered = [...subtasks];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered;
+}
+
+/**
+ * @param {Array} subtasks
+ * @returns {Array} The checklist with every item unchecked (for a new
+ *   occurrence of a recurring task)
+ */
+export function resetSubtasks(subtasks) {
+  return subtasks.map(subtask => ({ ...subtask, done: false }));
+}
+
+/**
+ * Whether checking items off should complete the task itself
+ * @param {Object} todo - The task, before the change
+ * @param {Array} subtasks - Its checklist, after the change
+ * @returns {boolean}
+ */
+export function shouldCompleteParent(todo, subtasks) {
+  return Boolean(todo.complete_with_subtasks)
+    && todo.status !== "completed"
+    && subtasks.length > 0
+    && subtasks.every(subtask => subtask.done);
+}
@@ -115,6 +115,8 @@ export async function getUserTierInfo() {
 /**
  * Check if user can create a new shopping list
  * Uses family-aware counts when user is in a family group
+ * Archived lists don't count: get_user_resource_counts skips them and
+ * current_shopping_lists is adjusted on archive/restore (see listArchive)
  */
 export async function canCreateShoppingList() {
   try {
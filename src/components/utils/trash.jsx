@@ -0,0 +1,155 @@
+import { User, ShoppingList, Item, Todo } from "@/api/entities";
+import { EncryptedTodo } from "@/api/encryptedTodoEntity";
+import { updateStatCount } from "@/api/functions";
+import { appCache } from "./appCache";
+import { canCreateShoppingList, canAddItem, canCreateTask } from "./tierManager";
+import { incrementUsage } from "./usageSync";
+import { trackTrash, PAGES } from "@/utils/trackingContext";
+
+/**
+ * Trash.
+ *
+ * Lists, items and tasks are soft-deleted (deleted_at) and stay restorable
+ * for TRASH_RETENTION_DAYS, after which purge_deleted_records() removes them
+ * for good. Deleting already took them off the usage counters and global
+ * statistics, so restoring puts them back - and is subject to the same tier
+ * limits as creating them.
+ */
+
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whole days left before a trashed record is purged
+ * @param {Object} record - Record with deleted_at
+ * @returns {number}
+ */
+export function getDaysUntilPurge(record) {
+  const purgeAt = new Date(record.deleted_at).getTime() + TRASH_RETENTION_DAYS * DAY_MS;
+  return Math.max(0, Math.ceil((purgeAt - Date.now()) / DAY_MS));
+}
+
+/**
+ * Everything in the user's trash, most recently deleted first
+ * Items are only included while their list is still around - items of a
+ * deleted list come back with it.
+ * @param {Object} user - Current user
+ * @param {string|null} familyGroupId - For decrypting family-shared tasks
+ * @returns {Promise<{lists: Array, items: Array, tasks: Array}>}
+ */
+export async function loadTrash(user, familyGroupId) {
+  const [lists, deletedItems, activeLists, tasks] = await Promise.all([
+    ShoppingList.filter({ owner_id: user.id, deleted_at: { $null: false } }, "-deleted_at"),
+    Item.filter({ deleted_at: { $null: false } }, "-deleted_at"),
+    ShoppingList.list(),
+    EncryptedTodo.listDeleted(user.id, familyGroupId),
+  ]);
+
+  const listsById = new Map(activeLists.map(list => [list.id, list]));
+  const items = deletedItems
+    .filter(item => listsById.has(item.list_id))
+    .map(item => ({ ...item, list_name: listsById.get(item.list_id).name }));
+
+  return { lists, items, tasks: tasks || [] };
+}
+
+/**
+ * Restore a deleted list along with its (non-deleted) items
+ * @param {Object} list
+ * @param {string} userId
+ * @param {string} page - Page for activity tracking
+ * @returns {Promise<{restored: boolean, message?: string}>}
+ */
+export async function restoreDeletedList(list, userId, page = PAGES.TRASH) {
+  const items = await Item.filter({ list_id: list.id });
+
+  // Archived lists don't count toward the limits (see listArchive)
+  if (!list.archived) {
+    const listCheck = await canCreateShoppingList();
+    if (!listCheck.canCreate) {
+      return { restored: false, message: listCheck.message };
+    }
+    if (items.length > 0) {
+      const itemCheck = await canAddItem();
+      if (itemCheck.limit != null && itemCheck.currentCount + items.length > itemCheck.limit) {
+        return {
+          restored: false,
+          message: `Restoring "${list.name}" would put you over your limit of ${itemCheck.limit} total items. Upgrade your plan or remove some items first.`,
+        };
+      }
+    }
+  }
+
+  await ShoppingList.restore(list.id, trackTrash.restore(userId, "list", list.name, page));
+
+  if (!list.archived) {
+    const currentUser = await User.me();
+    await User.updateMe({
+      current_shopping_lists: (currentUser.current_shopping_lists || 0) + 1,
+      current_total_items: (currentUser.current_total_items || 0) + items.length,
+    });
+    appCache.clearUser();
+  }
+
+  await updateStatCount("total_lists", 1);
+  if (items.length > 0) {
+    await updateStatCount("total_items", items.length);
+  }
+
+  appCache.clearShoppingList(list.id);
+  appCache.clearShoppingListEntities();
+  appCache.clearListMemberships(userId);
+  return { restored: true };
+}
+
+/**
+ * Restore a deleted item
+ * @param {Object} item
+ * @param {string} userId
+ * @param {string} page - Page for activity tracking
+ * @returns {Promise<{restored: boolean, item?: Object, message?: string}>}
+ */
+export async function restoreDeletedItem(item, userId, page = PAGES.TRASH) {
+  const itemCheck = await canAddItem();
+  if (!itemCheck.canAdd) {
+    return { restored: false, message: itemCheck.message };
+  }
+
+  const restored = await Item.restore(item.id, trackTrash.restore(userId, "item", item.name, page));
+  await incrementUsage("current_total_items");
+  await updateStatCount("total_items", 1);
+
+  appCache.clearShoppingList(item.list_id);
+  return { restored: true, item: restored };
+}
+
+/**
+ * Restore a deleted task
+ * @param {Object} task - Decrypted task
+ * @param {string} userId
+ * @param {string|null} familyGroupId
+ * @returns {Promise<{restored: boolean, task?: Object, message?: string}>}
+ */
+export async function restoreDeletedTask(task, userId, familyGroupId) {
+  const taskCheck = await canCreateTask();
+  if (!taskCheck.canCreate) {
+    return { restored: false, message: taskCheck.message };
+  }
+
+  const restored = await EncryptedTodo.restore(task.id, userId, familyGroupId);
+  await incrementUsage("current_tasks");
+  return { restored: true, task: restored };
+}
+
+/**
+ * Permanently delete something from the trash (before the purge job does)
+ * Deleting a list also removes its items, members and share links (cascade).
+ * @param {"list"|"item"|"task"} type
+ * @param {Object} record
+ * @param {string} userId
+ */
+export async function deleteForever(type, record, userId) {
+  const entity = { list: ShoppingList, item: Item, task: Todo }[type];
+  await entity.hardDelete(record.id, trackTrash.deleteForever(userId, type, record.name || record.title));
+}
@@ -0,0 +1,124 @@
+import { ShoppingTrip, TripItem } from "@/api/entities";
+
+/**
+ * Shopping trip recording.
+ *
+ * While shopping, each checked-off item gets an entry in a trip draft
+ * (optionally with the price paid). The draft lives in localStorage per list
+ * so an app restart mid-trip doesn't lose it. When the trip ends the draft is
+ * saved as a shopping_trips row plus one trip_items row per item.
+ */
+
+const DRAFT_KEY_PREFIX = "shopping-trip-";
+
+const getDraftKey = (listId) => `${DRAFT_KEY_PREFIX}${listId}`;
+
+export const createEmptyDraft = () => ({
+  startedAt: new Date().toISOString(),
+  entries: {}, // itemId -> { price, quantity }
+});
+
+export function loadTripDraft(listId) {
+  try {
+    const stored = localStorage.getItem(getDraftKey(listId));
+    return stored ? JSON.parse(stored) : createEmptyDraft();
+  } catch (error) {
+    console.warn("tripRecorder: failed to read trip draft:", error);
+    return createEmptyDraft();
+  }
+}
+
+export function saveTripDraft(listId, draft) {
+  try {
+    localStorage.setItem(getDraftKey(listId), JSON.stringify(draft));
+  } catch (error) {
+    console.warn("tripRecorder: failed to save trip draft:", error);
+  }
+}
+
+export function clearTripDraft(listId) {
+  localStorage.removeItem(getDraftKey(listId));
+}
+
+/**
+ * Parse a price typed by the user ("3.49", "$3,49")
+ * @returns {number|null}
+ */
+export function parsePrice(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const parsed = parseFloat(String(value).replace(/[^0-9.,]/g, "").replace(",", "."));
+  return Number.isFinite(parsed) && parsed >= 0 ? Math.round(parsed * 100) / 100 : null;
+}
+
+export function formatPrice(amount) {
+  if (amount === null || amount === undefined) return "";
+  return `$${Number(amount).toFixed(2)}`;
+}
+
+/**
+ * Sum of prices entered in a draft
+ * @returns {number|null} null when no prices were entered
+ */
+export function getDraftTotal(draft) {
+  const prices = Object.values(draft?.entries || {})
+    .map(entry => entry.price)
+    .filter(price => price !== null && price !== undefined);
+  if (prices.length === 0) return null;
+  return Math.round(prices.reduce((sum, price) => sum + price, 0) * 100) / 100;
+}
+
+/**
+ * Save a finished trip
+ * @param {Object} params
+ * @param {string} params.listId
+ * @param {Object} params.user - Current user
+ * @param {Object|null} params.store - Selected store, if any
+ * @param {Array} params.items - Items bought on the trip
+ * @param {Object} params.draft - Trip draft with per-item entries
+ * @returns {Promise<Object|null>} The created trip, or null if nothing was bought
+ */
+export async function recordTrip({ listId, user, store, items, draft }) {
+  if (!user || items.length === 0) return null;
+
+  const tripDate = new Date().toISOString();
+  const trip = await ShoppingTrip.create({
+    list_id: listId,
+    user_id: user.id,
+    store_id: store?.id || null,
+    store_name: store?.name || null,
+    trip_date: tripDate,
+    total_amount: getDraftTotal(draft),
+    item_count: items.length,
+  });
+
+  await Promise.all(items.map(item => {
+    const entry = draft?.entries?.[item.id] || {};
+    return TripItem.create({
+      trip_id: trip.id,
+      item_id: item.id,
+      item_name: item.name,
+      category: item.category || null,
+      quantity: entry.quantity ?? item.quantity ?? null,
+      price: entry.price ?? null,
+      store_name: store?.name || null,
+      purchased_date: tripDate,
+    });
+  }));
+
+  return trip;
+}
+
+/**
+ * Get what an item has cost over time, oldest first.
+ * Looked up by name so history carries across lists and re-added items.
+ * @param {string} itemName
+ * @returns {Promise<Array>} trip_items rows that have a price
+ */
+export async function getItemPriceHistory(itemName) {
+  // Escape LIKE wildcards so the name matches literally (case-insensitive)
+  const pattern = itemName.trim().replace(/[\\%_]/g, (char) => `\\${char}`);
+  return TripItem.filter(
+    { item_name: { $ilike: pattern }, price: { $gte: 0 } },
+    "purchased_date"
+  );
+}
@@ -0,0 +1,152 @@
+// -----------------------------
+// unit-converter.js
+//
+// Works on the normalized unit names produced by ingredientParser
+// (tsp, tbsp, cup, ..., g, kg, can, jar, ...).
+
+// --- Conversion tables -------------------------------------------------------
+// factor = how many base units (ml for volume, g for weight) one unit holds
+const CONVERTIBLE_UNITS = {
+  tsp: { dimension: 'volume', factor: 4.92892 },
+  tbsp: { dimension: 'volume', factor: 14.7868 },
+  cup: { dimension: 'volume', factor: 236.588 },
+  pint: { dimension: 'volume', factor: 473.176 },
+  quart: { dimension: 'volume', factor: 946.353 },
+  gallon: { dimension: 'volume', factor: 3785.41 },
+  milliliter: { dimension: 'volume', factor: 1 },
+  liter: { dimension: 'volume', factor: 1000 },
+  ounce: { dimension: 'weight', factor: 28.3495 },
+  lb: { dimension: 'weight', factor: 453.592 },
+  g: { dimension: 'weight', factor: 1 },
+  kg: { dimension: 'weight', factor: 1000 }
+};
+
+// Display names: [singular, plural]
+const UNIT_LABELS = {
+  tsp: ['tsp', 'tsp'],
+  tbsp: ['tbsp', 'tbsp'],
+  cup: ['cup', 'cups'],
+  pint: ['pint', 'pints'],
+  quart: ['quart', 'quarts'],
+  gallon: ['gallon', 'gallons'],
+  milliliter: ['ml', 'ml'],
+  liter: ['L', 'L'],
+  ounce: ['oz', 'oz'],
+  lb: ['lb', 'lb'],
+  g: ['g', 'g'],
+  kg: ['kg', 'kg'],
+  can: ['can', 'cans'],
+  jar: ['jar', 'jars'],
+  bottle: ['bottle', 'bottles'],
+  package: ['package', 'packages'],
+  box: ['box', 'boxes'],
+  bag: ['bag', 'bags'],
+  carton: ['carton', 'cartons'],
+  sheet: ['sheet', 'sheets'],
+  stick: ['stick', 'sticks'],
+  clove: ['clove', 'cloves'],
+  slice: ['slice', 'slices'],
+  inch: ['inch', 'inches']
+};
+
+const roundAmount = (n) => Math.round(n * 100) / 100;
+
+// --- Conversion --------------------------------------------------------------
+export function getUnitDimension(unit) {
+  return CONVERTIBLE_UNITS[unit]?.dimension || null;
+}
+
+/**
+ * Convert an amount between two normalized units
+ * @returns {number|null} null when the units can't be converted (e.g. cup -> g)
+ */
+export function convertAmount(amount, fromUnit, toUnit) {
+  if (amount == null) return null;
+  if ((fromUnit || null) === (toUnit || null)) return amount;
+  const from = CONVERTIBLE_UNITS[fromUnit];
+  const to = CONVERTIBLE_UNITS[toUnit];
+  if (!from || !to || from.dimension !== to.dimension) return null;
+  return (amount * from.factor) / to.factor;
+}
+
+/**
+ * Add two quantities, expressed in the first quantity's unit
+ * e.g. { 2, 'cup' } + { 4, 'tbsp' } -> { 2.25, 'cup' }
+ * @returns {{amount: number, unit: string|null}|null} null when incompatible
+ */
+export function addQuantities(a, b) {
+  if (a?.amount == null || b?.amount == null) return null;
+  const converted = convertAmount(b.amount, b.unit, a.unit);
+  if (converted == null) return null;
+  return { amount: roundAmount(a.amount + converted), unit: a.unit || null };
+}
+
+// --- Measurement systems -----------------------------------------------------
+// tsp and tbsp are used the same way in both systems, so they're left alone
+const SYSTEM_OF_UNIT = {
+  milliliter: 'metric', liter: 'metric', g: 'metric', kg: 'metric',
+  cup: 'imperial', pint: 'imperial', quart: 'imperial', gallon: 'imperial',
+  ounce: 'imperial', lb: 'imperial'
+};
+
+// Unit to show a base amount (ml or g) in, smallest first: [unit, from]
+const SYSTEM_UNIT_STEPS = {
+  metric: {
+    volume: [['milliliter', 0], ['liter', 1000]],
+    weight: [['g', 0], ['kg', 1000]]
+  },
+  imperial: {
+    volume: [['tsp', 0], ['tbsp', 14.7868], ['cup', 59.1471]],
+    weight: [['ounce', 0], ['lb', 453.592]]
+  }
+};
+
+/**
+ * Express a quantity in the metric or imperial system, picking a unit that
+ * reads naturally (250 ml rather than 0.25 L, 1.5 lb rather than 24 oz)
+ * @param {number} amount
+ * @param {string|null} unit - Normalized unit
+ * @param {'metric'|'imperial'} system
+ * @returns {{amount: number, unit: string|null}} Unchanged when the unit has
+ *   no conversion or already belongs to that system
+ */
+export function convertToSystem(amount, unit, system) {
+  const dimension = getUnitDimension(unit);
+  const steps = SYSTEM_UNIT_STEPS[system]?.[dimension];
+  if (amount == null || !steps || !SYSTEM_OF_UNIT[unit] || SYSTEM_OF_UNIT[unit] === system) {
+    return { amount, unit };
+  }
+
+  const base = amount * CONVERTIBLE_UNITS[unit].factor;
+  const [target] = steps.filter(([, from]) => base >= from).pop();
+  const converted = convertAmount(amount, unit, target);
+  // Whole grams and millilitres are precise enough
+  return {
+    amount: (target === 'g' || target === 'milliliter') && converted >= 10 ? Math.round(converted) : converted,
+    unit: target
+  };
+}
+
+// --- Formatting --------------------------------------------------------------
+export function formatAmount(amount) {
+  if (amount == null) return '';
+  return String(roundAmount(amount));
+}
+
+/**
+ * Display name of a unit for an amount: "cup" / "cups", "ml"
+ */
+export function formatUnit(amount, unit) {
+  const labels = UNIT_LABELS[unit];
+  if (!labels) return unit || '';
+  return roundAmount(amount) <= 1 ? labels[0] : labels[1];
+}
+
+/**
+ * Human-readable quantity: "3 cups", "1.5 lb", "2"
+ */
+export function formatQuantity(amount, unit) {
+  if (amount == null) return '';
+  if (!unit) return formatAmount(amount);
+  return `${formatAmount(amount)} ${formatUnit(amount, unit)}`;
+}
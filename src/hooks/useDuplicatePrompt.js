@@ -0,0 +1,45 @@
+/**
+ * useDuplicatePrompt Hook
+ *
+ * Lets an add-item flow pause and ask what to do about items that are
+ * already on the list. Render <DuplicateItemsDialog {...dialogProps} /> and
+ * await ask(duplicates) where the duplicate was found.
+ */
+
+import { useState, useRef, useCallback } from 'react';
+
+/**
+ * @returns {Object} { ask, dialogProps }
+ *   - ask(duplicates): Promise resolving to { [key]: 'merge' | 'keep' },
+ *     or null if the user cancelled. duplicates: [{ key, existing, incoming }]
+ */
+export function useDuplicatePrompt() {
+  const [duplicates, setDuplicates] = useState([]);
+  const resolverRef = useRef(null);
+
+  const settle = useCallback((choices) => {
+    setDuplicates([]);
+    const resolve = resolverRef.current;
+    resolverRef.current = null;
+    resolve?.(choices);
+  }, []);
+
+  const ask = useCallback((pending) => {
+    // A prompt that's still open is treated as cancelled
+    resolverRef.current?.(null);
+    return new Promise(resolve => {
+      resolverRef.current = resolve;
+      setDuplicates(pending);
+    });
+  }, []);
+
+  return {
+    ask,
+    dialogProps: {
+      open: duplicates.length > 0,
+      duplicates,
+      onConfirm: settle,
+      onCancel: () => settle(null)
+    }
+  };
+}
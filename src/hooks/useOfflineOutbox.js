@@ -0,0 +1,44 @@
+/**
+ * useOfflineOutbox Hook
+ * 
+ * Exposes the offline outbox state to components: connectivity, the number of
+ * writes waiting to sync, and which records of a table have unsynced changes.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { offlineOutbox } from '@/api/offlineOutbox';
+
+const getSnapshot = (table) => ({
+  isOnline: offlineOutbox.isOnline(),
+  pendingCount: offlineOutbox.getPendingCount(),
+  pendingIds: table ? offlineOutbox.getPendingRecordIds(table) : new Set()
+});
+
+/**
+ * Hook to track queued offline writes
+ * @param {string} table - Optional table name to collect pending record IDs for
+ * @param {Function} onDrained - Optional callback fired after queued writes have synced
+ * @returns {Object} { isOnline, pendingCount, pendingIds }
+ */
+export function useOfflineOutbox(table, onDrained) {
+  const [state, setState] = useState(() => getSnapshot(table));
+  // Keep the latest callback without resubscribing on every render
+  const onDrainedRef = useRef(onDrained);
+  onDrainedRef.current = onDrained;
+
+  useEffect(() => {
+    offlineOutbox.start();
+    setState(getSnapshot(table));
+
+    return offlineOutbox.subscribe((event) => {
+      setState(getSnapshot(table));
+      if (event.synced && onDrainedRef.current) {
+        onDrainedRef.current(event);
+      }
+    });
+  }, [table]);
+
+  return state;
+}
+
+export default useOfflineOutbox;
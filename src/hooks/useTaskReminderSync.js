@@ -0,0 +1,77 @@
+/**
+ * useTaskReminderSync Hook
+ *
+ * Arms the signed-in user's task reminders and daily digest for the whole
+ * session, whichever page is open - on web they are timers that only exist
+ * while the app is running. Re-syncs when the app comes back to the
+ * foreground to pick up changes made on other devices; the Todos page keeps
+ * them current while it's open. Signing out drops them.
+ */
+
+import { useEffect } from 'react';
+import { User } from '@/api/entities';
+import { EncryptedTodo } from '@/api/encryptedTodoEntity';
+import { getFamilyInfo } from '@/services/familyService';
+import { syncTaskReminders, getOwnTasks } from '@/utils/taskReminders';
+
+// Same query as the Todos page: family members see family-shared tasks too
+async function loadOwnTasks(user) {
+  let familyGroupId = null;
+  try {
+    const familyInfo = await getFamilyInfo();
+    if (familyInfo.success && familyInfo.has_family && familyInfo.family_group?.id) {
+      familyGroupId = familyInfo.family_group.id;
+    }
+  } catch {
+    // Not in a family (or offline) - own tasks only
+  }
+
+  const todos = familyGroupId
+    ? await EncryptedTodo.list(user.id, familyGroupId, '-created_date')
+    : await EncryptedTodo.filter({ created_by: user.email }, user.id, null, '-created_date');
+  return getOwnTasks(todos, user);
+}
+
+export function useTaskReminderSync() {
+  useEffect(() => {
+    let user = null;
+
+    const sync = async () => {
+      if (!user) return;
+      const syncedUser = user;
+      try {
+        const tasks = await loadOwnTasks(syncedUser);
+        // Signed out (or switched account) while loading
+        if (user?.id !== syncedUser.id) return;
+        await syncTaskReminders(tasks);
+      } catch (error) {
+        console.warn('Task reminder sync failed:', error);
+      }
+    };
+
+    const { data: { subscription } } = User.onAuthStateChange((event, session) => {
+      if (event === 'SIGNED_OUT' || !session?.user) {
+        if (user) syncTaskReminders([]);
+        user = null;
+        return;
+      }
+      const changedUser = session.user.id !== user?.id;
+      user = session.user;
+      // Token refreshes and profile updates don't need a resync. Deferred:
+      // Supabase calls made inside this callback can deadlock the auth client.
+      if (changedUser) setTimeout(sync, 0);
+    });
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') sync();
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      subscription.unsubscribe();
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, []);
+}
+
+export default useTaskReminderSync;
@@ -0,0 +1,46 @@
+/**
+ * useWakeLock Hook
+ *
+ * Keeps the screen on while `enabled` is true (e.g. in cook mode). The
+ * browser releases a wake lock whenever the page is hidden, so it's
+ * requested again when the page becomes visible. Browsers without the
+ * Screen Wake Lock API are silently ignored.
+ */
+
+import { useEffect } from 'react';
+
+/**
+ * @param {boolean} enabled
+ */
+export function useWakeLock(enabled) {
+  useEffect(() => {
+    if (!enabled || !('wakeLock' in navigator)) return undefined;
+
+    let sentinel = null;
+    let released = false;
+
+    const request = async () => {
+      if (document.visibilityState !== 'visible') return;
+      try {
+        const lock = await navigator.wakeLock.request('screen');
+        if (released) {
+          lock.release();
+        } else {
+          sentinel = lock;
+        }
+      } catch (error) {
+        // Denied (e.g. battery saver) - the screen just behaves normally
+        console.warn('Wake lock request failed:', error);
+      }
+    };
+
+    request();
+    document.addEventListener('visibilitychange', request);
+
+    return () => {
+      released = true;
+      document.removeEventListener('visibilitychange', request);
+      sentinel?.release().catch(() => {});
+    };
+  }, [enabled]);
+}
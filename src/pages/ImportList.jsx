@@ -26,6 +26,8 @@ import { canAddItem } from "@/components/utils/tierManager";
 import UpgradePrompt from "@/components/common/UpgradePrompt";
 import { loadCommonItemsCache } from "@/components/utils/commonItemsCache";
 import { incrementUsage } from "@/components/utils/usageSync";
+import { parseItemText, mergeItemQuantity } from "@/components/utils/ingredientParser";
+import { buildVariantLookup, findInLookup, findDuplicateItem } from "@/utils/itemMatching";
 import { OPERATIONS, PAGES } from "@/utils/trackingContext";
 import { logger } from "@/utils/logger";
 
@@ -50,77 +52,6 @@ const capitalizeWords = (str) => {
   return str.replace(/\b\w/g, (char) => char.toUpperCase());
 };
 
-/**
- * Normalize item name for master list matching with singular/plural variants
- */
-const normalizeForMatching = (name) => {
-  let normalized = name.toLowerCase().trim();
-  // Remove common prefixes like "organic", "fresh", etc.
-  normalized = normalized.replace(/^(organic|fresh|raw|frozen)\s+/i, '');
-  
-  // Handle common plural/singular variations
-  const singularToPlural = {
-    'tomato': 'tomatoes',
-    'potato': 'potatoes',
-    'onion': 'onions',
-    'carrot': 'carrots',
-    'apple': 'apples',
-    'banana': 'bananas',
-    'orange': 'oranges',
-    'pepper': 'peppers',
-    'cucumber': 'cucumbers',
-    'egg': 'eggs',
-    'lemon': 'lemons',
-    'lime': 'limes',
-    'avocado': 'avocados',
-    'strawberry': 'strawberries',
-    'blueberry': 'blueberries',
-    'raspberry': 'raspberries',
-    'cherry': 'cherries',
-    'mango': 'mangoes',
-    'peach': 'peaches',
-    'grape': 'grapes',
-    'mushroom': 'mushrooms',
-    'zucchini': 'zucchinis',
-    'celery': 'celeries',
-    'broccoli': 'broccolis',
-    'lettuce': 'lettuces',
-    'spinach': 'spinaches',
-  };
-  
-  // Try to match both singular and plural forms
-  return {
-    exact: normalized,
-    variants: [
-      normalized,
-      // Try plural if it's singular (use known mapping or add 's')
-      singularToPlural[normalized] || normalized + 's',
-      // Try singular if it's plural (remove 's')
-      normalized.endsWith('s') ? normalized.slice(0, -1) : normalized,
-      // Try removing 'es' ending (tomatoes -> tomato)
-      normalized.endsWith('es') ? normalized.slice(0, -2) : normalized,
-      // Try removing 'ies' and add 'y' (cherries -> cherry)
-      normalized.endsWith('ies') ? normalized.slice(0, -3) + 'y' : normalized,
-    ].filter((v, i, arr) => arr.indexOf(v) === i) // unique values only
-  };
-};
-
-/**
- * Build a lookup map from common items with all variants
- */
-const buildMasterItemLookup = (commonItems) => {
-  const lookup = new Map();
-  commonItems.forEach(item => {
-    const variants = normalizeForMatching(item.name);
-    variants.variants.forEach(variant => {
-      if (!lookup.has(variant)) {
-        lookup.set(variant, item);
-      }
-    });
-  });
-  return lookup;
-};
-
 export default function ImportListPage() {
   const navigate = useNavigate();
   const [user, setUser] = useState(null);
@@ -258,22 +189,6 @@ export default function ImportListPage() {
     setOrganizedItems(items => items.filter(item => item.id !== itemId));
   };
 
-  const extractQuantityFromName = (fullName) => {
-    // Regex to match quantity patterns at the start or end of the string
-    // e.g., "1kg Milk", "Milk 2 liters", "Eggs 1 dozen", "3x Apples", "2 packs of soda"
-    const quantityPattern = /\b(\d+(\.\d+)?\s*(kg|g|lb|lbs|oz|ml|l|litre|liter|pack|packs|x|dozen|piece|pieces)?)\b/i;
-    const match = fullName.match(quantityPattern);
-    
-    if (match) {
-      const extractedQty = match[0].trim();
-      // Remove the matched quantity from the name. Use replace with match[0] to ensure exact match removal.
-      const cleanName = fullName.replace(match[0], '').trim();
-      return { name: cleanName, quantity: extractedQty };
-    }
-    
-    return { name: fullName, quantity: '' };
-  };
-
   const handleImport = async () => {
     if (organizedItems.length === 0) {
       alert('No items to import.');
@@ -387,13 +302,10 @@ export default function ImportListPage() {
 
       setCurrentStatus('Checking for duplicate items...');
       const existingItems = await Item.filter({ list_id: targetListId });
-      const existingItemsMap = new Map(
-        existingItems.map(item => [item.name.toLowerCase().trim(), item])
-      );
 
       // Build master item lookup map with singular/plural variants for intelligent matching
       setCurrentStatus('Building master item lookup...');
-      const masterItemLookup = buildMasterItemLookup(commonItemsCache);
+      const masterItemLookup = buildVariantLookup(commonItemsCache);
       logger.import(`Master item lookup built with ${masterItemLookup.size} variants`);
 
       // Step 1: Filter out duplicates and prepare items for processing
@@ -402,26 +314,19 @@ export default function ImportListPage() {
       const reactivatedItems = [];
       
       for (const item of organizedItems) {
-        const { name: cleanName, quantity: extractedQty } = extractQuantityFromName(item.name);
+        const { name: cleanName, quantity: extractedQty, amount, unit } = parseItemText(item.name);
         const capitalizedName = capitalizeWords(cleanName);
         
         // Check if item is organic (look for "organic" in the name)
         const isOrganic = /\borganic\b/gi.test(item.name);
         
         // Use intelligent matching with singular/plural variants
-        const variants = normalizeForMatching(cleanName);
-        let commonItemMatch = null;
-        
-        // Try each variant to find a match in master list
-        for (const variant of variants.variants) {
-          if (masterItemLookup.has(variant)) {
-            commonItemMatch = masterItemLookup.get(variant);
-            logger.success(`Master match: "${capitalizedName}" → "${commonItemMatch.name}"`);
-            break;
-          }
+        const commonItemMatch = findInLookup(masterItemLookup, cleanName);
+        if (commonItemMatch) {
+          logger.success(`Master match: "${capitalizedName}" → "${commonItemMatch.name}"`);
         }
         
-        const existingItem = existingItemsMap.get(capitalizedName.toLowerCase().trim());
+        const existingItem = findDuplicateItem(existingItems, capitalizedName);
         
         if (existingItem) {
           if (existingItem.is_checked) {
@@ -430,14 +335,18 @@ export default function ImportListPage() {
               is_checked: false,
               checked_date: null,
               quantity: extractedQty, // Update quantity on reactivation
+              amount,
+              unit,
               is_organic: isOrganic || existingItem.is_organic // Preserve or set organic flag
             });
             reactivatedItems.push(capitalizedName);
           } else {
-            // Update quantity for duplicate (active) items
+            // Update quantity for duplicate (active) items: add to it when the
+            // units are compatible, otherwise replace it
             setCurrentStatus(`Updating quantity for "${capitalizedName}"...`);
+            const mergedQuantity = mergeItemQuantity(existingItem, { amount, unit });
             await Item.update(existingItem.id, {
-              quantity: extractedQty,
+              ...(mergedQuantity || { quantity: extractedQty, amount, unit }),
               is_organic: isOrganic || existingItem.is_organic // Preserve or set organic flag
             });
             duplicateItems.push(capitalizedName);
@@ -449,6 +358,8 @@ export default function ImportListPage() {
           originalName: item.name,
           name: capitalizedName,
           quantity: extractedQty,
+          amount,
+          unit,
           isOrganic: isOrganic,
           // Store master item data if found (category and photo_url)
           masterItemCategory: commonItemMatch?.category || null,
@@ -618,6 +529,8 @@ Return a JSON object where each key is the EXACT item name (as shown above) and
           list_id: targetListId,
           name: item.name,
           quantity: item.quantity,
+          amount: item.amount,
+          unit: item.unit,
           category: category,
           photo_url: photoUrl,
           added_by: currentUser.email,
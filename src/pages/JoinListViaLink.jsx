@@ -7,12 +7,14 @@ import { useNavigate } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import { Clock, CheckCircle, XCircle, Loader2, LogIn, ShoppingCart, UserPlus } from "lucide-react";
 import LegalFooter from "@/components/common/LegalFooter";
+import { ROLE_LABELS, ROLE_DESCRIPTIONS, normalizeRole } from "@/components/utils/listPermissions";
 
 export default function JoinListViaLink() {
   const navigate = useNavigate();
   const [status, setStatus] = useState('loading');
   const [message, setMessage] = useState('');
   const [listName, setListName] = useState('');
+  const [role, setRole] = useState(null); // Role the share link grants
   const [isAuthenticated, setIsAuthenticated] = useState(null); // null = checking, true/false = known
 
   const urlParams = new URLSearchParams(window.location.search);
@@ -55,6 +57,7 @@ export default function JoinListViaLink() {
         if (validation.list_name) {
           setListName(validation.list_name);
         }
+        setRole(validation.role || null);
         setStatus('need_auth');
         setMessage('Sign in to join this shopping list');
         return;
@@ -87,6 +90,7 @@ export default function JoinListViaLink() {
       if (result.list_name) {
         setListName(result.list_name);
       }
+      setRole(result.role || null);
 
       if (result.status === 'already_approved') {
         setStatus('already_approved');
@@ -95,9 +99,9 @@ export default function JoinListViaLink() {
         return;
       }
 
-      // Only track activity for NEW membership requests (status === 'pending')
+      // Only track activity for NEW memberships ('pending', or 'approved' via an auto-approve link)
       // Skip tracking for 'already_pending' to prevent duplicate activity entries on repeat visits
-      if (result.status === 'pending') {
+      if (result.status === 'pending' || result.status === 'approved') {
         ActivityTracking.create({
           operation_type: 'CREATE',
           page: PAGES.JOIN_LIST,
@@ -108,6 +112,13 @@ export default function JoinListViaLink() {
         }).catch(err => console.warn('Activity tracking failed:', err));
       }
 
+      if (result.status === 'approved') {
+        setStatus('approved');
+        setMessage(result.message || `You now have access to "${result.list_name || 'this list'}"`);
+        setTimeout(() => navigate(createPageUrl(`ListView?listId=${result.list_id}`)), 2000);
+        return;
+      }
+
       setStatus('pending');
       setMessage(result.message || `Access request sent! The owner of "${result.list_name || 'this list'}" will review your request.`);
 
@@ -155,6 +166,11 @@ export default function JoinListViaLink() {
                     : 'Someone shared a shopping list with you. Sign in or create an account to join and start collaborating!'
                   }
                 </p>
+                {role && (
+                  <p className="text-sm text-slate-500 dark:text-slate-400 -mt-4 mb-6">
+                    {`You'll join as ${ROLE_LABELS[normalizeRole(role)]}: ${ROLE_DESCRIPTIONS[normalizeRole(role)].toLowerCase()}.`}
+                  </p>
+                )}
                 
                 <div className="space-y-3">
                   <Button 
@@ -201,6 +217,7 @@ export default function JoinListViaLink() {
                 <p className="text-slate-600 dark:text-slate-400 mb-6">{message}</p>
                 <p className="text-sm text-slate-500 dark:text-slate-400 mb-6">
                   You'll be able to access the list once the owner approves your request. We'll notify you when it's ready!
+                  {role && ` You've asked to join as ${ROLE_LABELS[normalizeRole(role)]}.`}
                 </p>
                 <Button 
                   onClick={() => navigate(createPageUrl("Home"))} 
@@ -211,13 +228,15 @@ export default function JoinListViaLink() {
               </>
             )}
 
-            {/* Already Approved State */}
-            {status === 'already_approved' && (
+            {/* Approved State (joined or already a member) */}
+            {(status === 'already_approved' || status === 'approved') && (
               <>
                 <div className="w-16 h-16 bg-green-100 dark:bg-green-900/30 rounded-full flex items-center justify-center mx-auto mb-4">
                   <CheckCircle className="w-10 h-10 text-green-600 dark:text-green-400" />
                 </div>
-                <h1 className="text-2xl font-bold text-slate-800 dark:text-slate-100 mb-2">You're Already In!</h1>
+                <h1 className="text-2xl font-bold text-slate-800 dark:text-slate-100 mb-2">
+                  {status === 'approved' ? "You're In!" : "You're Already In!"}
+                </h1>
                 <p className="text-slate-600 dark:text-slate-400">{message}</p>
                 <p className="text-sm text-slate-500 dark:text-slate-400 mt-2">Redirecting to the list...</p>
               </>
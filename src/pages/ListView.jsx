@@ -1,8 +1,9 @@
 import React, { useState, useEffect, useCallback } from "react";
-import { User, ListMember, ShoppingList, Item, ActivityTracking, ShareLink } from "@/api/entities";
+import { User, ListMember, ShoppingList, Item, ActivityTracking, ConflictError, RecordBusyError } from "@/api/entities";
 import { updateStatCount } from "@/api/functions";
 import { Button } from "@/components/ui/button";
-import { ArrowLeft, Plus, Share2, Star, Loader2, Trash2, ShoppingCart, RefreshCw, FileDown } from "lucide-react";
+import { ArrowLeft, Plus, Share2, Star, Loader2, Trash2, ShoppingCart, RefreshCw, FileDown, Repeat, Wallet, LayoutTemplate, ListChecks, ArrowRightLeft, Copy, X } from "lucide-react";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { useNavigate } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import { Badge } from "@/components/ui/badge";
@@ -11,6 +12,7 @@ import { appCache } from "@/components/utils/appCache";
 import { trackItem, trackShoppingList, trackShare, PAGES, OPERATIONS } from "@/utils/trackingContext";
 import { supabase } from "@/api/supabaseClient";
 import { logger } from "@/utils/logger";
+import { isStaleUpdate } from "@/utils/recordMerge";
 
 import ItemCard from "../components/items/ItemCard";
 
@@ -34,22 +36,48 @@ const CATEGORY_ORDER = [
 import AddItemDialog from "../components/items/AddItemDialog";
 import FastAddItemInput from "../components/items/FastAddItemInput";
 import ShareDialog from "../components/lists/ShareDialog";
+import ItemConflictDialog from "../components/items/ItemConflictDialog";
+import DuplicateItemsDialog from "../components/items/DuplicateItemsDialog";
+import MoveItemsDialog from "../components/items/MoveItemsDialog";
+import StaplesPanel from "../components/lists/StaplesPanel";
+import PriceHistoryDialog from "../components/items/PriceHistoryDialog";
+import ListBudgetDialog from "../components/lists/ListBudgetDialog";
+import SaveTemplateDialog from "../components/lists/SaveTemplateDialog";
+import { saveListAsTemplate } from "@/components/utils/listTemplates";
+import { useToast } from "@/components/ui/use-toast";
+import { ToastAction } from "@/components/ui/toast";
+import { restoreDeletedItem, restoreDeletedList } from "@/components/utils/trash";
 import ConfirmDialog from "@/components/common/ConfirmDialog";
 import { canAddItem } from "@/components/utils/tierManager";
 import UpgradePrompt from "@/components/common/UpgradePrompt";
 import { incrementUsage, decrementUsage } from "@/components/utils/usageSync";
+import { replenishStaples, REPLENISH_RULES } from "@/components/utils/staplesManager";
+import { quantityFields, getDuplicateMergeUpdate } from "@/components/utils/ingredientParser";
+import { findDuplicateItem } from "@/utils/itemMatching";
+import { useDuplicatePrompt } from "@/hooks/useDuplicatePrompt";
+import { rememberEstimatedPrice, getEstimatedTotal } from "@/components/utils/budgetManager";
+import { formatPrice } from "@/components/utils/tripRecorder";
+import { getListRole, getListPermissions } from "@/components/utils/listPermissions";
+import { getDestinationLists, findTransferDuplicates, transferItems } from "@/components/utils/bulkItemActions";
 
 export default function ListViewPage() {
   const navigate = useNavigate();
   const [list, setList] = useState(null);
   const [items, setItems] = useState([]);
   const [user, setUser] = useState(null);
+  const [role, setRole] = useState(null);
   const [showAddDialog, setShowAddDialog] = useState(false);
   const [editingItem, setEditingItem] = useState(null);
   const [initialItemName, setInitialItemName] = useState(""); // For pre-populating AddItemDialog
   const [selectedCategory, setSelectedCategory] = useState("all");
   const [loading, setLoading] = useState(true);
   const [showShareDialog, setShowShareDialog] = useState(false);
+  const [showStaplesPanel, setShowStaplesPanel] = useState(false);
+  const [priceHistoryItem, setPriceHistoryItem] = useState(null);
+  const [showBudgetDialog, setShowBudgetDialog] = useState(false);
+  const [showTemplateDialog, setShowTemplateDialog] = useState(false);
+  const [savingTemplate, setSavingTemplate] = useState(false);
+  const { toast } = useToast();
   const [error, setError] = useState(null);
   const [showUpgradePrompt, setShowUpgradePrompt] = useState(false);
   const [upgradeMessage, setUpgradeMessage] = useState("");
@@ -60,6 +88,21 @@ export default function ListViewPage() {
   const [deleteItemConfirm, setDeleteItemConfirm] = useState({ open: false, item: null });
   const [deleteListConfirm, setDeleteListConfirm] = useState(false);
 
+  // Concurrent edit conflict awaiting the user's merge decision
+  const [itemConflict, setItemConflict] = useState(null);
+  const { ask: askDuplicate, dialogProps: duplicatePrompt } = useDuplicatePrompt();
+
+  // Multi-select bulk actions
+  const [selecting, setSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [transferMode, setTransferMode] = useState(null); // "move" | "copy" | null
+  const [destinationLists, setDestinationLists] = useState(null);
+  const [bulkWorking, setBulkWorking] = useState(false);
+  const [bulkDeleteConfirm, setBulkDeleteConfirm] = useState(false);
+
+  // What the current user's role allows on this list
+  const { canCheck, canEdit, canManage } = getListPermissions(role);
+
   const urlParams = new URLSearchParams(window.location.search);
   const listId = urlParams.get("listId");
 
@@ -110,7 +153,18 @@ export default function ListViewPage() {
         (payload) => {
           logger.realtime('ListView', 'Received realtime update', payload.new.id, payload.new);
           // Update the specific item in state without full reload
+          // (skip events older than what we already have - they can arrive out of order)
           setItems(prevItems => {
+            const current = prevItems.find(item => item.id === payload.new.id);
+            if (isStaleUpdate(current, payload.new)) return prevItems;
+            // Moved to / restored from the trash elsewhere
+            if (payload.new.deleted_at || !current) {
+              const updatedItems = payload.new.deleted_at
+                ? prevItems.filter(item => item.id !== payload.new.id)
+                : [payload.new, ...prevItems];
+              updateCacheWithItems(updatedItems);
+              return updatedItems;
+            }
             const updatedItems = prevItems.map(item => 
               item.id === payload.new.id 
                 ? { ...item, ...payload.new }
@@ -226,7 +280,7 @@ export default function ListViewPage() {
         try {
           const listCheck = await ShoppingList.get(listId);
           
-          if (listCheck && listCheck.shared_with_family) {
+          if (listCheck && listCheck.shared_with_family && !listCheck.deleted_at) {
             // User has access via family sharing
             isFamilySharedAccess = true;
             logger.debug('ListView', 'Access granted via family sharing');
@@ -305,8 +359,15 @@ export default function ListViewPage() {
         return;
       }
 
+      const listRole = getListRole(listData, membership, currentUser.id);
       setList(listData);
+      setRole(listRole);
       setItems(itemsData);
+
+      // Re-add any staples whose replenish interval has passed
+      if (getListPermissions(listRole).canEdit) {
+        replenishDueStaples(itemsData, currentUser);
+      }
     } catch (error) {
       console.error("Error loading data:", error);
       setError(`Failed to load list: ${error.message}`);
@@ -315,17 +376,94 @@ export default function ListViewPage() {
     }
   };
 
-  const handleAddItem = async (itemData) => {
+  const replenishDueStaples = async (listItems, currentUser) => {
     try {
-      // Check for duplicate item name in the list
-      const normalizedName = itemData.name.toLowerCase().trim();
-      const duplicate = items.find(item => 
-        item.name.toLowerCase().trim() === normalizedName
-      );
-      
+      const replenished = await replenishStaples(listItems, {
+        userId: currentUser.id,
+        addedBy: currentUser.email,
+        page: PAGES.LIST_VIEW
+      });
+      if (replenished.length === 0) return;
+
+      logger.debug('ListView', `Replenished ${replenished.length} staple items`);
+      logger.cache('ListView', 'Clearing cache (staples replenished)');
+      appCache.clearShoppingList(listId);
+      // Re-fetch so the checked copies reflect that their rule moved to the new items
+      const freshItems = await Item.filter({ list_id: listId }, "-created_date");
+      setItems(freshItems);
+    } catch (error) {
+      console.error("Error replenishing staples:", error);
+    }
+  };
+
+  const handleSetStapleRule = async (item, rule) => {
+    try {
+      setItems(prev => prev.map(i => i.id === item.id ? { ...i, ...rule } : i));
+      await Item.update(item.id, rule, trackItem.edit(user.id, item.name));
+      appCache.clearShoppingList(listId);
+    } catch (error) {
+      console.error("Error updating staple rule:", error);
+      setItems(prev => prev.map(i => i.id === item.id ? item : i));
+    }
+  };
+
+  const handleSetEstimatedPrice = async (item, estimatedPrice) => {
+    try {
+      setItems(prev => prev.map(i => i.id === item.id ? { ...i, estimated_price: estimatedPrice } : i));
+      await Item.update(item.id, { estimated_price: estimatedPrice }, trackItem.edit(user.id, item.name));
+      appCache.clearShoppingList(listId);
+      rememberEstimatedPrice(item.name, estimatedPrice);
+    } catch (error) {
+      console.error("Error updating estimated price:", error);
+      setItems(prev => prev.map(i => i.id === item.id ? item : i));
+    }
+  };
+
+  const handleSaveBudget = async (budgetData) => {
+    try {
+      await ShoppingList.update(listId, budgetData);
+      setList(prev => ({ ...prev, ...budgetData }));
+      setShowBudgetDialog(false);
+
+      // Shopping Mode reads the budget from the cached list entities
+      logger.cache('ListView', 'Clearing cache (list budget changed)');
+      appCache.clearShoppingListEntities();
+      appCache.clearShoppingList(listId);
+    } catch (error) {
+      console.error("Error saving budget:", error);
+    }
+  };
+
+  const handleSaveTemplate = async ({ name, shareWithFamily }) => {
+    setSavingTemplate(true);
+    try {
+      await saveListAsTemplate({ list, items, name, shareWithFamily, userId: user.id });
+      setShowTemplateDialog(false);
+      toast({
+        title: "Template saved",
+        description: `Create a list from "${name}" with New List.`,
+      });
+    } catch (error) {
+      console.error("Error saving template:", error);
+      alert("Failed to save template. Please try again.");
+    } finally {
+      setSavingTemplate(false);
+    }
+  };
+
+  const handleAddItem = async (newItemData) => {
+    try {
+      const itemData = { ...newItemData, ...quantityFields(newItemData.quantity) };
+
+      // Already on the list (singular/plural and "organic" ignored): merge or keep both
+      const duplicate = findDuplicateItem(items, itemData.name);
       if (duplicate) {
-        alert(`An item named "${itemData.name}" already exists in this list.`);
-        return;
+        const choices = await askDuplicate([{ key: duplicate.id, existing: duplicate, incoming: itemData }]);
+        if (!choices) return;
+        if (choices[duplicate.id] === 'merge') {
+          await handleEditItem(getDuplicateMergeUpdate(duplicate, itemData), duplicate);
+          return;
+        }
       }
 
       // Use cached user data
@@ -356,12 +494,17 @@ export default function ListViewPage() {
     }
   };
 
-  const handleEditItem = async (itemData) => {
+  // baseItem is the item as the user saw it when they opened the editor;
+  // the save only applies cleanly if nobody else changed the same fields since
+  const handleEditItem = async (changes, baseItem = editingItem) => {
     try {
-      await Item.update(editingItem.id, itemData, trackItem.edit(user.id, itemData.name));
-      // Update item in state immediately
+      const itemData = changes.quantity !== undefined
+        ? { ...changes, ...quantityFields(changes.quantity) }
+        : changes;
+      const savedItem = await Item.updateVersioned(baseItem.id, itemData, baseItem, trackItem.edit(user.id, itemData.name || baseItem.name));
+      // Update item in state immediately (saved item includes anything merged from other editors)
       setItems(prev => prev.map(item =>
-        item.id === editingItem.id ? { ...item, ...itemData } : item
+        item.id === baseItem.id ? { ...item, ...itemData, ...savedItem } : item
       ));
       setEditingItem(null);
 
@@ -369,10 +512,43 @@ export default function ListViewPage() {
       logger.cache('ListView', 'Clearing cache (item edited)');
       appCache.clearShoppingList(listId);
     } catch (error) {
+      if (error instanceof ConflictError) {
+        logger.debug('ListView: concurrent edit conflict', error.details.conflicts);
+        setItemConflict(error.details);
+        return;
+      }
+      if (error instanceof RecordBusyError) {
+        // Others keep saving this item - nothing to resolve, just retry the same edit
+        toast({
+          title: "This item keeps changing",
+          description: "Someone else is editing it right now. Your changes weren't saved yet.",
+          action: (
+            <ToastAction altText="Save again" onClick={() => handleEditItem(changes, baseItem)}>
+              Try again
+            </ToastAction>
+          ),
+        });
+        return;
+      }
       console.error("Error updating item:", error);
     }
   };
 
+  const handleResolveConflict = async (resolvedValues) => {
+    const { changes, remote } = itemConflict;
+    setItemConflict(null);
+    // Re-apply the user's edits (with their picks for conflicting fields) on top of the latest version
+    await handleEditItem({ ...changes, ...resolvedValues }, remote);
+  };
+
+  const handleDiscardConflict = () => {
+    const { remote } = itemConflict;
+    setItemConflict(null);
+    // Keep the other member's version
+    setItems(prev => prev.map(item => item.id === remote.id ? { ...item, ...remote } : item));
+    appCache.clearShoppingList(listId);
+  };
+
   const handleToggleCheck = async (item) => {
     const originalItem = item; // Store original item for potential revert
     try {
@@ -395,6 +571,13 @@ export default function ListViewPage() {
       // Invalidate this specific list's cache since active item count changed
       logger.cache('ListView', 'Clearing cache (item checked status changed)');
       appCache.clearShoppingList(listId);
+
+      if (!item.is_checked && item.replenish_rule === REPLENISH_RULES.ON_CHECK && canEdit) {
+        await replenishDueStaples(
+          items.map(i => i.id === item.id ? { ...i, ...updatedData } : i),
+          user
+        );
+      }
     } catch (error) {
       console.error("Error updating item:", error);
       // Revert on error
@@ -458,6 +641,15 @@ export default function ListViewPage() {
       // Invalidate this specific list's cache since item count changed
       logger.cache('ListView', 'Clearing cache (item deleted)');
       appCache.clearShoppingList(listId);
+
+      toast({
+        title: `Deleted "${item.name}"`,
+        action: (
+          <ToastAction altText="Undo delete" onClick={() => handleUndoDeleteItem(item)}>
+            Undo
+          </ToastAction>
+        ),
+      });
     } catch (error) {
       console.error("Error deleting item:", error);
       // Reload on error
@@ -465,6 +657,208 @@ export default function ListViewPage() {
     }
   };
 
+  const handleUndoDeleteItem = async (item) => {
+    try {
+      const result = await restoreDeletedItem(item, user.id, PAGES.LIST_VIEW);
+      if (!result.restored) {
+        setUpgradeTitle("Item Limit Reached");
+        setUpgradeMessage(result.message);
+        setShowUpgradePrompt(true);
+        return;
+      }
+      setItems(prev => prev.some(i => i.id === item.id) ? prev : [result.item || item, ...prev]);
+    } catch (error) {
+      console.error("Error restoring item:", error);
+      alert("Failed to restore item. You can still restore it from the Trash.");
+    }
+  };
+
+  const selectedItems = items.filter(item => selectedIds.has(item.id));
+
+  const exitSelection = () => {
+    setSelecting(false);
+    setSelectedIds(new Set());
+  };
+
+  const toggleSelected = (item) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(item.id)) {
+        next.delete(item.id);
+      } else {
+        next.add(item.id);
+      }
+      return next;
+    });
+  };
+
+  const handleSelectAll = () => {
+    setSelectedIds(prev => prev.size === items.length ? new Set() : new Set(items.map(item => item.id)));
+  };
+
+  const openTransferDialog = async (mode) => {
+    setTransferMode(mode);
+    setDestinationLists(null);
+    try {
+      setDestinationLists(await getDestinationLists(user.id, listId));
+    } catch (error) {
+      console.error("Error loading destination lists:", error);
+      setDestinationLists([]);
+    }
+  };
+
+  const handleBulkTransfer = async (targetList) => {
+    const mode = transferMode;
+    const selection = selectedItems;
+    if (selection.length === 0) return;
+
+    setBulkWorking(true);
+    try {
+      const targetItems = await Item.filter({ list_id: targetList.id });
+      const duplicates = findTransferDuplicates(selection, targetItems);
+
+      let choices = {};
+      if (duplicates.length > 0) {
+        choices = await askDuplicate(duplicates);
+        if (!choices) {
+          setBulkWorking(false);
+          return;
+        }
+      }
+
+      const result = await transferItems({ mode, items: selection, targetList, duplicates, choices, user });
+
+      if (mode === "move") {
+        // Anything that didn't move stays put (and selected) so it can be retried
+        const remaining = await Item.filter({ list_id: listId });
+        const remainingIds = new Set(remaining.map(item => item.id));
+        setItems(prev => prev.filter(item => !selectedIds.has(item.id) || remainingIds.has(item.id)));
+        setSelectedIds(prev => new Set([...prev].filter(id => remainingIds.has(id))));
+      }
+
+      appCache.clearShoppingList(listId);
+      setTransferMode(null);
+
+      const count = result.transferred + result.merged;
+      toast({
+        title: `${mode === "move" ? "Moved" : "Copied"} ${count} item${count === 1 ? "" : "s"} to "${targetList.name}"`,
+        description: [
+          result.merged > 0 && `${result.merged} merged with existing items.`,
+          result.failed > 0 && `${result.failed} couldn't be ${mode === "move" ? "moved" : "copied"} - please try again.`,
+        ].filter(Boolean).join(" ") || undefined,
+        ...(result.failed > 0 && { variant: "destructive" }),
+      });
+
+      if (result.skipped > 0) {
+        const check = await canAddItem();
+        setUpgradeTitle("Item Limit Reached");
+        setUpgradeMessage(`${result.skipped} item${result.skipped === 1 ? " wasn't" : "s weren't"} copied. ${check.message || ""}`.trim());
+        setShowUpgradePrompt(true);
+      } else if (result.failed === 0 && (mode === "copy" || count === selection.length)) {
+        // (after a failure the selection stays, so it can be retried)
+        exitSelection();
+      }
+    } catch (error) {
+      console.error(`Error during bulk ${mode}:`, error);
+      alert(`Failed to ${mode} items. Please try again.`);
+    }
+    setBulkWorking(false);
+  };
+
+  const handleBulkCategory = async (category) => {
+    const selection = selectedItems.filter(item => item.category !== category);
+    if (selection.length === 0) return;
+
+    setBulkWorking(true);
+    setItems(prev => prev.map(item => selectedIds.has(item.id) ? { ...item, category } : item));
+    try {
+      await Promise.all(selection.map(item =>
+        Item.update(item.id, { category }, trackItem.changeCategory(user.id, item.name, category))
+      ));
+      appCache.clearShoppingList(listId);
+      toast({ title: `Moved ${selection.length} item${selection.length === 1 ? "" : "s"} to ${category}` });
+    } catch (error) {
+      console.error("Error changing category:", error);
+      loadData();
+    }
+    setBulkWorking(false);
+  };
+
+  const handleBulkFavorite = async () => {
+    // Favorite all unless every selected item already is one
+    const is_favorite = !selectedItems.every(item => item.is_favorite);
+    const selection = selectedItems.filter(item => !!item.is_favorite !== is_favorite);
+    if (selection.length === 0) return;
+
+    setBulkWorking(true);
+    setItems(prev => prev.map(item => selectedIds.has(item.id) ? { ...item, is_favorite } : item));
+    try {
+      await Promise.all(selection.map(item =>
+        Item.update(
+          item.id,
+          { is_favorite },
+          is_favorite ? trackItem.favorite(user.id, item.name) : trackItem.unfavorite(user.id, item.name)
+        )
+      ));
+      appCache.clearShoppingList(listId);
+    } catch (error) {
+      console.error("Error updating favorites:", error);
+      loadData();
+    }
+    setBulkWorking(false);
+  };
+
+  const confirmBulkDelete = async () => {
+    const selection = selectedItems;
+    if (selection.length === 0) return;
+
+    setBulkWorking(true);
+    setItems(prev => prev.filter(item => !selectedIds.has(item.id)));
+    exitSelection();
+    try {
+      await Promise.all(selection.map(item => Item.delete(item.id, trackItem.delete(user.id, item.name))));
+
+      const currentUser = await User.me();
+      await User.updateMe({ current_total_items: Math.max(0, (currentUser.current_total_items || 0) - selection.length) });
+      appCache.clearUser();
+      await updateStatCount('total_items', -selection.length);
+
+      logger.cache('ListView', 'Clearing cache (items deleted)');
+      appCache.clearShoppingList(listId);
+
+      toast({
+        title: `Deleted ${selection.length} item${selection.length === 1 ? "" : "s"}`,
+        action: (
+          <ToastAction altText="Undo delete" onClick={() => handleUndoBulkDelete(selection)}>
+            Undo
+          </ToastAction>
+        ),
+      });
+    } catch (error) {
+      console.error("Error deleting items:", error);
+      loadData();
+    }
+    setBulkWorking(false);
+  };
+
+  const handleUndoBulkDelete = async (deletedItems) => {
+    try {
+      for (const item of deletedItems) {
+        const result = await restoreDeletedItem(item, user.id, PAGES.LIST_VIEW);
+        if (!result.restored) {
+          setUpgradeTitle("Item Limit Reached");
+          setUpgradeMessage(result.message);
+          setShowUpgradePrompt(true);
+          return;
+        }
+        setItems(prev => prev.some(i => i.id === item.id) ? prev : [result.item || item, ...prev]);
+      }
+    } catch (error) {
+      console.error("Error restoring items:", error);
+      alert("Failed to restore some items. You can still restore them from the Trash.");
+    }
+  };
+
   const handleOpenAddDialog = async () => {
     // Check tier limits before opening dialog
     const tierCheck = await canAddItem();
@@ -510,6 +904,21 @@ export default function ListViewPage() {
     setDeleteListConfirm(true);
   };
 
+  // Runs after navigating away, so it takes the user back to the restored list
+  const handleUndoDeleteList = async (deletedList) => {
+    try {
+      const result = await restoreDeletedList(deletedList, user.id, PAGES.LIST_VIEW);
+      if (!result.restored) {
+        alert(result.message);
+        return;
+      }
+      navigate(createPageUrl(`ListView?listId=${deletedList.id}`));
+    } catch (error) {
+      console.error("Error restoring list:", error);
+      alert("Failed to restore list. You can still restore it from the Trash.");
+    }
+  };
+
   const confirmDeleteList = async () => {
     try {
       // Check if user is the owner
@@ -523,32 +932,26 @@ export default function ListViewPage() {
         return;
       }
 
-      // Delete all items
-      await Promise.all(items.map(item => Item.delete(item.id)));
+      // Move the list to the trash with tracking
+      // Items, memberships and share links are kept so the list can be restored,
+      // and are removed along with it when the trash is purged
+      await ShoppingList.delete(listId, trackShoppingList.delete(user.id, list.name, PAGES.LIST_VIEW));
 
       // Update statistics: atomic decrement total_items for all deleted items
       if (items.length > 0) {
         await updateStatCount('total_items', -items.length);
       }
 
-      // Delete all memberships
-      const allMemberships = await ListMember.filter({ list_id: listId });
-      await Promise.all(allMemberships.map(member => ListMember.delete(member.id)));
-
-      // Delete share links
-      const shareLinks = await ShareLink.filter({ list_id: listId });
-      await Promise.all(shareLinks.map(link => ShareLink.delete(link.id)));
-
-      // Delete the list with tracking
-      await ShoppingList.delete(listId, trackShoppingList.delete(user.id, list.name, PAGES.LIST_VIEW));
-
       // Decrement shopping list count (per-user) and total items count
-      await decrementUsage('current_shopping_lists');
+      // Archived lists were already taken off the per-user counts when archived
+      if (!list.archived) {
+        await decrementUsage('current_shopping_lists');
+      }
       
       // Update statistics - atomic decrement total_lists (global)
       await updateStatCount('total_lists', -1);
       
-      if (items.length > 0) {
+      if (items.length > 0 && !list.archived) {
         const currentUser = await User.me();
         const newItemCount = Math.max(0, (currentUser.current_total_items || 0) - items.length);
         await User.updateMe({ current_total_items: newItemCount });
@@ -561,6 +964,16 @@ export default function ListViewPage() {
       appCache.clearShoppingListEntities();
       appCache.clearListMemberships(user.id); // NEW: Clear list memberships cache
 
+      toast({
+        title: `Deleted "${list.name}"`,
+        description: `Restore it from the Trash within 30 days.`,
+        action: (
+          <ToastAction altText="Undo delete" onClick={() => handleUndoDeleteList(list)}>
+            Undo
+          </ToastAction>
+        ),
+      });
+
       // Navigate back to Manage Lists
       navigate(createPageUrl("ManageLists"));
     } catch (error) {
@@ -650,8 +1063,10 @@ export default function ListViewPage() {
     return indexA - indexB;
   });
 
-  // Check if current user is owner
-  const isOwner = list?.owner_id === user?.id;
+  const activeEstimate = getEstimatedTotal(activeItems);
+  const budgetSummary = list.budget != null
+    ? ` • Est. ${formatPrice(activeEstimate)} of ${formatPrice(list.budget)}`
+    : (activeEstimate > 0 ? ` • Est. ${formatPrice(activeEstimate)}` : null);
 
   return (
     <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8 overflow-x-hidden">
@@ -681,6 +1096,7 @@ export default function ListViewPage() {
             </h1>
             <p className="text-slate-600 text-sm dark:text-slate-400">
               {activeItems.length} active • {checkedItems.length} done
+              {budgetSummary}
             </p>
           </div>
           <div className="flex items-center gap-2 flex-shrink-0">
@@ -694,32 +1110,65 @@ export default function ListViewPage() {
             >
               <RefreshCw className={`w-5 h-5 text-slate-600 dark:text-slate-400 ${refreshing ? 'animate-spin' : ''}`} />
             </Button>
+            {canEdit && (
+              <Button 
+                variant="outline" 
+                size="icon"
+                onClick={async () => {
+                  const tierCheck = await canAddItem();
+                  if (!tierCheck.canAdd) {
+                    setUpgradeTitle("Item Limit Reached");
+                    setUpgradeMessage(tierCheck.message);
+                    setShowUpgradePrompt(true);
+                    return;
+                  }
+                  navigate(createPageUrl(`ImportList?preselectedListId=${listId}`));
+                }}
+                className="bg-white border-slate-300 hover:bg-purple-50 dark:bg-slate-700 dark:border-slate-600 dark:hover:bg-purple-900/30"
+                title="Import items"
+              >
+                <FileDown className="w-5 h-5 text-purple-600 dark:text-purple-400" />
+              </Button>
+            )}
+            {canCheck && (
+              <Button 
+                variant="outline" 
+                size="icon"
+                onClick={handleGoToShoppingMode}
+                className="bg-white border-slate-300 hover:bg-blue-50 dark:bg-slate-700 dark:border-slate-600 dark:hover:bg-blue-900/30"
+                title="Enter Shopping Mode"
+              >
+                <ShoppingCart className="w-5 h-5 text-blue-600 dark:text-blue-400" />
+              </Button>
+            )}
             <Button 
               variant="outline" 
               size="icon"
-              onClick={async () => {
-                const tierCheck = await canAddItem();
-                if (!tierCheck.canAdd) {
-                  setUpgradeTitle("Item Limit Reached");
-                  setUpgradeMessage(tierCheck.message);
-                  setShowUpgradePrompt(true);
-                  return;
-                }
-                navigate(createPageUrl(`ImportList?preselectedListId=${listId}`));
-              }}
-              className="bg-white border-slate-300 hover:bg-purple-50 dark:bg-slate-700 dark:border-slate-600 dark:hover:bg-purple-900/30"
-              title="Import items"
+              onClick={() => setShowBudgetDialog(true)}
+              className="bg-white border-slate-300 hover:bg-emerald-50 dark:bg-slate-700 dark:border-slate-600 dark:hover:bg-emerald-900/30"
+              title="Budget"
             >
-              <FileDown className="w-5 h-5 text-purple-600 dark:text-purple-400" />
+              <Wallet className="w-5 h-5 text-emerald-600 dark:text-emerald-400" />
             </Button>
+            {canEdit && (
+              <Button 
+                variant="outline" 
+                size="icon"
+                onClick={() => setShowStaplesPanel(true)}
+                className="bg-white border-slate-300 hover:bg-green-50 dark:bg-slate-700 dark:border-slate-600 dark:hover:bg-green-900/30"
+                title="Staples"
+              >
+                <Repeat className="w-5 h-5 text-green-600 dark:text-green-400" />
+              </Button>
+            )}
             <Button 
               variant="outline" 
               size="icon"
-              onClick={handleGoToShoppingMode}
-              className="bg-white border-slate-300 hover:bg-blue-50 dark:bg-slate-700 dark:border-slate-600 dark:hover:bg-blue-900/30"
-              title="Enter Shopping Mode"
+              onClick={() => setShowTemplateDialog(true)}
+              className="bg-white border-slate-300 hover:bg-indigo-50 dark:bg-slate-700 dark:border-slate-600 dark:hover:bg-indigo-900/30"
+              title="Save as template"
             >
-              <ShoppingCart className="w-5 h-5 text-blue-600 dark:text-blue-400" />
+              <LayoutTemplate className="w-5 h-5 text-indigo-600 dark:text-indigo-400" />
             </Button>
             <Button 
               variant="outline" 
@@ -730,7 +1179,7 @@ export default function ListViewPage() {
             >
               <Share2 className="w-5 h-5 text-slate-700 dark:text-slate-400" />
             </Button>
-            {isOwner && (
+            {canManage && (
               <Button 
                 variant="outline" 
                 size="icon"
@@ -770,6 +1219,7 @@ export default function ListViewPage() {
               </h1>
               <p className="text-slate-600 text-sm dark:text-slate-400">
                 {activeItems.length} active • {checkedItems.length} done
+                {budgetSummary}
               </p>
             </div>
           </div>
@@ -786,32 +1236,65 @@ export default function ListViewPage() {
             >
               <RefreshCw className={`w-5 h-5 text-slate-600 dark:text-slate-400 ${refreshing ? 'animate-spin' : ''}`} />
             </Button>
+            {canEdit && (
+              <Button 
+                variant="outline" 
+                size="icon"
+                onClick={async () => {
+                  const tierCheck = await canAddItem();
+                  if (!tierCheck.canAdd) {
+                    setUpgradeTitle("Item Limit Reached");
+                    setUpgradeMessage(tierCheck.message);
+                    setShowUpgradePrompt(true);
+                    return;
+                  }
+                  navigate(createPageUrl(`ImportList?preselectedListId=${listId}`));
+                }}
+                className="bg-white border-slate-300 hover:bg-purple-50 dark:bg-slate-700 dark:border-slate-600 dark:hover:bg-purple-900/30 flex-1 max-w-[70px]"
+                title="Import items"
+              >
+                <FileDown className="w-5 h-5 text-purple-600 dark:text-purple-400" />
+              </Button>
+            )}
+            {canCheck && (
+              <Button 
+                variant="outline" 
+                size="icon"
+                onClick={handleGoToShoppingMode}
+                className="bg-white border-slate-300 hover:bg-blue-50 dark:bg-slate-700 dark:border-slate-600 dark:hover:bg-blue-900/30 flex-1 max-w-[70px]"
+                title="Enter Shopping Mode"
+              >
+                <ShoppingCart className="w-5 h-5 text-blue-600 dark:text-blue-400" />
+              </Button>
+            )}
             <Button 
               variant="outline" 
               size="icon"
-              onClick={async () => {
-                const tierCheck = await canAddItem();
-                if (!tierCheck.canAdd) {
-                  setUpgradeTitle("Item Limit Reached");
-                  setUpgradeMessage(tierCheck.message);
-                  setShowUpgradePrompt(true);
-                  return;
-                }
-                navigate(createPageUrl(`ImportList?preselectedListId=${listId}`));
-              }}
-              className="bg-white border-slate-300 hover:bg-purple-50 dark:bg-slate-700 dark:border-slate-600 dark:hover:bg-purple-900/30 flex-1 max-w-[70px]"
-              title="Import items"
+              onClick={() => setShowBudgetDialog(true)}
+              className="bg-white border-slate-300 hover:bg-emerald-50 dark:bg-slate-700 dark:border-slate-600 dark:hover:bg-emerald-900/30 flex-1 max-w-[70px]"
+              title="Budget"
             >
-              <FileDown className="w-5 h-5 text-purple-600 dark:text-purple-400" />
+              <Wallet className="w-5 h-5 text-emerald-600 dark:text-emerald-400" />
             </Button>
+            {canEdit && (
+              <Button 
+                variant="outline" 
+                size="icon"
+                onClick={() => setShowStaplesPanel(true)}
+                className="bg-white border-slate-300 hover:bg-green-50 dark:bg-slate-700 dark:border-slate-600 dark:hover:bg-green-900/30 flex-1 max-w-[70px]"
+                title="Staples"
+              >
+                <Repeat className="w-5 h-5 text-green-600 dark:text-green-400" />
+              </Button>
+            )}
             <Button 
               variant="outline" 
               size="icon"
-              onClick={handleGoToShoppingMode}
-              className="bg-white border-slate-300 hover:bg-blue-50 dark:bg-slate-700 dark:border-slate-600 dark:hover:bg-blue-900/30 flex-1 max-w-[70px]"
-              title="Enter Shopping Mode"
+              onClick={() => setShowTemplateDialog(true)}
+              className="bg-white border-slate-300 hover:bg-indigo-50 dark:bg-slate-700 dark:border-slate-600 dark:hover:bg-indigo-900/30 flex-1 max-w-[70px]"
+              title="Save as template"
             >
-              <ShoppingCart className="w-5 h-5 text-blue-600 dark:text-blue-400" />
+              <LayoutTemplate className="w-5 h-5 text-indigo-600 dark:text-indigo-400" />
             </Button>
             <Button 
               variant="outline" 
@@ -822,7 +1305,7 @@ export default function ListViewPage() {
             >
               <Share2 className="w-5 h-5 text-slate-700 dark:text-slate-400" />
             </Button>
-            {isOwner && (
+            {canManage && (
               <Button 
                 variant="outline" 
                 size="icon"
@@ -837,23 +1320,48 @@ export default function ListViewPage() {
         </div>
       </div>
 
-      {/* Fast Add Input */}
-      <FastAddItemInput 
-        listId={listId} 
-        existingItems={items} 
-        onItemAdded={loadData} 
-        onOpenManualAdd={handleOpenManualAdd}
-      />
+      {canEdit ? (
+        <>
+          {/* Fast Add Input */}
+          <FastAddItemInput 
+            listId={listId} 
+            existingItems={items} 
+            onItemAdded={loadData} 
+            onOpenManualAdd={handleOpenManualAdd}
+          />
+
+          {/* Add Item Button */}
+          <Button
+            onClick={handleOpenAddDialog}
+            variant="outline"
+            className="w-full mb-6 h-12 text-base border-dashed !bg-white !text-slate-800 border-slate-300 hover:!bg-slate-50 dark:!bg-slate-700 dark:!text-white dark:!border-slate-500 dark:hover:!bg-slate-600"
+          >
+            <Plus className="w-5 h-5 mr-2" />
+            Add Item (with details)
+          </Button>
+        </>
+      ) : (
+        <div className="mb-6 p-3 rounded-lg bg-slate-100 text-sm text-slate-600 dark:bg-slate-800 dark:text-slate-300">
+          {canCheck
+            ? "You're a shopper on this list - you can check items off, but not add or change them."
+            : "You have view-only access to this list."}
+        </div>
+      )}
 
-      {/* Add Item Button */}
-      <Button
-        onClick={handleOpenAddDialog}
-        variant="outline"
-        className="w-full mb-6 h-12 text-base border-dashed !bg-white !text-slate-800 border-slate-300 hover:!bg-slate-50 dark:!bg-slate-700 dark:!text-white dark:!border-slate-500 dark:hover:!bg-slate-600"
-      >
-        <Plus className="w-5 h-5 mr-2" />
-        Add Item (with details)
-      </Button>
+      {/* Select mode toggle */}
+      {canEdit && items.length > 0 && (
+        <div className="flex justify-end mb-3">
+          <Button
+            variant={selecting ? "default" : "outline"}
+            size="sm"
+            onClick={() => selecting ? exitSelection() : setSelecting(true)}
+            className={selecting ? "bg-blue-600 hover:bg-blue-700" : "dark:border-slate-600 dark:text-slate-200"}
+          >
+            <ListChecks className="w-4 h-4 mr-1.5" />
+            {selecting ? "Done" : "Select"}
+          </Button>
+        </div>
+      )}
 
       {/* Category Filter */}
       {categories.length > 1 && (
@@ -894,6 +1402,12 @@ export default function ListViewPage() {
                 onToggleFavorite={handleToggleFavorite}
                 onDelete={handleDeleteItem}
                 onEdit={openEditDialog}
+                onShowPriceHistory={setPriceHistoryItem}
+                onUpdateEstimatedPrice={canEdit ? handleSetEstimatedPrice : null}
+                canCheck={canCheck}
+                canEdit={canEdit}
+                selected={selecting ? selectedIds.has(item.id) : null}
+                onSelect={toggleSelected}
               />
             ))}
           </div>
@@ -925,6 +1439,12 @@ export default function ListViewPage() {
                     onToggleFavorite={handleToggleFavorite}
                     onDelete={handleDeleteItem}
                     onEdit={openEditDialog}
+                    onShowPriceHistory={setPriceHistoryItem}
+                    onUpdateEstimatedPrice={canEdit ? handleSetEstimatedPrice : null}
+                    canCheck={canCheck}
+                    canEdit={canEdit}
+                    selected={selecting ? selectedIds.has(item.id) : null}
+                    onSelect={toggleSelected}
                   />
                 ))}
               </div>
@@ -948,12 +1468,66 @@ export default function ListViewPage() {
                 onToggleFavorite={handleToggleFavorite}
                 onDelete={handleDeleteItem}
                 onEdit={openEditDialog}
+                onShowPriceHistory={setPriceHistoryItem}
+                onUpdateEstimatedPrice={canEdit ? handleSetEstimatedPrice : null}
+                canCheck={canCheck}
+                canEdit={canEdit}
+                selected={selecting ? selectedIds.has(item.id) : null}
+                onSelect={toggleSelected}
               />
             ))}
           </div>
         </div>
       )}
 
+      {/* Bulk action bar */}
+      {selecting && (
+        <div className="sticky bottom-4 z-20 mt-6">
+          <div className="flex flex-wrap items-center gap-2 p-3 rounded-xl border border-slate-200 bg-white shadow-lg dark:bg-slate-800 dark:border-slate-700">
+            <span className="text-sm font-medium text-slate-700 dark:text-slate-200 mr-auto">
+              {selectedIds.size} selected
+            </span>
+            <Button variant="ghost" size="sm" onClick={handleSelectAll} className="dark:text-slate-200">
+              {selectedIds.size === items.length ? "Clear" : "Select all"}
+            </Button>
+            <Button variant="outline" size="sm" disabled={selectedIds.size === 0 || bulkWorking} onClick={() => openTransferDialog("move")}>
+              <ArrowRightLeft className="w-4 h-4 mr-1.5" />
+              Move
+            </Button>
+            <Button variant="outline" size="sm" disabled={selectedIds.size === 0 || bulkWorking} onClick={() => openTransferDialog("copy")}>
+              <Copy className="w-4 h-4 mr-1.5" />
+              Copy
+            </Button>
+            <Select value="" onValueChange={handleBulkCategory} disabled={selectedIds.size === 0 || bulkWorking}>
+              <SelectTrigger className="h-9 w-[130px]">
+                <SelectValue placeholder="Category" />
+              </SelectTrigger>
+              <SelectContent>
+                {CATEGORY_ORDER.map(category => (
+                  <SelectItem key={category} value={category}>{category}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button variant="outline" size="sm" disabled={selectedIds.size === 0 || bulkWorking} onClick={handleBulkFavorite} title="Favorite">
+              <Star className={cn("w-4 h-4", selectedItems.length > 0 && selectedItems.every(item => item.is_favorite) && "fill-yellow-400 text-yellow-500")} />
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={selectedIds.size === 0 || bulkWorking}
+              onClick={() => setBulkDeleteConfirm(true)}
+              className="text-red-600 hover:text-red-700 hover:bg-red-50 dark:hover:bg-red-900/30"
+              title="Delete"
+            >
+              <Trash2 className="w-4 h-4" />
+            </Button>
+            <Button variant="ghost" size="icon" onClick={exitSelection} title="Cancel" className="dark:text-slate-200">
+              <X className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+      )}
+
       <AddItemDialog
         open={showAddDialog}
         onClose={closeDialog}
@@ -979,6 +1553,55 @@ export default function ListViewPage() {
         }}
       />
 
+      <StaplesPanel
+        open={showStaplesPanel}
+        onClose={() => setShowStaplesPanel(false)}
+        items={items}
+        onSetRule={handleSetStapleRule}
+      />
+
+      <SaveTemplateDialog
+        open={showTemplateDialog}
+        onClose={() => setShowTemplateDialog(false)}
+        list={list}
+        itemCount={new Set(items.map(item => item.name.toLowerCase().trim())).size}
+        isSaving={savingTemplate}
+        onSave={handleSaveTemplate}
+      />
+
+      <ListBudgetDialog
+        open={showBudgetDialog}
+        onClose={() => setShowBudgetDialog(false)}
+        list={list}
+        items={items}
+        onSave={handleSaveBudget}
+      />
+
+      <PriceHistoryDialog
+        open={!!priceHistoryItem}
+        onClose={() => setPriceHistoryItem(null)}
+        item={priceHistoryItem}
+      />
+
+      <DuplicateItemsDialog {...duplicatePrompt} />
+
+      <MoveItemsDialog
+        open={!!transferMode}
+        mode={transferMode || "move"}
+        itemCount={selectedIds.size}
+        lists={destinationLists}
+        isWorking={bulkWorking}
+        onClose={() => setTransferMode(null)}
+        onSelect={handleBulkTransfer}
+      />
+
+      <ItemConflictDialog
+        open={!!itemConflict}
+        conflicts={itemConflict?.conflicts}
+        onResolve={handleResolveConflict}
+        onCancel={handleDiscardConflict}
+      />
+
       <UpgradePrompt
         open={showUpgradePrompt}
         onClose={() => setShowUpgradePrompt(false)}
@@ -999,12 +1622,24 @@ export default function ListViewPage() {
         destructive
       />
 
+      {/* Bulk Delete Confirmation */}
+      <ConfirmDialog
+        open={bulkDeleteConfirm}
+        onOpenChange={setBulkDeleteConfirm}
+        title="Delete Items"
+        description={`Are you sure you want to delete ${selectedIds.size} item${selectedIds.size === 1 ? "" : "s"}?`}
+        confirmText="Delete"
+        cancelText="Cancel"
+        onConfirm={confirmBulkDelete}
+        destructive
+      />
+
       {/* Delete List Confirmation */}
       <ConfirmDialog
         open={deleteListConfirm}
         onOpenChange={setDeleteListConfirm}
         title="Delete List"
-        description={`Are you sure you want to delete "${list?.name}"? This will also delete all items in the list.`}
+        description={`Are you sure you want to delete "${list?.name}"? It will be moved to the Trash with all its items for 30 days.`}
         confirmText="Delete List"
         cancelText="Cancel"
         onConfirm={confirmDeleteList}
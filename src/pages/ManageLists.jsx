@@ -1,12 +1,12 @@
 import React, { useState, useEffect } from "react";
-import { User, ListMember, ShoppingList, Item, ShareLink } from "@/api/entities";
+import { User, ListMember, ShoppingList, Item } from "@/api/entities";
 import { updateStatCount } from "@/api/functions";
 import { Button } from "@/components/ui/button";
-import { Plus, Loader2, Upload, RefreshCw } from "lucide-react";
+import { Plus, Loader2, Upload, RefreshCw, Archive, Trash2, Refrigerator } from "lucide-react";
 import { useNavigate } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import { appCache } from "@/components/utils/appCache";
-import { trackShoppingList } from "@/utils/trackingContext";
+import { trackShoppingList, PAGES } from "@/utils/trackingContext";
 import { getFamilyInfo } from "@/services/familyService";
 
 import ListCard from "../components/lists/ListCard";
@@ -17,14 +17,32 @@ import { canCreateShoppingList, canAddItem } from "@/components/utils/tierManage
 import UpgradePrompt from "@/components/common/UpgradePrompt";
 import { incrementUsage, decrementUsage } from "@/components/utils/usageSync";
 import { logger } from "@/utils/logger";
+import { addTemplateItems } from "@/components/utils/listTemplates";
+import { archiveList, restoreList, runAutoArchive, AUTO_ARCHIVE_OPTIONS } from "@/components/utils/listArchive";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { useToast } from "@/components/ui/use-toast";
+import { ToastAction } from "@/components/ui/toast";
+import { restoreDeletedList } from "@/components/utils/trash";
 
 // Track if hard refresh was already handled this session
 // This prevents clearing caches on every SPA navigation
 let hardRefreshHandled = false;
 
+// The auto-archive rule only needs to run once per session
+let autoArchiveHandled = false;
+
 export default function ManageListsPage() {
   const navigate = useNavigate();
   const [lists, setLists] = useState([]);
+  const [archivedLists, setArchivedLists] = useState([]);
+  const [activeTab, setActiveTab] = useState("active");
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showAddDialog, setShowAddDialog] = useState(false);
@@ -36,6 +54,7 @@ export default function ManageListsPage() {
   const [refreshing, setRefreshing] = useState(false);
   const [deleteListConfirm, setDeleteListConfirm] = useState({ open: false, list: null });
   const [familyInfo, setFamilyInfo] = useState(null);
+  const { toast } = useToast();
 
   useEffect(() => {
     // Check for hard refresh to ensure fresh data - only handle ONCE per session
@@ -81,6 +100,23 @@ export default function ManageListsPage() {
       }
       
       setUser(currentUser);
+
+      if (!autoArchiveHandled) {
+        autoArchiveHandled = true;
+        try {
+          const archivedCount = await runAutoArchive(currentUser);
+          if (archivedCount > 0) {
+            logger.cache('ManageLists', 'Clearing caches (stale lists auto-archived)');
+            appCache.clearShoppingListEntities();
+            toast({
+              title: `Archived ${archivedCount} inactive list${archivedCount === 1 ? "" : "s"}`,
+              description: "You can restore them from the Archive tab.",
+            });
+          }
+        } catch (autoArchiveError) {
+          console.warn('Auto-archive failed:', autoArchiveError);
+        }
+      }
       
       // Check if user is in a family group with auto-share enabled
       try {
@@ -122,12 +158,15 @@ export default function ManageListsPage() {
       
       // Filter to non-archived lists (RLS already filtered for access)
       const userLists = allLists.filter(list => !list.archived);
+      const archived = allLists
+        .filter(list => list.archived)
+        .sort((a, b) => new Date(b.archived_date || 0) - new Date(a.archived_date || 0));
+      setLists(userLists);
+      setArchivedLists(archived);
       
-      if (userLists.length > 0) {
-        setLists(userLists);
-
+      if (allLists.length > 0) {
         const counts = {};
-        for (const list of userLists) {
+        for (const list of [...userLists, ...archived]) {
           const cachedListData = appCache.getShoppingList(list.id);
           
           if (cachedListData && cachedListData.itemCounts) {
@@ -173,7 +212,7 @@ export default function ManageListsPage() {
     setRefreshing(false);
   };
 
-  const handleCreateList = async (listData) => {
+  const handleCreateList = async ({ template, ...listData }) => {
     setCreatingList(true);
     try {
       const canCreate = await canCreateShoppingList();
@@ -190,9 +229,12 @@ export default function ManageListsPage() {
       const newList = await ShoppingList.create(
         {
           ...listData,
+          ...(template?.store_sections && { store_sections: template.store_sections }),
           owner_id: user.id,
         },
-        trackShoppingList.create(user.id, listData.name)
+        template
+          ? trackShoppingList.createFromTemplate(user.id, listData.name, template.name)
+          : trackShoppingList.create(user.id, listData.name)
       );
 
       await ListMember.create({
@@ -226,7 +268,7 @@ export default function ManageListsPage() {
                   list_id: newList.id,
                   user_id: member.user_id,
                   user_email: member.email,
-                  role: 'member',
+                  role: 'editor',
                   status: 'approved', // Auto-approved for family
                 })
               )
@@ -238,6 +280,13 @@ export default function ManageListsPage() {
         }
       }
 
+      if (template) {
+        const { skipped } = await addTemplateItems(template, newList.id, user.email);
+        if (skipped > 0) {
+          alert(`${skipped} template item${skipped === 1 ? " was" : "s were"} not added because you've reached your item limit.`);
+        }
+      }
+
       logger.cache('ManageLists', 'Clearing caches (list created)');
       appCache.clearShoppingListEntities();
       appCache.clearListMemberships(user.id);
@@ -262,6 +311,7 @@ export default function ManageListsPage() {
     try {
       // Optimistically update UI immediately
       setLists(prev => prev.filter(l => l.id !== list.id));
+      setArchivedLists(prev => prev.filter(l => l.id !== list.id));
       setItemCounts(prev => {
         const newCounts = { ...prev };
         delete newCounts[list.id];
@@ -269,28 +319,26 @@ export default function ManageListsPage() {
       });
 
       const items = await Item.filter({ list_id: list.id });
-      await Promise.all(items.map(item => Item.delete(item.id)));
+
+      // Moves the list to the trash - items, memberships and share links are
+      // kept for restoring and removed with the list when the trash is purged
+      await ShoppingList.delete(list.id, trackShoppingList.delete(user.id, list.name));
 
       // Update statistics - atomic decrement total_items for all deleted items
       if (items.length > 0) {
         await updateStatCount('total_items', -items.length);
       }
 
-      const allMemberships = await ListMember.filter({ list_id: list.id });
-      await Promise.all(allMemberships.map(member => ListMember.delete(member.id)));
-
-      const shareLinks = await ShareLink.filter({ list_id: list.id });
-      await Promise.all(shareLinks.map(link => ShareLink.delete(link.id)));
-
-      await ShoppingList.delete(list.id, trackShoppingList.delete(user.id, list.name));
-
       // Decrement shopping list count (per-user) and total items count
-      await decrementUsage('current_shopping_lists');
+      // Archived lists were already taken off the per-user counts when archived
+      if (!list.archived) {
+        await decrementUsage('current_shopping_lists');
+      }
       
       // Update statistics - atomic decrement total_lists (global)
       await updateStatCount('total_lists', -1);
       
-      if (items.length > 0) {
+      if (items.length > 0 && !list.archived) {
         const currentUser = await User.me();
         const newItemCount = Math.max(0, (currentUser.current_total_items || 0) - items.length);
         await User.updateMe({ current_total_items: newItemCount });
@@ -302,6 +350,14 @@ export default function ManageListsPage() {
       appCache.clearShoppingListEntities();
       appCache.clearListMemberships(user.id);
 
+      toast({
+        title: `Deleted "${list.name}"`,
+        action: (
+          <ToastAction altText="Undo delete" onClick={() => handleUndoDeleteList(list)}>
+            Undo
+          </ToastAction>
+        ),
+      });
     } catch (error) {
       console.error("Error deleting list:", error);
       alert("Failed to delete list. Please try again.");
@@ -310,6 +366,81 @@ export default function ManageListsPage() {
     }
   };
 
+  const handleUndoDeleteList = async (list) => {
+    try {
+      const result = await restoreDeletedList(list, user.id, PAGES.MANAGE_LISTS);
+      if (!result.restored) {
+        setUpgradeTitle("List Limit Reached");
+        setUpgradeMessage(result.message);
+        setShowUpgradePrompt(true);
+        return;
+      }
+      loadData();
+    } catch (error) {
+      console.error("Error restoring list:", error);
+      alert("Failed to restore list. You can still restore it from the Trash.");
+    }
+  };
+
+  const clearListCaches = (listId) => {
+    appCache.clearShoppingList(listId);
+    appCache.clearShoppingListEntities();
+    appCache.clearListMemberships(user.id);
+  };
+
+  const handleArchiveList = async (list) => {
+    try {
+      const archived = await archiveList(list, user.id);
+      setLists(prev => prev.filter(l => l.id !== list.id));
+      setArchivedLists(prev => [{ ...list, ...archived }, ...prev]);
+      logger.cache('ManageLists', 'Clearing caches (list archived)');
+      clearListCaches(list.id);
+      toast({ title: `Archived "${list.name}"` });
+    } catch (error) {
+      console.error("Error archiving list:", error);
+      alert("Failed to archive list. Please try again.");
+    }
+  };
+
+  const handleRestoreList = async (list) => {
+    try {
+      const result = await restoreList(list, user.id);
+      if (!result.restored) {
+        setUpgradeTitle("List Limit Reached");
+        setUpgradeMessage(result.message);
+        setShowUpgradePrompt(true);
+        return;
+      }
+      setArchivedLists(prev => prev.filter(l => l.id !== list.id));
+      logger.cache('ManageLists', 'Clearing caches (list restored)');
+      clearListCaches(list.id);
+      toast({ title: `Restored "${list.name}"` });
+      loadData();
+    } catch (error) {
+      console.error("Error restoring list:", error);
+      alert("Failed to restore list. Please try again.");
+    }
+  };
+
+  const handleAutoArchiveChange = async (value) => {
+    const days = value === "never" ? null : Number(value);
+    try {
+      const updatedUser = await User.updateMe({ auto_archive_after_days: days });
+      appCache.clearUser();
+      setUser(prev => ({ ...prev, ...updatedUser, auto_archive_after_days: days }));
+
+      const archivedCount = await runAutoArchive({ ...user, auto_archive_after_days: days });
+      if (archivedCount > 0) {
+        toast({ title: `Archived ${archivedCount} inactive list${archivedCount === 1 ? "" : "s"}` });
+        appCache.clearShoppingListEntities();
+        loadData();
+      }
+    } catch (error) {
+      console.error("Error saving auto-archive setting:", error);
+      alert("Failed to save auto-archive setting. Please try again.");
+    }
+  };
+
   const handleNavigateToList = (list) => {
     navigate(createPageUrl(`ListView?listId=${list.id}`));
   };
@@ -354,6 +485,24 @@ export default function ManageListsPage() {
           >
             <RefreshCw className={`w-4 h-4 sm:w-5 sm:h-5 text-slate-600 dark:text-slate-400 ${refreshing ? 'animate-spin' : ''}`} />
           </Button>
+          <Button
+            variant="outline"
+            size="icon"
+            onClick={() => navigate(createPageUrl("Pantry"))}
+            className="bg-white border-slate-300 hover:bg-slate-50 dark:bg-slate-700 dark:border-slate-600 dark:hover:bg-slate-600"
+            title="Pantry"
+          >
+            <Refrigerator className="w-4 h-4 sm:w-5 sm:h-5 text-slate-600 dark:text-slate-400" />
+          </Button>
+          <Button
+            variant="outline"
+            size="icon"
+            onClick={() => navigate(createPageUrl("Trash"))}
+            className="bg-white border-slate-300 hover:bg-slate-50 dark:bg-slate-700 dark:border-slate-600 dark:hover:bg-slate-600"
+            title="Trash"
+          >
+            <Trash2 className="w-4 h-4 sm:w-5 sm:h-5 text-slate-600 dark:text-slate-400" />
+          </Button>
           <Button
             onClick={handleImportClick}
             className="flex-1 sm:flex-none bg-gradient-to-r from-green-600 to-emerald-600 hover:from-green-700 hover:to-emerald-700 text-white"
@@ -377,48 +526,111 @@ export default function ManageListsPage() {
         <VoiceCommandInput userLists={lists} onItemAdded={loadData} />
       </div>
 
-      {lists.length === 0 ? (
-        <div className="text-center py-12">
-          <div className="w-20 h-20 bg-gradient-to-br from-blue-100 to-indigo-100 dark:from-blue-900/30 dark:to-indigo-900/30 rounded-full flex items-center justify-center mx-auto mb-4">
-            <span className="text-4xl">📝</span>
+      <Tabs value={activeTab} onValueChange={setActiveTab}>
+        <TabsList className="mb-4">
+          <TabsTrigger value="active">Lists ({lists.length})</TabsTrigger>
+          <TabsTrigger value="archive">
+            <Archive className="w-4 h-4 mr-1.5" />
+            Archive ({archivedLists.length})
+          </TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="active">
+          {lists.length === 0 ? (
+            <div className="text-center py-12">
+              <div className="w-20 h-20 bg-gradient-to-br from-blue-100 to-indigo-100 dark:from-blue-900/30 dark:to-indigo-900/30 rounded-full flex items-center justify-center mx-auto mb-4">
+                <span className="text-4xl">📝</span>
+              </div>
+              <h3 className="text-xl font-semibold text-slate-800 dark:text-slate-100 mb-2">
+                No Shopping Lists Yet
+              </h3>
+              <p className="text-slate-600 dark:text-slate-400 mb-6">
+                Create your first shopping list to get started!
+              </p>
+              <Button
+                onClick={() => setShowAddDialog(true)}
+                className="bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 w-full sm:w-auto"
+                disabled={creatingList}
+              >
+                {creatingList ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Plus className="w-5 h-5 mr-2" />}
+                Create Your First List
+              </Button>
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {lists.map((list) => (
+                <ListCard
+                  key={list.id}
+                  list={list}
+                  itemCount={itemCounts[list.id]?.total || 0}
+                  doneCount={itemCounts[list.id]?.checked || 0}
+                  isOwner={list.owner_id === user.id}
+                  isFamilyShared={list.shared_with_family && list.owner_id !== user.id}
+                  onClick={() => handleNavigateToList(list)}
+                  onDelete={() => handleDeleteList(list)}
+                  onArchive={() => handleArchiveList(list)}
+                />
+              ))}
+            </div>
+          )}
+        </TabsContent>
+
+        <TabsContent value="archive">
+          <div className="flex items-center justify-between gap-3 mb-4 p-3 rounded-lg bg-slate-50 dark:bg-slate-800">
+            <div>
+              <p className="text-sm font-medium text-slate-800 dark:text-slate-100">Auto-archive inactive lists</p>
+              <p className="text-xs text-slate-500 dark:text-slate-400">
+                Archives your lists when nothing on them has changed for a while
+              </p>
+            </div>
+            <Select
+              value={user?.auto_archive_after_days ? String(user.auto_archive_after_days) : "never"}
+              onValueChange={handleAutoArchiveChange}
+            >
+              <SelectTrigger className="w-[150px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {AUTO_ARCHIVE_OPTIONS.map(option => (
+                  <SelectItem key={option.label} value={option.value ? String(option.value) : "never"}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
           </div>
-          <h3 className="text-xl font-semibold text-slate-800 dark:text-slate-100 mb-2">
-            No Shopping Lists Yet
-          </h3>
-          <p className="text-slate-600 dark:text-slate-400 mb-6">
-            Create your first shopping list to get started!
-          </p>
-          <Button
-            onClick={() => setShowAddDialog(true)}
-            className="bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 w-full sm:w-auto"
-            disabled={creatingList}
-          >
-            {creatingList ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Plus className="w-5 h-5 mr-2" />}
-            Create Your First List
-          </Button>
-        </div>
-      ) : (
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          {lists.map((list) => (
-            <ListCard
-              key={list.id}
-              list={list}
-              itemCount={itemCounts[list.id]?.total || 0}
-              doneCount={itemCounts[list.id]?.checked || 0}
-              isOwner={list.owner_id === user.id}
-              isFamilyShared={list.shared_with_family && list.owner_id !== user.id}
-              onClick={() => handleNavigateToList(list)}
-              onDelete={() => handleDeleteList(list)}
-            />
-          ))}
-        </div>
-      )}
+
+          {archivedLists.length === 0 ? (
+            <div className="text-center py-12 text-slate-500 dark:text-slate-400">
+              <Archive className="w-12 h-12 text-slate-300 dark:text-slate-600 mx-auto mb-3" />
+              <p>No archived lists. Archived lists don&apos;t count toward your list limit.</p>
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {archivedLists.map((list) => (
+                <ListCard
+                  key={list.id}
+                  list={list}
+                  itemCount={itemCounts[list.id]?.total || 0}
+                  doneCount={itemCounts[list.id]?.checked || 0}
+                  isOwner={list.owner_id === user.id}
+                  isFamilyShared={list.shared_with_family && list.owner_id !== user.id}
+                  onClick={() => handleNavigateToList(list)}
+                  onDelete={() => handleDeleteList(list)}
+                  onRestore={() => handleRestoreList(list)}
+                />
+              ))}
+            </div>
+          )}
+        </TabsContent>
+      </Tabs>
 
       <AddListDialog
         open={showAddDialog}
         onClose={() => setShowAddDialog(false)}
         onSave={handleCreateList}
         isSaving={creatingList}
+        userId={user?.id}
       />
 
       <UpgradePrompt
@@ -434,7 +646,7 @@ export default function ManageListsPage() {
         open={deleteListConfirm.open}
         onOpenChange={(open) => setDeleteListConfirm({ open, list: open ? deleteListConfirm.list : null })}
         title="Delete List"
-        description={`Delete "${deleteListConfirm.list?.name}" and all its items? This action cannot be undone.`}
+        description={`Delete "${deleteListConfirm.list?.name}" and all its items? You can restore it from the Trash for 30 days.`}
         confirmText="Delete"
         cancelText="Cancel"
         onConfirm={confirmDeleteList}
@@ -0,0 +1,499 @@
+import { useState, useEffect, useMemo } from "react";
+import { User, Recipe, RecipeFavorite, MealPlanEntry, Item, ActivityTracking } from "@/api/entities";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { ArrowLeft, ChevronLeft, ChevronRight, Loader2, Search, ShoppingCart, X, Plus, CalendarDays, Users } from "lucide-react";
+import { useNavigate } from "react-router-dom";
+import { format, addWeeks, parseISO, isToday } from "date-fns";
+import { createPageUrl } from "@/utils";
+import { cn } from "@/lib/utils";
+import { appCache } from "@/components/utils/appCache";
+import { getFamilyInfo } from "@/services/familyService";
+import { useToast } from "@/components/ui/use-toast";
+import { useDuplicatePrompt } from "@/hooks/useDuplicatePrompt";
+import DuplicateItemsDialog from "@/components/items/DuplicateItemsDialog";
+import UpgradePrompt from "@/components/common/UpgradePrompt";
+import GenerateShoppingListDialog from "@/components/recipes/GenerateShoppingListDialog";
+import { getDestinationLists, findTransferDuplicates } from "@/components/utils/bulkItemActions";
+import { canAddItem } from "@/components/utils/tierManager";
+import {
+  getWeekStart,
+  getWeekDates,
+  getPlannedServings,
+  buildShoppingItems,
+  addShoppingItemsToList,
+} from "@/components/utils/mealPlanner";
+import { trackMealPlan } from "@/utils/trackingContext";
+
+export default function MealPlannerPage() {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [weekStart, setWeekStart] = useState(() => getWeekStart());
+  const [recipes, setRecipes] = useState([]);
+  const [suggestedIds, setSuggestedIds] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [loadingWeek, setLoadingWeek] = useState(false);
+  const [search, setSearch] = useState("");
+  const [pickedRecipeId, setPickedRecipeId] = useState(null);
+  const [dragOverDate, setDragOverDate] = useState(null);
+
+  // Generate shopping list
+  const [showGenerateDialog, setShowGenerateDialog] = useState(false);
+  const [targetLists, setTargetLists] = useState(null);
+  const [generating, setGenerating] = useState(false);
+  const { ask: askDuplicate, dialogProps: duplicatePrompt } = useDuplicatePrompt();
+  const [showUpgradePrompt, setShowUpgradePrompt] = useState(false);
+  const [upgradeMessage, setUpgradeMessage] = useState("");
+
+  const weekDates = useMemo(() => getWeekDates(weekStart), [weekStart]);
+  const recipesById = useMemo(() => new Map(recipes.map(recipe => [recipe.id, recipe])), [recipes]);
+
+  useEffect(() => {
+    checkAuth();
+  }, []);
+
+  useEffect(() => {
+    if (user) loadRecipes(user);
+  }, [user]);
+
+  useEffect(() => {
+    if (user) loadWeek(user, weekStart);
+  }, [user, weekStart]);
+
+  const checkAuth = async () => {
+    try {
+      let currentUser = appCache.getUser();
+      if (!currentUser) {
+        currentUser = await User.me();
+        appCache.setUser(currentUser);
+      }
+      setUser(currentUser);
+    } catch (error) {
+      console.error("Authentication required:", error);
+      User.redirectToLogin(createPageUrl("MealPlanner"));
+    }
+  };
+
+  const loadRecipes = async (currentUser) => {
+    setLoading(true);
+    try {
+      let allRecipes = appCache.getRecipes();
+      if (!allRecipes) {
+        allRecipes = await Recipe.list('-created_date');
+        appCache.setRecipes(allRecipes);
+      }
+
+      let userFavorites = appCache.getRecipeFavorites(currentUser.id);
+      if (!userFavorites) {
+        userFavorites = await RecipeFavorite.filter({ user_id: currentUser.id });
+        appCache.setRecipeFavorites(currentUser.id, userFavorites);
+      }
+
+      // Own and family recipes, like MyRecipes
+      let familyUserIds = [currentUser.id];
+      try {
+        const familyInfo = await getFamilyInfo();
+        if (familyInfo.success && familyInfo.has_family && familyInfo.members) {
+          const approvedMembers = familyInfo.members.filter(m => m.status === 'approved');
+          familyUserIds = [...new Set([currentUser.id, ...approvedMembers.map(m => m.user_id)])];
+        }
+      } catch {
+        console.warn('MealPlanner: Could not get family info, suggesting only own recipes');
+      }
+
+      const favoriteIds = new Set(userFavorites.map(f => f.recipe_id));
+      setRecipes(allRecipes);
+      setSuggestedIds(allRecipes
+        .filter(r => favoriteIds.has(r.id) || (r.is_user_generated && familyUserIds.includes(r.generated_by_user_id)))
+        .map(r => r.id));
+    } catch (error) {
+      console.error("Error loading recipes:", error);
+    }
+    setLoading(false);
+  };
+
+  const loadWeek = async (currentUser, start) => {
+    const dates = getWeekDates(start);
+    setLoadingWeek(true);
+    try {
+      const weekEntries = await MealPlanEntry.filter({
+        owner_id: currentUser.id,
+        planned_date: { $gte: dates[0], $lte: dates[6] },
+      }, 'created_date');
+      setEntries(weekEntries);
+    } catch (error) {
+      console.error("Error loading meal plan:", error);
+    }
+    setLoadingWeek(false);
+  };
+
+  const visibleRecipes = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    if (query) {
+      return recipes.filter(r => r.full_title?.toLowerCase().includes(query)).slice(0, 50);
+    }
+    return suggestedIds.map(id => recipesById.get(id)).filter(Boolean);
+  }, [search, recipes, suggestedIds, recipesById]);
+
+  const handleAddRecipe = async (recipeId, date) => {
+    const recipe = recipesById.get(recipeId);
+    if (!recipe) return;
+
+    try {
+      const entry = await MealPlanEntry.create({
+        owner_id: user.id,
+        recipe_id: recipe.id,
+        planned_date: date,
+        servings: recipe.servings || 4,
+      }, trackMealPlan.addRecipe(user.id, recipe.full_title, date));
+      setEntries(prev => [...prev, entry]);
+      setPickedRecipeId(null);
+    } catch (error) {
+      console.error("Error adding recipe to meal plan:", error);
+      alert("Failed to add recipe. Please try again.");
+    }
+  };
+
+  const handleMoveEntry = async (entryId, date) => {
+    const entry = entries.find(e => e.id === entryId);
+    if (!entry || entry.planned_date === date) return;
+
+    setEntries(prev => prev.map(e => e.id === entryId ? { ...e, planned_date: date } : e));
+    try {
+      await MealPlanEntry.update(entryId, { planned_date: date });
+    } catch (error) {
+      console.error("Error moving meal:", error);
+      setEntries(prev => prev.map(e => e.id === entryId ? entry : e));
+    }
+  };
+
+  const handleServingsChange = async (entry, value) => {
+    const servings = parseInt(value, 10);
+    if (!servings || servings < 1 || servings === entry.servings) return;
+
+    setEntries(prev => prev.map(e => e.id === entry.id ? { ...e, servings } : e));
+    try {
+      await MealPlanEntry.update(entry.id, { servings });
+    } catch (error) {
+      console.error("Error updating servings:", error);
+      setEntries(prev => prev.map(e => e.id === entry.id ? entry : e));
+    }
+  };
+
+  const handleRemoveEntry = async (entry) => {
+    setEntries(prev => prev.filter(e => e.id !== entry.id));
+    try {
+      await MealPlanEntry.delete(entry.id, trackMealPlan.removeRecipe(user.id, recipesById.get(entry.recipe_id)?.full_title));
+    } catch (error) {
+      console.error("Error removing meal:", error);
+      setEntries(prev => [...prev, entry]);
+    }
+  };
+
+  // Recipes dragged from the picker carry recipeId, planned meals carry entryId
+  const handleDrop = (e, date) => {
+    e.preventDefault();
+    setDragOverDate(null);
+    try {
+      const data = JSON.parse(e.dataTransfer.getData("text/plain"));
+      if (data.entryId) {
+        handleMoveEntry(data.entryId, date);
+      } else if (data.recipeId) {
+        handleAddRecipe(data.recipeId, date);
+      }
+    } catch {
+      // Not something dragged from this page
+    }
+  };
+
+  const shoppingItems = useMemo(
+    () => showGenerateDialog ? buildShoppingItems(entries, recipesById) : [],
+    [showGenerateDialog, entries, recipesById]
+  );
+
+  const openGenerateDialog = async () => {
+    setShowGenerateDialog(true);
+    setTargetLists(null);
+    try {
+      setTargetLists(await getDestinationLists(user.id, null));
+    } catch (error) {
+      console.error("Error loading lists:", error);
+      setTargetLists([]);
+    }
+  };
+
+  const handleGenerate = async (targetList) => {
+    setGenerating(true);
+    try {
+      const listItems = await Item.filter({ list_id: targetList.id });
+      const duplicates = findTransferDuplicates(shoppingItems, listItems);
+
+      let choices = {};
+      if (duplicates.length > 0) {
+        choices = await askDuplicate(duplicates);
+        if (!choices) {
+          setGenerating(false);
+          return;
+        }
+      }
+
+      const result = await addShoppingItemsToList({ items: shoppingItems, targetList, duplicates, choices, user });
+      const count = result.added + result.merged;
+
+      const tracking = trackMealPlan.generateList(user.id, targetList.name, count);
+      ActivityTracking.create({
+        operation_type: 'CREATE',
+        page: tracking.page,
+        operation_name: tracking.operationName,
+        description: tracking.description,
+        user_id: user.id,
+        timestamp: new Date().toISOString()
+      }).catch(err => console.warn('Activity tracking failed:', err));
+
+      setShowGenerateDialog(false);
+
+      if (result.skipped > 0) {
+        const check = await canAddItem();
+        setUpgradeMessage(`${result.skipped} ingredient${result.skipped === 1 ? " wasn't" : "s weren't"} added. ${check.message || ""}`.trim());
+        setShowUpgradePrompt(true);
+      } else {
+        toast({
+          title: "Ingredients Added! 🛒",
+          description: `Added ${count} ingredient${count === 1 ? "" : "s"} to ${targetList.name}`,
+        });
+        navigate(createPageUrl(`ListView?listId=${targetList.id}`));
+      }
+    } catch (error) {
+      console.error("Error generating shopping list:", error);
+      toast({
+        title: "Failed to Add Ingredients",
+        description: "Something went wrong. Please try again.",
+        variant: "destructive",
+      });
+    }
+    setGenerating(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[50vh]">
+        <Loader2 className="w-8 h-8 animate-spin text-orange-500 mb-4" />
+        <p className="text-slate-600 dark:text-slate-400">Loading meal planner...</p>
+      </div>
+    );
+  }
+
+  const weekLabel = `${format(parseISO(weekDates[0]), "MMM d")} – ${format(parseISO(weekDates[6]), "MMM d")}`;
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-8">
+      {/* Header */}
+      <div className="flex flex-wrap items-center gap-3 mb-6">
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={() => navigate(createPageUrl("Recipe"))}
+          className="dark:text-slate-200 dark:hover:bg-slate-700"
+        >
+          <ArrowLeft className="w-5 h-5" />
+        </Button>
+        <div className="mr-auto">
+          <h1 className="text-2xl font-bold text-slate-800 dark:text-slate-100">Meal Planner</h1>
+          <p className="text-sm text-slate-600 dark:text-slate-400">
+            Drag recipes onto a day, then turn the week into one shopping list
+          </p>
+        </div>
+        <Button
+          onClick={openGenerateDialog}
+          disabled={entries.length === 0}
+          className="bg-orange-500 hover:bg-orange-600 text-white"
+        >
+          <ShoppingCart className="w-4 h-4 mr-2" />
+          Generate shopping list
+        </Button>
+      </div>
+
+      {/* Week navigation */}
+      <div className="flex items-center gap-2 mb-4">
+        <Button variant="outline" size="icon" onClick={() => setWeekStart(prev => addWeeks(prev, -1))}>
+          <ChevronLeft className="w-4 h-4" />
+        </Button>
+        <span className="font-semibold text-slate-800 dark:text-slate-100 min-w-[140px] text-center">{weekLabel}</span>
+        <Button variant="outline" size="icon" onClick={() => setWeekStart(prev => addWeeks(prev, 1))}>
+          <ChevronRight className="w-4 h-4" />
+        </Button>
+        <Button variant="ghost" size="sm" onClick={() => setWeekStart(getWeekStart())} className="dark:text-slate-200">
+          This week
+        </Button>
+        {loadingWeek && <Loader2 className="w-4 h-4 animate-spin text-slate-400" />}
+      </div>
+
+      <div className="flex flex-col lg:flex-row gap-6">
+        {/* Recipe picker */}
+        <aside className="lg:w-72 flex-shrink-0">
+          <div className="relative mb-3">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+            <Input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search all recipes"
+              className="pl-9"
+            />
+          </div>
+          {!search && (
+            <p className="text-xs text-slate-500 dark:text-slate-400 mb-2">Your recipes and favorites</p>
+          )}
+          <div className="space-y-2 max-h-[30vh] lg:max-h-[65vh] overflow-y-auto pr-1">
+            {visibleRecipes.length === 0 ? (
+              <p className="text-sm text-slate-500 dark:text-slate-400 py-4 text-center">
+                {search ? "No recipes found" : "Search to find a recipe to plan"}
+              </p>
+            ) : (
+              visibleRecipes.map(recipe => (
+                <div
+                  key={recipe.id}
+                  draggable
+                  onDragStart={(e) => e.dataTransfer.setData("text/plain", JSON.stringify({ recipeId: recipe.id }))}
+                  onClick={() => setPickedRecipeId(prev => prev === recipe.id ? null : recipe.id)}
+                  className={cn(
+                    "flex items-center gap-3 p-2 rounded-lg border cursor-grab active:cursor-grabbing bg-white dark:bg-slate-800",
+                    pickedRecipeId === recipe.id
+                      ? "border-orange-500 ring-2 ring-orange-500"
+                      : "border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-700"
+                  )}
+                >
+                  {recipe.photo_url ? (
+                    <img src={recipe.photo_url} alt="" className="w-10 h-10 rounded object-cover flex-shrink-0" />
+                  ) : (
+                    <div className="w-10 h-10 rounded bg-orange-100 dark:bg-orange-900/30 flex-shrink-0" />
+                  )}
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-slate-800 dark:text-slate-100 line-clamp-2">{recipe.full_title}</p>
+                    {recipe.servings && (
+                      <p className="text-xs text-slate-500 dark:text-slate-400">{recipe.servings} servings</p>
+                    )}
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+          {pickedRecipeId && (
+            <p className="text-xs text-orange-600 dark:text-orange-400 mt-2">Tap a day to plan this recipe</p>
+          )}
+        </aside>
+
+        {/* Week */}
+        <div className="flex-1 grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-4 2xl:grid-cols-7 gap-3">
+          {weekDates.map(date => {
+            const dayEntries = entries.filter(entry => entry.planned_date === date);
+            const day = parseISO(date);
+            return (
+              <div
+                key={date}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setDragOverDate(date);
+                }}
+                onDragLeave={() => setDragOverDate(prev => prev === date ? null : prev)}
+                onDrop={(e) => handleDrop(e, date)}
+                className={cn(
+                  "rounded-xl border p-3 min-h-[120px] bg-slate-50 dark:bg-slate-900 transition-colors",
+                  dragOverDate === date ? "border-orange-500 bg-orange-50 dark:bg-orange-900/20" : "border-slate-200 dark:border-slate-700"
+                )}
+              >
+                <div className="flex items-center justify-between mb-2">
+                  <span className={cn(
+                    "text-sm font-semibold",
+                    isToday(day) ? "text-orange-600 dark:text-orange-400" : "text-slate-700 dark:text-slate-200"
+                  )}>
+                    {format(day, "EEE d")}
+                  </span>
+                  {pickedRecipeId && (
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-7 w-7 text-orange-600"
+                      onClick={() => handleAddRecipe(pickedRecipeId, date)}
+                      title="Plan here"
+                    >
+                      <Plus className="w-4 h-4" />
+                    </Button>
+                  )}
+                </div>
+
+                <div className="space-y-2">
+                  {dayEntries.map(entry => {
+                    const recipe = recipesById.get(entry.recipe_id);
+                    return (
+                      <div
+                        key={entry.id}
+                        draggable
+                        onDragStart={(e) => e.dataTransfer.setData("text/plain", JSON.stringify({ entryId: entry.id }))}
+                        className="p-2 rounded-lg bg-white border border-slate-200 dark:bg-slate-800 dark:border-slate-700 cursor-grab active:cursor-grabbing"
+                      >
+                        <div className="flex items-start gap-1">
+                          <button
+                            onClick={() => navigate(createPageUrl(`RecipeDetail?id=${entry.recipe_id}&servings=${getPlannedServings(entry, recipe)}`))}
+                            className="flex-1 text-left text-sm font-medium text-slate-800 dark:text-slate-100 line-clamp-2 hover:underline"
+                          >
+                            {recipe?.full_title || "Recipe"}
+                          </button>
+                          <button
+                            onClick={() => handleRemoveEntry(entry)}
+                            className="text-slate-400 hover:text-red-600 flex-shrink-0"
+                            title="Remove"
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        </div>
+                        <div className="flex items-center gap-1 mt-1 text-xs text-slate-500 dark:text-slate-400">
+                          <Users className="w-3 h-3" />
+                          <input
+                            type="number"
+                            min="1"
+                            defaultValue={getPlannedServings(entry, recipe)}
+                            onBlur={(e) => handleServingsChange(entry, e.target.value)}
+                            onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+                            className="w-12 px-1 py-0.5 rounded border border-slate-200 bg-transparent dark:border-slate-600"
+                            aria-label="Servings"
+                          />
+                          servings
+                        </div>
+                      </div>
+                    );
+                  })}
+                  {dayEntries.length === 0 && (
+                    <div className="flex flex-col items-center justify-center py-4 text-slate-300 dark:text-slate-600">
+                      <CalendarDays className="w-5 h-5" />
+                    </div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <GenerateShoppingListDialog
+        open={showGenerateDialog}
+        items={shoppingItems}
+        lists={targetLists}
+        isWorking={generating}
+        onClose={() => setShowGenerateDialog(false)}
+        onGenerate={handleGenerate}
+      />
+
+      <DuplicateItemsDialog {...duplicatePrompt} />
+
+      <UpgradePrompt
+        open={showUpgradePrompt}
+        onClose={() => setShowUpgradePrompt(false)}
+        title="Item Limit Reached"
+        message={upgradeMessage}
+        featureName="Additional Items"
+      />
+    </div>
+  );
+}
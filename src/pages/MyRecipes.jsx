@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from "react";
 import { User, Recipe, RecipeFavorite } from "@/api/entities";
-import { updateStatCount } from "@/api/functions";
+import { updateStatCount, fetchRecipeFromUrl } from "@/api/functions";
 import { trackRecipe, trackRecipeFavorite, PAGES } from "@/utils/trackingContext";
 import { getFamilyMemberIds, getFamilyInfo } from "@/services/familyService";
 import { InvokeLLM, GenerateImage, UploadFile, AI_USE_CASES } from "@/api/integrations";
@@ -9,7 +9,7 @@ import { Input } from "@/components/ui/input";
 import { Card, CardContent } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
-import { Loader2, ChefHat, Search, Star, Clock, Users as UsersIcon, ArrowLeft, Sparkles, Plus, Trash2, Upload, Check, PenSquare, Heart } from "lucide-react";
+import { Loader2, ChefHat, Search, Star, Clock, Users as UsersIcon, ArrowLeft, Sparkles, Plus, Trash2, Upload, Check, PenSquare, Heart, Link2 } from "lucide-react";
 import { useNavigate } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import { cn } from "@/lib/utils";
@@ -56,6 +56,9 @@ export default function MyRecipesPage() {
   const [generatingManualImage, setGeneratingManualImage] = useState(false);
   const [manualImageOptions, setManualImageOptions] = useState([]);
   const [selectedManualImage, setSelectedManualImage] = useState(null);
+  const [importUrl, setImportUrl] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [importError, setImportError] = useState(null);
   
   // Family sharing
   const [familyMemberMap, setFamilyMemberMap] = useState({}); // userId -> name/email
@@ -362,6 +365,118 @@ Do NOT use "description", "step_number", "name", or any other property names for
     setCreatingManual(false);
   };
 
+  // Ask the AI to read a recipe out of a page with no structured recipe data
+  const extractRecipeWithAI = async (pageText, pageTitle, hostname) => {
+    const creditCheck = await checkCreditsAvailable('recipe_generation');
+    if (!creditCheck.hasCredits) {
+      setInsufficientCreditsInfo({
+        creditsNeeded: creditCheck.creditsNeeded,
+        creditsAvailable: creditCheck.creditsAvailable
+      });
+      setShowInsufficientCredits(true);
+      return null;
+    }
+
+    const creditResult = await consumeCredits('recipe_generation', `Imported recipe from ${hostname}`);
+    if (!creditResult.success) {
+      throw new Error(creditResult.message);
+    }
+
+    const response = await InvokeLLM({
+      prompt: `Extract the recipe from this web page text. Use only what the page says - do not invent ingredients or steps.
+Page title: "${pageTitle}"
+Return JSON with these exact fields:
+- is_recipe: boolean (false if the page does not contain a recipe)
+- full_title: string (the dish name)
+- cooking_time: string (e.g. "30-45 minutes", empty if not given)
+- cuisine: string (one of: ${allCuisines.join(', ')})
+- servings: integer (0 if not given)
+- calories_per_serving: string (empty if not given)
+- ingredients: array of strings, each with quantity and ingredient exactly as written (e.g. "2 cups all-purpose flour")
+- steps: array of objects with EXACTLY these two properties:
+  - "title": string (short step title like "Prepare the Mixture")
+  - "instruction": string (the step as written on the page)
+
+Page text:
+${pageText}`,
+      response_json_schema: {
+        type: "object",
+        properties: {
+          is_recipe: { type: "boolean" },
+          full_title: { type: "string" }, cooking_time: { type: "string" },
+          cuisine: { type: "string", enum: allCuisines }, servings: { type: "integer" },
+          calories_per_serving: { type: "string" },
+          ingredients: { type: "array", items: { type: "string" } },
+          steps: { type: "array", items: { type: "object", properties: { title: { type: "string" }, instruction: { type: "string" } } } }
+        }
+      },
+      useCase: AI_USE_CASES.DEFAULT
+    });
+
+    if (!response?.is_recipe || !response.full_title || !response.ingredients?.length) {
+      throw new Error("We couldn't find a recipe on that page.");
+    }
+
+    return {
+      recipe_name: response.full_title,
+      full_title: response.full_title,
+      cooking_time: response.cooking_time || null,
+      cuisine: allCuisines.includes(response.cuisine) ? response.cuisine : "Others",
+      servings: response.servings || null,
+      calories_per_serving: response.calories_per_serving || null,
+      photo_url: null,
+      ingredients: response.ingredients,
+      steps: (response.steps || []).filter(step => step?.instruction)
+    };
+  };
+
+  const handleImportFromUrl = async () => {
+    setImportError(null);
+    let url;
+    try {
+      url = new URL(importUrl.trim());
+    } catch {
+      setImportError("Please enter a full link, e.g. https://example.com/recipe");
+      return;
+    }
+
+    setImporting(true);
+    try {
+      // Structured recipe data (JSON-LD / microdata) is free; reading the
+      // page with AI costs a recipe generation credit
+      const result = await fetchRecipeFromUrl({ url: url.href });
+      const imported = result.recipe || await extractRecipeWithAI(result.page_text, result.page_title, url.hostname);
+      if (!imported) return;
+
+      const savedRecipe = await Recipe.create(
+        {
+          ...imported,
+          cooking_time: imported.cooking_time || "Variable",
+          servings: imported.servings || 4,
+          is_user_generated: true, generated_by_user_id: user.id
+        },
+        trackRecipe.create(user.id, imported.full_title)
+      );
+
+      // Increment custom recipes count
+      await incrementUsage('current_custom_recipes');
+
+      // Update statistics - atomic increment total_user_generated_recipes
+      await updateStatCount('total_user_generated_recipes', 1);
+
+      // Clear recipes cache since we created a new one
+      console.log(`🗑️ MyRecipes: Clearing recipes cache (recipe imported via ${result.source || 'AI'})`);
+      appCache.clearRecipes();
+
+      navigate(createPageUrl(`RecipeDetail?id=${savedRecipe.id}&from=myrecipes`));
+    } catch (err) {
+      console.error("Error importing recipe:", err);
+      setImportError(err.message || "Failed to import recipe. Please try again.");
+    } finally {
+      setImporting(false);
+    }
+  };
+
   const filteredRecipes = recipes.filter(recipe => {
     const matchesCuisine = selectedCuisine === "All" || recipe.cuisine === selectedCuisine;
     const matchesSearch = !searchQuery.trim() || 
@@ -586,6 +701,18 @@ Do NOT use "description", "step_number", "name", or any other property names for
             >
               <PenSquare className="w-4 h-4 mr-2" />Manual Create
             </Button>
+            <Button 
+              variant={createMethod === "url" ? "default" : "outline"} 
+              onClick={() => setCreateMethod("url")}
+              className={cn("flex-1 max-w-xs h-12", createMethod === "url" && "bg-orange-600 hover:bg-orange-700")}
+              style={createMethod !== "url" && isDarkMode ? {
+                backgroundColor: 'rgb(30 41 59)',
+                color: 'rgb(226 232 240)',
+                borderColor: 'rgb(71 85 105)'
+              } : {}}
+            >
+              <Link2 className="w-4 h-4 mr-2" />Import URL
+            </Button>
           </div>
 
           {createMethod === "ai" ? (
@@ -604,6 +731,24 @@ Do NOT use "description", "step_number", "name", or any other property names for
                 )}
               </CardContent>
             </Card>
+          ) : createMethod === "url" ? (
+            <Card>
+              <CardContent className="p-6">
+                <div className="flex flex-col gap-3">
+                  <Input type="url" inputMode="url" placeholder="https://www.example.com/best-banana-bread" value={importUrl} onChange={(e) => { setImportUrl(e.target.value); setImportError(null); }} disabled={importing} className="text-lg h-12" maxLength={2000} />
+                  <Button onClick={handleImportFromUrl} disabled={importing || !importUrl.trim()} className="h-12 bg-orange-600 hover:bg-orange-700">
+                    {importing ? <><Loader2 className="w-5 h-5 mr-2 animate-spin" />Importing...</> : <><Link2 className="w-5 h-5 mr-2" />Import Recipe</>}
+                  </Button>
+                </div>
+                {importError ? (
+                  <p className="mt-4 text-sm text-center text-red-600 dark:text-red-400">{importError}</p>
+                ) : (
+                  <p className="mt-4 text-xs text-center text-slate-500 dark:text-slate-400">
+                    Paste a link to a recipe page. Most recipe sites import for free; pages without recipe data are read by AI and use a recipe credit.
+                  </p>
+                )}
+              </CardContent>
+            </Card>
           ) : (
             <Card>
               <CardContent className="p-6 space-y-6">
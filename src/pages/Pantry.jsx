@@ -0,0 +1,303 @@
+import { useState, useEffect, useMemo, useCallback } from "react";
+import { User, PantryItem } from "@/api/entities";
+import { getRecipesForExpiringPantry } from "@/api/functions";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { ArrowLeft, Loader2, Plus, Trash2, Refrigerator, ChefHat, Clock } from "lucide-react";
+import { useNavigate } from "react-router-dom";
+import { format, parseISO } from "date-fns";
+import { createPageUrl } from "@/utils";
+import { cn } from "@/lib/utils";
+import { appCache } from "@/components/utils/appCache";
+import { quantityFields } from "@/components/utils/ingredientParser";
+import { getExpiryStatus, sortPantryItems, EXPIRING_SOON_DAYS } from "@/components/utils/pantryManager";
+import { trackPantry } from "@/utils/trackingContext";
+
+const EXPIRY_BADGE_STYLES = {
+  expired: "bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300",
+  soon: "bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300",
+  fresh: "bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300",
+};
+
+function expiryLabel({ status, daysLeft }) {
+  if (status === "expired") return daysLeft === -1 ? "Expired yesterday" : `Expired ${-daysLeft} days ago`;
+  if (daysLeft === 0) return "Expires today";
+  if (daysLeft === 1) return "Expires tomorrow";
+  return `${daysLeft} days left`;
+}
+
+export default function PantryPage() {
+  const navigate = useNavigate();
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [items, setItems] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  const [loadingSuggestions, setLoadingSuggestions] = useState(false);
+
+  // Add form
+  const [newName, setNewName] = useState("");
+  const [newQuantity, setNewQuantity] = useState("");
+  const [newExpiry, setNewExpiry] = useState("");
+  const [adding, setAdding] = useState(false);
+
+  const sortedItems = useMemo(() => sortPantryItems(items), [items]);
+  const expiringCount = useMemo(
+    () => items.filter(item => ["expired", "soon"].includes(getExpiryStatus(item.expires_on).status)).length,
+    [items]
+  );
+
+  useEffect(() => {
+    checkAuth();
+  }, []);
+
+  const loadSuggestions = useCallback(async () => {
+    setLoadingSuggestions(true);
+    try {
+      setSuggestions(await getRecipesForExpiringPantry({ withinDays: EXPIRING_SOON_DAYS, limit: 6 }));
+    } catch (error) {
+      console.error("Error loading recipe suggestions:", error);
+      setSuggestions([]);
+    }
+    setLoadingSuggestions(false);
+  }, []);
+
+  useEffect(() => {
+    if (!user) return;
+    const loadPantry = async () => {
+      setLoading(true);
+      try {
+        setItems(await PantryItem.filter({ owner_id: user.id }));
+      } catch (error) {
+        console.error("Error loading pantry:", error);
+      }
+      setLoading(false);
+    };
+    loadPantry();
+    loadSuggestions();
+  }, [user, loadSuggestions]);
+
+  const checkAuth = async () => {
+    try {
+      let currentUser = appCache.getUser();
+      if (!currentUser) {
+        currentUser = await User.me();
+        appCache.setUser(currentUser);
+      }
+      setUser(currentUser);
+    } catch (error) {
+      console.error("Authentication required:", error);
+      User.redirectToLogin(createPageUrl("Pantry"));
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name || adding) return;
+
+    setAdding(true);
+    try {
+      const item = await PantryItem.create({
+        owner_id: user.id,
+        name,
+        ...quantityFields(newQuantity),
+        expires_on: newExpiry || null,
+      }, trackPantry.addItem(user.id, name));
+      setItems(prev => [...prev, item]);
+      setNewName("");
+      setNewQuantity("");
+      setNewExpiry("");
+      if (newExpiry) loadSuggestions();
+    } catch (error) {
+      console.error("Error adding pantry item:", error);
+      alert("Failed to add item. Please try again.");
+    }
+    setAdding(false);
+  };
+
+  const handleExpiryChange = async (item, value) => {
+    const expiresOn = value || null;
+    if (expiresOn === item.expires_on) return;
+
+    setItems(prev => prev.map(i => i.id === item.id ? { ...i, expires_on: expiresOn } : i));
+    try {
+      await PantryItem.update(item.id, { expires_on: expiresOn });
+      loadSuggestions();
+    } catch (error) {
+      console.error("Error updating expiry date:", error);
+      setItems(prev => prev.map(i => i.id === item.id ? item : i));
+    }
+  };
+
+  const handleRemove = async (item) => {
+    setItems(prev => prev.filter(i => i.id !== item.id));
+    try {
+      await PantryItem.delete(item.id, trackPantry.removeItem(user.id, item.name));
+      if (item.expires_on) loadSuggestions();
+    } catch (error) {
+      console.error("Error removing pantry item:", error);
+      setItems(prev => [...prev, item]);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[50vh]">
+        <Loader2 className="w-8 h-8 animate-spin text-green-500 mb-4" />
+        <p className="text-slate-600 dark:text-slate-400">Loading pantry...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-8">
+      {/* Header */}
+      <div className="flex items-center gap-3 mb-6">
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={() => navigate(-1)}
+          className="dark:text-slate-200 dark:hover:bg-slate-700"
+        >
+          <ArrowLeft className="w-5 h-5" />
+        </Button>
+        <div>
+          <h1 className="text-2xl font-bold text-slate-800 dark:text-slate-100">Pantry</h1>
+          <p className="text-sm text-slate-600 dark:text-slate-400">
+            What you have at home, soonest to expire first
+          </p>
+        </div>
+      </div>
+
+      {/* Use it up */}
+      {(expiringCount > 0 || suggestions.length > 0) && (
+        <section className="mb-6 rounded-xl border border-amber-200 bg-amber-50 p-4 dark:border-amber-800 dark:bg-amber-900/20">
+          <div className="flex items-center gap-2 mb-3">
+            <ChefHat className="w-5 h-5 text-amber-600 dark:text-amber-400" />
+            <h2 className="font-semibold text-slate-800 dark:text-slate-100">Use it up</h2>
+            {loadingSuggestions && <Loader2 className="w-4 h-4 animate-spin text-slate-400" />}
+          </div>
+          {suggestions.length === 0 ? (
+            !loadingSuggestions && (
+              <p className="text-sm text-slate-600 dark:text-slate-400">
+                No recipes found for what&apos;s expiring soon.
+              </p>
+            )
+          ) : (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              {suggestions.map(recipe => (
+                <button
+                  key={recipe.recipe_id}
+                  onClick={() => navigate(createPageUrl(`RecipeDetail?id=${recipe.recipe_id}`))}
+                  className="flex items-center gap-3 p-2 rounded-lg border border-amber-200 bg-white text-left hover:shadow-md transition-shadow dark:border-slate-700 dark:bg-slate-800"
+                >
+                  {recipe.photo_url ? (
+                    <img src={recipe.photo_url} alt="" className="w-14 h-14 rounded object-cover flex-shrink-0" />
+                  ) : (
+                    <div className="w-14 h-14 rounded bg-orange-100 dark:bg-orange-900/30 flex-shrink-0" />
+                  )}
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-slate-800 dark:text-slate-100 line-clamp-2">{recipe.full_title}</p>
+                    <p className="text-xs text-amber-700 dark:text-amber-300 line-clamp-1">
+                      Uses {recipe.matched_items.join(", ")}
+                    </p>
+                    {recipe.cooking_time && (
+                      <p className="flex items-center gap-1 text-xs text-slate-500 dark:text-slate-400">
+                        <Clock className="w-3 h-3" />
+                        {recipe.cooking_time}
+                      </p>
+                    )}
+                  </div>
+                </button>
+              ))}
+            </div>
+          )}
+        </section>
+      )}
+
+      {/* Add item */}
+      <form onSubmit={handleAdd} className="flex flex-wrap gap-2 mb-4">
+        <Input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="Add an item"
+          className="flex-1 min-w-[160px]"
+          aria-label="Item name"
+        />
+        <Input
+          value={newQuantity}
+          onChange={(e) => setNewQuantity(e.target.value)}
+          placeholder="Quantity"
+          className="w-28"
+          aria-label="Quantity"
+        />
+        <Input
+          type="date"
+          value={newExpiry}
+          onChange={(e) => setNewExpiry(e.target.value)}
+          className="w-40"
+          aria-label="Expiry date"
+        />
+        <Button type="submit" disabled={!newName.trim() || adding} className="bg-green-600 hover:bg-green-700 text-white">
+          {adding ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4 mr-1" />}
+          Add
+        </Button>
+      </form>
+
+      {/* Items */}
+      {sortedItems.length === 0 ? (
+        <div className="flex flex-col items-center justify-center py-16 text-center">
+          <Refrigerator className="w-12 h-12 text-slate-300 dark:text-slate-600 mb-3" />
+          <p className="font-medium text-slate-700 dark:text-slate-200">Your pantry is empty</p>
+          <p className="text-sm text-slate-500 dark:text-slate-400">
+            Items you buy are added here when you complete a shopping trip.
+          </p>
+        </div>
+      ) : (
+        <ul className="divide-y divide-slate-200 rounded-xl border border-slate-200 bg-white dark:divide-slate-700 dark:border-slate-700 dark:bg-slate-800">
+          {sortedItems.map(item => {
+            const expiry = getExpiryStatus(item.expires_on);
+            return (
+              <li key={item.id} className="flex flex-wrap items-center gap-3 p-3">
+                <div className="flex-1 min-w-[140px]">
+                  <p className={cn(
+                    "font-medium text-slate-800 dark:text-slate-100",
+                    expiry.status === "expired" && "text-red-700 dark:text-red-300"
+                  )}>
+                    {item.name}
+                  </p>
+                  <p className="text-xs text-slate-500 dark:text-slate-400">
+                    {[item.quantity, item.category !== "Other" && item.category].filter(Boolean).join(" · ")}
+                  </p>
+                </div>
+                {expiry.status !== "none" && (
+                  <Badge className={cn("border-0", EXPIRY_BADGE_STYLES[expiry.status])}>
+                    {expiryLabel(expiry)}
+                  </Badge>
+                )}
+                <input
+                  type="date"
+                  value={item.expires_on || ""}
+                  onChange={(e) => handleExpiryChange(item, e.target.value)}
+                  className="px-2 py-1 text-sm rounded border border-slate-200 bg-transparent text-slate-700 dark:border-slate-600 dark:text-slate-200"
+                  aria-label={`Expiry date for ${item.name}`}
+                  title={item.expires_on ? `Expires ${format(parseISO(item.expires_on), "MMM d, yyyy")}` : "No expiry date"}
+                />
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => handleRemove(item)}
+                  className="h-8 w-8 text-slate-400 hover:text-red-600"
+                  title="Remove from pantry"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,13 @@
 
 import React, { useState, useEffect } from "react";
-import { User, Recipe as RecipeEntity, RecipeFavorite } from "@/api/entities";
+import { User, Recipe as RecipeEntity, RecipeFavorite, MealPlanEntry } from "@/api/entities";
 import { Card, CardContent } from "@/components/ui/card";
-import { ChefHat, TrendingUp, Heart, User as UserIcon, Sparkles, ChevronLeft, ChevronRight, Loader2 } from "lucide-react";
+import { ChefHat, TrendingUp, Heart, User as UserIcon, Sparkles, ChevronLeft, ChevronRight, Loader2, CalendarDays } from "lucide-react";
 import { useNavigate } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import { cn } from "@/lib/utils";
 import { appCache } from "@/components/utils/appCache";
+import { getWeekStart, getWeekDates } from "@/components/utils/mealPlanner";
 
 export default function RecipePage() {
   const navigate = useNavigate();
@@ -15,7 +16,8 @@ export default function RecipePage() {
   const [recipeStats, setRecipeStats] = useState({
     totalPopular: 0,
     totalFavorites: 0,
-    totalMyRecipes: 0
+    totalMyRecipes: 0,
+    totalPlannedMeals: 0
   });
   const [user, setUser] = useState(null);
   const [carouselRecipes, setCarouselRecipes] = useState([]);
@@ -105,10 +107,18 @@ export default function RecipePage() {
         console.log('📦 Recipe: Using cached recipe favorites');
       }
       
+      // Meals planned for this week
+      const weekDates = getWeekDates(getWeekStart());
+      const plannedMeals = await MealPlanEntry.filter({
+        owner_id: currentUser.id,
+        planned_date: { $gte: weekDates[0], $lte: weekDates[6] }
+      });
+
       setRecipeStats({
         totalPopular: popularRecipes.length,
         totalFavorites: userFavorites.length,
-        totalMyRecipes: myRecipes.length
+        totalMyRecipes: myRecipes.length,
+        totalPlannedMeals: plannedMeals.length
       });
       
       // Select random recipes for carousel (only those with photos)
@@ -151,6 +161,16 @@ export default function RecipePage() {
       colorfulBorder: "border-purple-400",
       count: recipeStats.totalMyRecipes,
       page: "MyRecipes"
+    },
+    {
+      title: "Meal Planner",
+      description: "Plan the week and shop for it in one list",
+      icon: CalendarDays,
+      gradient: "from-emerald-500 to-teal-600",
+      colorfulBg: "bg-emerald-100",
+      colorfulBorder: "border-emerald-400",
+      count: recipeStats.totalPlannedMeals,
+      page: "MealPlanner"
     }
   ];
 
@@ -290,7 +310,7 @@ export default function RecipePage() {
           )}
 
           {/* Recipe Sections Grid */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 sm:gap-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4 sm:gap-6">
             {sections.map((section, index) => {
               const Icon = section.icon;
               return (
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import { User, Recipe, RecipeFavorite, ShoppingList, ListMember, Item, ActivityTracking, CommonItem } from "@/api/entities";
 import { updateStatCount } from "@/api/functions";
 import { trackRecipe, trackRecipeFavorite } from "@/utils/trackingContext";
@@ -29,7 +29,9 @@ import {
   Star,
   Share2,
   ShoppingCart,
-  CheckCircle
+  CheckCircle,
+  Minus,
+  CookingPot
 } from "lucide-react";
 import { useNavigate, useLocation } from "react-router-dom";
 import { createPageUrl } from "@/utils";
@@ -45,10 +47,16 @@ import {
   DialogTitle,
   DialogDescription
 } from "@/components/ui/dialog";
-import { parseIngredients } from "@/components/utils/ingredientParser";
+import { parseIngredients, quantityFields, getDuplicateMergeUpdate, scaleIngredientLine } from "@/components/utils/ingredientParser";
+import { buildVariantLookup, findInLookup, findDuplicateItem } from "@/utils/itemMatching";
+import { useDuplicatePrompt } from "@/hooks/useDuplicatePrompt";
+import DuplicateItemsDialog from "@/components/items/DuplicateItemsDialog";
 import { checkCreditsAvailable, consumeCredits } from "@/components/utils/creditManager";
 import UpgradePrompt from "@/components/common/UpgradePrompt";
 import ShareRecipeDialog from "@/components/recipes/ShareRecipeDialog";
+import CookMode from "@/components/recipes/CookMode";
+import { getIngredientLines } from "@/components/utils/mealPlanner";
+import { takeIngredientsFromPantry } from "@/components/utils/pantryManager";
 import SignupPrompt from "@/components/common/SignupPrompt";
 import { incrementUsage } from "@/components/utils/usageSync";
 import { appCache } from "@/components/utils/appCache";
@@ -56,6 +64,21 @@ import { canCreateCustomRecipe } from "@/components/utils/tierManager";
 import { useRecipeLoadingPhrases } from "@/hooks/useRecipeLoadingPhrases";
 import { logger } from "@/utils/logger";
 
+const UNIT_SYSTEM_KEY = 'familycart-unit-system';
+
+// Normalize step format - handle string, different property names, etc.
+// Expected: { title: string, instruction: string }
+// Possible formats: string, { name, description }, { step, details }, { title, text }, etc.
+const normalizeStep = (s, idx) => {
+  if (typeof s === 'string') {
+    return { title: `Step ${idx + 1}`, instruction: s };
+  }
+  return {
+    title: s.title || s.name || s.step || s.heading || `Step ${idx + 1}`,
+    instruction: s.instruction || s.description || s.details || s.text || s.content || s.instructions || ''
+  };
+};
+
 export default function RecipeDetailPage() {
   const navigate = useNavigate();
   const location = useLocation();
@@ -85,6 +108,7 @@ export default function RecipeDetailPage() {
   const [newListName, setNewListName] = useState('');
   const [createNewList, setCreateNewList] = useState(false);
   const [importing, setImporting] = useState(false);
+  const { ask: askDuplicate, dialogProps: duplicatePrompt } = useDuplicatePrompt();
   const [parsingIngredients, setParsingIngredients] = useState(false);
   const [importProgress, setImportProgress] = useState({ current: 0, total: 0 });
   const [importStatus, setImportStatus] = useState('');
@@ -111,9 +135,66 @@ export default function RecipeDetailPage() {
   const [showSignupPrompt, setShowSignupPrompt] = useState(false);
   const [signupFeature, setSignupFeature] = useState("default");
 
+  // Servings scaler (null = the recipe's own servings) and unit system
+  // (null = as written, 'metric' or 'imperial', remembered across recipes)
+  const [servings, setServings] = useState(null);
+  const [unitSystem, setUnitSystem] = useState(() => localStorage.getItem(UNIT_SYSTEM_KEY) || null);
+  const targetServings = servings || recipe?.servings;
+  const ingredientScale = recipe?.servings && targetServings ? targetServings / recipe.servings : 1;
+  const scaleLine = (text) => scaleIngredientLine(text, ingredientScale, unitSystem);
+
+  // Cook mode (full-screen, one step at a time) follows the servings and
+  // units picked on the page
+  const [showCookMode, setShowCookMode] = useState(false);
+  const cookModeIngredients = useMemo(
+    () => getIngredientLines(recipe).map(line => scaleIngredientLine(line, ingredientScale, unitSystem)),
+    [recipe, ingredientScale, unitSystem]
+  );
+  const cookModeSteps = useMemo(() => (recipe?.steps || []).map(normalizeStep), [recipe]);
+
+  // Finishing cook mode takes the ingredients out of the pantry
+  const handleCookFinished = async () => {
+    if (!user || cookModeIngredients.length === 0) return;
+    try {
+      const { used, removed } = await takeIngredientsFromPantry(cookModeIngredients, {
+        userId: user.id,
+        recipeTitle: recipe?.full_title
+      });
+      const usedUp = [...new Set(removed)];
+      const reduced = [...new Set(used)].filter(name => !usedUp.includes(name));
+      if (usedUp.length + reduced.length === 0) return;
+      toast({
+        title: "Pantry updated",
+        description: [
+          reduced.length > 0 && `Used some ${reduced.join(", ")}.`,
+          usedUp.length > 0 && `Used up ${usedUp.join(", ")}.`
+        ].filter(Boolean).join(" "),
+      });
+    } catch (error) {
+      console.error("Error updating pantry:", error);
+    }
+  };
+
   const urlParams = new URLSearchParams(window.location.search);
   const recipeId = urlParams.get("id");
   const fromTab = urlParams.get("from") || "browse";
+  // e.g. the meal planner links to a recipe with the servings it's planned for
+  const plannedServings = parseInt(urlParams.get("servings"), 10) || null;
+
+  // A different recipe starts at its own (or planned) servings
+  const loadedRecipeId = recipe?.id;
+  useEffect(() => {
+    setServings(plannedServings);
+  }, [loadedRecipeId, plannedServings]);
+
+  const handleUnitSystemChange = (system) => {
+    setUnitSystem(system);
+    if (system) {
+      localStorage.setItem(UNIT_SYSTEM_KEY, system);
+    } else {
+      localStorage.removeItem(UNIT_SYSTEM_KEY);
+    }
+  };
 
   // New function to load user and favorite status
   const loadUserAndFavorite = async (currentRecipeId) => {
@@ -723,11 +804,12 @@ export default function RecipeDetailPage() {
       logger.debug('Recipe ingredients to process:', recipe.ingredients);
       logger.debug(`Ingredients count: ${recipe.ingredients?.length || 0}`);
       
-      // Normalize ingredients to strings (handle both string and object formats)
+      // Normalize ingredients to strings (handle both string and object formats),
+      // scaled to the servings and units the user is looking at
       const normalizedIngredients = recipe.ingredients.map(ing => {
-        if (typeof ing === 'string') return ing;
+        if (typeof ing === 'string') return scaleLine(ing);
         // Object format: { name, quantity, notes }
-        return (ing.quantity ? `${ing.quantity} ${ing.name}` : ing.name) + (ing.notes ? ` (${ing.notes})` : '');
+        return scaleLine((ing.quantity ? `${ing.quantity} ${ing.name}` : ing.name) + (ing.notes ? ` (${ing.notes})` : ''));
       });
       
       // Use LLM to extract clean ingredient names and categorize in ONE call
@@ -948,69 +1030,16 @@ Return JSON with an array of objects, each containing:
 
       setImportStatus('Checking for duplicates...');
       const existingItems = await Item.filter({ list_id: targetListId });
-      const existingItemsMap = new Map(
-        existingItems.map((item) => [item.name.toLowerCase().trim(), item])
-      );
 
       // Load master item list for intelligent image matching and category overrides
       setImportStatus('Loading item database...');
       const masterItems = await CommonItem.list();
-      
-      // Helper function to normalize item names for matching (handles plurals, organic, etc.)
-      const normalizeForMatching = (name) => {
-        let normalized = name.toLowerCase().trim();
-        // Remove common prefixes
-        normalized = normalized.replace(/^(organic|fresh|raw|frozen)\s+/i, '');
-        // Handle common plural/singular variations
-        const singularToPlural = {
-          'tomato': 'tomatoes',
-          'potato': 'potatoes',
-          'onion': 'onions',
-          'carrot': 'carrots',
-          'apple': 'apples',
-          'banana': 'bananas',
-          'orange': 'oranges',
-          'pepper': 'peppers',
-          'cucumber': 'cucumbers',
-          'egg': 'eggs',
-          'lemon': 'lemons',
-          'lime': 'limes',
-          'avocado': 'avocados',
-          'strawberry': 'strawberries',
-          'blueberry': 'blueberries',
-          'raspberry': 'raspberries',
-          'cherry': 'cherries'
-        };
-        
-        // Try to match both forms
-        return {
-          exact: normalized,
-          variants: [
-            normalized,
-            // Try plural if it's singular
-            singularToPlural[normalized] || normalized + 's',
-            // Try singular if it's plural (remove 's')
-            normalized.endsWith('s') ? normalized.slice(0, -1) : normalized,
-            // Try removing 'es' ending
-            normalized.endsWith('es') ? normalized.slice(0, -2) : normalized
-          ].filter((v, i, arr) => arr.indexOf(v) === i) // unique values
-        };
-      };
-      
-      // Build master item lookup with variants
-      const masterItemLookup = new Map();
-      masterItems.forEach(item => {
-        const variants = normalizeForMatching(item.name);
-        variants.variants.forEach(variant => {
-          if (!masterItemLookup.has(variant)) {
-            masterItemLookup.set(variant, item);
-          }
-        });
-      });
+      const masterItemLookup = buildVariantLookup(masterItems);
 
       // Process items - check existing and prepare new items with master images
       setImportStatus('Processing ingredients...');
       const itemsToCreate = [];
+      const duplicates = [];
       let processedCount = 0;
 
       for (const importItem of itemsToImport) {
@@ -1019,35 +1048,50 @@ Return JSON with an array of objects, each containing:
         setImportStatus(`Processing ${processedCount} of ${itemsToImport.length}...`);
 
         const capitalizedName = importItem.item.replace(/\b\w/g, (char) => char.toUpperCase());
-        const existingItem = existingItemsMap.get(capitalizedName.toLowerCase().trim());
+        const quantity = quantityFields(includeQuantities ? importItem.quantity : '');
+
+        // Find matching master item using intelligent matching
+        const masterItem = findInLookup(masterItemLookup, capitalizedName);
+        if (masterItem) {
+          logger.success(`Master match: "${capitalizedName}" → "${masterItem.name}"`);
+        }
+
+        const itemData = {
+          name: capitalizedName,
+          ...quantity,
+          // Prefer master item category (more accurate), fallback to LLM category
+          category: masterItem?.category || importItem.category || 'Other',
+          photo_url: masterItem?.photo_url || null
+        };
 
+        const existingItem = findDuplicateItem(existingItems, capitalizedName);
         if (existingItem) {
-          if (existingItem.is_checked) {
-            await Item.update(existingItem.id, {
-              is_checked: false,
-              checked_date: null
-            });
-          }
+          duplicates.push({ key: importItem.id, existing: existingItem, incoming: itemData });
         } else {
-          // Find matching master item using intelligent matching
-          const variants = normalizeForMatching(capitalizedName);
-          let masterItem = null;
-          
-          for (const variant of variants.variants) {
-            if (masterItemLookup.has(variant)) {
-              masterItem = masterItemLookup.get(variant);
-              logger.success(`Master match: "${capitalizedName}" → "${masterItem.name}"`);
-              break;
-            }
+          itemsToCreate.push(itemData);
+        }
+      }
+
+      // Ask once about every ingredient that's already on the list
+      if (duplicates.length > 0) {
+        const choices = await askDuplicate(duplicates);
+        if (!choices) {
+          setImporting(false);
+          return;
+        }
+
+        setImportStatus('Updating existing items...');
+        // Several ingredients can match the same item ("tomato", "cherry tomatoes")
+        const mergedItems = new Map();
+        for (const { key, existing, incoming } of duplicates) {
+          if (choices[key] === 'keep') {
+            itemsToCreate.push(incoming);
+            continue;
           }
-          
-          itemsToCreate.push({
-            name: capitalizedName,
-            quantity: includeQuantities ? importItem.quantity : '',
-            // Prefer master item category (more accurate), fallback to LLM category
-            category: masterItem?.category || importItem.category || 'Other',
-            photo_url: masterItem?.photo_url || null
-          });
+          const current = mergedItems.get(existing.id) || existing;
+          const update = getDuplicateMergeUpdate(current, incoming);
+          await Item.update(existing.id, update);
+          mergedItems.set(existing.id, { ...current, ...update });
         }
       }
 
@@ -1063,6 +1107,8 @@ Return JSON with an array of objects, each containing:
           list_id: targetListId,
           name: itemData.name,
           quantity: itemData.quantity,
+          amount: itemData.amount,
+          unit: itemData.unit,
           category: itemData.category,
           photo_url: itemData.photo_url,
           added_by: user.email
@@ -1094,7 +1140,8 @@ Return JSON with an array of objects, each containing:
           recipe_name: recipe.full_title,
           list_id: targetListId,
           list_name: listName,
-          ingredients_count: itemsToImport.length
+          ingredients_count: itemsToImport.length,
+          servings: targetServings
         }
       );
 
@@ -1732,12 +1779,49 @@ Return JSON with an array of objects, each containing:
                       <span className="font-medium text-slate-700 dark:text-slate-300">{displayRecipe.cooking_time}</span>
                     </div>
                   }
-                  {displayRecipe.servings &&
+                  {displayRecipe.servings && (isEditMode ?
                     <div className="flex items-center gap-2">
                       <span className="text-purple-500 dark:text-purple-400">🍽️</span>
                       <span className="font-medium text-slate-700 dark:text-slate-300">{displayRecipe.servings} Servings</span>
+                    </div> :
+                    <div className="flex items-center gap-1">
+                      <span className="text-purple-500 dark:text-purple-400 mr-1">🍽️</span>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-7 w-7 dark:text-slate-200 dark:hover:bg-slate-700"
+                        onClick={() => setServings(Math.max(1, targetServings - 1))}
+                        disabled={targetServings <= 1}
+                        aria-label="Fewer servings"
+                      >
+                        <Minus className="w-3.5 h-3.5" />
+                      </Button>
+                      <span className={cn(
+                        "font-medium min-w-[88px] text-center",
+                        ingredientScale !== 1 ? "text-orange-600 dark:text-orange-400" : "text-slate-700 dark:text-slate-300"
+                      )}>
+                        {targetServings} Servings
+                      </span>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-7 w-7 dark:text-slate-200 dark:hover:bg-slate-700"
+                        onClick={() => setServings(targetServings + 1)}
+                        disabled={targetServings >= 99}
+                        aria-label="More servings"
+                      >
+                        <Plus className="w-3.5 h-3.5" />
+                      </Button>
+                      {ingredientScale !== 1 &&
+                        <button
+                          onClick={() => setServings(recipe.servings)}
+                          className="text-xs text-slate-500 hover:underline dark:text-slate-400"
+                        >
+                          Reset
+                        </button>
+                      }
                     </div>
-                  }
+                  )}
                   {displayRecipe.calories_per_serving &&
                     <div className="flex items-center gap-2">
                       <span className="text-red-500 dark:text-red-400">🔥</span>
@@ -1796,6 +1880,24 @@ Return JSON with an array of objects, each containing:
                     </Button>
                   }
                 </div>
+                {!isEditMode &&
+                  <div className="inline-flex mb-4 rounded-lg border border-slate-200 dark:border-slate-700 p-0.5 text-xs">
+                    {[[null, "As written"], ["metric", "Metric"], ["imperial", "Imperial"]].map(([system, label]) =>
+                      <button
+                        key={label}
+                        onClick={() => handleUnitSystemChange(system)}
+                        className={cn(
+                          "px-2.5 py-1 rounded-md font-medium",
+                          unitSystem === system
+                            ? "bg-orange-500 text-white"
+                            : "text-slate-600 hover:bg-slate-100 dark:text-slate-300 dark:hover:bg-slate-800"
+                        )}
+                      >
+                        {label}
+                      </button>
+                    )}
+                  </div>
+                }
                 <div className="space-y-2">
                   {(displayRecipe.ingredients || []).map((ingredient, idx) => {
                     // Handle both string and object formats for ingredients
@@ -1827,7 +1929,7 @@ Return JSON with an array of objects, each containing:
 
                           <>
                             <span className="text-orange-500 font-bold mt-1 shrink-0">•</span>
-                            <span className="text-sm sm:text-base text-slate-700 dark:text-slate-300 break-words">{ingredientText}</span>
+                            <span className="text-sm sm:text-base text-slate-700 dark:text-slate-300 break-words">{scaleLine(ingredientText)}</span>
                           </>
                         }
                       </div>
@@ -1848,6 +1950,16 @@ Return JSON with an array of objects, each containing:
                     )}></div>
                     Cooking Steps
                   </h3>
+                  {!isEditMode && cookModeSteps.length > 0 &&
+                    <Button
+                      onClick={() => setShowCookMode(true)}
+                      size="sm"
+                      className="bg-orange-500 hover:bg-orange-600 text-white flex items-center gap-1.5">
+
+                      <CookingPot className="w-4 h-4" />
+                      Cook Mode
+                    </Button>
+                  }
                   {isEditMode &&
                     <Button
                       onClick={addStep}
@@ -1862,20 +1974,7 @@ Return JSON with an array of objects, each containing:
                 </div>
                 <div className="space-y-3">
                   {(displayRecipe.steps || []).map((step, idx) => {
-                    // Normalize step format - handle string, different property names, etc.
-                    // Expected: { title: string, instruction: string }
-                    // Possible formats: string, { name, description }, { step, details }, { title, text }, etc.
-                    const normalizeStep = (s) => {
-                      if (typeof s === 'string') {
-                        return { title: `Step ${idx + 1}`, instruction: s };
-                      }
-                      return {
-                        title: s.title || s.name || s.step || s.heading || `Step ${idx + 1}`,
-                        instruction: s.instruction || s.description || s.details || s.text || s.content || s.instructions || ''
-                      };
-                    };
-                    
-                    const normalizedStep = normalizeStep(step);
+                    const normalizedStep = normalizeStep(step, idx);
                     
                     if (isEditMode) {
                       return (
@@ -2103,6 +2202,19 @@ Return JSON with an array of objects, each containing:
         </DialogContent>
       </Dialog>
 
+      <DuplicateItemsDialog {...duplicatePrompt} />
+
+      {/* Keyed by recipe so its timers reset for a different recipe */}
+      <CookMode
+        key={recipe?.id}
+        open={showCookMode}
+        title={recipe?.full_title}
+        ingredients={cookModeIngredients}
+        steps={cookModeSteps}
+        onClose={() => setShowCookMode(false)}
+        onFinish={handleCookFinished}
+      />
+
     </div>);
 
 }
\ No newline at end of file
@@ -1,5 +1,5 @@
-import React, { useState, useEffect, useCallback } from "react";
-import { User, ListMember, ShoppingList, Item, ActivityTracking } from "@/api/entities";
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import { User, ListMember, ShoppingList, Item, ActivityTracking, Store, StoreVisit } from "@/api/entities";
 import { trackItem, OPERATIONS, PAGES } from "@/utils/trackingContext";
 import {
   Select,
@@ -11,41 +11,66 @@ import {
 import { Progress } from "@/components/ui/progress";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
-import { CheckCircle, ArrowLeft, Grid2X2, List, Edit3, RefreshCw } from "lucide-react";
+import { CheckCircle, ArrowLeft, Grid2X2, List, Edit3, RefreshCw, CloudOff, MapPin, Sparkles, DollarSign } from "lucide-react";
 import { useNavigate } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import { cn } from "@/lib/utils";
 import { appCache } from "@/components/utils/appCache";
 import { supabase } from "@/api/supabaseClient";
+import { offlineOutbox } from "@/api/offlineOutbox";
+import { useOfflineOutbox } from "@/hooks/useOfflineOutbox";
 import { logger } from "@/utils/logger";
+import { useToast } from "@/components/ui/use-toast";
+import { ToastAction } from "@/components/ui/toast";
+import { isStaleUpdate } from "@/utils/recordMerge";
+import {
+  getCategoryOrder,
+  getAisleLabel,
+  sortCategoriesByOrder,
+  appendToSequence,
+  suggestAisleMap,
+  MAX_VISITS_FOR_SUGGESTION
+} from "@/utils/storeLayout";
 
 import ItemCard from "../components/items/ItemCard";
 import ConfirmDialog from "@/components/common/ConfirmDialog";
+import StoreLayoutDialog from "@/components/stores/StoreLayoutDialog";
+import { replenishStaples, REPLENISH_RULES } from "@/components/utils/staplesManager";
+import { stockPantry } from "@/components/utils/pantryManager";
+import { getListRole, getListPermissions } from "@/components/utils/listPermissions";
+import {
+  createEmptyDraft,
+  loadTripDraft,
+  saveTripDraft,
+  clearTripDraft,
+  getDraftTotal,
+  recordTrip,
+  formatPrice
+} from "@/components/utils/tripRecorder";
+import { getCartTotal, getEstimatedTotal, getBudgetStatus } from "@/components/utils/budgetManager";
+import PriceEntryDialog from "@/components/items/PriceEntryDialog";
+import TripSummaryDialog from "@/components/lists/TripSummaryDialog";
+
+// Select value for shopping without a store layout (Radix Select can't use "")
+const NO_STORE = "none";
+const ADD_STORE = "add-store";
 
-// Predefined category order for consistent display
-const CATEGORY_ORDER = [
-  "Produce",
-  "Pantry",
-  "Dairy",
-  "Meat & Seafood",
-  "Frozen",
-  "Beverages",
-  "Snacks",
-  "Household",
-  "Bakery",
-  "Personal Care",
-  "Cleaning",
-  "Baby",
-  "Pet",
-  "Other"
-];
+const getStoreStorageKey = (listId) => `shopping-mode-store-${listId}`;
+
+// Re-apply writes still waiting in the offline outbox on top of server data
+const applyPendingChanges = (item) => {
+  const pendingPatch = offlineOutbox.getPendingPatch('items', item.id);
+  return pendingPatch ? { ...item, ...pendingPatch } : item;
+};
 
 export default function ShoppingModeActivePage() {
   const navigate = useNavigate();
+  const { toast } = useToast();
   const [lists, setLists] = useState([]);
   const [selectedListId, setSelectedListId] = useState("");
   const [items, setItems] = useState([]);
   const [user, setUser] = useState(null);
+  const [memberships, setMemberships] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState("all");
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [viewMode, setViewMode] = useState(() => {
@@ -54,6 +79,45 @@ export default function ShoppingModeActivePage() {
   const [referrerPage, setReferrerPage] = useState("ShoppingMode");
   const [showCompleteConfirm, setShowCompleteConfirm] = useState(false);
 
+  // Store layouts: which store we're in decides section order and aisle labels
+  const [stores, setStores] = useState([]);
+  const [selectedStoreId, setSelectedStoreId] = useState(NO_STORE);
+  const [storeSuggestion, setStoreSuggestion] = useState(null);
+  const [showStoreDialog, setShowStoreDialog] = useState(false);
+  const [editingStore, setEditingStore] = useState(null);
+  // Categories in the order they were first checked off on this trip (for learning the layout)
+  const checkoffSequenceRef = useRef([]);
+
+  // Purchase history: items checked off this trip (with optional prices)
+  const [trackPrices, setTrackPrices] = useState(() => {
+    return localStorage.getItem('shopping-mode-track-prices') === 'true';
+  });
+  // Ref mirrors state so handlers always see the latest draft
+  const tripDraftRef = useRef(createEmptyDraft());
+  const [tripDraft, setTripDraft] = useState(tripDraftRef.current);
+  const [tripSummary, setTripSummary] = useState(null);
+  const budgetWarnedRef = useRef(false);
+  const [pricingItem, setPricingItem] = useState(null);
+  // Set when the last item was checked while its price prompt is open
+  const finishAfterPricingRef = useRef(false);
+
+  // Once queued offline writes reach the server, refresh from the API so we pick up
+  // anything other shoppers changed while the realtime channel was disconnected
+  const handleOutboxSynced = () => {
+    if (!selectedListId) return;
+    logger.cache('ShoppingModeActive', 'Offline changes synced - reloading items');
+    appCache.clearShoppingList(selectedListId);
+    loadItems();
+  };
+  const { isOnline, pendingCount, pendingIds } = useOfflineOutbox('items', handleOutboxSynced);
+
+  // Viewers can look but not check off; only editors can re-add staples
+  const { canCheck, canEdit } = getListPermissions(getListRole(
+    lists.find(l => l.id === selectedListId),
+    memberships.find(m => m.list_id === selectedListId),
+    user?.id
+  ));
+
   useEffect(() => {
     // Check if there's a referrer in URL params
     const urlParams = new URLSearchParams(window.location.search);
@@ -63,14 +127,39 @@ export default function ShoppingModeActivePage() {
     }
     
     loadLists();
+    loadStores();
   }, []);
 
   useEffect(() => {
     if (selectedListId) {
       loadItems();
+      // Restore the store last used with this list and start a fresh trip
+      setSelectedStoreId(localStorage.getItem(getStoreStorageKey(selectedListId)) || NO_STORE);
+      checkoffSequenceRef.current = [];
+      // Resume a trip that was in progress (e.g. app restarted mid-shop)
+      tripDraftRef.current = loadTripDraft(selectedListId);
+      setTripDraft(tripDraftRef.current);
+      budgetWarnedRef.current = false;
     }
   }, [selectedListId]);
 
+  useEffect(() => {
+    // Switching stores mid-trip starts a new check-off sequence
+    checkoffSequenceRef.current = [];
+  }, [selectedStoreId]);
+
+  // Suggest a reordered layout once enough trips to this store have been recorded
+  useEffect(() => {
+    const store = stores.find(s => s.id === selectedStoreId);
+    if (!store) {
+      setStoreSuggestion(null);
+      return;
+    }
+    StoreVisit.filter({ store_id: store.id }, "-created_date", MAX_VISITS_FOR_SUGGESTION)
+      .then(visits => setStoreSuggestion(suggestAisleMap(store, visits)))
+      .catch(error => console.error("Error loading store visits:", error));
+  }, [selectedStoreId, stores]);
+
   // NEW: Check for listId in URL parameters after lists are loaded
   useEffect(() => {
     const urlParams = new URLSearchParams(window.location.search);
@@ -122,11 +211,23 @@ export default function ShoppingModeActivePage() {
         },
         (payload) => {
           logger.realtime('ShoppingModeActive', 'Received realtime update', payload.new.id, payload.new);
-          // Update the specific item in state without full reload
+          // Update the specific item in state without full reload,
+          // keeping any local changes that haven't synced yet and skipping out-of-order events
           setItems(prevItems => {
+            const current = prevItems.find(item => item.id === payload.new.id);
+            if (isStaleUpdate(current, payload.new)) return prevItems;
+            // Moved to / restored from the trash
+            const removed = payload.new.deleted_at || offlineOutbox.isPendingDelete('items', payload.new.id);
+            if (removed || !current) {
+              const updatedItems = removed
+                ? prevItems.filter(item => item.id !== payload.new.id)
+                : [applyPendingChanges(payload.new), ...prevItems];
+              updateCacheWithItems(updatedItems);
+              return updatedItems;
+            }
             const updatedItems = prevItems.map(item => 
               item.id === payload.new.id 
-                ? { ...item, ...payload.new }
+                ? applyPendingChanges({ ...item, ...payload.new })
                 : item
             );
             // Also update the cache so other pages see the updated data
@@ -145,10 +246,10 @@ export default function ShoppingModeActivePage() {
         },
         (payload) => {
           logger.realtime('ShoppingModeActive', 'Received realtime INSERT', payload.new.id);
-          // Add new item to state if not already present
+          // Add new item to state if not already present (or deleted locally while offline)
           setItems(prevItems => {
             const exists = prevItems.some(item => item.id === payload.new.id);
-            if (exists) return prevItems;
+            if (exists || offlineOutbox.isPendingDelete('items', payload.new.id)) return prevItems;
             const updatedItems = [payload.new, ...prevItems];
             // Also update the cache so other pages see the new item
             updateCacheWithItems(updatedItems);
@@ -199,6 +300,14 @@ export default function ShoppingModeActivePage() {
       }
       setUser(currentUser);
 
+      let allMemberships = appCache.getListMemberships(currentUser.id);
+      if (!allMemberships) {
+        logger.cache('ShoppingModeActive', 'Fetching ListMember from API (cache miss)');
+        allMemberships = await ListMember.filter({ user_id: currentUser.id });
+        appCache.setListMemberships(currentUser.id, allMemberships);
+      }
+      setMemberships(allMemberships);
+
       // ✅ Try to get all ShoppingList entities from cache first
       // RLS will return all lists user has access to (owned, member, or family-shared)
       let allLists = appCache.getShoppingListEntities();
@@ -233,6 +342,164 @@ export default function ShoppingModeActivePage() {
     }
   };
 
+  const loadStores = async () => {
+    try {
+      // RLS returns the user's own stores and their family's
+      const storesData = await Store.list("name");
+      setStores(storesData);
+    } catch (error) {
+      console.error("Error loading stores:", error);
+    }
+  };
+
+  const handleSelectStore = (value) => {
+    if (value === ADD_STORE) {
+      setEditingStore(null);
+      setShowStoreDialog(true);
+      return;
+    }
+    setSelectedStoreId(value);
+    if (selectedListId) {
+      localStorage.setItem(getStoreStorageKey(selectedListId), value);
+    }
+  };
+
+  const handleSaveStore = async (storeData) => {
+    try {
+      if (editingStore) {
+        const updated = await Store.update(editingStore.id, storeData);
+        setStores(prev => prev.map(s => s.id === editingStore.id ? { ...s, ...updated } : s));
+      } else {
+        const created = await Store.create({ ...storeData, owner_id: user.id });
+        setStores(prev => [...prev, created].sort((a, b) => a.name.localeCompare(b.name)));
+        handleSelectStore(created.id);
+      }
+      setShowStoreDialog(false);
+      setEditingStore(null);
+    } catch (error) {
+      console.error("Error saving store:", error);
+    }
+  };
+
+  const handleDeleteStore = async (store) => {
+    try {
+      await Store.delete(store.id);
+      setStores(prev => prev.filter(s => s.id !== store.id));
+      if (selectedStoreId === store.id) {
+        handleSelectStore(NO_STORE);
+      }
+      setShowStoreDialog(false);
+      setEditingStore(null);
+    } catch (error) {
+      console.error("Error deleting store:", error);
+    }
+  };
+
+  // Save the order categories were checked off in, once per trip
+  const recordStoreVisit = () => {
+    const sequence = checkoffSequenceRef.current;
+    checkoffSequenceRef.current = [];
+    if (!selectedStore || !user || sequence.length < 2) return;
+
+    StoreVisit.create({
+      store_id: selectedStore.id,
+      list_id: selectedListId,
+      user_id: user.id,
+      category_sequence: sequence
+    }).catch(err => console.warn('Recording store visit failed:', err));
+  };
+
+  const updateTripDraft = (updater) => {
+    const next = updater(tripDraftRef.current);
+    tripDraftRef.current = next;
+    saveTripDraft(selectedListId, next);
+    setTripDraft(next);
+  };
+
+  // Save the trip history (and store visit) and stock the pantry once
+  // everything is in the cart
+  const finishTrip = async (boughtItems) => {
+    recordStoreVisit();
+
+    // What was bought goes into the shopper's pantry (needs the network)
+    if (user && offlineOutbox.isOnline()) {
+      stockPantry(boughtItems, { userId: user.id, listId: selectedListId })
+        .then(({ added, updated }) => {
+          const count = added + updated;
+          if (count === 0) return;
+          toast({
+            title: `${count} ${count === 1 ? "item" : "items"} added to your pantry`,
+            action: (
+              <ToastAction altText="View pantry" onClick={() => navigate(createPageUrl("Pantry"))}>
+                View
+              </ToastAction>
+            ),
+          });
+        })
+        .catch(err => console.warn("Stocking pantry failed:", err));
+    }
+
+    const draft = tripDraftRef.current;
+    tripDraftRef.current = createEmptyDraft();
+    clearTripDraft(selectedListId);
+    setTripDraft(tripDraftRef.current);
+    budgetWarnedRef.current = false;
+
+    try {
+      const trip = await recordTrip({
+        listId: selectedListId,
+        user,
+        store: selectedStore,
+        items: boughtItems,
+        draft
+      });
+      if (trip) {
+        const estimatedTotal = getEstimatedTotal(boughtItems);
+        setTripSummary({
+          itemCount: trip.item_count,
+          storeName: trip.store_name,
+          estimatedTotal: estimatedTotal > 0 ? estimatedTotal : null,
+          actualTotal: trip.total_amount != null ? Number(trip.total_amount) : null,
+          budget: selectedList?.budget != null ? Number(selectedList.budget) : null,
+        });
+      }
+    } catch (error) {
+      console.error("Error saving shopping trip:", error);
+      toast({
+        title: "Trip not saved",
+        description: "Your items are checked off, but the purchase history couldn't be saved.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handlePriceSave = (entry) => {
+    const item = pricingItem;
+    setPricingItem(null);
+    updateTripDraft(draft => ({
+      ...draft,
+      entries: { ...draft.entries, [item.id]: entry }
+    }));
+    if (finishAfterPricingRef.current) {
+      finishAfterPricingRef.current = false;
+      finishTrip(items.filter(i => tripDraftRef.current.entries[i.id]));
+    }
+  };
+
+  const handlePriceSkip = () => {
+    setPricingItem(null);
+    if (finishAfterPricingRef.current) {
+      finishAfterPricingRef.current = false;
+      finishTrip(items.filter(i => tripDraftRef.current.entries[i.id]));
+    }
+  };
+
+  const toggleTrackPrices = () => {
+    const next = !trackPrices;
+    setTrackPrices(next);
+    localStorage.setItem('shopping-mode-track-prices', String(next));
+  };
+
   const loadItems = async () => {
     try {
       // ✅ Try to get items from cache first
@@ -243,7 +510,9 @@ export default function ShoppingModeActivePage() {
         setItems(cachedList.items);
       } else {
         logger.cache('ShoppingModeActive', 'Fetching items from API (cache miss)');
-        const itemsData = await Item.filter({ list_id: selectedListId }, "-created_date");
+        const itemsData = (await Item.filter({ list_id: selectedListId }, "-created_date"))
+          .map(applyPendingChanges)
+          .filter(item => !item.deleted_at);
         setItems(itemsData);
         
         // Cache the items along with the list
@@ -281,6 +550,19 @@ export default function ShoppingModeActivePage() {
     }
   };
 
+  // Put staples straight back on the list for next time
+  const replenishCheckedStaples = async (listItems) => {
+    if (!user || !canEdit) return [];
+    const replenished = await replenishStaples(listItems, { userId: user.id, addedBy: user.email, page: PAGES.SHOPPING_MODE });
+    if (replenished.length > 0) {
+      setItems(prev => [
+        ...replenished.filter(newItem => !prev.some(item => item.id === newItem.id)),
+        ...prev
+      ]);
+    }
+    return replenished;
+  };
+
   const handleToggleCheck = async (item) => {
     const originalItem = item; // Store for potential revert
     try {
@@ -293,6 +575,34 @@ export default function ShoppingModeActivePage() {
       setItems(prev => prev.map(i => 
         i.id === item.id ? { ...i, ...updatedData } : i
       ));
+
+      if (!item.is_checked) {
+        if (selectedStore) {
+          checkoffSequenceRef.current = appendToSequence(checkoffSequenceRef.current, item.category);
+        }
+        updateTripDraft(draft => ({
+          ...draft,
+          entries: { ...draft.entries, [item.id]: draft.entries[item.id] || { price: null, quantity: null } }
+        }));
+        if (trackPrices) {
+          setPricingItem(item);
+        }
+
+        // Last item in the cart - the trip is over
+        if (items.every(i => i.is_checked || i.id === item.id)) {
+          if (trackPrices) {
+            finishAfterPricingRef.current = true;
+          } else {
+            finishTrip(items.filter(i => tripDraftRef.current.entries[i.id]));
+          }
+        }
+      } else {
+        updateTripDraft(draft => {
+          const entries = { ...draft.entries };
+          delete entries[item.id];
+          return { ...draft, entries };
+        });
+      }
       
       // Make API call in background with tracking context
       const trackingContext = user 
@@ -301,11 +611,23 @@ export default function ShoppingModeActivePage() {
             : trackItem.activateInShopping(user.id, item.name))
         : null;
       
-      await Item.update(item.id, updatedData, trackingContext);
+      const result = await Item.update(item.id, updatedData, trackingContext);
 
-      // ✅ Invalidate cache since item status changed
-      logger.cache('ShoppingModeActive', 'Clearing cache (item checked status changed)');
-      appCache.clearShoppingList(selectedListId);
+      // An "on check" staple goes straight back on the list, as with complete all
+      const updatedItems = items.map(i => i.id === item.id ? { ...i, ...updatedData } : i);
+      const replenished = !item.is_checked && item.replenish_rule === REPLENISH_RULES.ON_CHECK
+        ? await replenishCheckedStaples(updatedItems)
+        : [];
+
+      if ([result, ...replenished].some(saved => saved?._pendingSync)) {
+        // Queued offline - keep the cache so the list still loads without signal
+        logger.cache('ShoppingModeActive', 'Updating cache (item change queued offline)');
+        updateCacheWithItems([...replenished, ...updatedItems]);
+      } else {
+        // ✅ Invalidate cache since item status changed
+        logger.cache('ShoppingModeActive', 'Clearing cache (item checked status changed)');
+        appCache.clearShoppingList(selectedListId);
+      }
     } catch (error) {
       console.error("Error updating item:", error);
       // Revert on error
@@ -322,6 +644,9 @@ export default function ShoppingModeActivePage() {
   const confirmCompleteShopping = async () => {
     try {
       const uncheckedItems = items.filter(item => !item.is_checked);
+      // Everything checked this trip plus whatever is being completed now
+      const boughtItems = items.filter(item => !item.is_checked || tripDraftRef.current.entries[item.id]);
+      finishTrip(boughtItems);
       
       const now = new Date().toISOString();
       
@@ -331,7 +656,7 @@ export default function ShoppingModeActivePage() {
       ));
       
       // Make API calls in background
-      await Promise.all(uncheckedItems.map(item =>
+      const results = await Promise.all(uncheckedItems.map(item =>
         Item.update(item.id, {
           is_checked: true,
           checked_date: now,
@@ -350,9 +675,20 @@ export default function ShoppingModeActivePage() {
         }).catch(err => console.warn('Activity tracking failed:', err));
       }
 
-      // ✅ Invalidate cache since items changed
-      logger.cache('ShoppingModeActive', 'Clearing cache (all items checked)');
-      appCache.clearShoppingList(selectedListId);
+      const completedItems = items.map(item =>
+        !item.is_checked ? { ...item, is_checked: true, checked_date: now } : item
+      );
+
+      const replenished = await replenishCheckedStaples(completedItems);
+
+      if ([...results, ...replenished].some(result => result?._pendingSync)) {
+        logger.cache('ShoppingModeActive', 'Updating cache (completion queued offline)');
+        updateCacheWithItems([...replenished, ...completedItems]);
+      } else {
+        // ✅ Invalidate cache since items changed
+        logger.cache('ShoppingModeActive', 'Clearing cache (all items checked)');
+        appCache.clearShoppingList(selectedListId);
+      }
     } catch (error) {
       console.error("Error completing shopping:", error);
       loadItems(); // Reload on error
@@ -377,17 +713,14 @@ export default function ShoppingModeActivePage() {
   const checkedItems = items.filter(item => item.is_checked);
   const progress = items.length > 0 ? (checkedItems.length / items.length) * 100 : 0;
 
-  // Get unique categories from active items, sorted by predefined order
-  const categoriesInActiveItems = [...new Set(activeItems.map(item => item.category).filter(Boolean))]
-    .sort((a, b) => {
-      const indexA = CATEGORY_ORDER.indexOf(a);
-      const indexB = CATEGORY_ORDER.indexOf(b);
-      // Put unknown categories at the end
-      if (indexA === -1 && indexB === -1) return a.localeCompare(b);
-      if (indexA === -1) return 1;
-      if (indexB === -1) return -1;
-      return indexA - indexB;
-    });
+  const selectedStore = stores.find(s => s.id === selectedStoreId) || null;
+  const categoryOrder = getCategoryOrder(selectedStore);
+
+  // Get unique categories from active items, sorted by the store's walking order
+  const categoriesInActiveItems = sortCategoriesByOrder(
+    [...new Set(activeItems.map(item => item.category).filter(Boolean))],
+    categoryOrder
+  );
   const categories = ["all", ...categoriesInActiveItems];
 
   const filteredActiveItems = selectedCategory === "all" 
@@ -396,6 +729,25 @@ export default function ShoppingModeActivePage() {
 
   const selectedList = lists.find(l => l.id === selectedListId);
 
+  // Running cart total vs. the list's budget
+  const tripTotal = getDraftTotal(tripDraft);
+  const cartTotal = getCartTotal(items, tripDraft);
+  const budgetStatus = getBudgetStatus(selectedList, cartTotal);
+  const budgetLevel = budgetStatus?.level;
+
+  // Warn once per trip when the cart crosses the warning threshold
+  useEffect(() => {
+    if (!budgetLevel || budgetLevel === "ok" || budgetWarnedRef.current) return;
+    budgetWarnedRef.current = true;
+    toast({
+      title: budgetLevel === "over" ? "Over budget" : "Approaching budget",
+      description: budgetLevel === "over"
+        ? "Your cart is now over this list's budget."
+        : "Your cart is close to this list's budget.",
+      variant: budgetLevel === "over" ? "destructive" : undefined,
+    });
+  }, [budgetLevel, toast]);
+
   const groupedItems = filteredActiveItems.reduce((groups, item) => {
     const category = item.category || "Other";
     if (!groups[category]) {
@@ -405,16 +757,8 @@ export default function ShoppingModeActivePage() {
     return groups;
   }, {});
 
-  // Sort categories by predefined order for consistent display
-  const sortedCategories = Object.keys(groupedItems).sort((a, b) => {
-    const indexA = CATEGORY_ORDER.indexOf(a);
-    const indexB = CATEGORY_ORDER.indexOf(b);
-    // Put unknown categories at the end, sorted alphabetically
-    if (indexA === -1 && indexB === -1) return a.localeCompare(b);
-    if (indexA === -1) return 1;
-    if (indexB === -1) return -1;
-    return indexA - indexB;
-  });
+  // Sort sections by the store's walking order (default order when no store is picked)
+  const sortedCategories = sortCategoriesByOrder(Object.keys(groupedItems), categoryOrder);
 
   return (
     <div className="min-h-screen w-full overflow-x-hidden">
@@ -443,6 +787,20 @@ export default function ShoppingModeActivePage() {
             >
               <RefreshCw className={cn("w-5 h-5 !text-slate-800 dark:!text-white", isRefreshing && "animate-spin")} />
             </Button>
+            <Button
+              variant="outline"
+              size="icon"
+              onClick={toggleTrackPrices}
+              className={cn(
+                "flex-shrink-0",
+                trackPrices
+                  ? "!bg-green-600 !border-green-600 hover:!bg-green-700"
+                  : "!bg-white dark:!bg-slate-700 !border-slate-300 dark:!border-slate-600 hover:!bg-slate-50 dark:hover:!bg-slate-600"
+              )}
+              title={trackPrices ? "Stop tracking prices" : "Track prices"}
+            >
+              <DollarSign className={cn("w-5 h-5", trackPrices ? "!text-white" : "!text-slate-800 dark:!text-white")} />
+            </Button>
             <Button
               variant="outline"
               size="icon"
@@ -469,6 +827,19 @@ export default function ShoppingModeActivePage() {
             )}
           </div>
 
+          {/* Offline / pending sync indicator */}
+          {(!isOnline || pendingCount > 0) && (
+            <div className="mb-4 mx-4 flex items-center gap-2 rounded-xl border border-amber-300 bg-amber-50 px-4 py-2 text-sm text-amber-800 dark:border-amber-700 dark:bg-amber-900/30 dark:text-amber-200">
+              <CloudOff className="w-4 h-4 flex-shrink-0" />
+              <span className="truncate">
+                {!isOnline && "You're offline. "}
+                {pendingCount > 0
+                  ? `${pendingCount} ${pendingCount === 1 ? 'change' : 'changes'} waiting to sync`
+                  : "Changes will sync when you're back online"}
+              </span>
+            </div>
+          )}
+
           {lists.length > 0 && (
             <div className="mb-6 px-4">
               <Select value={selectedListId} onValueChange={setSelectedListId}>
@@ -486,6 +857,52 @@ export default function ShoppingModeActivePage() {
             </div>
           )}
 
+          {selectedListId && (
+            <div className="mb-6 px-4 flex items-center gap-2">
+              <Select value={selectedStore ? selectedStoreId : NO_STORE} onValueChange={handleSelectStore}>
+                <SelectTrigger className="h-11 flex-1 min-w-0">
+                  <MapPin className="w-4 h-4 mr-2 text-slate-500 flex-shrink-0" />
+                  <SelectValue placeholder="Which store?" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={NO_STORE}>Any store (default order)</SelectItem>
+                  {stores.map((store) => (
+                    <SelectItem key={store.id} value={store.id}>
+                      {store.name}
+                    </SelectItem>
+                  ))}
+                  <SelectItem value={ADD_STORE}>+ Add a store…</SelectItem>
+                </SelectContent>
+              </Select>
+              {selectedStore && (
+                <Button
+                  variant="outline"
+                  onClick={() => {
+                    setEditingStore(selectedStore);
+                    setShowStoreDialog(true);
+                  }}
+                  className="h-11 flex-shrink-0"
+                  title="Edit store layout"
+                >
+                  Layout
+                </Button>
+              )}
+            </div>
+          )}
+
+          {selectedStore && storeSuggestion && (
+            <button
+              onClick={() => {
+                setEditingStore(selectedStore);
+                setShowStoreDialog(true);
+              }}
+              className="mb-4 mx-4 flex w-[calc(100%-2rem)] items-center gap-2 rounded-xl border border-blue-200 bg-blue-50 px-4 py-2 text-left text-sm text-blue-800 dark:border-blue-800 dark:bg-blue-900/30 dark:text-blue-200"
+            >
+              <Sparkles className="w-4 h-4 flex-shrink-0" />
+              <span className="truncate">We learned a better aisle order for {selectedStore.name}. Review it</span>
+            </button>
+          )}
+
           {selectedListId && (
             <>
               <div className="bg-white rounded-xl p-4 shadow-sm mb-4 dark:bg-slate-800 mx-4">
@@ -498,6 +915,46 @@ export default function ShoppingModeActivePage() {
                   </span>
                 </div>
                 <Progress value={progress} className="h-2" />
+                {budgetStatus ? (
+                  <div className="mt-3">
+                    <div className="flex justify-between items-center mb-1 text-sm text-slate-600 dark:text-slate-300">
+                      <span>Cart {tripTotal === null && "(est.)"}</span>
+                      <span
+                        className={cn(
+                          "font-semibold",
+                          budgetStatus.level === "ok" && "text-slate-800 dark:text-slate-100",
+                          budgetStatus.level === "warning" && "text-amber-600 dark:text-amber-400",
+                          budgetStatus.level === "over" && "text-red-600 dark:text-red-400"
+                        )}
+                      >
+                        {formatPrice(cartTotal)} of {formatPrice(budgetStatus.budget)}
+                      </span>
+                    </div>
+                    <Progress
+                      value={Math.min(budgetStatus.percent, 100)}
+                      className={cn(
+                        "h-1.5",
+                        budgetStatus.level === "warning" && "[&>div]:bg-amber-500",
+                        budgetStatus.level === "over" && "[&>div]:bg-red-500"
+                      )}
+                    />
+                    {budgetStatus.level !== "ok" && (
+                      <p className={cn(
+                        "mt-1 text-xs",
+                        budgetStatus.level === "warning" ? "text-amber-600 dark:text-amber-400" : "text-red-600 dark:text-red-400"
+                      )}>
+                        {budgetStatus.level === "over"
+                          ? `${formatPrice(-budgetStatus.remaining)} over budget`
+                          : `Only ${formatPrice(budgetStatus.remaining)} left in your budget`}
+                      </p>
+                    )}
+                  </div>
+                ) : cartTotal > 0 && (
+                  <div className="flex justify-between items-center mt-2 text-sm text-slate-600 dark:text-slate-300">
+                    <span>Cart {tripTotal === null && "(est.)"}</span>
+                    <span className="font-semibold text-slate-800 dark:text-slate-100">{formatPrice(cartTotal)}</span>
+                  </div>
+                )}
               </div>
 
               {categories.length > 1 && (
@@ -544,6 +1001,11 @@ export default function ShoppingModeActivePage() {
                         <span className="text-sm font-normal text-slate-500 dark:text-slate-400 flex-shrink-0">
                           ({groupedItems[category].length})
                         </span>
+                        {getAisleLabel(selectedStore, category) && (
+                          <Badge variant="outline" className="ml-auto text-xs font-normal flex-shrink-0">
+                            Aisle {getAisleLabel(selectedStore, category)}
+                          </Badge>
+                        )}
                       </h3>
                       {viewMode === 'compact' ? (
                         <div className="grid grid-cols-2 gap-2">
@@ -553,6 +1015,8 @@ export default function ShoppingModeActivePage() {
                               item={item}
                               onToggleCheck={handleToggleCheck}
                               isShoppingMode={true}
+                              canCheck={canCheck}
+                              isPendingSync={pendingIds.has(item.id)}
                               compactView={true}
                             />
                           ))}
@@ -565,6 +1029,8 @@ export default function ShoppingModeActivePage() {
                               item={item}
                               onToggleCheck={handleToggleCheck}
                               isShoppingMode={true}
+                              canCheck={canCheck}
+                              isPendingSync={pendingIds.has(item.id)}
                               compactView={false}
                             />
                           ))}
@@ -588,6 +1054,8 @@ export default function ShoppingModeActivePage() {
                           item={item}
                           onToggleCheck={handleToggleCheck}
                           isShoppingMode={true}
+                          canCheck={canCheck}
+                          isPendingSync={pendingIds.has(item.id)}
                           compactView={true}
                         />
                       ))}
@@ -600,6 +1068,8 @@ export default function ShoppingModeActivePage() {
                           item={item}
                           onToggleCheck={handleToggleCheck}
                           isShoppingMode={true}
+                          canCheck={canCheck}
+                          isPendingSync={pendingIds.has(item.id)}
                           compactView={false}
                         />
                       ))}
@@ -608,7 +1078,7 @@ export default function ShoppingModeActivePage() {
                 </div>
               )}
 
-              {activeItems.length > 0 && (
+              {activeItems.length > 0 && canCheck && (
                 <div className="px-4">
                   <Button
                     onClick={handleCompleteShopping}
@@ -646,6 +1116,32 @@ export default function ShoppingModeActivePage() {
         cancelText="Cancel"
         onConfirm={confirmCompleteShopping}
       />
+
+      <TripSummaryDialog
+        open={!!tripSummary}
+        onClose={() => setTripSummary(null)}
+        summary={tripSummary}
+      />
+
+      <PriceEntryDialog
+        open={!!pricingItem}
+        item={pricingItem}
+        entry={pricingItem ? tripDraft.entries[pricingItem.id] : null}
+        onSave={handlePriceSave}
+        onSkip={handlePriceSkip}
+      />
+
+      <StoreLayoutDialog
+        open={showStoreDialog}
+        onClose={() => {
+          setShowStoreDialog(false);
+          setEditingStore(null);
+        }}
+        store={editingStore}
+        suggestion={editingStore?.id === selectedStoreId ? storeSuggestion : null}
+        onSave={handleSaveStore}
+        onDelete={editingStore?.owner_id === user?.id ? handleDeleteStore : undefined}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -1,25 +1,40 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import { User } from "@/api/entities";
 import { EncryptedTodo } from "@/api/encryptedTodoEntity";
+import { supabase } from "@/api/supabaseClient";
+import { decryptTaskFromStorage } from "@/utils/taskEncryption";
+import { logger } from "@/utils/logger";
 import { updateStatCount } from "@/api/functions";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
-import { Plus, CheckCircle2, ChevronDown, ChevronRight, Home, Briefcase, User as UserIcon, ShoppingBag, Users, Heart as HeartIcon, DollarSign, MoreHorizontal, Loader2, Shield, X, RefreshCw } from "lucide-react";
+import { Plus, CheckCircle2, ChevronDown, ChevronRight, Home, Briefcase, User as UserIcon, ShoppingBag, Users, Heart as HeartIcon, DollarSign, MoreHorizontal, Loader2, Shield, X, RefreshCw, Trash2, UserCheck, LayoutList, CalendarDays, CalendarRange, ListTodo } from "lucide-react";
 import { getFamilyInfo } from "@/services/familyService";
 import { AnimatePresence, motion } from "framer-motion";
+import { format, parseISO } from "date-fns";
 import { cn } from "@/lib/utils";
 import { createPageUrl } from "@/utils";
+import { useNavigate } from "react-router-dom";
 import { appCache } from "@/components/utils/appCache";
 import { trackTodo } from "@/utils/trackingContext";
 
 import AddTodoDialog from "../components/todos/AddTodoDialog";
 import TodoCard from "../components/todos/TodoCard";
 import VoiceCommandInput from "../components/todos/VoiceCommandInput";
+import DigestSettings from "../components/todos/DigestSettings";
+import CalendarFeedSettings from "../components/todos/CalendarFeedSettings";
+import TaskCalendarView from "../components/todos/TaskCalendarView";
 import ConfirmDialog from "@/components/common/ConfirmDialog";
 import { canCreateTask } from "@/components/utils/tierManager";
 import UpgradePrompt from "@/components/common/UpgradePrompt";
 import { incrementUsage, decrementUsage } from "@/components/utils/usageSync";
+import { restoreDeletedTask } from "@/components/utils/trash";
+import { buildNextOccurrence } from "@/components/utils/taskRecurrence";
+import { getSubtasks, toggleSubtask, shouldCompleteParent } from "@/components/utils/taskSubtasks";
+import { syncTaskReminders, getOwnTasks } from "@/utils/taskReminders";
+import { exportTasksCalendar } from "@/components/utils/taskCalendarExport";
+import { useToast } from "@/components/ui/use-toast";
+import { ToastAction } from "@/components/ui/toast";
 
 const categoryConfig = {
   home: { label: "Home", icon: Home, color: "bg-blue-500" },
@@ -46,6 +61,13 @@ const categoryColorfulColors = {
 
 const priorityOrder = { high: 1, medium: 2, low: 3 };
 
+const views = [
+  { value: "list", label: "List", icon: LayoutList },
+  { value: "month", label: "Month", icon: CalendarDays },
+  { value: "week", label: "Week", icon: CalendarRange },
+  { value: "agenda", label: "Agenda", icon: ListTodo },
+];
+
 export default function TodosPage() {
   const [showAddDialog, setShowAddDialog] = useState(false);
   const [editingTodo, setEditingTodo] = useState(null);
@@ -64,8 +86,13 @@ export default function TodosPage() {
   });
   const [isInFamily, setIsInFamily] = useState(false);
   const [familyGroupId, setFamilyGroupId] = useState(null);
+  const [familyMembers, setFamilyMembers] = useState([]);
+  const [assignedToMe, setAssignedToMe] = useState(false);
+  const [view, setView] = useState(() => localStorage.getItem('tasks_view') || 'list');
   const [isRefreshing, setIsRefreshing] = useState(false);
   const queryClient = useQueryClient();
+  const navigate = useNavigate();
+  const { toast } = useToast();
 
   const dismissSecurityNotice = () => {
     setShowSecurityNotice(false);
@@ -117,17 +144,21 @@ export default function TodosPage() {
           // Only enable family sharing if we have a valid family_group_id for encryption
           setIsInFamily(true);
           setFamilyGroupId(familyInfo.family_group.id);
+          // Roster for assigning family-shared tasks
+          setFamilyMembers((familyInfo.members || []).filter(m => m.status === 'approved'));
           console.log('👨‍👩‍👧‍👦 Todos: User is in family group:', familyInfo.family_group.id);
         } else if (familyInfo.success && familyInfo.has_family) {
           // Edge case: user has family but no family_group_id - treat as not in family
           console.warn('👨‍👩‍👧‍👦 Todos: User has family but missing family_group_id - disabling family sharing to prevent unencrypted storage');
           setIsInFamily(false);
           setFamilyGroupId(null);
+          setFamilyMembers([]);
         }
       } catch (familyError) {
         console.warn('👨‍👩‍👧‍👦 Todos: Could not check family status');
         setIsInFamily(false);
         setFamilyGroupId(null);
+        setFamilyMembers([]);
       }
     } catch (error) {
       console.error("Authentication required:", error);
@@ -141,7 +172,7 @@ export default function TodosPage() {
   // RLS policy handles access control - we just fetch all that RLS allows
   // Uses EncryptedTodo which automatically decrypts title/description
   // Family-shared tasks are encrypted with familyGroupId, private tasks with userId
-  const { data: todos = [], isLoading } = useQuery({
+  const { data: todos = [], isLoading, isSuccess: todosLoaded } = useQuery({
     queryKey: ['todos', user?.id, isInFamily, familyGroupId],
     queryFn: async () => {
       if (isInFamily) {
@@ -156,6 +187,58 @@ export default function TodosPage() {
     enabled: !!user && !!user.email && !!user.id,
   });
 
+  // Only the user's own and assigned tasks remind them
+  const myTodos = useMemo(() => getOwnTasks(todos, user), [todos, user]);
+
+  // Keep this device's reminders (and daily digest) in line with the tasks,
+  // including ones added or changed on another device
+  useEffect(() => {
+    if (todosLoaded) {
+      syncTaskReminders(myTodos);
+    }
+  }, [todosLoaded, myTodos]);
+
+  // Supabase Realtime subscription for family task changes, so a member sees
+  // tasks assigned to them (and other family edits) without a refresh.
+  // RLS limits events to tasks the user can already see.
+  useEffect(() => {
+    if (!user || !isInFamily) return;
+
+    const todosQueryKey = ['todos', user.id, isInFamily, familyGroupId];
+    logger.realtime('Todos', 'Setting up realtime subscription');
+
+    const channel = supabase
+      .channel(`todos-${user.id}`)
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'todos' },
+        async (payload) => {
+          logger.realtime('Todos', `Received realtime ${payload.eventType}`, payload.new?.id || payload.old?.id);
+          const task = payload.new;
+          const previous = queryClient.getQueryData(todosQueryKey)?.find(t => t.id === task?.id);
+          queryClient.invalidateQueries({ queryKey: ['todos'] });
+
+          // Someone else just assigned a task to this user
+          if (task?.assigned_to === user.id && previous?.assigned_to !== user.id
+              && task.created_by !== user.email && !task.deleted_at) {
+            const decrypted = await decryptTaskFromStorage(task, user.id, familyGroupId);
+            toast({
+              title: "Task assigned to you",
+              description: decrypted.title,
+            });
+          }
+        }
+      )
+      .subscribe((status) => {
+        logger.realtime('Todos', `Subscription status: ${status}`);
+      });
+
+    return () => {
+      logger.realtime('Todos', 'Cleaning up realtime subscription');
+      supabase.removeChannel(channel);
+    };
+  }, [user, isInFamily, familyGroupId, queryClient, toast]);
+
   // Mutations use EncryptedTodo which encrypts title/description before storage
   // Family-shared tasks are encrypted with familyGroupId, private tasks with userId
   const createTodoMutation = useMutation({
@@ -192,14 +275,38 @@ export default function TodosPage() {
 
   const deleteTodoMutation = useMutation({
     mutationFn: ({ id, trackingContext }) => EncryptedTodo.delete(id, trackingContext),
-    onSuccess: async () => {
+    onSuccess: async (_, { todo }) => {
       queryClient.invalidateQueries({ queryKey: ['todos'] });
 
+      toast({
+        title: `Deleted "${todo.title}"`,
+        action: (
+          <ToastAction altText="Undo delete" onClick={() => handleUndoDelete(todo)}>
+            Undo
+          </ToastAction>
+        ),
+      });
+
       // Decrement tasks count
       await decrementUsage('current_tasks');
     },
   });
 
+  const handleUndoDelete = async (todo) => {
+    try {
+      const result = await restoreDeletedTask(todo, user.id, familyGroupId);
+      if (!result.restored) {
+        setUpgradeMessage(result.message);
+        setShowUpgradePrompt(true);
+        return;
+      }
+      queryClient.invalidateQueries({ queryKey: ['todos'] });
+    } catch (error) {
+      console.error("Error restoring task:", error);
+      alert("Failed to restore task. You can still restore it from the Trash.");
+    }
+  };
+
   const handleSubmit = async (todoData) => {
     if (!user) return;
 
@@ -237,13 +344,33 @@ export default function TodosPage() {
     }
   };
 
-  const handleToggleComplete = (todo) => {
+  const handleToggleComplete = async (todo) => {
     const newStatus = todo.status === 'completed' ? 'pending' : 'completed';
     const wasCompleted = todo.status === 'completed';
     
     const trackingContext = wasCompleted 
       ? trackTodo.reactivate(user.id, todo.title)
       : trackTodo.complete(user.id, todo.title);
+
+    // Completing a recurring task creates the next occurrence, which takes
+    // over the rule (unless the task limit is reached - then it stays here)
+    let nextOccurrence = wasCompleted ? null : buildNextOccurrence(todo);
+    if (nextOccurrence) {
+      try {
+        const canCreate = await canCreateTask();
+        if (!canCreate.canCreate) {
+          toast({
+            title: "Next occurrence not created",
+            description: canCreate.message,
+            variant: "destructive",
+          });
+          nextOccurrence = null;
+        }
+      } catch (error) {
+        console.error("Error checking task creation limits for next occurrence:", error);
+        nextOccurrence = null;
+      }
+    }
     
     updateTodoMutation.mutate({
       id: todo.id,
@@ -251,9 +378,100 @@ export default function TodosPage() {
         ...todo,
         status: newStatus,
         completed_date: newStatus === 'completed' ? new Date().toISOString() : null,
+        ...(nextOccurrence && { recurrence: null }),
       },
       trackingContext
     });
+
+    if (nextOccurrence) {
+      createTodoMutation.mutate({
+        todoData: nextOccurrence,
+        trackingContext: trackTodo.create(user.id, nextOccurrence.title)
+      }, {
+        onSuccess: () => toast({
+          title: "Next occurrence added",
+          description: `"${nextOccurrence.title}" is due ${format(parseISO(nextOccurrence.due_date), 'EEE, MMM d')}`,
+        }),
+      });
+    }
+  };
+
+  // Checking off the last item completes the task if it's set to
+  // (the same way as ticking the task itself, so it can repeat)
+  const handleToggleSubtask = (todo, subtaskId) => {
+    const todosQueryKey = ['todos', user.id, isInFamily, familyGroupId];
+    // Build on the cached task, so quick toggles before a refetch don't undo each other
+    const latest = queryClient.getQueryData(todosQueryKey)?.find(t => t.id === todo.id) || todo;
+    const subtasks = toggleSubtask(getSubtasks(latest), subtaskId);
+    if (shouldCompleteParent(latest, subtasks)) {
+      handleToggleComplete({ ...latest, subtasks });
+      return;
+    }
+
+    // Tick it straight away; roll back (and refetch) if the save fails
+    queryClient.cancelQueries({ queryKey: todosQueryKey });
+    const setCachedTask = (task) => queryClient.setQueryData(todosQueryKey, (todos) =>
+      todos?.map(t => t.id === task.id ? task : t)
+    );
+    setCachedTask({ ...latest, subtasks });
+
+    updateTodoMutation.mutate({
+      id: todo.id,
+      todoData: { ...latest, subtasks }
+    }, {
+      onError: (error) => {
+        console.error("Error updating checklist:", error);
+        setCachedTask(latest);
+        queryClient.invalidateQueries({ queryKey: ['todos'] });
+      },
+    });
+  };
+
+  // Drag-to-reschedule in the calendar views
+  const handleReschedule = (todo, dueDate) => {
+    const previousDueDate = todo.due_date;
+    updateTodoMutation.mutate({
+      id: todo.id,
+      todoData: { ...todo, due_date: dueDate },
+      trackingContext: trackTodo.update(user.id)
+    }, {
+      onSuccess: () => toast({
+        title: `Moved "${todo.title}" to ${format(parseISO(dueDate), 'EEE, MMM d')}`,
+        action: (
+          <ToastAction
+            altText="Undo reschedule"
+            onClick={() => updateTodoMutation.mutate({
+              id: todo.id,
+              todoData: { ...todo, due_date: previousDueDate },
+              trackingContext: trackTodo.update(user.id)
+            })}
+          >
+            Undo
+          </ToastAction>
+        ),
+      }),
+    });
+  };
+
+  const handleViewChange = (newView) => {
+    setView(newView);
+    localStorage.setItem('tasks_view', newView);
+  };
+
+  // The .ics is built from the tasks already decrypted on this device,
+  // so the server never sees plaintext titles
+  const handleExportCalendar = async () => {
+    try {
+      const count = await exportTasksCalendar(todos);
+      toast({
+        title: count > 0 ? `Exported ${count} ${count === 1 ? 'task' : 'tasks'}` : "No tasks with due dates to export",
+        description: count > 0 ? "Open the .ics file to add them to your calendar." : undefined,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') return; // Share sheet dismissed
+      console.error("Error exporting tasks calendar:", error);
+      toast({ title: "Export failed", description: "Please try again.", variant: "destructive" });
+    }
   };
 
   const handleToggleFavorite = (todo) => {
@@ -278,6 +496,7 @@ export default function TodosPage() {
     
     deleteTodoMutation.mutate({ 
       id: todo.id,
+      todo,
       trackingContext: trackTodo.delete(user.id)
     });
   };
@@ -348,6 +567,7 @@ export default function TodosPage() {
 
   // Filter by status
   const filteredTodos = todos.filter(todo => {
+    if (assignedToMe && todo.assigned_to !== user?.id) return false;
     if (selectedStatus === 'all') return true;
     if (selectedStatus === 'active') return todo.status !== 'completed';
     if (selectedStatus === 'completed') return todo.status === 'completed';
@@ -375,6 +595,7 @@ export default function TodosPage() {
 
   const totalActive = todos.filter(t => t.status !== 'completed').length;
   const totalCompleted = todos.filter(t => t.status === 'completed').length;
+  const totalAssignedToMe = todos.filter(t => t.assigned_to === user?.id && t.status !== 'completed').length;
   const progress = todos.length > 0 ? (totalCompleted / todos.length) * 100 : 0;
 
   const getCategoryStats = (tasks) => {
@@ -414,17 +635,36 @@ export default function TodosPage() {
             </div>
           </div>
           
-          {/* Refresh Button */}
-          <Button
-            variant="outline"
-            size="icon"
-            onClick={handleHardRefresh}
-            disabled={isRefreshing}
-            className="h-10 w-10 rounded-full border-slate-200 dark:border-slate-700 hover:bg-slate-100 dark:hover:bg-slate-800"
-            title="Refresh tasks"
-          >
-            <RefreshCw className={cn("w-5 h-5 text-slate-600 dark:text-slate-400", isRefreshing && "animate-spin")} />
-          </Button>
+          <div className="flex gap-2">
+            {/* Daily Digest Button */}
+            <DigestSettings tasks={myTodos} />
+
+            {/* Calendar Export / Subscription Button */}
+            <CalendarFeedSettings tasks={todosLoaded ? myTodos : null} userId={user?.id} onExport={handleExportCalendar} />
+
+            {/* Trash Button */}
+            <Button
+              variant="outline"
+              size="icon"
+              onClick={() => navigate(createPageUrl("Trash"))}
+              className="h-10 w-10 rounded-full border-slate-200 dark:border-slate-700 hover:bg-slate-100 dark:hover:bg-slate-800"
+              title="Trash"
+            >
+              <Trash2 className="w-5 h-5 text-slate-600 dark:text-slate-400" />
+            </Button>
+
+            {/* Refresh Button */}
+            <Button
+              variant="outline"
+              size="icon"
+              onClick={handleHardRefresh}
+              disabled={isRefreshing}
+              className="h-10 w-10 rounded-full border-slate-200 dark:border-slate-700 hover:bg-slate-100 dark:hover:bg-slate-800"
+              title="Refresh tasks"
+            >
+              <RefreshCw className={cn("w-5 h-5 text-slate-600 dark:text-slate-400", isRefreshing && "animate-spin")} />
+            </Button>
+          </div>
         </div>
 
         {/* Security Notice Banner */}
@@ -499,6 +739,29 @@ export default function TodosPage() {
           Add New Task
         </Button>
 
+        {/* View Switcher */}
+        {todos.length > 0 && (
+          <div className="flex gap-1 p-1 mb-3 rounded-lg bg-slate-100 dark:bg-slate-800" role="tablist" aria-label="Task view">
+            {views.map(({ value, label, icon: ViewIcon }) => (
+              <button
+                key={value}
+                role="tab"
+                aria-selected={view === value}
+                onClick={() => handleViewChange(value)}
+                className={cn(
+                  "flex-1 flex items-center justify-center gap-1.5 py-1.5 rounded-md text-sm font-medium transition-colors",
+                  view === value
+                    ? "bg-white text-purple-700 shadow-sm dark:bg-slate-700 dark:text-purple-300"
+                    : "text-slate-600 hover:text-slate-800 dark:text-slate-400 dark:hover:text-slate-200"
+                )}
+              >
+                <ViewIcon className="w-4 h-4" />
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+
         {/* Status Filter */}
         {todos.length > 0 && (
           <div className="mb-6">
@@ -521,6 +784,22 @@ export default function TodosPage() {
                     {status === 'completed' && `Completed (${totalCompleted})`}
                   </Badge>
                 ))}
+                {isInFamily && (
+                  <Badge
+                    variant={assignedToMe ? "default" : "outline"}
+                    className={cn(
+                      "cursor-pointer whitespace-nowrap text-sm px-4 py-2 flex-shrink-0 flex items-center gap-1",
+                      assignedToMe
+                        ? "bg-gradient-to-r from-purple-600 to-pink-600 text-white hover:from-purple-700 hover:to-pink-700"
+                        : "bg-white text-slate-700 border-slate-300 hover:bg-slate-50 dark:bg-slate-800 dark:text-slate-300 dark:border-slate-600 dark:hover:bg-slate-700"
+                    )}
+                    onClick={() => setAssignedToMe(!assignedToMe)}
+                    aria-pressed={assignedToMe}
+                  >
+                    <UserCheck className="w-4 h-4" />
+                    Assigned to me ({totalAssignedToMe})
+                  </Badge>
+                )}
               </div>
             </div>
           </div>
@@ -535,6 +814,14 @@ export default function TodosPage() {
             <h3 className="text-xl font-semibold text-slate-800 dark:text-slate-200 mb-2">Ready to get things done?</h3>
             <p className="text-slate-600 dark:text-slate-400 mb-6">Add your first task and start being productive!</p>
           </div>
+        ) : view !== 'list' ? (
+          <TaskCalendarView
+            todos={filteredTodos}
+            view={view}
+            onReschedule={handleReschedule}
+            onEdit={handleEdit}
+            onToggleComplete={handleToggleComplete}
+          />
         ) : (
           <div className="space-y-3">
             {Object.keys(todosByCategory).map((category) => {
@@ -602,6 +889,8 @@ export default function TodosPage() {
                               key={todo.id}
                               todo={todo}
                               onToggleComplete={handleToggleComplete}
+                              onToggleSubtask={handleToggleSubtask}
+                              assignee={todo.assigned_to && familyMembers.find(m => m.user_id === todo.assigned_to)}
                               onToggleFavorite={handleToggleFavorite}
                               onEdit={handleEdit}
                               onDelete={handleDelete}
@@ -631,6 +920,7 @@ export default function TodosPage() {
         isInFamily={isInFamily}
         familyGroupId={familyGroupId}
         isOwner={!editingTodo || editingTodo.created_by === user?.email}
+        familyMembers={familyMembers}
       />
 
       <UpgradePrompt
@@ -0,0 +1,261 @@
+import { useState, useEffect } from "react";
+import { User } from "@/api/entities";
+import { Button } from "@/components/ui/button";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { ArrowLeft, Loader2, Trash2, RotateCcw, ShoppingCart, Package, CheckCircle2 } from "lucide-react";
+import { useNavigate } from "react-router-dom";
+import { formatDistanceToNow } from "date-fns";
+import { appCache } from "@/components/utils/appCache";
+import { getFamilyInfo } from "@/services/familyService";
+import { useToast } from "@/components/ui/use-toast";
+import ConfirmDialog from "@/components/common/ConfirmDialog";
+import UpgradePrompt from "@/components/common/UpgradePrompt";
+import {
+  TRASH_RETENTION_DAYS,
+  getDaysUntilPurge,
+  loadTrash,
+  restoreDeletedList,
+  restoreDeletedItem,
+  restoreDeletedTask,
+  deleteForever,
+} from "@/components/utils/trash";
+
+const UPGRADE_TITLES = {
+  list: "List Limit Reached",
+  item: "Item Limit Reached",
+  task: "Task Limit Reached",
+};
+
+export default function TrashPage() {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const [user, setUser] = useState(null);
+  const [familyGroupId, setFamilyGroupId] = useState(null);
+  const [trash, setTrash] = useState({ lists: [], items: [], tasks: [] });
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [deleteConfirm, setDeleteConfirm] = useState({ open: false, type: null, record: null });
+  const [showUpgradePrompt, setShowUpgradePrompt] = useState(false);
+  const [upgradeTitle, setUpgradeTitle] = useState("");
+  const [upgradeMessage, setUpgradeMessage] = useState("");
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    setLoading(true);
+    try {
+      const currentUser = await User.me();
+      setUser(currentUser);
+
+      // Family-shared tasks are encrypted with the family group ID
+      let groupId = null;
+      try {
+        const familyInfo = await getFamilyInfo();
+        if (familyInfo.success && familyInfo.has_family) {
+          groupId = familyInfo.family_group?.id || null;
+        }
+      } catch {
+        console.warn('Trash: Could not check family status');
+      }
+      setFamilyGroupId(groupId);
+
+      setTrash(await loadTrash(currentUser, groupId));
+    } catch (error) {
+      console.error("Error loading trash:", error);
+    }
+    setLoading(false);
+  };
+
+  const removeFromTrash = (type, id) => {
+    const key = { list: "lists", item: "items", task: "tasks" }[type];
+    setTrash(prev => ({ ...prev, [key]: prev[key].filter(record => record.id !== id) }));
+  };
+
+  const getName = (record) => record.name || record.title || "Untitled";
+
+  const handleRestore = async (type, record) => {
+    setBusyId(record.id);
+    try {
+      let result;
+      if (type === "list") {
+        result = await restoreDeletedList(record, user.id);
+      } else if (type === "item") {
+        result = await restoreDeletedItem(record, user.id);
+      } else {
+        result = await restoreDeletedTask(record, user.id, familyGroupId);
+      }
+
+      if (!result.restored) {
+        setUpgradeTitle(UPGRADE_TITLES[type]);
+        setUpgradeMessage(result.message);
+        setShowUpgradePrompt(true);
+      } else {
+        removeFromTrash(type, record.id);
+        toast({ title: `Restored "${getName(record)}"` });
+      }
+    } catch (error) {
+      console.error(`Error restoring ${type}:`, error);
+      alert(`Failed to restore ${type}. Please try again.`);
+    }
+    setBusyId(null);
+  };
+
+  const confirmDeleteForever = async () => {
+    const { type, record } = deleteConfirm;
+    if (!record) return;
+
+    setBusyId(record.id);
+    try {
+      await deleteForever(type, record, user.id);
+      removeFromTrash(type, record.id);
+      if (type === "list") {
+        appCache.clearShoppingListEntities();
+      }
+    } catch (error) {
+      console.error(`Error deleting ${type}:`, error);
+      alert(`Failed to delete ${type}. Please try again.`);
+    }
+    setBusyId(null);
+  };
+
+  const renderRows = (type, records, getDetail) => {
+    if (records.length === 0) {
+      return (
+        <p className="text-center py-12 text-slate-500 dark:text-slate-400">Nothing here</p>
+      );
+    }
+
+    return (
+      <div className="space-y-2">
+        {records.map(record => {
+          const daysLeft = getDaysUntilPurge(record);
+          return (
+            <div
+              key={record.id}
+              className="flex items-center gap-3 p-3 rounded-lg border border-slate-200 bg-white dark:bg-slate-800 dark:border-slate-700"
+            >
+              <div className="flex-1 min-w-0">
+                <p className="font-medium text-slate-800 dark:text-slate-100 truncate">{getName(record)}</p>
+                <p className="text-xs text-slate-500 dark:text-slate-400">
+                  {[
+                    getDetail?.(record),
+                    `Deleted ${formatDistanceToNow(new Date(record.deleted_at), { addSuffix: true })}`,
+                    daysLeft === 0 ? "removed today" : `removed in ${daysLeft} day${daysLeft === 1 ? "" : "s"}`,
+                  ].filter(Boolean).join(" • ")}
+                </p>
+              </div>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => handleRestore(type, record)}
+                disabled={busyId === record.id}
+              >
+                {busyId === record.id ? (
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                ) : (
+                  <>
+                    <RotateCcw className="w-4 h-4 mr-1.5" />
+                    Restore
+                  </>
+                )}
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => setDeleteConfirm({ open: true, type, record })}
+                disabled={busyId === record.id}
+                className="text-red-600 hover:text-red-700 hover:bg-red-50 dark:hover:bg-red-900/30"
+                title="Delete forever"
+              >
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[50vh]">
+        <Loader2 className="w-8 h-8 animate-spin text-blue-500 mb-4" />
+        <p className="text-slate-600 dark:text-slate-400">Loading trash...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-8">
+      {/* Header */}
+      <div className="flex items-center gap-4 mb-6">
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={() => navigate(-1)}
+          className="dark:text-slate-200 dark:hover:bg-slate-700"
+        >
+          <ArrowLeft className="w-5 h-5" />
+        </Button>
+        <div>
+          <h1 className="text-2xl font-bold text-slate-800 dark:text-slate-100">Trash</h1>
+          <p className="text-sm text-slate-600 dark:text-slate-400">
+            Deleted lists, items and tasks are kept for {TRASH_RETENTION_DAYS} days
+          </p>
+        </div>
+      </div>
+
+      <Tabs defaultValue="lists">
+        <TabsList className="mb-4">
+          <TabsTrigger value="lists">
+            <ShoppingCart className="w-4 h-4 mr-1.5" />
+            Lists ({trash.lists.length})
+          </TabsTrigger>
+          <TabsTrigger value="items">
+            <Package className="w-4 h-4 mr-1.5" />
+            Items ({trash.items.length})
+          </TabsTrigger>
+          <TabsTrigger value="tasks">
+            <CheckCircle2 className="w-4 h-4 mr-1.5" />
+            Tasks ({trash.tasks.length})
+          </TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="lists">
+          {renderRows("list", trash.lists, list => list.archived ? "Archived" : null)}
+        </TabsContent>
+        <TabsContent value="items">
+          {renderRows("item", trash.items, item => `in ${item.list_name}`)}
+        </TabsContent>
+        <TabsContent value="tasks">
+          {renderRows("task", trash.tasks)}
+        </TabsContent>
+      </Tabs>
+
+      <ConfirmDialog
+        open={deleteConfirm.open}
+        onOpenChange={(open) => setDeleteConfirm(prev => open ? prev : { open: false, type: null, record: null })}
+        title="Delete Forever"
+        description={
+          deleteConfirm.type === "list"
+            ? `Permanently delete "${deleteConfirm.record?.name}" and all its items? This action cannot be undone.`
+            : `Permanently delete "${deleteConfirm.record ? getName(deleteConfirm.record) : ""}"? This action cannot be undone.`
+        }
+        confirmText="Delete Forever"
+        cancelText="Cancel"
+        onConfirm={confirmDeleteForever}
+        destructive
+      />
+
+      <UpgradePrompt
+        open={showUpgradePrompt}
+        onClose={() => setShowUpgradePrompt(false)}
+        title={upgradeTitle}
+        message={upgradeMessage}
+        featureName={upgradeTitle === "List Limit Reached" ? "Additional Shopping Lists" : upgradeTitle === "Task Limit Reached" ? "Additional Tasks" : "Additional Items"}
+      />
+    </div>
+  );
+}
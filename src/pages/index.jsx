@@ -62,6 +62,12 @@ import Login from "./Login";
 
 import AuthCallback from "./AuthCallback";
 
+import Trash from "./Trash";
+
+import MealPlanner from "./MealPlanner";
+
+import Pantry from "./Pantry";
+
 import { BrowserRouter as Router, Route, Routes, useLocation } from 'react-router-dom';
 
 const PAGES = {
@@ -128,6 +134,12 @@ const PAGES = {
     
     AuthCallback: AuthCallback,
     
+    Trash: Trash,
+    
+    MealPlanner: MealPlanner,
+    
+    Pantry: Pantry,
+    
 }
 
 function _getCurrentPage(url) {
@@ -221,6 +233,12 @@ function PagesContent() {
                 
                 <Route path="/auth/callback" element={<AuthCallback />} />
                 
+                <Route path="/Trash" element={<Trash />} />
+                
+                <Route path="/MealPlanner" element={<MealPlanner />} />
+                
+                <Route path="/Pantry" element={<Pantry />} />
+                
             </Routes>
         </Layout>
     );
@@ -0,0 +1,244 @@
+/**
+ * Barcode Scanning Service
+ *
+ * Reads UPC/EAN barcodes and looks them up in the product_barcodes table.
+ *
+ * Scanning strategy:
+ * - Native app: take a photo with the Capacitor camera, then decode the image
+ * - Web: live camera preview decoded with the browser BarcodeDetector API,
+ *   falling back to the ZXing decoder where BarcodeDetector isn't available
+ *   (Safari, Firefox)
+ */
+
+import { ProductBarcode, User } from '@/api/entities';
+import { isNativeApp } from '@/utils/paymentPlatform';
+
+const DETECTOR_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e'];
+
+// Milliseconds between BarcodeDetector passes over the video
+const DETECT_INTERVAL_MS = 250;
+
+/**
+ * Normalize a scanned or typed barcode for lookup.
+ * Keeps digits only and stores UPC-A (12 digits) as EAN-13 so the same
+ * product matches whichever symbology the scanner reported.
+ *
+ * @param {string} code
+ * @returns {string|null} Normalized code, or null if it isn't a UPC/EAN code
+ */
+export function normalizeBarcode(code) {
+  const digits = String(code || '').replace(/\D/g, '');
+  if (digits.length < 8 || digits.length > 14) return null;
+  return digits.length === 12 ? `0${digits}` : digits;
+}
+
+/**
+ * Whether barcodes are scanned from a photo (native) instead of a live preview
+ * @returns {boolean}
+ */
+export function usesNativeCamera() {
+  return Boolean(isNativeApp());
+}
+
+const hasBarcodeDetector = () =>
+  typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+async function createBarcodeDetector() {
+  if (!hasBarcodeDetector()) return null;
+  try {
+    const supported = await window.BarcodeDetector.getSupportedFormats();
+    const formats = DETECTOR_FORMATS.filter(format => supported.includes(format));
+    return formats.length > 0 ? new window.BarcodeDetector({ formats }) : null;
+  } catch (error) {
+    console.warn('📷 Barcode: BarcodeDetector unavailable, using fallback decoder:', error);
+    return null;
+  }
+}
+
+async function createZxingReader() {
+  const [{ BrowserMultiFormatReader }, { BarcodeFormat, DecodeHintType }] = await Promise.all([
+    import('@zxing/browser'),
+    import('@zxing/library'),
+  ]);
+  const hints = new Map();
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, [
+    BarcodeFormat.EAN_13,
+    BarcodeFormat.EAN_8,
+    BarcodeFormat.UPC_A,
+    BarcodeFormat.UPC_E,
+  ]);
+  return new BrowserMultiFormatReader(hints);
+}
+
+/**
+ * Decode a barcode from an image URL (data URL, blob URL or file path)
+ *
+ * @param {string} imageUrl
+ * @returns {Promise<string|null>} Normalized code, or null if none was found
+ */
+export async function decodeBarcodeFromImage(imageUrl) {
+  const detector = await createBarcodeDetector();
+  if (detector) {
+    const image = new Image();
+    image.src = imageUrl;
+    await image.decode();
+    const [barcode] = await detector.detect(image);
+    if (barcode) return normalizeBarcode(barcode.rawValue);
+  }
+
+  try {
+    const reader = await createZxingReader();
+    const result = await reader.decodeFromImageUrl(imageUrl);
+    return normalizeBarcode(result.getText());
+  } catch {
+    // ZXing throws NotFoundException when the image has no readable code
+    return null;
+  }
+}
+
+/**
+ * Native: take a photo with the device camera and decode it
+ *
+ * @returns {Promise<string|null>} Normalized code, or null if none was found
+ */
+export async function scanWithNativeCamera() {
+  const { Camera } = await import('@capacitor/camera');
+  const photo = await Camera.takePhoto({ quality: 90, correctOrientation: true });
+  const imageUrl = photo.webPath || (photo.thumbnail && `data:image/jpeg;base64,${photo.thumbnail}`);
+  if (!imageUrl) return null;
+  return decodeBarcodeFromImage(imageUrl);
+}
+
+/**
+ * Web: scan continuously from the rear camera into a <video> element
+ *
+ * @param {HTMLVideoElement} videoElement - Preview element
+ * @param {function} onDetected - Called once with the normalized code
+ * @returns {Promise<function>} stop() - Releases the camera
+ */
+export async function startLiveScan(videoElement, onDetected) {
+  const constraints = { video: { facingMode: 'environment' }, audio: false };
+  const detector = await createBarcodeDetector();
+
+  if (!detector) {
+    const reader = await createZxingReader();
+    let detected = false;
+    let controls = null;
+    controls = await reader.decodeFromConstraints(constraints, videoElement, (result) => {
+      const code = result && normalizeBarcode(result.getText());
+      if (code && !detected) {
+        detected = true;
+        controls?.stop();
+        onDetected(code);
+      }
+    });
+    if (detected) controls.stop();
+    return () => controls.stop();
+  }
+
+  const stream = await navigator.mediaDevices.getUserMedia(constraints);
+  videoElement.srcObject = stream;
+  await videoElement.play();
+
+  let stopped = false;
+  let timer = null;
+  const stop = () => {
+    stopped = true;
+    clearTimeout(timer);
+    stream.getTracks().forEach(track => track.stop());
+    videoElement.srcObject = null;
+  };
+
+  const tick = async () => {
+    if (stopped) return;
+    try {
+      const barcodes = await detector.detect(videoElement);
+      const code = barcodes.map(b => normalizeBarcode(b.rawValue)).find(Boolean);
+      if (code) {
+        stop();
+        onDetected(code);
+        return;
+      }
+    } catch {
+      // Frames can fail to decode while the video is warming up
+    }
+    timer = setTimeout(tick, DETECT_INTERVAL_MS);
+  };
+  tick();
+
+  return stop;
+}
+
+/**
+ * Look up a barcode in the product table
+ *
+ * @param {string} code - Normalized barcode
+ * @returns {Promise<Object|null>} product_barcodes row: { barcode, name, brand, size_notes, category, common_item_id }
+ */
+export async function lookupBarcode(code) {
+  const [product] = await ProductBarcode.filter({ barcode: code });
+  return product || null;
+}
+
+/**
+ * Label an unknown barcode so the next scan finds it
+ *
+ * @param {string} code - Normalized barcode
+ * @param {Object} product - { name, brand, size_notes, category }
+ * @returns {Promise<Object>} Created product_barcodes row
+ */
+export async function labelBarcode(code, { name, brand, size_notes, category }) {
+  const user = await User.me();
+  return ProductBarcode.create({
+    barcode: code,
+    name: name.trim(),
+    brand: brand?.trim() || null,
+    size_notes: size_notes?.trim() || null,
+    category: category || null,
+    source: 'user',
+    created_by: user.id,
+  });
+}
+
+/**
+ * Admin: add or update barcodes from the Master Item List import
+ *
+ * @param {Array} products - { barcode, name, brand, size_notes, category, common_item_id }
+ * @returns {Promise<{saved: number, failed: number}>}
+ */
+export async function seedBarcodes(products) {
+  let saved = 0;
+  let failed = 0;
+
+  for (const product of products) {
+    const code = normalizeBarcode(product.barcode);
+    if (!code) {
+      failed++;
+      continue;
+    }
+
+    const data = {
+      name: product.name,
+      brand: product.brand || null,
+      size_notes: product.size_notes || null,
+      category: product.category || null,
+      common_item_id: product.common_item_id || null,
+      source: 'admin',
+    };
+
+    try {
+      const existing = await lookupBarcode(code);
+      if (existing) {
+        await ProductBarcode.update(existing.id, data);
+      } else {
+        await ProductBarcode.create({ barcode: code, ...data });
+      }
+      saved++;
+    } catch (error) {
+      console.error(`📷 Barcode: Failed to seed ${code}:`, error);
+      failed++;
+    }
+  }
+
+  return { saved, failed };
+}
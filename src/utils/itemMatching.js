@@ -0,0 +1,112 @@
+/**
+ * Item name matching
+ *
+ * Matches item names loosely enough that "Tomatoes", "tomato" and
+ * "Organic Tomato" are treated as the same item. Used for master list
+ * lookups (images and categories) and for spotting duplicates when items are
+ * added to a list.
+ */
+
+// Irregular plurals the generic suffix rules below don't produce
+const SINGULAR_TO_PLURAL = {
+  'tomato': 'tomatoes',
+  'potato': 'potatoes',
+  'onion': 'onions',
+  'carrot': 'carrots',
+  'apple': 'apples',
+  'banana': 'bananas',
+  'orange': 'oranges',
+  'pepper': 'peppers',
+  'cucumber': 'cucumbers',
+  'egg': 'eggs',
+  'lemon': 'lemons',
+  'lime': 'limes',
+  'avocado': 'avocados',
+  'strawberry': 'strawberries',
+  'blueberry': 'blueberries',
+  'raspberry': 'raspberries',
+  'cherry': 'cherries',
+  'mango': 'mangoes',
+  'peach': 'peaches',
+  'grape': 'grapes',
+  'mushroom': 'mushrooms',
+  'zucchini': 'zucchinis',
+  'celery': 'celeries',
+  'broccoli': 'broccolis',
+  'lettuce': 'lettuces',
+  'spinach': 'spinaches',
+};
+
+/**
+ * Normalize item name for matching with singular/plural variants
+ * @param {string} name
+ * @returns {{exact: string, variants: string[]}}
+ */
+export const normalizeForMatching = (name) => {
+  let normalized = (name || '').toLowerCase().trim();
+  // Remove common prefixes like "organic", "fresh", etc.
+  normalized = normalized.replace(/^(organic|fresh|raw|frozen)\s+/i, '');
+
+  // Try to match both singular and plural forms
+  return {
+    exact: normalized,
+    variants: [
+      normalized,
+      // Try plural if it's singular (use known mapping or add 's')
+      SINGULAR_TO_PLURAL[normalized] || normalized + 's',
+      // Try singular if it's plural (remove 's')
+      normalized.endsWith('s') ? normalized.slice(0, -1) : normalized,
+      // Try removing 'es' ending (tomatoes -> tomato)
+      normalized.endsWith('es') ? normalized.slice(0, -2) : normalized,
+      // Try removing 'ies' and add 'y' (cherries -> cherry)
+      normalized.endsWith('ies') ? normalized.slice(0, -3) + 'y' : normalized,
+    ].filter((v, i, arr) => arr.indexOf(v) === i) // unique values only
+  };
+};
+
+/**
+ * Build a lookup map from items with all their name variants
+ * (first item wins when two share a variant)
+ * @param {Array} items - Anything with a `name`
+ * @returns {Map<string, Object>}
+ */
+export const buildVariantLookup = (items) => {
+  const lookup = new Map();
+  items.forEach(item => {
+    normalizeForMatching(item.name).variants.forEach(variant => {
+      if (!lookup.has(variant)) {
+        lookup.set(variant, item);
+      }
+    });
+  });
+  return lookup;
+};
+
+/**
+ * Find the item in a variant lookup that matches a name
+ * @param {Map} lookup - From buildVariantLookup
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export const findInLookup = (lookup, name) => {
+  for (const variant of normalizeForMatching(name).variants) {
+    if (lookup.has(variant)) {
+      return lookup.get(variant);
+    }
+  }
+  return null;
+};
+
+/**
+ * Find an item already on a list that matches a name being added.
+ * Active items are preferred over checked-off ones.
+ * @param {Array} listItems
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export const findDuplicateItem = (listItems, name) => {
+  const active = listItems.filter(item => !item.is_checked);
+  const checked = listItems.filter(item => item.is_checked);
+  return findInLookup(buildVariantLookup(active), name)
+    || findInLookup(buildVariantLookup(checked), name);
+};
@@ -0,0 +1,62 @@
+/**
+ * Local Notifications
+ *
+ * Shows notifications from the app itself (no push server), e.g. when a
+ * cooking timer finishes. Uses the service worker registration when there
+ * is one - mobile browsers only allow notifications from a service worker -
+ * and the Notification constructor otherwise.
+ */
+
+const DEFAULT_ICON = '/icons/MyEZList_192.png';
+
+/**
+ * @returns {boolean} True if this browser can show notifications
+ */
+export const isNotificationSupported = () => {
+  return typeof window !== 'undefined' && 'Notification' in window;
+};
+
+/**
+ * Ask for permission to show notifications (only prompts once; later calls
+ * return the stored answer)
+ * @returns {Promise<'granted' | 'denied' | 'default' | 'unsupported'>}
+ */
+export const requestNotificationPermission = async () => {
+  if (!isNotificationSupported()) return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+
+  try {
+    return await Notification.requestPermission();
+  } catch (error) {
+    console.warn('Notification permission request failed:', error);
+    return 'default';
+  }
+};
+
+/**
+ * Show a notification if permission has been granted
+ * @param {string} title
+ * @param {Object} options - Notification options ({ body, tag, ... })
+ * @returns {Promise<boolean>} True if the notification was shown
+ */
+export const showNotification = async (title, options = {}) => {
+  if (!isNotificationSupported() || Notification.permission !== 'granted') return false;
+
+  const notificationOptions = { icon: DEFAULT_ICON, badge: DEFAULT_ICON, ...options };
+
+  try {
+    const registration = 'serviceWorker' in navigator
+      ? await navigator.serviceWorker.getRegistration()
+      : null;
+
+    if (registration) {
+      await registration.showNotification(title, notificationOptions);
+    } else {
+      new Notification(title, notificationOptions);
+    }
+    return true;
+  } catch (error) {
+    console.warn('Failed to show notification:', error);
+    return false;
+  }
+};
@@ -0,0 +1,95 @@
+/**
+ * Record Merge Utilities
+ *
+ * Field-level change detection for concurrent edits. Used by
+ * SupabaseEntity.updateVersioned() to auto-merge edits that touched different
+ * fields and to report the fields that were changed on both sides.
+ */
+
+// Bookkeeping columns that never count as user edits
+const IGNORED_FIELDS = ['id', 'revision', 'created_date', 'updated_date'];
+
+/**
+ * Normalize a value for comparison (form inputs use "" where the DB has null)
+ */
+const normalize = (value) => (value === undefined || value === '' ? null : value);
+
+/**
+ * Compare two field values
+ * @returns {boolean} True if the values are effectively the same
+ */
+export const valuesEqual = (a, b) => {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === right) return true;
+  if (typeof left === 'object' || typeof right === 'object') {
+    return JSON.stringify(left) === JSON.stringify(right);
+  }
+  return false;
+};
+
+/**
+ * Get the fields in `updates` whose values differ from `base`
+ * @param {Object} base - The record as it was when editing started
+ * @param {Object} updates - The edited values
+ * @returns {Object} Only the changed fields
+ */
+export const getChangedFields = (base, updates) => {
+  return Object.entries(updates).reduce((changes, [field, value]) => {
+    if (!IGNORED_FIELDS.includes(field) && !valuesEqual(base?.[field], value)) {
+      changes[field] = value;
+    }
+    return changes;
+  }, {});
+};
+
+/**
+ * Three-way merge of local changes against the latest server record
+ *
+ * @param {Object} base - The record as it was when editing started
+ * @param {Object} localChanges - Fields changed locally (from getChangedFields)
+ * @param {Object} remote - The current server record
+ * @returns {Object} { merged, conflicts }
+ *   merged: local changes that still need to be written
+ *   conflicts: [{ field, base, local, remote }] for fields changed differently on both sides
+ */
+export const mergeChanges = (base, localChanges, remote) => {
+  const merged = {};
+  const conflicts = [];
+
+  Object.entries(localChanges).forEach(([field, localValue]) => {
+    const remoteValue = remote?.[field];
+
+    // Other side already made the same change - nothing to write
+    if (valuesEqual(remoteValue, localValue)) return;
+
+    if (!valuesEqual(remoteValue, base?.[field])) {
+      conflicts.push({
+        field,
+        base: base?.[field] ?? null,
+        local: localValue,
+        remote: remoteValue ?? null
+      });
+      return;
+    }
+
+    merged[field] = localValue;
+  });
+
+  return { merged, conflicts };
+};
+
+/**
+ * Check whether a realtime payload is older than the record we already have
+ * (events can arrive out of order, or after our own newer write)
+ * @param {Object} current - Record currently in state
+ * @param {Object} incoming - Record from the realtime payload
+ * @param {string} versionCol - Revision column name
+ * @returns {boolean}
+ */
+export const isStaleUpdate = (current, incoming, versionCol = 'revision') => {
+  const currentVersion = current?.[versionCol];
+  const incomingVersion = incoming?.[versionCol];
+  if (currentVersion == null || incomingVersion == null) return false;
+  return incomingVersion < currentVersion;
+};
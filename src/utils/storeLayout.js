@@ -0,0 +1,145 @@
+/**
+ * Store Layout Utilities
+ *
+ * Helpers for per-store aisle maps (stores.aisle_map) and for learning a
+ * store's walking order from the sequence items get checked off in.
+ *
+ * An aisle map is an ordered array of { category, aisle } entries, where the
+ * array order is the walking order and `aisle` is a free-form label ("5",
+ * "Back wall") shown next to the section heading.
+ */
+
+// Default walking order when no store is selected (matches the item categories)
+export const DEFAULT_CATEGORY_ORDER = [
+  "Produce",
+  "Pantry",
+  "Dairy",
+  "Meat & Seafood",
+  "Frozen",
+  "Beverages",
+  "Snacks",
+  "Household",
+  "Bakery",
+  "Personal Care",
+  "Cleaning",
+  "Baby",
+  "Pet",
+  "Other"
+];
+
+// Visits needed before we trust the learned order enough to suggest it
+export const MIN_VISITS_FOR_SUGGESTION = 3;
+
+// How many recent visits to learn from (layouts change over time)
+export const MAX_VISITS_FOR_SUGGESTION = 20;
+
+/**
+ * Build a full aisle map for a store, adding any categories the store
+ * doesn't list yet at the end in default order
+ * @param {Object|null} store - Store record
+ * @returns {Array<{category: string, aisle: string}>}
+ */
+export const getAisleMap = (store) => {
+  const map = (store?.aisle_map || []).filter(entry => entry?.category);
+  const known = new Set(map.map(entry => entry.category));
+  const missing = DEFAULT_CATEGORY_ORDER
+    .filter(category => !known.has(category))
+    .map(category => ({ category, aisle: "" }));
+  return [...map, ...missing];
+};
+
+/**
+ * Get the category walking order for a store (default order when no store)
+ * @param {Object|null} store
+ * @returns {string[]}
+ */
+export const getCategoryOrder = (store) => {
+  if (!store) return DEFAULT_CATEGORY_ORDER;
+  return getAisleMap(store).map(entry => entry.category);
+};
+
+/**
+ * Get the aisle label for a category in a store
+ * @returns {string|null}
+ */
+export const getAisleLabel = (store, category) => {
+  const entry = store?.aisle_map?.find(e => e.category === category);
+  return entry?.aisle || null;
+};
+
+/**
+ * Sort categories by walking order. Unknown categories go last, alphabetically.
+ * @param {string[]} categories
+ * @param {string[]} order - From getCategoryOrder()
+ * @returns {string[]} New sorted array
+ */
+export const sortCategoriesByOrder = (categories, order = DEFAULT_CATEGORY_ORDER) => {
+  return [...categories].sort((a, b) => {
+    const indexA = order.indexOf(a);
+    const indexB = order.indexOf(b);
+    if (indexA === -1 && indexB === -1) return a.localeCompare(b);
+    if (indexA === -1) return 1;
+    if (indexB === -1) return -1;
+    return indexA - indexB;
+  });
+};
+
+/**
+ * Append a category to a check-off sequence the first time it's seen
+ * @param {string[]} sequence
+ * @param {string} category
+ * @returns {string[]} The same array if unchanged, otherwise a new one
+ */
+export const appendToSequence = (sequence, category) => {
+  const value = category || "Other";
+  return sequence.includes(value) ? sequence : [...sequence, value];
+};
+
+/**
+ * Suggest a walking order from recorded visits.
+ *
+ * Each visit places its categories on a 0..1 scale by check-off position; a
+ * category's score is its average position across visits. Categories never
+ * seen on a visit keep their current relative position so the suggestion
+ * doesn't shuffle aisles we know nothing about.
+ *
+ * @param {Object} store - Store record (current aisle_map)
+ * @param {Array} visits - store_visits records ({ category_sequence })
+ * @returns {Array|null} Suggested aisle map, or null if there's not enough
+ *   data or the suggestion matches the current order
+ */
+export const suggestAisleMap = (store, visits = []) => {
+  const usableVisits = visits
+    .slice(0, MAX_VISITS_FOR_SUGGESTION)
+    .filter(visit => (visit.category_sequence || []).length >= 2);
+
+  if (usableVisits.length < MIN_VISITS_FOR_SUGGESTION) return null;
+
+  const totals = {};
+  usableVisits.forEach(visit => {
+    const sequence = visit.category_sequence;
+    sequence.forEach((category, index) => {
+      if (!totals[category]) totals[category] = { sum: 0, count: 0 };
+      totals[category].sum += index / (sequence.length - 1);
+      totals[category].count += 1;
+    });
+  });
+
+  const currentMap = getAisleMap(store);
+  const lastIndex = Math.max(currentMap.length - 1, 1);
+  const scored = currentMap.map((entry, index) => {
+    const learned = totals[entry.category];
+    return {
+      entry,
+      index,
+      score: learned ? learned.sum / learned.count : index / lastIndex
+    };
+  });
+
+  const suggested = scored
+    .sort((a, b) => a.score - b.score || a.index - b.index)
+    .map(({ entry }) => entry);
+
+  const unchanged = suggested.every((entry, index) => entry.category === currentMap[index].category);
+  return unchanged ? null : suggested;
+};
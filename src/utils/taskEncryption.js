@@ -2,9 +2,9 @@
  * Client-Side Task Encryption Utility
  * 
  * Provides end-to-end encryption for task (todo) data so that:
- * - Task titles and descriptions are encrypted before storing in the database
+ * - Task titles, descriptions and checklists are encrypted before storing in the database
  * - Only authorized users can decrypt tasks
- * - Due dates remain unencrypted (for notification features)
+ * - Due dates and repeat rules remain unencrypted (for notification features)
  * - The server/database never sees plaintext task content
  * 
  * Uses Web Crypto API with AES-GCM for secure client-side encryption.
@@ -185,7 +185,7 @@ export async function decryptField(encryptedData, keyId) {
 
 /**
  * Encrypt task fields before saving to database
- * Only encrypts sensitive fields (title, description)
+ * Only encrypts sensitive fields (title, description, subtasks)
  * Leaves operational fields unencrypted (due_date, status, priority, etc.)
  * 
  * Encryption key selection:
@@ -202,6 +202,11 @@ export async function encryptTaskForStorage(taskData, userId, familyGroupId = nu
   
   const encrypted = { ...taskData };
   
+  // The checklist is stored as one JSON string (NULL when empty)
+  if (Array.isArray(taskData.subtasks)) {
+    encrypted.subtasks = taskData.subtasks.length > 0 ? JSON.stringify(taskData.subtasks) : null;
+  }
+  
   // Determine which key to use for encryption
   let encryptionKeyId;
   if (taskData.shared_with_family) {
@@ -228,12 +233,20 @@ export async function encryptTaskForStorage(taskData, userId, familyGroupId = nu
     encrypted.description = await encryptField(taskData.description, encryptionKeyId);
   }
   
+  if (encrypted.subtasks) {
+    encrypted.subtasks = await encryptField(encrypted.subtasks, encryptionKeyId);
+  }
+  
   // These fields remain unencrypted for database queries and notifications:
   // - due_date, due_time (for scheduling notifications)
+  // - recurrence (repeat rule, needed to schedule the next occurrence)
+  // - reminder_minutes_before, reminder_at (for scheduling reminders)
+  // - complete_with_subtasks (checked when a checklist item is toggled)
   // - status (for filtering: pending, in_progress, completed)
   // - priority (for filtering: low, medium, high)
   // - category (for filtering: home, work, personal, etc.)
   // - created_by (for ownership filtering)
+  // - assigned_to (for the "Assigned to me" filter)
   // - is_favorite (for quick access filtering)
   // - timestamps (for sorting and audit)
   
@@ -272,6 +285,17 @@ export async function decryptTaskFromStorage(taskData, userId, familyGroupId = n
     decrypted.description = await decryptField(taskData.description, decryptionKeyId);
   }
   
+  // The checklist comes back as an array; if it can't be decrypted it's left
+  // as stored, so saving the task doesn't overwrite it
+  if (typeof taskData.subtasks === 'string') {
+    const subtasksJson = await decryptField(taskData.subtasks, decryptionKeyId);
+    try {
+      decrypted.subtasks = JSON.parse(subtasksJson);
+    } catch {
+      decrypted.subtasks = subtasksJson;
+    }
+  }
+  
   return decrypted;
 }
 
@@ -313,7 +337,7 @@ export async function encryptTasks(tasks, userId, familyGroupId = null) {
 }
 
 /**
- * Check if a task needs migration (has unencrypted title/description)
+ * Check if a task needs migration (has unencrypted title/description/subtasks)
  * 
  * @param {Object} task - Task object from database
  * @returns {boolean} - True if the task needs encryption migration
@@ -331,6 +355,11 @@ export function taskNeedsMigration(task) {
     return true;
   }
   
+  // Check if checklist exists and is not encrypted
+  if (task.subtasks && !isEncrypted(task.subtasks)) {
+    return true;
+  }
+  
   return false;
 }
 
@@ -356,6 +385,10 @@ export async function migrateTaskToEncrypted(task, userId) {
     updates.description = await encryptField(task.description, userId);
   }
   
+  if (task.subtasks && !isEncrypted(task.subtasks)) {
+    updates.subtasks = await encryptField(task.subtasks, userId);
+  }
+  
   return {
     id: task.id,
     ...updates
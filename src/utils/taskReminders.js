@@ -0,0 +1,343 @@
+/**
+ * Task Reminders
+ *
+ * Local reminders for tasks with a due date (todos.reminder_minutes_before
+ * or a custom todos.reminder_at), plus an optional daily digest of the tasks
+ * due that day. No push server is involved:
+ * - Native app: scheduled with Capacitor local notifications, so they fire
+ *   even when the app is closed
+ * - Web: timers shown through the service worker (see notifications.js);
+ *   browsers can't schedule a notification for a closed page, so web
+ *   reminders fire while the app is open in a tab
+ *
+ * Reminders are (re)scheduled whenever a task is saved (EncryptedTodo) and
+ * whenever tasks are loaded (syncTaskReminders), so every device picks up
+ * reminders for tasks changed elsewhere.
+ */
+
+import { isNativeApp } from './paymentPlatform';
+import { requestNotificationPermission, showNotification } from './notifications';
+
+// Reminder presets, in minutes before the due time
+export const REMINDER_OFFSETS = [
+  { value: 0, label: 'At due time' },
+  { value: 5, label: '5 minutes before' },
+  { value: 15, label: '15 minutes before' },
+  { value: 30, label: '30 minutes before' },
+  { value: 60, label: '1 hour before' },
+  { value: 1440, label: '1 day before' },
+];
+
+// Tasks with a due date but no time are due at 9am for reminders
+export const DEFAULT_DUE_TIME = '09:00';
+
+const DIGEST_TIME_KEY = 'task-digest-time';
+const DIGEST_KEY = 'digest';
+// Native notification id of the digest; task ids are hashed above it
+const DIGEST_NOTIFICATION_ID = 1;
+const TASKS_URL = '/Todos';
+
+// setTimeout can't wait longer than ~24.8 days; later reminders are armed
+// by a later sync
+const MAX_TIMER_DELAY = 2147483647;
+
+// Web timers by task id (or DIGEST_KEY)
+const webTimers = new Map();
+
+const loadLocalNotifications = async () => {
+  const { LocalNotifications } = await import('@capacitor/local-notifications');
+  return LocalNotifications;
+};
+
+// Native notification ids are 32-bit integers; derive one from the task's UUID
+const notificationIdFor = (taskId) => {
+  let hash = 0;
+  for (const char of String(taskId)) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+  return (Math.abs(hash) % 2000000000) + DIGEST_NOTIFICATION_ID + 1;
+};
+
+const parseLocalDateTime = (dateString, timeString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hours, minutes] = (timeString || DEFAULT_DUE_TIME).split(':').map(Number);
+  return new Date(year, month - 1, day, hours, minutes);
+};
+
+/**
+ * When a task's reminder should fire
+ * @param {Object} task
+ * @returns {Date|null} null when the task has no reminder
+ */
+export function getReminderTime(task) {
+  if (!task) return null;
+  if (task.reminder_at) return new Date(task.reminder_at);
+  if (task.reminder_minutes_before == null || !task.due_date) return null;
+  const due = parseLocalDateTime(task.due_date, task.due_time);
+  return new Date(due.getTime() - task.reminder_minutes_before * 60000);
+}
+
+/**
+ * Short description of a task's reminder: "15 minutes before", "Mar 3, 9:00 AM"
+ * @param {Object} task
+ * @returns {string|null}
+ */
+export function describeReminder(task) {
+  if (task?.reminder_at) {
+    return new Date(task.reminder_at).toLocaleString([], {
+      month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+    });
+  }
+  if (task?.reminder_minutes_before == null || !task.due_date) return null;
+  const preset = REMINDER_OFFSETS.find(offset => offset.value === task.reminder_minutes_before);
+  return preset ? preset.label : `${task.reminder_minutes_before} minutes before`;
+}
+
+const isActive = (task) => task.status !== 'completed' && !task.deleted_at;
+
+/**
+ * The tasks a user gets reminders for: ones they created or that are assigned
+ * to them (other members' family-shared tasks are visible but stay quiet)
+ * @param {Array} tasks
+ * @param {Object} user - Current user (id, email)
+ * @returns {Array}
+ */
+export function getOwnTasks(tasks, user) {
+  if (!user) return [];
+  return tasks.filter(task => task.created_by === user.email || task.assigned_to === user.id);
+}
+
+/**
+ * Ask for permission to show reminders
+ * @returns {Promise<boolean>} True if reminders can be shown
+ */
+export async function requestReminderPermission() {
+  if (isNativeApp()) {
+    try {
+      const LocalNotifications = await loadLocalNotifications();
+      const { display } = await LocalNotifications.requestPermissions();
+      return display === 'granted';
+    } catch (error) {
+      console.warn('Notification permission request failed:', error);
+      return false;
+    }
+  }
+  return (await requestNotificationPermission()) === 'granted';
+}
+
+// --- Web timers --------------------------------------------------------------
+const clearWebTimer = (key) => {
+  clearTimeout(webTimers.get(key));
+  webTimers.delete(key);
+};
+
+const armWebTimer = (key, at, title, options) => {
+  clearWebTimer(key);
+  const delay = at.getTime() - Date.now();
+  if (delay <= 0 || delay > MAX_TIMER_DELAY) return;
+  webTimers.set(key, setTimeout(() => {
+    webTimers.delete(key);
+    showNotification(title, options);
+  }, delay));
+};
+
+// --- Scheduling --------------------------------------------------------------
+const reminderContent = (task) => ({
+  title: task.title || 'Task reminder',
+  body: task.due_time
+    ? `Due at ${task.due_time.slice(0, 5)}`
+    : 'Due today',
+});
+
+// Drop a reminder that hasn't fired yet, leaving one that's already showing
+// alone (Android's cancel() would also dismiss a delivered notification)
+async function clearPendingReminder(taskId) {
+  try {
+    if (isNativeApp()) {
+      const LocalNotifications = await loadLocalNotifications();
+      const id = notificationIdFor(taskId);
+      const { notifications } = await LocalNotifications.getPending();
+      if (notifications.some(notification => notification.id === id)) {
+        await LocalNotifications.cancel({ notifications: [{ id }] });
+      }
+      return;
+    }
+    clearWebTimer(taskId);
+  } catch (error) {
+    console.warn('Failed to clear task reminder:', error);
+  }
+}
+
+/**
+ * Schedule (or cancel) the reminder for a task as it is now: completed and
+ * deleted tasks and tasks without a reminder are cancelled; a reminder in the
+ * past is only unscheduled, so one that just fired stays on screen
+ * @param {Object} task - Task with decrypted title
+ */
+export async function syncTaskReminder(task) {
+  if (!task?.id) return;
+  const at = getReminderTime(task);
+  if (!at || !isActive(task)) {
+    await cancelTaskReminder(task.id);
+    return;
+  }
+  if (at <= new Date()) {
+    await clearPendingReminder(task.id);
+    return;
+  }
+
+  const { title, body } = reminderContent(task);
+  try {
+    if (isNativeApp()) {
+      const LocalNotifications = await loadLocalNotifications();
+      const id = notificationIdFor(task.id);
+      await LocalNotifications.cancel({ notifications: [{ id }] });
+      await LocalNotifications.schedule({
+        notifications: [{
+          id,
+          title,
+          body,
+          schedule: { at, allowWhileIdle: true },
+          extra: { url: TASKS_URL, taskId: task.id },
+        }],
+      });
+    } else {
+      armWebTimer(task.id, at, title, { body, tag: `task-${task.id}`, data: { url: TASKS_URL } });
+    }
+  } catch (error) {
+    console.warn('Failed to schedule task reminder:', error);
+  }
+}
+
+/**
+ * Cancel a task's reminder (and close it if it's already showing)
+ * @param {string} taskId
+ */
+export async function cancelTaskReminder(taskId) {
+  try {
+    if (isNativeApp()) {
+      const LocalNotifications = await loadLocalNotifications();
+      await LocalNotifications.cancel({ notifications: [{ id: notificationIdFor(taskId) }] });
+      return;
+    }
+
+    clearWebTimer(taskId);
+    const registration = 'serviceWorker' in navigator
+      ? await navigator.serviceWorker.getRegistration()
+      : null;
+    const shown = registration ? await registration.getNotifications({ tag: `task-${taskId}` }) : [];
+    shown.forEach(notification => notification.close());
+  } catch (error) {
+    console.warn('Failed to cancel task reminder:', error);
+  }
+}
+
+// --- Daily digest ------------------------------------------------------------
+/**
+ * Time of the daily digest on this device
+ * @returns {string|null} HH:MM, null when the digest is off
+ */
+export function getDigestTime() {
+  return localStorage.getItem(DIGEST_TIME_KEY);
+}
+
+/**
+ * Turn the daily digest on (at HH:MM) or off (null) for this device
+ * @param {string|null} time
+ */
+export function setDigestTime(time) {
+  if (time) {
+    localStorage.setItem(DIGEST_TIME_KEY, time);
+  } else {
+    localStorage.removeItem(DIGEST_TIME_KEY);
+  }
+}
+
+const toDateString = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+/**
+ * Schedule the next daily digest: the tasks due (or overdue) on the next
+ * digest day. Nothing is scheduled when nothing is due.
+ * @param {Array} tasks - The user's tasks (decrypted)
+ * @param {Date} now
+ */
+export async function scheduleDailyDigest(tasks, now = new Date()) {
+  const time = getDigestTime();
+  let at = null;
+  let content = null;
+
+  if (time) {
+    at = parseLocalDateTime(toDateString(now), time);
+    if (at <= now) at.setDate(at.getDate() + 1);
+    const day = toDateString(at);
+
+    const due = tasks.filter(task => isActive(task) && task.due_date === day);
+    const overdue = tasks.filter(task => isActive(task) && task.due_date && task.due_date < day);
+    if (due.length + overdue.length > 0) {
+      const names = [...due, ...overdue].map(task => task.title);
+      content = {
+        title: due.length > 0
+          ? `${due.length} ${due.length === 1 ? 'task' : 'tasks'} due today`
+          : `${overdue.length} overdue ${overdue.length === 1 ? 'task' : 'tasks'}`,
+        body: names.length > 3
+          ? `${names.slice(0, 3).join(', ')} and ${names.length - 3} more`
+          : names.join(', '),
+      };
+    }
+  }
+
+  try {
+    if (isNativeApp()) {
+      const LocalNotifications = await loadLocalNotifications();
+      await LocalNotifications.cancel({ notifications: [{ id: DIGEST_NOTIFICATION_ID }] });
+      if (!content) return;
+      await LocalNotifications.schedule({
+        notifications: [{
+          id: DIGEST_NOTIFICATION_ID,
+          ...content,
+          schedule: { at, allowWhileIdle: true },
+          extra: { url: TASKS_URL },
+        }],
+      });
+    } else {
+      clearWebTimer(DIGEST_KEY);
+      if (!content) return;
+      armWebTimer(DIGEST_KEY, at, content.title, { body: content.body, tag: 'task-digest', data: { url: TASKS_URL } });
+    }
+  } catch (error) {
+    console.warn('Failed to schedule daily digest:', error);
+  }
+}
+
+/**
+ * Bring all reminders in line with the user's tasks: schedule upcoming
+ * ones, drop reminders for tasks that are gone, refresh the digest
+ * @param {Array} tasks - All of the user's tasks (decrypted)
+ */
+export async function syncTaskReminders(tasks) {
+  const taskIds = new Set(tasks.map(task => task.id));
+
+  try {
+    if (isNativeApp()) {
+      const LocalNotifications = await loadLocalNotifications();
+      const { notifications } = await LocalNotifications.getPending();
+      const stale = notifications.filter(n => n.extra?.taskId && !taskIds.has(n.extra.taskId));
+      if (stale.length > 0) {
+        await LocalNotifications.cancel({ notifications: stale.map(n => ({ id: n.id })) });
+      }
+    } else {
+      [...webTimers.keys()]
+        .filter(key => key !== DIGEST_KEY && !taskIds.has(key))
+        .forEach(clearWebTimer);
+    }
+  } catch (error) {
+    console.warn('Failed to clean up task reminders:', error);
+  }
+
+  await Promise.all(tasks.map(syncTaskReminder));
+  await scheduleDailyDigest(tasks);
+}
@@ -28,6 +28,10 @@ export const OPERATIONS = {
   SHOPPING_LIST: {
     CREATE: 'Create New Shopping List',
     DELETE: 'Delete Shopping List',
+    CREATE_FROM_TEMPLATE: 'Create Shopping List from Template',
+    SAVE_TEMPLATE: 'Save Shopping List as Template',
+    ARCHIVE: 'Archive Shopping List',
+    RESTORE: 'Restore Archived Shopping List',
   },
   
   // Item Operations
@@ -42,6 +46,10 @@ export const OPERATIONS = {
     COMPLETE_SHOPPING: 'Complete Item in Shopping',
     ACTIVATE_SHOPPING: 'Activate Item in Shopping',
     COMPLETE_ALL_SHOPPING: 'Complete All Items in Shopping',
+    REPLENISH: 'Replenish Staple Item',
+    MOVE: 'Move Item to Another List',
+    COPY: 'Copy Item to Another List',
+    CHANGE_CATEGORY: 'Change Item Category',
   },
   
   // Todo Operations
@@ -60,6 +68,21 @@ export const OPERATIONS = {
     SAVE_CUSTOMIZED: 'Save Customized Recipe',
   },
   
+  // Meal Plan Operations
+  MEAL_PLAN: {
+    ADD_RECIPE: 'Add Recipe to Meal Plan',
+    REMOVE_RECIPE: 'Remove Recipe from Meal Plan',
+    GENERATE_LIST: 'Generate Shopping List from Meal Plan',
+  },
+
+  // Pantry Operations
+  PANTRY: {
+    ADD_ITEM: 'Add Item to Pantry',
+    REMOVE_ITEM: 'Remove Item from Pantry',
+    STOCK_FROM_TRIP: 'Stock Pantry from Shopping Trip',
+    USE_FOR_RECIPE: 'Use Pantry Items for Recipe',
+  },
+
   // Recipe Favorite Operations
   RECIPE_FAVORITE: {
     ADD: 'Add Recipe as Favorite',
@@ -81,6 +104,12 @@ export const OPERATIONS = {
     BULK_IMPORT: 'Bulk Import Items',
     CREATE_LIST_VIA_IMPORT: 'Create List via Import',
   },
+
+  // Trash Operations
+  TRASH: {
+    RESTORE: 'Restore from Trash',
+    DELETE_FOREVER: 'Permanently Delete from Trash',
+  },
 };
 
 // ==========================================
@@ -96,6 +125,9 @@ export const PAGES = {
   SHOPPING_MODE: 'ShoppingModeActive',
   JOIN_LIST: 'JoinListViaLink',
   IMPORT_LIST: 'ImportList',
+  TRASH: 'Trash',
+  MEAL_PLANNER: 'MealPlanner',
+  PANTRY: 'Pantry',
 };
 
 // ==========================================
@@ -118,6 +150,30 @@ export const trackShoppingList = {
     userId,
     `User deleted shopping list "${listName}"`
   ),
+  createFromTemplate: (userId, listName, templateName) => createTrackingContext(
+    PAGES.MANAGE_LISTS,
+    OPERATIONS.SHOPPING_LIST.CREATE_FROM_TEMPLATE,
+    userId,
+    `User created shopping list "${listName}" from template "${templateName}"`
+  ),
+  saveTemplate: (userId, templateName) => createTrackingContext(
+    PAGES.LIST_VIEW,
+    OPERATIONS.SHOPPING_LIST.SAVE_TEMPLATE,
+    userId,
+    `User saved list template "${templateName}"`
+  ),
+  archive: (userId, listName) => createTrackingContext(
+    PAGES.MANAGE_LISTS,
+    OPERATIONS.SHOPPING_LIST.ARCHIVE,
+    userId,
+    `User archived shopping list "${listName}"`
+  ),
+  restore: (userId, listName) => createTrackingContext(
+    PAGES.MANAGE_LISTS,
+    OPERATIONS.SHOPPING_LIST.RESTORE,
+    userId,
+    `User restored archived shopping list "${listName}"`
+  ),
 };
 
 /**
@@ -184,6 +240,30 @@ export const trackItem = {
     userId,
     `User completed shopping for list "${listName}" by checking all remaining items`
   ),
+  replenish: (userId, itemName, page = PAGES.LIST_VIEW) => createTrackingContext(
+    page,
+    OPERATIONS.ITEM.REPLENISH,
+    userId,
+    `Staple item "${itemName}" was re-added to list`
+  ),
+  move: (userId, itemName, listName) => createTrackingContext(
+    PAGES.LIST_VIEW,
+    OPERATIONS.ITEM.MOVE,
+    userId,
+    `User moved item "${itemName}" to list "${listName}"`
+  ),
+  copy: (userId, itemName, listName) => createTrackingContext(
+    PAGES.LIST_VIEW,
+    OPERATIONS.ITEM.COPY,
+    userId,
+    `User copied item "${itemName}" to list "${listName}"`
+  ),
+  changeCategory: (userId, itemName, category) => createTrackingContext(
+    PAGES.LIST_VIEW,
+    OPERATIONS.ITEM.CHANGE_CATEGORY,
+    userId,
+    `User moved item "${itemName}" to category "${category}"`
+  ),
 };
 
 /**
@@ -246,6 +326,48 @@ export const trackRecipe = {
   ),
 };
 
+/**
+ * Create tracking context for meal plan operations
+ */
+export const trackMealPlan = {
+  addRecipe: (userId, recipeTitle, date) => createTrackingContext(
+    PAGES.MEAL_PLANNER,
+    OPERATIONS.MEAL_PLAN.ADD_RECIPE,
+    userId,
+    `User planned recipe "${recipeTitle}" for ${date}`
+  ),
+  removeRecipe: (userId, recipeTitle) => createTrackingContext(
+    PAGES.MEAL_PLANNER,
+    OPERATIONS.MEAL_PLAN.REMOVE_RECIPE,
+    userId,
+    `User removed recipe "${recipeTitle}" from the meal plan`
+  ),
+  generateList: (userId, listName, itemCount) => createTrackingContext(
+    PAGES.MEAL_PLANNER,
+    OPERATIONS.MEAL_PLAN.GENERATE_LIST,
+    userId,
+    `User added ${itemCount} meal plan ingredients to list "${listName}"`
+  ),
+};
+
+/**
+ * Create tracking context for pantry operations
+ */
+export const trackPantry = {
+  addItem: (userId, itemName) => createTrackingContext(
+    PAGES.PANTRY,
+    OPERATIONS.PANTRY.ADD_ITEM,
+    userId,
+    `User added "${itemName}" to the pantry`
+  ),
+  removeItem: (userId, itemName) => createTrackingContext(
+    PAGES.PANTRY,
+    OPERATIONS.PANTRY.REMOVE_ITEM,
+    userId,
+    `User removed "${itemName}" from the pantry`
+  ),
+};
+
 /**
  * Create tracking context for recipe favorite operations
  */
@@ -306,3 +428,21 @@ export const trackImport = {
   ),
 };
 
+/**
+ * Create tracking context for trash operations
+ * @param {string} type - 'list', 'item' or 'task'
+ */
+export const trackTrash = {
+  restore: (userId, type, name, page = PAGES.TRASH) => createTrackingContext(
+    page,
+    OPERATIONS.TRASH.RESTORE,
+    userId,
+    name ? `User restored ${type} "${name}"` : `User restored a ${type}`
+  ),
+  deleteForever: (userId, type, name) => createTrackingContext(
+    PAGES.TRASH,
+    OPERATIONS.TRASH.DELETE_FOREVER,
+    userId,
+    name ? `User permanently deleted ${type} "${name}"` : `User permanently deleted a ${type}`
+  ),
+};
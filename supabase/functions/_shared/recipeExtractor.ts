@@ -0,0 +1,436 @@
+// supabase/functions/_shared/recipeExtractor.ts
+/**
+ * Recipe Extractor
+ *
+ * Pulls a schema.org/Recipe out of a recipe web page and maps it to the
+ * recipes table shape. Most recipe sites publish the recipe as JSON-LD (for
+ * Google rich results); older ones use microdata. Pages with neither are
+ * left to the caller (the app falls back to AI extraction from the page
+ * text returned by getPageText).
+ *
+ * No Deno or npm dependencies, so the Playwright tests can run it against
+ * saved HTML fixtures.
+ */
+
+export interface ExtractedRecipe {
+  recipe_name: string;
+  full_title: string;
+  cooking_time: string | null;
+  cuisine: string;
+  servings: number | null;
+  calories_per_serving: string | null;
+  photo_url: string | null;
+  ingredients: string[];
+  steps: { title: string; instruction: string }[];
+}
+
+export interface ExtractionResult {
+  recipe: ExtractedRecipe | null;
+  source: "json-ld" | "microdata" | null;
+}
+
+// Must match the recipes_cuisine_check constraint
+export const RECIPE_CUISINES = [
+  "Italian", "Indian / Pakistani", "Chinese", "Mexican", "French", "Japanese",
+  "Thai", "Middle Eastern", "American", "Spanish", "Mediterranean", "Greek",
+  "Global Classics", "Others",
+];
+
+// deno-lint-ignore no-explicit-any
+type SchemaNode = Record<string, any>;
+
+// ===========================================
+// Text helpers
+// ===========================================
+
+const NAMED_ENTITIES: Record<string, string> = {
+  amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ",
+  frac12: "½", frac14: "¼", frac34: "¾", deg: "°", ndash: "–", mdash: "—",
+  rsquo: "’", lsquo: "‘", rdquo: "”", ldquo: "“", hellip: "…", eacute: "é",
+};
+
+export function decodeEntities(text: string): string {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);/gi, (match, entity: string) => {
+    if (entity[0] === "#") {
+      const code = entity[1] === "x" || entity[1] === "X"
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Plain text from an HTML fragment (JSON-LD strings often contain markup too)
+function cleanText(value: unknown): string {
+  if (value == null) return "";
+  return decodeEntities(String(value).replace(/<[^>]*>/g, " "))
+    .replace(/\s+/g, " ")
+    .replace(/\s([.,;:!?])/g, "$1")
+    .trim();
+}
+
+function asArray<T>(value: T | T[] | null | undefined): T[] {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function hasType(node: SchemaNode, type: string): boolean {
+  return asArray(node?.["@type"]).some((t) => String(t).replace(/^.*[/:]/, "") === type);
+}
+
+// ===========================================
+// JSON-LD
+// ===========================================
+
+const JSON_LD_PATTERN = /<script[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+
+function findRecipeNode(node: unknown): SchemaNode | null {
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      const found = findRecipeNode(child);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (!node || typeof node !== "object") return null;
+
+  const obj = node as SchemaNode;
+  if (hasType(obj, "Recipe")) return obj;
+  // Yoast & co. wrap everything in a @graph; some sites nest the recipe
+  // under mainEntity of a WebPage
+  return findRecipeNode(obj["@graph"]) || findRecipeNode(obj.mainEntity);
+}
+
+function extractJsonLd(html: string): SchemaNode | null {
+  for (const match of html.matchAll(JSON_LD_PATTERN)) {
+    const raw = match[1].trim().replace(/^<!--|-->$/g, "");
+    try {
+      const found = findRecipeNode(JSON.parse(raw));
+      if (found) return found;
+    } catch {
+      // Invalid JSON-LD blocks are common (trailing commas, raw newlines) -
+      // try the next one
+    }
+  }
+  return null;
+}
+
+// ===========================================
+// Microdata
+// ===========================================
+
+const VOID_TAGS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+const TAG_PATTERN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+const ATTRIBUTE_PATTERN = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+function parseAttributes(attrs: string): Map<string, string> {
+  const result = new Map<string, string>();
+  for (const match of attrs.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    if (!result.has(name)) result.set(name, decodeEntities(match[2] ?? match[3] ?? match[4] ?? ""));
+  }
+  return result;
+}
+
+interface MicrodataFrame {
+  tag: string;
+  props: string[];
+  item: SchemaNode | null; // set when the element has itemscope
+  scope: SchemaNode | null; // the item this element's props belong to
+  contentStart: number;
+}
+
+function addProp(item: SchemaNode, names: string[], value: unknown) {
+  for (const name of names) {
+    item[name] = item[name] === undefined ? value : [...asArray(item[name]), value];
+  }
+}
+
+function propValue(tag: string, attrs: Map<string, string>): string | null {
+  if (attrs.has("content")) return attrs.get("content")!;
+  if (["img", "audio", "video", "source", "embed", "iframe"].includes(tag)) return attrs.get("src") ?? null;
+  if (["a", "link", "area"].includes(tag)) return attrs.get("href") ?? null;
+  if (tag === "time") return attrs.get("datetime") ?? null;
+  if (tag === "data" || tag === "meter") return attrs.get("value") ?? null;
+  return null;
+}
+
+/**
+ * Top-level microdata items on a page as JSON-LD-like nodes
+ * ({ "@type": "Recipe", name: "...", recipeIngredient: [...] })
+ */
+function parseMicrodata(html: string): SchemaNode[] {
+  const items: SchemaNode[] = [];
+  const stack: MicrodataFrame[] = [];
+
+  const lowerHtml = html.toLowerCase();
+
+  const closeFrame = (frame: MicrodataFrame, end: number) => {
+    if (!frame.scope || frame.props.length === 0 || frame.item) return;
+    const content = html.slice(frame.contentStart, end);
+    for (const prop of frame.props) {
+      // Instructions keep their markup so getSteps can split <li>/<p> steps
+      addProp(frame.scope, [prop], prop === "recipeInstructions" ? content : cleanText(content));
+    }
+  };
+
+  const tagPattern = new RegExp(TAG_PATTERN.source, "g");
+  let match: RegExpExecArray | null;
+
+  while ((match = tagPattern.exec(html))) {
+    const [whole, closing, rawTag, rawAttrs = ""] = match;
+    if (!rawTag) continue; // comment
+    const tag = rawTag.toLowerCase();
+    const index = match.index;
+
+    if (closing) {
+      const openIndex = stack.map((f) => f.tag).lastIndexOf(tag);
+      if (openIndex === -1) continue;
+      // Unclosed children (<p>, <li>) end with their parent
+      while (stack.length > openIndex) closeFrame(stack.pop()!, index);
+      continue;
+    }
+
+    // Skip script/style bodies so their contents aren't read as markup
+    if (tag === "script" || tag === "style") {
+      const end = lowerHtml.indexOf(`</${tag}`, index + whole.length);
+      tagPattern.lastIndex = end === -1 ? html.length : end;
+      continue;
+    }
+
+    const scope = stack.length ? (stack[stack.length - 1].item ?? stack[stack.length - 1].scope) : null;
+    const attrs = parseAttributes(rawAttrs);
+    const props = (attrs.get("itemprop") || "").split(/\s+/).filter(Boolean);
+    const item = attrs.has("itemscope")
+      ? { "@type": (attrs.get("itemtype") || "").split(/\s+/).filter(Boolean) }
+      : null;
+
+    if (item) {
+      if (scope && props.length) addProp(scope, props, item);
+      else items.push(item);
+    } else if (scope && props.length) {
+      const value = propValue(tag, attrs);
+      if (value != null) {
+        addProp(scope, props, value);
+        props.length = 0;
+      }
+    }
+
+    if (VOID_TAGS.has(tag) || whole.endsWith("/>")) continue;
+    stack.push({ tag, props, item, scope, contentStart: index + whole.length });
+  }
+
+  while (stack.length) closeFrame(stack.pop()!, html.length);
+  return items;
+}
+
+function extractMicrodata(html: string): SchemaNode | null {
+  return findRecipeNode(parseMicrodata(html));
+}
+
+// ===========================================
+// Mapping to the recipes table
+// ===========================================
+
+/**
+ * "PT1H15M" -> "1 hr 15 mins"
+ */
+export function formatDuration(value: unknown): string | null {
+  if (!value) return null;
+  const text = String(value).trim();
+  const match = text.match(/^P(?:(\d+)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:\d+(?:\.\d+)?S)?)?$/i);
+  // Some sites put plain text ("45 minutes") in the time fields
+  if (!match) return cleanText(text) || null;
+
+  const totalMinutes = Math.round(
+    (Number(match[1] || 0) * 24 + Number(match[2] || 0)) * 60 + Number(match[3] || 0),
+  );
+  if (totalMinutes <= 0) return null;
+
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  const parts = [];
+  if (hours) parts.push(`${hours} hr${hours === 1 ? "" : "s"}`);
+  if (minutes) parts.push(`${minutes} min${minutes === 1 ? "" : "s"}`);
+  return parts.join(" ");
+}
+
+function durationMinutes(value: unknown): number {
+  const match = String(value || "").match(/^P(?:(\d+)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?)?/i);
+  if (!match) return 0;
+  return (Number(match[1] || 0) * 24 + Number(match[2] || 0)) * 60 + Number(match[3] || 0);
+}
+
+function getCookingTime(node: SchemaNode): string | null {
+  if (node.totalTime) return formatDuration(node.totalTime);
+  const minutes = durationMinutes(node.prepTime) + durationMinutes(node.cookTime);
+  if (minutes > 0) return formatDuration(`PT${minutes}M`);
+  return formatDuration(node.cookTime || node.prepTime);
+}
+
+/**
+ * recipeYield is "4", "4 servings", "Serves 4-6", ["4", "4 servings"] or 4
+ */
+export function parseServings(value: unknown): number | null {
+  for (const entry of asArray(value as unknown)) {
+    const match = String(entry).match(/\d+/);
+    if (match) {
+      const servings = parseInt(match[0], 10);
+      if (servings > 0 && servings <= 100) return servings;
+    }
+  }
+  return null;
+}
+
+function getImageUrl(value: unknown): string | null {
+  for (const entry of asArray(value as unknown)) {
+    const url = typeof entry === "string" ? entry : (entry as SchemaNode)?.url || (entry as SchemaNode)?.contentUrl;
+    if (typeof url === "string" && /^https?:\/\//i.test(url.trim())) return url.trim();
+  }
+  return null;
+}
+
+/**
+ * Maps a recipeCuisine value ("Indian", ["Asian", "Thai"], "Tex-Mex") to one
+ * of RECIPE_CUISINES
+ */
+export function mapCuisine(value: unknown): string {
+  const values = asArray(value as unknown).flatMap((v) => String(v).split(/[,/]/)).map((v) => cleanText(v).toLowerCase());
+
+  for (const candidate of values) {
+    for (const cuisine of RECIPE_CUISINES) {
+      const keys = cuisine.toLowerCase().split(" / ");
+      if (keys.some((key) => candidate === key || candidate.includes(key))) return cuisine;
+    }
+    if (/tex-?mex/.test(candidate)) return "Mexican";
+    if (/lebanese|turkish|persian|israeli|moroccan/.test(candidate)) return "Middle Eastern";
+    if (/southern|cajun|bbq|barbecue/.test(candidate)) return "American";
+  }
+  return "Others";
+}
+
+function getIngredients(node: SchemaNode): string[] {
+  // "ingredients" is the pre-2015 name and still used by older plugins
+  return asArray(node.recipeIngredient ?? node.ingredients)
+    .map((ingredient) => cleanText(typeof ingredient === "object" ? (ingredient as SchemaNode).name ?? (ingredient as SchemaNode).text : ingredient))
+    .filter(Boolean);
+}
+
+/**
+ * recipeInstructions as [{ title, instruction }]. Handles a single text blob,
+ * string arrays, HowToStep and HowToSection. Steps are titled with their own
+ * name, their section's name or "Step N".
+ */
+function getSteps(node: SchemaNode): { title: string; instruction: string }[] {
+  const steps: { section: string | null; name: string | null; instruction: string }[] = [];
+
+  const walk = (entry: unknown, section: string | null) => {
+    if (entry == null) return;
+    if (Array.isArray(entry)) {
+      entry.forEach((child) => walk(child, section));
+      return;
+    }
+    if (typeof entry === "object") {
+      const obj = entry as SchemaNode;
+      if (hasType(obj, "HowToSection") || obj.itemListElement) {
+        walk(obj.itemListElement ?? obj.steps, cleanText(obj.name) || section);
+        return;
+      }
+      const instruction = cleanText(obj.text ?? obj.description ?? obj.name);
+      const name = cleanText(obj.name);
+      if (instruction) steps.push({ section, name: name && name !== instruction ? name : null, instruction });
+      return;
+    }
+
+    // A single string may hold every step, one per line or paragraph
+    const raw = String(entry);
+    const lines = raw.includes("\n") || /<(p|li|br)\b/i.test(raw)
+      ? raw.split(/\n+|<\/?(?:p|li|br)\b[^>]*>/i)
+      : [raw];
+    for (const line of lines) {
+      const instruction = cleanText(line).replace(/^\d+[.)]\s+/, "");
+      if (instruction) steps.push({ section, name: null, instruction });
+    }
+  };
+
+  walk(node.recipeInstructions, null);
+
+  return steps.map((step, index) => ({
+    title: step.name || step.section || `Step ${index + 1}`,
+    instruction: step.instruction,
+  }));
+}
+
+function getCalories(node: SchemaNode): string | null {
+  const nutrition = asArray(node.nutrition)[0] as SchemaNode | undefined;
+  const calories = cleanText(nutrition?.calories);
+  if (!calories) return null;
+  return /cal/i.test(calories) ? calories : `${calories} cal`;
+}
+
+/**
+ * A schema.org Recipe node (from JSON-LD or microdata) in the recipes table
+ * shape, or null when it has no name or no ingredients
+ */
+export function mapRecipeNode(node: SchemaNode): ExtractedRecipe | null {
+  const title = cleanText(asArray(node.name)[0] ?? node.headline);
+  const ingredients = getIngredients(node);
+  if (!title || ingredients.length === 0) return null;
+
+  return {
+    recipe_name: title,
+    full_title: title,
+    cooking_time: getCookingTime(node),
+    cuisine: mapCuisine(node.recipeCuisine),
+    servings: parseServings(node.recipeYield ?? node.yield),
+    calories_per_serving: getCalories(node),
+    photo_url: getImageUrl(node.image),
+    ingredients,
+    steps: getSteps(node),
+  };
+}
+
+/**
+ * Find and map the recipe on a page, preferring JSON-LD over microdata
+ */
+export function extractRecipe(html: string): ExtractionResult {
+  const jsonLd = extractJsonLd(html);
+  const fromJsonLd = jsonLd && mapRecipeNode(jsonLd);
+  if (fromJsonLd) return { recipe: fromJsonLd, source: "json-ld" };
+
+  const microdata = extractMicrodata(html);
+  const fromMicrodata = microdata && mapRecipeNode(microdata);
+  if (fromMicrodata) return { recipe: fromMicrodata, source: "microdata" };
+
+  return { recipe: null, source: null };
+}
+
+/**
+ * The page's <title>
+ */
+export function getPageTitle(html: string): string {
+  const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return match ? cleanText(match[1]) : "";
+}
+
+/**
+ * Readable text of a page for AI extraction: scripts, styles, navigation and
+ * other chrome removed, capped at maxLength characters
+ */
+export function getPageText(html: string, maxLength = 15000): string {
+  const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/i)?.[1] ?? html;
+  const text = body
+    .replace(/<(script|style|noscript|svg|nav|header|footer|aside|form|iframe)\b[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<(br|\/p|\/li|\/h[1-6]|\/div|\/tr)[^>]*>/gi, "\n")
+    .replace(/<[^>]*>/g, " ");
+
+  return decodeEntities(text)
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n")
+    .slice(0, maxLength);
+}
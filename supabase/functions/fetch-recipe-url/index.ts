@@ -0,0 +1,223 @@
+// supabase/functions/fetch-recipe-url/index.ts
+/**
+ * Fetch Recipe URL Edge Function
+ *
+ * Fetches a recipe web page server-side (browsers can't read other sites
+ * because of CORS) and extracts its schema.org/Recipe, see
+ * _shared/recipeExtractor.ts.
+ *
+ * Input: { url: string }
+ * Output: {
+ *   recipe: object | null,  // recipes table shape, null when the page has no structured recipe
+ *   source: 'json-ld' | 'microdata' | null,
+ *   page_title: string,
+ *   page_text: string       // readable page text for AI extraction when recipe is null
+ * }
+ */
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.39.0";
+import { extractRecipe, getPageText, getPageTitle } from "../_shared/recipeExtractor.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_PAGE_BYTES = 3 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+// Some recipe sites serve an empty shell or a bot challenge to unknown agents
+const USER_AGENT = "Mozilla/5.0 (compatible; MyEZListRecipeImport/1.0)";
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * Loopback, private, link-local (cloud metadata), CGNAT and reserved
+ * addresses - IPv4 dotted quads or IPv6
+ */
+function isPrivateAddress(address: string): boolean {
+  const ipv4 = address.match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (ipv4) {
+    const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+    if (a === 0 || a === 10 || a === 127 || a >= 224) return true;
+    if (a === 169 && b === 254) return true;
+    if (a === 172 && b >= 16 && b <= 31) return true;
+    if (a === 192 && b === 168) return true;
+    if (a === 100 && b >= 64 && b <= 127) return true;
+    return false;
+  }
+
+  // IPv6: loopback, unspecified, unique local, link local, IPv4-mapped
+  const ipv6 = address.toLowerCase();
+  return ipv6 === "::1" || ipv6 === "::" || /^(fc|fd|fe8|fe9|fea|feb)/.test(ipv6) || ipv6.startsWith("::ffff:");
+}
+
+/**
+ * Only public http(s) URLs - the function must not be usable to reach
+ * localhost or the private network it runs in. This checks the URL itself;
+ * resolvesToPublicAddress() checks where its hostname points.
+ */
+function isAllowedUrl(url: URL): boolean {
+  if (url.protocol !== "http:" && url.protocol !== "https:") return false;
+  if (url.username || url.password) return false;
+
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  if (host === "localhost" || host.endsWith(".localhost") || host.endsWith(".internal") || host.endsWith(".local")) {
+    return false;
+  }
+
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(host) || host.includes(":")) {
+    return !isPrivateAddress(host);
+  }
+
+  return host.includes(".");
+}
+
+/**
+ * A public hostname can still resolve to a private address, so every
+ * address it resolves to must be public. (fetch() resolves again, so a DNS
+ * answer that changes in between isn't covered - this closes the easy case.)
+ */
+async function resolvesToPublicAddress(url: URL): Promise<boolean> {
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(host) || host.includes(":")) return true; // literal, checked by isAllowedUrl
+
+  const lookups = await Promise.allSettled([
+    Deno.resolveDns(host, "A"),
+    Deno.resolveDns(host, "AAAA"),
+  ]);
+  const addresses = lookups.flatMap(lookup => lookup.status === "fulfilled" ? lookup.value : []);
+  return addresses.length > 0 && !addresses.some(isPrivateAddress);
+}
+
+/**
+ * GET a page, following redirects only to allowed URLs that resolve to
+ * public addresses, and read at most MAX_PAGE_BYTES of it
+ */
+async function fetchPage(startUrl: URL): Promise<string> {
+  let url = startUrl;
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    // Checked before every request, redirects included
+    if (!(await resolvesToPublicAddress(url))) {
+      throw new Error("This link points to an address that can't be imported");
+    }
+
+    const response = await fetch(url, {
+      redirect: "manual",
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      headers: { "User-Agent": USER_AGENT, "Accept": "text/html,application/xhtml+xml" },
+    });
+
+    if (response.status >= 300 && response.status < 400 && response.headers.get("location")) {
+      await response.body?.cancel();
+      url = new URL(response.headers.get("location")!, url);
+      if (!isAllowedUrl(url)) throw new Error("This link redirects to an address that can't be imported");
+      continue;
+    }
+
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw new Error(`The page could not be loaded (HTTP ${response.status})`);
+    }
+
+    const contentType = response.headers.get("content-type") || "";
+    if (contentType && !/html|xml/i.test(contentType)) {
+      await response.body?.cancel();
+      throw new Error("This link is not a web page");
+    }
+
+    const reader = response.body!.getReader();
+    const chunks: Uint8Array[] = [];
+    let size = 0;
+    while (size < MAX_PAGE_BYTES) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      size += value.length;
+    }
+    await reader.cancel();
+
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return new TextDecoder().decode(bytes.subarray(0, MAX_PAGE_BYTES));
+  }
+
+  throw new Error("Too many redirects");
+}
+
+serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    // Get the requesting user from the auth header
+    const authHeader = req.headers.get("Authorization") ?? "";
+    const token = authHeader.replace("Bearer ", "");
+
+    const supabaseAuthClient = createClient(
+      Deno.env.get("SUPABASE_URL") ?? "",
+      Deno.env.get("SUPABASE_ANON_KEY") ?? ""
+    );
+
+    const { data: { user }, error: userError } = await supabaseAuthClient.auth.getUser(token);
+
+    if (userError || !user) {
+      return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const { url: rawUrl } = await req.json();
+
+    let url: URL;
+    try {
+      url = new URL(String(rawUrl || "").trim());
+    } catch {
+      return jsonResponse({ error: "Please enter a valid link" }, 400);
+    }
+
+    if (!isAllowedUrl(url)) {
+      return jsonResponse({ error: "Only public http(s) links can be imported" }, 400);
+    }
+
+    let html: string;
+    try {
+      html = await fetchPage(url);
+    } catch (fetchError) {
+      console.error(`fetch-recipe-url: failed to fetch ${url.href}:`, fetchError);
+      // Network errors (TypeError) carry no useful message for the user
+      const message = fetchError instanceof Error && fetchError.name === "TimeoutError"
+        ? "The page took too long to load"
+        : fetchError instanceof TypeError
+          ? "The page could not be loaded"
+          : (fetchError as Error).message;
+      return jsonResponse({ error: message }, 502);
+    }
+
+    const { recipe, source } = extractRecipe(html);
+    console.log(`fetch-recipe-url: ${url.hostname} -> ${source ?? "no structured recipe"}`);
+
+    return jsonResponse({
+      recipe,
+      source,
+      page_title: getPageTitle(html),
+      // Only needed for the AI fallback
+      page_text: recipe ? "" : getPageText(html),
+    });
+  } catch (error) {
+    console.error("fetch-recipe-url error:", error);
+    return jsonResponse({ error: error instanceof Error ? error.message : "Failed to import recipe" }, 500);
+  }
+});
@@ -0,0 +1,63 @@
+// supabase/functions/task-calendar-feed/index.ts
+/**
+ * Task Calendar Feed Edge Function
+ *
+ * Serves a user's published task calendar to calendar apps that subscribe
+ * to it. The feed is built and uploaded by the app from already-decrypted
+ * tasks (see src/components/utils/taskCalendarExport.jsx) - this function
+ * only hands out the stored file.
+ *
+ * Calendar apps can't sign in, so the secret token in the URL is the only
+ * credential (JWT verification is off in config.toml).
+ *
+ * Input: GET ?token=<feed token>
+ * Output: text/calendar, or 404 for an unknown (or turned off) feed
+ */
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.39.0";
+
+// Tokens are 64 hex characters; anything else can't be a feed
+const TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+
+serve(async (req) => {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    return new Response("Method not allowed", { status: 405 });
+  }
+
+  const token = new URL(req.url).searchParams.get("token") || "";
+  if (!TOKEN_PATTERN.test(token)) {
+    return new Response("Not found", { status: 404 });
+  }
+
+  try {
+    const supabase = createClient(
+      Deno.env.get("SUPABASE_URL")!,
+      Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!
+    );
+
+    const { data: feed, error } = await supabase
+      .from("task_calendar_feeds")
+      .select("ics, updated_date")
+      .eq("token", token)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!feed?.ics) {
+      return new Response("Not found", { status: 404 });
+    }
+
+    return new Response(req.method === "HEAD" ? null : feed.ics, {
+      headers: {
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": 'inline; filename="myezlist-tasks.ics"',
+        "Last-Modified": new Date(feed.updated_date).toUTCString(),
+        // Calendar apps poll on their own schedule; keep proxies from serving stale copies
+        "Cache-Control": "private, max-age=300",
+      },
+    });
+  } catch (error) {
+    console.error("Error serving task calendar feed:", error);
+    return new Response("Feed unavailable", { status: 500 });
+  }
+});
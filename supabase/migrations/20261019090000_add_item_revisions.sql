@@ -0,0 +1,44 @@
+-- ===========================================
+-- Migration: Item revisions for concurrent edit detection
+-- ===========================================
+--
+-- PROBLEM: Two family members editing the same item (quantity, brand,
+-- size_notes) silently overwrite each other - the last write wins.
+--
+-- SOLUTION: Every item carries a revision number that the database bumps on
+-- each UPDATE. Clients send the revision they edited from and the update only
+-- applies if it still matches (optimistic concurrency). On mismatch the client
+-- re-reads the row and merges field by field, prompting only when the same
+-- field was changed on both sides.
+--
+-- ===========================================
+
+ALTER TABLE public.items
+ADD COLUMN IF NOT EXISTS revision integer DEFAULT 1 NOT NULL;
+
+COMMENT ON COLUMN public.items.revision IS 'Incremented on every update; used to detect stale writes from concurrent editors';
+
+-- ===========================================
+-- FUNCTION: bump_item_revision
+-- Trigger function that increments the revision on every update
+-- (done server-side so clients cannot forget or forge it)
+-- ===========================================
+CREATE OR REPLACE FUNCTION public.bump_item_revision()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    NEW.revision := OLD.revision + 1;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS items_bump_revision ON public.items;
+CREATE TRIGGER items_bump_revision
+    BEFORE UPDATE ON public.items
+    FOR EACH ROW
+    EXECUTE FUNCTION public.bump_item_revision();
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
@@ -0,0 +1,108 @@
+-- ===========================================
+-- Migration: Per-Store Aisle Layouts
+-- ===========================================
+-- PROBLEM: shopping_lists.store_sections is a single flat array and Shopping
+-- Mode always sorts by a hardcoded category order, but every store is laid
+-- out differently.
+--
+-- SOLUTION:
+-- 1. stores: each store has its own ordered aisle map
+--    (aisle_map = [{ "category": "Produce", "aisle": "1" }, ...] in walking order)
+-- 2. store_visits: the order categories were checked off in during a trip,
+--    used to suggest a better walking order for the store
+-- Stores are visible to the owner's approved family members so a household
+-- shares one layout per store.
+-- ===========================================
+
+-- ===========================================
+-- TABLE: stores
+-- ===========================================
+CREATE TABLE IF NOT EXISTS public.stores (
+    id uuid DEFAULT gen_random_uuid() NOT NULL,
+    owner_id uuid NOT NULL,
+    name text NOT NULL,
+    aisle_map jsonb DEFAULT '[]'::jsonb NOT NULL,
+    created_date timestamp with time zone DEFAULT now(),
+    updated_date timestamp with time zone DEFAULT now(),
+    CONSTRAINT stores_pkey PRIMARY KEY (id),
+    CONSTRAINT stores_owner_id_fkey FOREIGN KEY (owner_id) REFERENCES public.profiles(id) ON DELETE CASCADE
+);
+
+COMMENT ON TABLE public.stores IS 'Physical stores with their own aisle layout for Shopping Mode';
+COMMENT ON COLUMN public.stores.aisle_map IS 'Ordered array of { category, aisle } in walking order through the store';
+
+-- ===========================================
+-- TABLE: store_visits
+-- ===========================================
+CREATE TABLE IF NOT EXISTS public.store_visits (
+    id uuid DEFAULT gen_random_uuid() NOT NULL,
+    store_id uuid NOT NULL,
+    list_id uuid,
+    user_id uuid NOT NULL,
+    category_sequence jsonb DEFAULT '[]'::jsonb NOT NULL,
+    created_date timestamp with time zone DEFAULT now(),
+    updated_date timestamp with time zone DEFAULT now(),
+    CONSTRAINT store_visits_pkey PRIMARY KEY (id),
+    CONSTRAINT store_visits_store_id_fkey FOREIGN KEY (store_id) REFERENCES public.stores(id) ON DELETE CASCADE,
+    CONSTRAINT store_visits_list_id_fkey FOREIGN KEY (list_id) REFERENCES public.shopping_lists(id) ON DELETE SET NULL,
+    CONSTRAINT store_visits_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.profiles(id) ON DELETE CASCADE
+);
+
+COMMENT ON TABLE public.store_visits IS 'Order categories were checked off in during a shopping trip, for learning store layouts';
+COMMENT ON COLUMN public.store_visits.category_sequence IS 'Categories in the order their first item was checked off';
+
+-- ===========================================
+-- INDEXES
+-- ===========================================
+CREATE INDEX IF NOT EXISTS idx_stores_owner_id ON public.stores(owner_id);
+CREATE INDEX IF NOT EXISTS idx_store_visits_store_id ON public.store_visits(store_id);
+CREATE INDEX IF NOT EXISTS idx_store_visits_created_date ON public.store_visits(created_date DESC);
+
+-- ===========================================
+-- ENABLE ROW LEVEL SECURITY
+-- ===========================================
+ALTER TABLE public.stores ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.store_visits ENABLE ROW LEVEL SECURITY;
+
+-- ===========================================
+-- RLS POLICIES: stores
+-- ===========================================
+CREATE POLICY "Users can view own and family stores" ON public.stores
+    FOR SELECT USING (
+        owner_id = auth.uid()
+        OR owner_id IN (SELECT public.get_user_family_member_ids(auth.uid()))
+    );
+
+CREATE POLICY "Users can create own stores" ON public.stores
+    FOR INSERT WITH CHECK (owner_id = auth.uid());
+
+-- Family members share layouts, so any of them can reorder the aisles
+CREATE POLICY "Users can update own and family stores" ON public.stores
+    FOR UPDATE USING (
+        owner_id = auth.uid()
+        OR owner_id IN (SELECT public.get_user_family_member_ids(auth.uid()))
+    );
+
+CREATE POLICY "Owners can delete stores" ON public.stores
+    FOR DELETE USING (owner_id = auth.uid());
+
+-- ===========================================
+-- RLS POLICIES: store_visits
+-- ===========================================
+CREATE POLICY "Users can view visits to visible stores" ON public.store_visits
+    FOR SELECT USING (
+        store_id IN (SELECT id FROM public.stores)
+    );
+
+CREATE POLICY "Users can record own visits" ON public.store_visits
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid()
+        AND store_id IN (SELECT id FROM public.stores)
+    );
+
+CREATE POLICY "Users can delete own visits" ON public.store_visits
+    FOR DELETE USING (user_id = auth.uid());
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
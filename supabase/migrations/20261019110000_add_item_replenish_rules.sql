@@ -0,0 +1,44 @@
+-- ===========================================
+-- Migration: Staple Items That Auto-Replenish
+-- ===========================================
+-- PROBLEM: Households re-add the same staples (milk, eggs, bread) by hand
+-- every week.
+--
+-- SOLUTION: Items can carry a replenish rule. When a staple is checked off
+-- the app re-creates it (with brand, size_notes and category preserved):
+--   - 'on_check'  : re-added as soon as it's checked off / shopping completes
+--   - 'interval'  : re-added replenish_every_days after it was checked off
+-- The rule moves to the re-created item, so only the newest copy of a
+-- staple carries it.
+-- ===========================================
+
+ALTER TABLE public.items
+ADD COLUMN IF NOT EXISTS replenish_rule text;
+
+ALTER TABLE public.items
+ADD COLUMN IF NOT EXISTS replenish_every_days integer;
+
+ALTER TABLE public.items
+DROP CONSTRAINT IF EXISTS items_replenish_rule_check;
+
+ALTER TABLE public.items
+ADD CONSTRAINT items_replenish_rule_check CHECK (
+    replenish_rule IS NULL OR replenish_rule IN ('on_check', 'interval')
+);
+
+ALTER TABLE public.items
+DROP CONSTRAINT IF EXISTS items_replenish_every_days_check;
+
+ALTER TABLE public.items
+ADD CONSTRAINT items_replenish_every_days_check CHECK (
+    replenish_every_days IS NULL OR replenish_every_days > 0
+);
+
+COMMENT ON COLUMN public.items.replenish_rule IS 'Staple rule: on_check = re-add when checked off, interval = re-add every replenish_every_days';
+COMMENT ON COLUMN public.items.replenish_every_days IS 'Days after check-off before an interval staple is re-added';
+
+CREATE INDEX IF NOT EXISTS idx_items_replenish_rule ON public.items(list_id) WHERE replenish_rule IS NOT NULL;
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
@@ -0,0 +1,124 @@
+-- ===========================================
+-- Migration: Purchase History & Price Tracking
+-- ===========================================
+-- PROBLEM: Completing a shopping trip only sets checked_date on items, so
+-- there is no record of where things were bought or what they cost.
+--
+-- SOLUTION:
+-- 1. shopping_trips: one row per completed trip (list, store, date, total)
+-- 2. trip_items: what was bought on the trip, with optional price paid
+--    and quantity. Item name/category are copied so history survives the
+--    item being deleted or replenished as a new row.
+-- Trips are visible to the shopper and to everyone with access to the list.
+-- ===========================================
+
+-- ===========================================
+-- TABLE: shopping_trips
+-- ===========================================
+CREATE TABLE IF NOT EXISTS public.shopping_trips (
+    id uuid DEFAULT gen_random_uuid() NOT NULL,
+    list_id uuid,
+    user_id uuid NOT NULL,
+    store_id uuid,
+    store_name text,
+    trip_date timestamp with time zone DEFAULT now() NOT NULL,
+    total_amount numeric(10,2),
+    item_count integer DEFAULT 0 NOT NULL,
+    created_date timestamp with time zone DEFAULT now(),
+    updated_date timestamp with time zone DEFAULT now(),
+    CONSTRAINT shopping_trips_pkey PRIMARY KEY (id),
+    CONSTRAINT shopping_trips_list_id_fkey FOREIGN KEY (list_id) REFERENCES public.shopping_lists(id) ON DELETE SET NULL,
+    CONSTRAINT shopping_trips_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.profiles(id) ON DELETE CASCADE,
+    CONSTRAINT shopping_trips_store_id_fkey FOREIGN KEY (store_id) REFERENCES public.stores(id) ON DELETE SET NULL
+);
+
+COMMENT ON TABLE public.shopping_trips IS 'Completed shopping trips recorded from Shopping Mode';
+COMMENT ON COLUMN public.shopping_trips.store_name IS 'Store name at the time of the trip (kept if the store is deleted)';
+COMMENT ON COLUMN public.shopping_trips.total_amount IS 'Sum of prices entered for the trip; null when no prices were entered';
+
+-- ===========================================
+-- TABLE: trip_items
+-- ===========================================
+CREATE TABLE IF NOT EXISTS public.trip_items (
+    id uuid DEFAULT gen_random_uuid() NOT NULL,
+    trip_id uuid NOT NULL,
+    item_id uuid,
+    item_name text NOT NULL,
+    category text,
+    quantity text,
+    price numeric(10,2),
+    store_name text,
+    purchased_date timestamp with time zone DEFAULT now() NOT NULL,
+    created_date timestamp with time zone DEFAULT now(),
+    updated_date timestamp with time zone DEFAULT now(),
+    CONSTRAINT trip_items_pkey PRIMARY KEY (id),
+    CONSTRAINT trip_items_trip_id_fkey FOREIGN KEY (trip_id) REFERENCES public.shopping_trips(id) ON DELETE CASCADE,
+    CONSTRAINT trip_items_item_id_fkey FOREIGN KEY (item_id) REFERENCES public.items(id) ON DELETE SET NULL,
+    CONSTRAINT trip_items_price_check CHECK (price IS NULL OR price >= 0)
+);
+
+COMMENT ON TABLE public.trip_items IS 'Items bought on a shopping trip, with optional price paid';
+COMMENT ON COLUMN public.trip_items.item_name IS 'Copied from the item so price history can be looked up by name';
+COMMENT ON COLUMN public.trip_items.purchased_date IS 'Copied from the trip date for price history charts';
+
+-- ===========================================
+-- INDEXES
+-- ===========================================
+CREATE INDEX IF NOT EXISTS idx_shopping_trips_list_id ON public.shopping_trips(list_id);
+CREATE INDEX IF NOT EXISTS idx_shopping_trips_user_id ON public.shopping_trips(user_id);
+CREATE INDEX IF NOT EXISTS idx_shopping_trips_trip_date ON public.shopping_trips(trip_date DESC);
+CREATE INDEX IF NOT EXISTS idx_trip_items_trip_id ON public.trip_items(trip_id);
+CREATE INDEX IF NOT EXISTS idx_trip_items_item_name ON public.trip_items(lower(item_name));
+
+-- ===========================================
+-- ENABLE ROW LEVEL SECURITY
+-- ===========================================
+ALTER TABLE public.shopping_trips ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.trip_items ENABLE ROW LEVEL SECURITY;
+
+-- ===========================================
+-- RLS POLICIES: shopping_trips
+-- ===========================================
+CREATE POLICY "Users can view trips for accessible lists" ON public.shopping_trips
+    FOR SELECT USING (
+        user_id = auth.uid()
+        OR public.user_owns_list(list_id, auth.uid())
+        OR public.user_is_list_member(list_id, auth.uid())
+        OR user_id IN (SELECT public.get_user_family_member_ids(auth.uid()))
+    );
+
+CREATE POLICY "Users can record own trips" ON public.shopping_trips
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update own trips" ON public.shopping_trips
+    FOR UPDATE USING (user_id = auth.uid());
+
+CREATE POLICY "Users can delete own trips" ON public.shopping_trips
+    FOR DELETE USING (user_id = auth.uid());
+
+-- ===========================================
+-- RLS POLICIES: trip_items
+-- ===========================================
+CREATE POLICY "Users can view items of visible trips" ON public.trip_items
+    FOR SELECT USING (
+        trip_id IN (SELECT id FROM public.shopping_trips)
+    );
+
+CREATE POLICY "Users can add items to own trips" ON public.trip_items
+    FOR INSERT WITH CHECK (
+        trip_id IN (SELECT id FROM public.shopping_trips WHERE user_id = auth.uid())
+    );
+
+CREATE POLICY "Users can update items of own trips" ON public.trip_items
+    FOR UPDATE USING (
+        trip_id IN (SELECT id FROM public.shopping_trips WHERE user_id = auth.uid())
+    );
+
+CREATE POLICY "Users can delete items of own trips" ON public.trip_items
+    FOR DELETE USING (
+        trip_id IN (SELECT id FROM public.shopping_trips WHERE user_id = auth.uid())
+    );
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
@@ -0,0 +1,92 @@
+-- ===========================================
+-- Migration: List Budgets & Estimated Prices
+-- ===========================================
+-- PROBLEM: There's no way to plan spending for a trip or see how close the
+-- cart is to a budget while shopping.
+--
+-- SOLUTION:
+-- 1. shopping_lists.budget / budget_warning_percent: optional budget per list
+--    and the percentage at which Shopping Mode starts warning
+-- 2. items.estimated_price: expected price of an item
+-- 3. item_price_estimates: the last estimate a user entered for an item
+--    name, used to pre-fill the price the next time the item is added
+-- ===========================================
+
+-- ===========================================
+-- SCHEMA MODIFICATIONS: shopping_lists
+-- ===========================================
+ALTER TABLE public.shopping_lists
+ADD COLUMN IF NOT EXISTS budget numeric(10,2);
+
+ALTER TABLE public.shopping_lists
+ADD COLUMN IF NOT EXISTS budget_warning_percent integer DEFAULT 90;
+
+ALTER TABLE public.shopping_lists
+DROP CONSTRAINT IF EXISTS shopping_lists_budget_check;
+
+ALTER TABLE public.shopping_lists
+ADD CONSTRAINT shopping_lists_budget_check CHECK (budget IS NULL OR budget >= 0);
+
+ALTER TABLE public.shopping_lists
+DROP CONSTRAINT IF EXISTS shopping_lists_budget_warning_percent_check;
+
+ALTER TABLE public.shopping_lists
+ADD CONSTRAINT shopping_lists_budget_warning_percent_check CHECK (
+    budget_warning_percent IS NULL OR (budget_warning_percent BETWEEN 1 AND 100)
+);
+
+COMMENT ON COLUMN public.shopping_lists.budget IS 'Optional spending budget for a shopping trip on this list';
+COMMENT ON COLUMN public.shopping_lists.budget_warning_percent IS 'Warn in Shopping Mode once the cart reaches this percentage of the budget';
+
+-- ===========================================
+-- SCHEMA MODIFICATIONS: items
+-- ===========================================
+ALTER TABLE public.items
+ADD COLUMN IF NOT EXISTS estimated_price numeric(10,2);
+
+ALTER TABLE public.items
+DROP CONSTRAINT IF EXISTS items_estimated_price_check;
+
+ALTER TABLE public.items
+ADD CONSTRAINT items_estimated_price_check CHECK (estimated_price IS NULL OR estimated_price >= 0);
+
+COMMENT ON COLUMN public.items.estimated_price IS 'Expected price, used for budget totals in Shopping Mode';
+
+-- ===========================================
+-- TABLE: item_price_estimates
+-- ===========================================
+CREATE TABLE IF NOT EXISTS public.item_price_estimates (
+    id uuid DEFAULT gen_random_uuid() NOT NULL,
+    user_id uuid NOT NULL,
+    name_key text NOT NULL,
+    estimated_price numeric(10,2) NOT NULL,
+    created_date timestamp with time zone DEFAULT now(),
+    updated_date timestamp with time zone DEFAULT now(),
+    CONSTRAINT item_price_estimates_pkey PRIMARY KEY (id),
+    CONSTRAINT item_price_estimates_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.profiles(id) ON DELETE CASCADE,
+    CONSTRAINT item_price_estimates_user_name_unique UNIQUE (user_id, name_key),
+    CONSTRAINT item_price_estimates_price_check CHECK (estimated_price >= 0)
+);
+
+COMMENT ON TABLE public.item_price_estimates IS 'Last estimated price a user entered per item name, for pre-filling';
+COMMENT ON COLUMN public.item_price_estimates.name_key IS 'Lowercased, trimmed item name';
+
+CREATE INDEX IF NOT EXISTS idx_item_price_estimates_user_id ON public.item_price_estimates(user_id);
+
+ALTER TABLE public.item_price_estimates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own price estimates" ON public.item_price_estimates
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can create own price estimates" ON public.item_price_estimates
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update own price estimates" ON public.item_price_estimates
+    FOR UPDATE USING (user_id = auth.uid());
+
+CREATE POLICY "Users can delete own price estimates" ON public.item_price_estimates
+    FOR DELETE USING (user_id = auth.uid());
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
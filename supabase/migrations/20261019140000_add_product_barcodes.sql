@@ -0,0 +1,58 @@
+-- ===========================================
+-- Migration: Product Barcodes
+-- ===========================================
+-- PROBLEM: Items can only be added by typing or voice. Scanning a product's
+-- barcode needs a lookup from UPC/EAN code to name, brand and size.
+--
+-- SOLUTION:
+-- 1. product_barcodes: shared lookup table keyed by barcode
+-- 2. Admins seed it from the Master Item List import
+-- 3. Any signed-in user can label a code that isn't in the table yet, so the
+--    table grows as people scan
+-- ===========================================
+
+-- ===========================================
+-- TABLE: product_barcodes
+-- ===========================================
+CREATE TABLE IF NOT EXISTS public.product_barcodes (
+    id uuid DEFAULT gen_random_uuid() NOT NULL,
+    barcode text NOT NULL,
+    name text NOT NULL,
+    brand text,
+    size_notes text,
+    category text,
+    common_item_id uuid,
+    source text DEFAULT 'user' NOT NULL,
+    created_by uuid,
+    created_date timestamp with time zone DEFAULT now(),
+    updated_date timestamp with time zone DEFAULT now(),
+    CONSTRAINT product_barcodes_pkey PRIMARY KEY (id),
+    CONSTRAINT product_barcodes_barcode_unique UNIQUE (barcode),
+    CONSTRAINT product_barcodes_barcode_check CHECK (barcode ~ '^[0-9]{8,14}$'),
+    CONSTRAINT product_barcodes_source_check CHECK (source = ANY (ARRAY['admin'::text, 'user'::text])),
+    CONSTRAINT product_barcodes_category_check CHECK (((category IS NULL) OR (category = ANY (ARRAY['Produce'::text, 'Dairy'::text, 'Meat & Seafood'::text, 'Bakery'::text, 'Frozen'::text, 'Pantry'::text, 'Beverages'::text, 'Snacks'::text, 'Personal Care'::text, 'Household'::text, 'Cleaning'::text, 'Baby'::text, 'Pet'::text, 'Other'::text])))),
+    CONSTRAINT product_barcodes_common_item_id_fkey FOREIGN KEY (common_item_id) REFERENCES public.common_items(id) ON DELETE SET NULL,
+    CONSTRAINT product_barcodes_created_by_fkey FOREIGN KEY (created_by) REFERENCES public.profiles(id) ON DELETE SET NULL
+);
+
+COMMENT ON TABLE public.product_barcodes IS 'Barcode (UPC/EAN) to product lookup used by the item scanner';
+COMMENT ON COLUMN public.product_barcodes.barcode IS 'Digits only; UPC-A codes are stored as 13-digit EAN';
+COMMENT ON COLUMN public.product_barcodes.source IS 'admin = seeded from the Master Item List import, user = labeled after an unknown scan';
+
+CREATE INDEX IF NOT EXISTS idx_product_barcodes_common_item_id ON public.product_barcodes(common_item_id);
+
+ALTER TABLE public.product_barcodes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view product barcodes" ON public.product_barcodes
+    FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "Users can label unknown barcodes" ON public.product_barcodes
+    FOR INSERT WITH CHECK (created_by = auth.uid() AND source = 'user');
+
+CREATE POLICY "Admins can manage product barcodes" ON public.product_barcodes
+    USING (is_admin())
+    WITH CHECK (is_admin());
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
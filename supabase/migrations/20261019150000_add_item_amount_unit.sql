@@ -0,0 +1,43 @@
+-- ===========================================
+-- Migration: Structured Item Quantities
+-- ===========================================
+-- PROBLEM: items.quantity is free text ("2 cups", "3x", "1kg"), so adding
+-- the same item twice can't combine the quantities.
+--
+-- SOLUTION:
+-- 1. items.amount / items.unit: numeric amount plus the unit normalized by
+--    the app's ingredient parser (tsp, tbsp, cup, ml, liter, g, kg, lb, ...)
+-- 2. items.quantity stays as the display text
+-- 3. Backfill plain numeric quantities ("3", "2x")
+-- ===========================================
+
+-- ===========================================
+-- SCHEMA MODIFICATIONS: items
+-- ===========================================
+ALTER TABLE public.items
+ADD COLUMN IF NOT EXISTS amount numeric(12,3);
+
+ALTER TABLE public.items
+ADD COLUMN IF NOT EXISTS unit text;
+
+ALTER TABLE public.items
+DROP CONSTRAINT IF EXISTS items_amount_check;
+
+ALTER TABLE public.items
+ADD CONSTRAINT items_amount_check CHECK (amount IS NULL OR amount > 0);
+
+COMMENT ON COLUMN public.items.amount IS 'Numeric amount parsed from quantity; NULL when quantity is not a plain amount';
+COMMENT ON COLUMN public.items.unit IS 'Normalized unit for amount (e.g. cup, g, lb); NULL for a plain count';
+
+-- ===========================================
+-- BACKFILL
+-- ===========================================
+UPDATE public.items
+SET amount = substring(trim(quantity) FROM '^([0-9]+(?:\.[0-9]+)?)')::numeric
+WHERE amount IS NULL
+  AND trim(quantity) ~* '^[0-9]+(\.[0-9]+)?\s*x?$'
+  AND substring(trim(quantity) FROM '^([0-9]+(?:\.[0-9]+)?)')::numeric > 0;
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
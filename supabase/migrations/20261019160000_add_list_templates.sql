@@ -0,0 +1,62 @@
+-- ===========================================
+-- Migration: List Templates
+-- ===========================================
+-- PROBLEM: New lists always start empty, so recurring lists ("Weekly
+-- groceries", "BBQ party", "Camping") have to be rebuilt by hand.
+--
+-- SOLUTION:
+-- 1. list_templates: a snapshot of a list's look (icon, color), store
+--    sections and items, stored as jsonb so templates don't count toward
+--    item limits
+-- 2. share_with_family: approved family members can see the template and
+--    create lists from it; only the owner can change or delete it
+-- ===========================================
+
+-- ===========================================
+-- TABLE: list_templates
+-- ===========================================
+CREATE TABLE IF NOT EXISTS public.list_templates (
+    id uuid DEFAULT gen_random_uuid() NOT NULL,
+    owner_id uuid NOT NULL,
+    name text NOT NULL,
+    icon text DEFAULT 'shopping-cart'::text,
+    color text DEFAULT 'ocean'::text,
+    store_sections jsonb,
+    items jsonb DEFAULT '[]'::jsonb NOT NULL,
+    share_with_family boolean DEFAULT false NOT NULL,
+    created_date timestamp with time zone DEFAULT now(),
+    updated_date timestamp with time zone DEFAULT now(),
+    CONSTRAINT list_templates_pkey PRIMARY KEY (id),
+    CONSTRAINT list_templates_owner_id_fkey FOREIGN KEY (owner_id) REFERENCES public.profiles(id) ON DELETE CASCADE,
+    CONSTRAINT list_templates_items_check CHECK (jsonb_typeof(items) = 'array')
+);
+
+COMMENT ON TABLE public.list_templates IS 'Reusable list snapshots that new shopping lists can be created from';
+COMMENT ON COLUMN public.list_templates.items IS 'Array of { name, quantity, amount, unit, category, brand, size_notes, photo_url, is_organic, store_section }';
+COMMENT ON COLUMN public.list_templates.share_with_family IS 'Visible to the owner''s approved family members';
+
+CREATE INDEX IF NOT EXISTS idx_list_templates_owner_id ON public.list_templates(owner_id);
+
+ALTER TABLE public.list_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own and family-shared templates" ON public.list_templates
+    FOR SELECT USING (
+        owner_id = auth.uid()
+        OR (
+            share_with_family
+            AND owner_id IN (SELECT public.get_user_family_member_ids(auth.uid()))
+        )
+    );
+
+CREATE POLICY "Users can create own templates" ON public.list_templates
+    FOR INSERT WITH CHECK (owner_id = auth.uid());
+
+CREATE POLICY "Users can update own templates" ON public.list_templates
+    FOR UPDATE USING (owner_id = auth.uid());
+
+CREATE POLICY "Users can delete own templates" ON public.list_templates
+    FOR DELETE USING (owner_id = auth.uid());
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
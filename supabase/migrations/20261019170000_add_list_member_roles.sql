@@ -0,0 +1,330 @@
+-- ===========================================
+-- Migration: Granular list member roles
+-- ===========================================
+-- PROBLEM: list_members.role is 'owner' | 'member' and every approved member
+-- can add, edit, delete and check off items. There is no way to share a list
+-- read-only, or to let someone shop from it without rearranging it.
+--
+-- SOLUTION:
+-- 1. Roles, from least to most access:
+--      viewer  - read-only
+--      shopper - can check items off (and back on)
+--      editor  - can add, edit and delete items
+--      owner   - the list owner; manages sharing and deletes the list
+--    Existing 'member' rows become 'editor' so nobody loses access.
+-- 2. get_list_role() / has_list_role() resolve the caller's role for a list
+--    (SECURITY DEFINER, same pattern as user_owns_list to avoid RLS
+--    recursion). Members of a family-shared list without a membership row
+--    are treated as editors, as before.
+-- 3. Item INSERT/DELETE require editor, UPDATE requires shopper; a trigger
+--    limits shoppers to the check-off columns.
+-- 4. share_links.role is the role granted to people who join via the link.
+-- ===========================================
+
+
+-- ===========================================
+-- STEP 1: list_members.role
+-- ===========================================
+ALTER TABLE public.list_members DROP CONSTRAINT IF EXISTS list_members_role_check;
+
+UPDATE public.list_members SET role = 'editor' WHERE role = 'member' OR role IS NULL;
+
+ALTER TABLE public.list_members ALTER COLUMN role SET DEFAULT 'editor'::text;
+
+ALTER TABLE public.list_members
+ADD CONSTRAINT list_members_role_check
+CHECK (role = ANY (ARRAY['viewer'::text, 'shopper'::text, 'editor'::text, 'owner'::text]));
+
+COMMENT ON COLUMN public.list_members.role IS 'viewer = read-only, shopper = check items off, editor = add/edit/delete items, owner = list owner';
+
+
+-- ===========================================
+-- STEP 2: share_links.role
+-- ===========================================
+ALTER TABLE public.share_links
+ADD COLUMN IF NOT EXISTS role text DEFAULT 'editor'::text NOT NULL;
+
+ALTER TABLE public.share_links
+ADD CONSTRAINT share_links_role_check
+CHECK (role = ANY (ARRAY['viewer'::text, 'shopper'::text, 'editor'::text]));
+
+COMMENT ON COLUMN public.share_links.role IS 'Role given to members who join through this link';
+
+
+-- ===========================================
+-- STEP 3: Role helper functions
+-- ===========================================
+
+-- Rank of a role so roles can be compared ("at least shopper")
+CREATE OR REPLACE FUNCTION public.list_role_rank(p_role text)
+RETURNS integer
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE p_role
+        WHEN 'viewer' THEN 1
+        WHEN 'shopper' THEN 2
+        WHEN 'editor' THEN 3
+        WHEN 'owner' THEN 4
+        ELSE 0
+    END;
+$$;
+
+-- Role a user has on a list, or NULL if they have no access
+CREATE OR REPLACE FUNCTION public.get_list_role(p_list_id uuid, p_user_id uuid)
+RETURNS text
+LANGUAGE sql
+SECURITY DEFINER
+STABLE
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN public.user_owns_list(p_list_id, p_user_id) THEN 'owner'
+        ELSE COALESCE(
+            (
+                SELECT lm.role FROM public.list_members lm
+                WHERE lm.list_id = p_list_id
+                AND lm.user_id = p_user_id
+                AND lm.status IS DISTINCT FROM 'pending'
+                LIMIT 1
+            ),
+            (
+                SELECT 'editor' FROM public.shopping_lists sl
+                WHERE sl.id = p_list_id
+                AND sl.shared_with_family = true
+                AND sl.owner_id IN (SELECT public.get_user_family_member_ids(p_user_id))
+            )
+        )
+    END;
+$$;
+
+-- Whether the current user has at least p_min_role on a list
+CREATE OR REPLACE FUNCTION public.has_list_role(p_list_id uuid, p_min_role text)
+RETURNS boolean
+LANGUAGE sql
+SECURITY DEFINER
+STABLE
+SET search_path = public
+AS $$
+    SELECT public.list_role_rank(public.get_list_role(p_list_id, auth.uid()))
+        >= public.list_role_rank(p_min_role);
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_list_role(uuid, uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.has_list_role(uuid, text) TO authenticated;
+
+
+-- ===========================================
+-- STEP 4: items policies
+-- Viewing is unchanged; writing now depends on the role
+-- ===========================================
+DROP POLICY IF EXISTS "Users can add items to own and family-shared lists" ON public.items;
+DROP POLICY IF EXISTS "Users can delete items from own and family-shared lists" ON public.items;
+DROP POLICY IF EXISTS "Users can update items in own and family-shared lists" ON public.items;
+
+CREATE POLICY "Editors can add items" ON public.items
+    FOR INSERT
+    WITH CHECK (public.has_list_role(list_id, 'editor'));
+
+CREATE POLICY "Editors can delete items" ON public.items
+    FOR DELETE
+    USING (public.has_list_role(list_id, 'editor'));
+
+CREATE POLICY "Shoppers and editors can update items" ON public.items
+    FOR UPDATE
+    USING (public.has_list_role(list_id, 'shopper'))
+    WITH CHECK (public.has_list_role(list_id, 'shopper'));
+
+
+-- ===========================================
+-- FUNCTION: enforce_shopper_item_update
+-- RLS can't restrict columns, so shoppers are limited to checking items
+-- off here. Server-side callers (no auth.uid()) are not affected.
+-- ===========================================
+CREATE OR REPLACE FUNCTION public.enforce_shopper_item_update()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_allowed text[] := ARRAY['is_checked', 'checked_date', 'updated_date', 'revision'];
+BEGIN
+    IF auth.uid() IS NOT NULL
+       AND public.get_list_role(OLD.list_id, auth.uid()) = 'shopper'
+       AND (to_jsonb(NEW) - v_allowed) IS DISTINCT FROM (to_jsonb(OLD) - v_allowed) THEN
+        RAISE EXCEPTION 'Shoppers can only check items off'
+            USING ERRCODE = '42501';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS items_enforce_shopper_update ON public.items;
+CREATE TRIGGER items_enforce_shopper_update
+    BEFORE UPDATE ON public.items
+    FOR EACH ROW
+    EXECUTE FUNCTION public.enforce_shopper_item_update();
+
+
+-- ===========================================
+-- STEP 5: list_members policies
+-- Only the list owner holds the owner role
+-- ===========================================
+DROP POLICY IF EXISTS "List owners can manage members" ON public.list_members;
+DROP POLICY IF EXISTS "List owners can update members" ON public.list_members;
+
+CREATE POLICY "List owners can manage members" ON public.list_members
+    FOR INSERT
+    WITH CHECK (
+        user_owns_list(list_id, auth.uid())
+        AND (role <> 'owner' OR user_id = auth.uid())
+    );
+
+CREATE POLICY "List owners can update members" ON public.list_members
+    FOR UPDATE
+    USING (user_owns_list(list_id, auth.uid()))
+    WITH CHECK (role <> 'owner' OR user_id = auth.uid());
+
+
+-- ===========================================
+-- FUNCTION: Join List via Share Token
+-- Same as before, but the membership request carries the link's role
+-- ===========================================
+CREATE OR REPLACE FUNCTION public.join_list_via_share_token(share_token TEXT)
+RETURNS JSON AS $$
+DECLARE
+  v_user_id UUID;
+  v_user_email TEXT;
+  v_share_link RECORD;
+  v_existing_membership RECORD;
+  v_list_name TEXT;
+BEGIN
+  -- Get the authenticated user
+  v_user_id := auth.uid();
+  IF v_user_id IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'not_authenticated',
+      'message', 'You must be logged in to join a list'
+    );
+  END IF;
+
+  -- Get user email from profiles
+  SELECT email INTO v_user_email
+  FROM public.profiles
+  WHERE id = v_user_id;
+
+  -- Validate the share token exists and is active
+  SELECT sl.*, s.name as list_name
+  INTO v_share_link
+  FROM public.share_links sl
+  JOIN public.shopping_lists s ON s.id = sl.list_id
+  WHERE sl.token = share_token
+    AND sl.is_active = true
+    AND (sl.expires_at IS NULL OR sl.expires_at > NOW());
+
+  IF v_share_link IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'invalid_token',
+      'message', 'This share link is invalid or has expired'
+    );
+  END IF;
+
+  v_list_name := v_share_link.list_name;
+
+  -- Check if user is already a member
+  SELECT * INTO v_existing_membership
+  FROM public.list_members
+  WHERE list_id = v_share_link.list_id
+    AND user_id = v_user_id;
+
+  IF v_existing_membership IS NOT NULL THEN
+    IF v_existing_membership.status = 'approved' THEN
+      RETURN json_build_object(
+        'success', true,
+        'status', 'already_approved',
+        'list_id', v_share_link.list_id,
+        'list_name', v_list_name,
+        'role', v_existing_membership.role,
+        'message', 'You already have access to this list'
+      );
+    ELSE
+      -- Return 'already_pending' to differentiate from newly created pending memberships
+      -- This prevents duplicate activity tracking on repeat visits
+      RETURN json_build_object(
+        'success', true,
+        'status', 'already_pending',
+        'list_id', v_share_link.list_id,
+        'list_name', v_list_name,
+        'role', v_existing_membership.role,
+        'message', 'Your request is pending approval'
+      );
+    END IF;
+  END IF;
+
+  -- Create new membership request with the role the link grants
+  INSERT INTO public.list_members (list_id, user_id, user_email, role, status)
+  VALUES (v_share_link.list_id, v_user_id, v_user_email, COALESCE(v_share_link.role, 'editor'), 'pending');
+
+  RETURN json_build_object(
+    'success', true,
+    'status', 'pending',
+    'list_id', v_share_link.list_id,
+    'list_name', v_list_name,
+    'role', COALESCE(v_share_link.role, 'editor'),
+    'message', 'Access request sent! The owner will review your request.'
+  );
+
+EXCEPTION WHEN OTHERS THEN
+  RETURN json_build_object(
+    'success', false,
+    'error', 'server_error',
+    'message', 'An error occurred. Please try again.'
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.join_list_via_share_token(TEXT) TO authenticated;
+
+-- ===========================================
+-- FUNCTION: Validate Share Token
+-- Also returns the role the link grants so the join page can show it
+-- ===========================================
+CREATE OR REPLACE FUNCTION public.validate_share_token(share_token TEXT)
+RETURNS JSON AS $$
+DECLARE
+  v_share_link RECORD;
+BEGIN
+  -- Check if token exists and is active (no auth required for validation)
+  SELECT sl.list_id, sl.is_active, sl.expires_at, sl.role, s.name as list_name
+  INTO v_share_link
+  FROM public.share_links sl
+  JOIN public.shopping_lists s ON s.id = sl.list_id
+  WHERE sl.token = share_token
+    AND sl.is_active = true
+    AND (sl.expires_at IS NULL OR sl.expires_at > NOW());
+
+  IF v_share_link IS NULL THEN
+    RETURN json_build_object(
+      'valid', false,
+      'message', 'This share link is invalid or has expired'
+    );
+  END IF;
+
+  -- Return limited info (don't expose list_id to unauthenticated users)
+  RETURN json_build_object(
+    'valid', true,
+    'list_name', v_share_link.list_name,
+    'role', v_share_link.role
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.validate_share_token(TEXT) TO anon;
+GRANT EXECUTE ON FUNCTION public.validate_share_token(TEXT) TO authenticated;
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
@@ -0,0 +1,266 @@
+-- ===========================================
+-- Migration: Expiring and limited-use share links
+-- ===========================================
+-- PROBLEM: Share links never expire (ShareDialog never sets expires_at),
+-- can be used by any number of people, always need manual approval, and
+-- there is no record of who joined through which link.
+--
+-- SOLUTION:
+-- 1. share_links.max_uses / use_count: a link stops working once it has
+--    been used max_uses times (NULL = unlimited)
+-- 2. share_links.auto_approve: people joining are approved straight away
+--    (still subject to the shared-member limit)
+-- 3. share_link_joins: who joined through each link and when, visible to
+--    the list owner
+-- 4. join_list_via_share_token / validate_share_token enforce expiry,
+--    max uses and auto-approve server-side
+-- ===========================================
+
+-- ===========================================
+-- STEP 1: share_links columns
+-- ===========================================
+ALTER TABLE public.share_links
+ADD COLUMN IF NOT EXISTS max_uses integer,
+ADD COLUMN IF NOT EXISTS use_count integer DEFAULT 0 NOT NULL,
+ADD COLUMN IF NOT EXISTS auto_approve boolean DEFAULT false NOT NULL;
+
+ALTER TABLE public.share_links
+ADD CONSTRAINT share_links_max_uses_check CHECK (max_uses IS NULL OR max_uses > 0);
+
+COMMENT ON COLUMN public.share_links.max_uses IS 'Number of people who can join through this link (NULL = unlimited)';
+COMMENT ON COLUMN public.share_links.use_count IS 'Number of people who have joined through this link';
+COMMENT ON COLUMN public.share_links.auto_approve IS 'Approve people who join without waiting for the owner';
+
+
+-- ===========================================
+-- TABLE: share_link_joins
+-- ===========================================
+CREATE TABLE IF NOT EXISTS public.share_link_joins (
+    id uuid DEFAULT gen_random_uuid() NOT NULL,
+    share_link_id uuid NOT NULL,
+    list_id uuid NOT NULL,
+    user_id uuid,
+    user_email text,
+    status text NOT NULL,
+    created_date timestamp with time zone DEFAULT now(),
+    updated_date timestamp with time zone DEFAULT now(),
+    CONSTRAINT share_link_joins_pkey PRIMARY KEY (id),
+    CONSTRAINT share_link_joins_share_link_id_fkey FOREIGN KEY (share_link_id) REFERENCES public.share_links(id) ON DELETE CASCADE,
+    CONSTRAINT share_link_joins_list_id_fkey FOREIGN KEY (list_id) REFERENCES public.shopping_lists(id) ON DELETE CASCADE,
+    CONSTRAINT share_link_joins_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.profiles(id) ON DELETE SET NULL,
+    CONSTRAINT share_link_joins_status_check CHECK (status IN ('pending', 'approved'))
+);
+
+COMMENT ON TABLE public.share_link_joins IS 'Join history for share links; rows are written by join_list_via_share_token()';
+COMMENT ON COLUMN public.share_link_joins.status IS 'Membership status at the time of joining';
+
+CREATE INDEX IF NOT EXISTS idx_share_link_joins_share_link_id ON public.share_link_joins(share_link_id);
+CREATE INDEX IF NOT EXISTS idx_share_link_joins_list_id ON public.share_link_joins(list_id);
+
+ALTER TABLE public.share_link_joins ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for list owners; inserts only happen inside the SECURITY DEFINER join function
+CREATE POLICY "List owners can view share link joins" ON public.share_link_joins
+    FOR SELECT USING (public.user_owns_list(list_id, auth.uid()));
+
+
+-- ===========================================
+-- FUNCTION: Join List via Share Token
+-- Enforces expiry and max uses, auto-approves when the link allows it
+-- and records the join
+-- ===========================================
+CREATE OR REPLACE FUNCTION public.join_list_via_share_token(share_token TEXT)
+RETURNS JSON AS $$
+DECLARE
+  v_user_id UUID;
+  v_user_email TEXT;
+  v_share_link RECORD;
+  v_existing_membership RECORD;
+  v_list_name TEXT;
+  v_role TEXT;
+  v_status TEXT;
+  v_member_count INTEGER;
+  v_max_members CONSTANT INTEGER := 5; -- Matches MAX_SHARED_MEMBERS in ShareDialog
+BEGIN
+  -- Get the authenticated user
+  v_user_id := auth.uid();
+  IF v_user_id IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'not_authenticated',
+      'message', 'You must be logged in to join a list'
+    );
+  END IF;
+
+  -- Get user email from profiles
+  SELECT email INTO v_user_email
+  FROM public.profiles
+  WHERE id = v_user_id;
+
+  -- Validate the share token exists and is active
+  -- Row is locked so concurrent joins can't exceed max_uses
+  SELECT sl.*, s.name as list_name, s.owner_id as list_owner_id
+  INTO v_share_link
+  FROM public.share_links sl
+  JOIN public.shopping_lists s ON s.id = sl.list_id
+  WHERE sl.token = share_token
+    AND sl.is_active = true
+    AND (sl.expires_at IS NULL OR sl.expires_at > NOW())
+  FOR UPDATE OF sl;
+
+  IF v_share_link IS NULL THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'invalid_token',
+      'message', 'This share link is invalid or has expired'
+    );
+  END IF;
+
+  v_list_name := v_share_link.list_name;
+
+  -- Check if user is already a member
+  SELECT * INTO v_existing_membership
+  FROM public.list_members
+  WHERE list_id = v_share_link.list_id
+    AND user_id = v_user_id;
+
+  IF v_existing_membership IS NOT NULL THEN
+    IF v_existing_membership.status = 'approved' THEN
+      RETURN json_build_object(
+        'success', true,
+        'status', 'already_approved',
+        'list_id', v_share_link.list_id,
+        'list_name', v_list_name,
+        'role', v_existing_membership.role,
+        'message', 'You already have access to this list'
+      );
+    ELSE
+      -- Return 'already_pending' to differentiate from newly created pending memberships
+      -- This prevents duplicate activity tracking on repeat visits
+      RETURN json_build_object(
+        'success', true,
+        'status', 'already_pending',
+        'list_id', v_share_link.list_id,
+        'list_name', v_list_name,
+        'role', v_existing_membership.role,
+        'message', 'Your request is pending approval'
+      );
+    END IF;
+  END IF;
+
+  -- Existing members don't use up the link, so this is checked after them
+  IF v_share_link.max_uses IS NOT NULL AND v_share_link.use_count >= v_share_link.max_uses THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'link_used_up',
+      'message', 'This share link has already been used the maximum number of times'
+    );
+  END IF;
+
+  v_role := COALESCE(v_share_link.role, 'editor');
+  v_status := 'pending';
+
+  -- Auto-approved joins past the member limit fall back to a pending request
+  IF v_share_link.auto_approve THEN
+    SELECT COUNT(*) INTO v_member_count
+    FROM public.list_members
+    WHERE list_id = v_share_link.list_id
+      AND status = 'approved'
+      AND user_id IS DISTINCT FROM v_share_link.list_owner_id;
+
+    IF v_member_count < v_max_members THEN
+      v_status := 'approved';
+    END IF;
+  END IF;
+
+  INSERT INTO public.list_members (list_id, user_id, user_email, role, status)
+  VALUES (v_share_link.list_id, v_user_id, v_user_email, v_role, v_status);
+
+  UPDATE public.share_links
+  SET use_count = use_count + 1,
+      updated_date = NOW()
+  WHERE id = v_share_link.id;
+
+  INSERT INTO public.share_link_joins (share_link_id, list_id, user_id, user_email, status)
+  VALUES (v_share_link.id, v_share_link.list_id, v_user_id, v_user_email, v_status);
+
+  IF v_status = 'approved' THEN
+    RETURN json_build_object(
+      'success', true,
+      'status', 'approved',
+      'list_id', v_share_link.list_id,
+      'list_name', v_list_name,
+      'role', v_role,
+      'message', 'You now have access to this list!'
+    );
+  END IF;
+
+  RETURN json_build_object(
+    'success', true,
+    'status', 'pending',
+    'list_id', v_share_link.list_id,
+    'list_name', v_list_name,
+    'role', v_role,
+    'message', 'Access request sent! The owner will review your request.'
+  );
+
+EXCEPTION WHEN OTHERS THEN
+  RETURN json_build_object(
+    'success', false,
+    'error', 'server_error',
+    'message', 'An error occurred. Please try again.'
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.join_list_via_share_token(TEXT) TO authenticated;
+
+-- ===========================================
+-- FUNCTION: Validate Share Token
+-- Treats used-up links as invalid
+-- ===========================================
+CREATE OR REPLACE FUNCTION public.validate_share_token(share_token TEXT)
+RETURNS JSON AS $$
+DECLARE
+  v_share_link RECORD;
+BEGIN
+  -- Check if token exists and is active (no auth required for validation)
+  SELECT sl.list_id, sl.is_active, sl.expires_at, sl.role, sl.max_uses, sl.use_count,
+         sl.auto_approve, s.name as list_name
+  INTO v_share_link
+  FROM public.share_links sl
+  JOIN public.shopping_lists s ON s.id = sl.list_id
+  WHERE sl.token = share_token
+    AND sl.is_active = true
+    AND (sl.expires_at IS NULL OR sl.expires_at > NOW());
+
+  IF v_share_link IS NULL THEN
+    RETURN json_build_object(
+      'valid', false,
+      'message', 'This share link is invalid or has expired'
+    );
+  END IF;
+
+  IF v_share_link.max_uses IS NOT NULL AND v_share_link.use_count >= v_share_link.max_uses THEN
+    RETURN json_build_object(
+      'valid', false,
+      'message', 'This share link has already been used the maximum number of times'
+    );
+  END IF;
+
+  -- Return limited info (don't expose list_id to unauthenticated users)
+  RETURN json_build_object(
+    'valid', true,
+    'list_name', v_share_link.list_name,
+    'role', v_share_link.role,
+    'auto_approve', v_share_link.auto_approve
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.validate_share_token(TEXT) TO anon;
+GRANT EXECUTE ON FUNCTION public.validate_share_token(TEXT) TO authenticated;
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
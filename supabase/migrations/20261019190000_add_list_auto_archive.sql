@@ -0,0 +1,98 @@
+-- ===========================================
+-- Migration: Archived lists and automatic archiving
+-- ===========================================
+-- PROBLEM: shopping_lists.archived exists but nothing sets it, so old lists
+-- pile up and keep counting toward the list limit.
+--
+-- SOLUTION:
+-- 1. shopping_lists.archived_date: when the list was archived (shown in the
+--    Archive tab)
+-- 2. profiles.auto_archive_after_days: optional rule - archive the user's
+--    own lists when neither the list nor any of its items changed for N days
+-- 3. auto_archive_stale_lists(): applies the rule for the current user and
+--    returns what was archived so the client can update usage counts
+--    (get_user_resource_counts already skips archived lists)
+-- ===========================================
+
+ALTER TABLE public.shopping_lists
+ADD COLUMN IF NOT EXISTS archived_date timestamp with time zone;
+
+COMMENT ON COLUMN public.shopping_lists.archived_date IS 'When the list was archived (NULL while active)';
+
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS auto_archive_after_days integer;
+
+ALTER TABLE public.profiles
+ADD CONSTRAINT profiles_auto_archive_after_days_check
+CHECK (auto_archive_after_days IS NULL OR auto_archive_after_days > 0);
+
+COMMENT ON COLUMN public.profiles.auto_archive_after_days IS 'Archive own lists untouched for this many days (NULL = off)';
+
+-- ===========================================
+-- FUNCTION: auto_archive_stale_lists
+-- Runs as the caller, so RLS limits it to lists the user can update (own lists)
+-- ===========================================
+CREATE OR REPLACE FUNCTION public.auto_archive_stale_lists()
+RETURNS JSON
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_days INTEGER;
+  v_list_ids UUID[];
+  v_item_count INTEGER;
+BEGIN
+  SELECT auto_archive_after_days INTO v_days
+  FROM public.profiles
+  WHERE id = auth.uid();
+
+  IF v_days IS NULL THEN
+    RETURN json_build_object('archived_count', 0, 'item_count', 0, 'list_ids', '[]'::json);
+  END IF;
+
+  WITH stale AS (
+    SELECT sl.id
+    FROM public.shopping_lists sl
+    WHERE sl.owner_id = auth.uid()
+      AND NOT COALESCE(sl.archived, false)
+      AND GREATEST(
+        COALESCE(sl.updated_date, sl.created_date),
+        COALESCE((
+          SELECT MAX(COALESCE(i.updated_date, i.created_date))
+          FROM public.items i
+          WHERE i.list_id = sl.id
+        ), sl.created_date)
+      ) < NOW() - make_interval(days => v_days)
+  ),
+  archived AS (
+    UPDATE public.shopping_lists sl
+    SET archived = true,
+        archived_date = NOW(),
+        updated_date = NOW()
+    FROM stale
+    WHERE sl.id = stale.id
+    RETURNING sl.id
+  )
+  SELECT ARRAY_AGG(id) INTO v_list_ids FROM archived;
+
+  IF v_list_ids IS NULL THEN
+    RETURN json_build_object('archived_count', 0, 'item_count', 0, 'list_ids', '[]'::json);
+  END IF;
+
+  SELECT COUNT(*) INTO v_item_count
+  FROM public.items
+  WHERE list_id = ANY(v_list_ids);
+
+  RETURN json_build_object(
+    'archived_count', array_length(v_list_ids, 1),
+    'item_count', v_item_count,
+    'list_ids', to_json(v_list_ids)
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.auto_archive_stale_lists() TO authenticated;
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
@@ -0,0 +1,255 @@
+-- ===========================================
+-- Migration: Trash (soft delete) for lists, items and tasks
+-- ===========================================
+-- PROBLEM: Deleting a list, item or task removes it immediately, so a
+-- mis-tap loses data for good.
+--
+-- SOLUTION:
+-- 1. deleted_at on shopping_lists, items and todos: the app sets it instead
+--    of deleting, hides those rows, and can clear it again (Undo / Trash page)
+-- 2. get_user_resource_counts and auto_archive_stale_lists skip deleted rows
+-- 3. purge_deleted_records(): hard-deletes anything that has been in the
+--    trash for more than 30 days, scheduled daily with pg_cron
+--
+-- Deleting a list only marks the list itself - its items, members and share
+-- links stay as they are so restoring brings everything back, and go away
+-- (ON DELETE CASCADE) when the list is purged.
+-- ===========================================
+
+-- ===========================================
+-- STEP 1: deleted_at columns
+-- ===========================================
+ALTER TABLE public.shopping_lists
+ADD COLUMN IF NOT EXISTS deleted_at timestamp with time zone;
+
+ALTER TABLE public.items
+ADD COLUMN IF NOT EXISTS deleted_at timestamp with time zone;
+
+ALTER TABLE public.todos
+ADD COLUMN IF NOT EXISTS deleted_at timestamp with time zone;
+
+COMMENT ON COLUMN public.shopping_lists.deleted_at IS 'When the list was moved to the trash (NULL = not deleted)';
+COMMENT ON COLUMN public.items.deleted_at IS 'When the item was moved to the trash (NULL = not deleted)';
+COMMENT ON COLUMN public.todos.deleted_at IS 'When the task was moved to the trash (NULL = not deleted)';
+
+-- Only the (few) trashed rows are indexed - used by the Trash page and the purge job
+CREATE INDEX IF NOT EXISTS idx_shopping_lists_deleted_at ON public.shopping_lists(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_items_deleted_at ON public.items(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_todos_deleted_at ON public.todos(deleted_at) WHERE deleted_at IS NOT NULL;
+
+
+-- ===========================================
+-- STEP 2: Resource counts skip the trash
+-- ===========================================
+CREATE OR REPLACE FUNCTION public.get_user_resource_counts(p_user_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+STABLE
+AS $$
+DECLARE
+    v_family_group_id uuid;
+    v_family_member_ids uuid[];
+    v_shopping_lists_count integer;
+    v_total_items_count integer;
+    v_tasks_count integer;
+    v_custom_recipes_count integer;
+BEGIN
+    -- Get user's family group ID
+    SELECT family_group_id INTO v_family_group_id
+    FROM public.profiles
+    WHERE id = p_user_id;
+    
+    -- Get all family member IDs if user is in a family
+    IF v_family_group_id IS NOT NULL THEN
+        SELECT ARRAY_AGG(user_id) INTO v_family_member_ids
+        FROM public.family_members
+        WHERE family_group_id = v_family_group_id
+        AND status = 'approved';
+    ELSE
+        v_family_member_ids := ARRAY[p_user_id];
+    END IF;
+    
+    -- Count shopping lists (owned + family-shared from family members)
+    SELECT COUNT(*) INTO v_shopping_lists_count
+    FROM public.shopping_lists sl
+    WHERE NOT sl.archived
+    AND sl.deleted_at IS NULL
+    AND (
+        sl.owner_id = p_user_id
+        OR (
+            sl.shared_with_family = true
+            AND sl.owner_id = ANY(v_family_member_ids)
+        )
+    );
+    
+    -- Count total items in accessible lists
+    SELECT COUNT(*) INTO v_total_items_count
+    FROM public.items i
+    JOIN public.shopping_lists sl ON sl.id = i.list_id
+    WHERE i.deleted_at IS NULL
+    AND NOT sl.archived
+    AND sl.deleted_at IS NULL
+    AND (
+        sl.owner_id = p_user_id
+        OR (
+            sl.shared_with_family = true
+            AND sl.owner_id = ANY(v_family_member_ids)
+        )
+    );
+    
+    -- Count tasks (owned + family-shared from family members)
+    SELECT COUNT(*) INTO v_tasks_count
+    FROM public.todos t
+    WHERE t.deleted_at IS NULL
+    AND (
+        t.created_by = (SELECT email FROM public.profiles WHERE id = p_user_id)
+        OR (
+            t.shared_with_family = true
+            AND t.created_by IN (
+                SELECT email FROM public.profiles WHERE id = ANY(v_family_member_ids)
+            )
+        )
+    );
+    
+    -- Count custom recipes (all from family members are shared)
+    SELECT COUNT(*) INTO v_custom_recipes_count
+    FROM public.recipes r
+    WHERE r.generated_by_user_id = ANY(v_family_member_ids)
+    AND r.is_user_generated = true;
+    
+    RETURN jsonb_build_object(
+        'shopping_lists', v_shopping_lists_count,
+        'total_items', v_total_items_count,
+        'tasks', v_tasks_count,
+        'custom_recipes', v_custom_recipes_count
+    );
+END;
+$$;
+
+COMMENT ON FUNCTION public.get_user_resource_counts IS 'Returns counts of all resources accessible to user (owned + family-shared)';
+GRANT EXECUTE ON FUNCTION public.get_user_resource_counts(uuid) TO authenticated;
+
+-- ===========================================
+-- STEP 3: Auto-archive skips the trash
+-- ===========================================
+CREATE OR REPLACE FUNCTION public.auto_archive_stale_lists()
+RETURNS JSON
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_days INTEGER;
+  v_list_ids UUID[];
+  v_item_count INTEGER;
+BEGIN
+  SELECT auto_archive_after_days INTO v_days
+  FROM public.profiles
+  WHERE id = auth.uid();
+
+  IF v_days IS NULL THEN
+    RETURN json_build_object('archived_count', 0, 'item_count', 0, 'list_ids', '[]'::json);
+  END IF;
+
+  WITH stale AS (
+    SELECT sl.id
+    FROM public.shopping_lists sl
+    WHERE sl.owner_id = auth.uid()
+      AND NOT COALESCE(sl.archived, false)
+      AND sl.deleted_at IS NULL
+      AND GREATEST(
+        COALESCE(sl.updated_date, sl.created_date),
+        COALESCE((
+          SELECT MAX(COALESCE(i.updated_date, i.created_date))
+          FROM public.items i
+          WHERE i.list_id = sl.id
+        ), sl.created_date)
+      ) < NOW() - make_interval(days => v_days)
+  ),
+  archived AS (
+    UPDATE public.shopping_lists sl
+    SET archived = true,
+        archived_date = NOW(),
+        updated_date = NOW()
+    FROM stale
+    WHERE sl.id = stale.id
+    RETURNING sl.id
+  )
+  SELECT ARRAY_AGG(id) INTO v_list_ids FROM archived;
+
+  IF v_list_ids IS NULL THEN
+    RETURN json_build_object('archived_count', 0, 'item_count', 0, 'list_ids', '[]'::json);
+  END IF;
+
+  SELECT COUNT(*) INTO v_item_count
+  FROM public.items
+  WHERE list_id = ANY(v_list_ids)
+    AND deleted_at IS NULL;
+
+  RETURN json_build_object(
+    'archived_count', array_length(v_list_ids, 1),
+    'item_count', v_item_count,
+    'list_ids', to_json(v_list_ids)
+  );
+END;
+$$;
+
+
+-- ===========================================
+-- STEP 4: Purge job
+-- Not callable by users - runs from pg_cron (or the service role)
+-- ===========================================
+CREATE OR REPLACE FUNCTION public.purge_deleted_records(p_retention_days INTEGER DEFAULT 30)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_cutoff TIMESTAMPTZ := NOW() - make_interval(days => p_retention_days);
+  v_lists INTEGER;
+  v_items INTEGER;
+  v_todos INTEGER;
+BEGIN
+  -- Items first so the count doesn't include items removed by the list cascade
+  DELETE FROM public.items WHERE deleted_at < v_cutoff;
+  GET DIAGNOSTICS v_items = ROW_COUNT;
+
+  DELETE FROM public.shopping_lists WHERE deleted_at < v_cutoff;
+  GET DIAGNOSTICS v_lists = ROW_COUNT;
+
+  DELETE FROM public.todos WHERE deleted_at < v_cutoff;
+  GET DIAGNOSTICS v_todos = ROW_COUNT;
+
+  RETURN json_build_object(
+    'lists', v_lists,
+    'items', v_items,
+    'todos', v_todos
+  );
+END;
+$$;
+
+COMMENT ON FUNCTION public.purge_deleted_records IS 'Hard-deletes lists, items and tasks that have been in the trash longer than the retention period';
+REVOKE EXECUTE ON FUNCTION public.purge_deleted_records(INTEGER) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.purge_deleted_records(INTEGER) TO service_role;
+
+-- Run daily at 03:00 UTC where pg_cron is available (enable it under
+-- Database > Extensions, then re-run this block if it was skipped)
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_available_extensions WHERE name = 'pg_cron') THEN
+    CREATE EXTENSION IF NOT EXISTS pg_cron;
+    PERFORM cron.schedule(
+      'purge-deleted-records',
+      '0 3 * * *',
+      'SELECT public.purge_deleted_records()'
+    );
+  ELSE
+    RAISE NOTICE 'pg_cron is not available - schedule purge_deleted_records() another way';
+  END IF;
+END;
+$$;
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
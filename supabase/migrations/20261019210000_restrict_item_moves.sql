@@ -0,0 +1,52 @@
+-- ===========================================
+-- Migration: Only editors can move items into a list
+-- ===========================================
+-- PROBLEM: Moving an item to another list is an UPDATE of list_id, and the
+-- items UPDATE policy only requires shopper access. Someone who is an
+-- editor on one list but only a shopper on another could move items into
+-- the list they aren't allowed to add to.
+--
+-- SOLUTION:
+-- enforce_shopper_item_update() also checks that a changed list_id points
+-- at a list the user is at least an editor on. Server-side callers (no
+-- auth.uid()) are still not affected.
+-- ===========================================
+
+-- ===========================================
+-- STEP 1: FUNCTION: enforce_shopper_item_update
+-- ===========================================
+CREATE OR REPLACE FUNCTION public.enforce_shopper_item_update()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_allowed text[] := ARRAY['is_checked', 'checked_date', 'updated_date', 'revision'];
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF public.get_list_role(OLD.list_id, auth.uid()) = 'shopper'
+       AND (to_jsonb(NEW) - v_allowed) IS DISTINCT FROM (to_jsonb(OLD) - v_allowed) THEN
+        RAISE EXCEPTION 'Shoppers can only check items off'
+            USING ERRCODE = '42501';
+    END IF;
+
+    IF NEW.list_id IS DISTINCT FROM OLD.list_id
+       AND NOT public.has_list_role(NEW.list_id, 'editor') THEN
+        RAISE EXCEPTION 'Only editors can move items to this list'
+            USING ERRCODE = '42501';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+COMMENT ON FUNCTION public.enforce_shopper_item_update() IS
+'Limits shoppers to checking items off, and requires editor access on the destination list when an item is moved.';
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
@@ -0,0 +1,52 @@
+-- ===========================================
+-- Migration: Meal Planner
+-- ===========================================
+-- PROBLEM: Recipes and shopping lists are only connected one recipe at a
+-- time ("Add to List" on a recipe), so shopping for a week of meals means
+-- adding every recipe separately and merging the duplicates by hand.
+--
+-- SOLUTION:
+-- meal_plan_entries: a recipe planned for a day, with the number of
+-- servings to cook. The app turns a week of entries into one consolidated
+-- shopping list (ingredients scaled by servings and merged).
+-- ===========================================
+
+-- ===========================================
+-- TABLE: meal_plan_entries
+-- ===========================================
+CREATE TABLE IF NOT EXISTS public.meal_plan_entries (
+    id uuid DEFAULT gen_random_uuid() NOT NULL,
+    owner_id uuid NOT NULL,
+    recipe_id uuid NOT NULL,
+    planned_date date NOT NULL,
+    servings integer,
+    created_date timestamp with time zone DEFAULT now(),
+    updated_date timestamp with time zone DEFAULT now(),
+    CONSTRAINT meal_plan_entries_pkey PRIMARY KEY (id),
+    CONSTRAINT meal_plan_entries_owner_id_fkey FOREIGN KEY (owner_id) REFERENCES public.profiles(id) ON DELETE CASCADE,
+    CONSTRAINT meal_plan_entries_recipe_id_fkey FOREIGN KEY (recipe_id) REFERENCES public.recipes(id) ON DELETE CASCADE,
+    CONSTRAINT meal_plan_entries_servings_check CHECK (servings IS NULL OR servings > 0)
+);
+
+COMMENT ON TABLE public.meal_plan_entries IS 'Recipes planned for a day in the user''s meal plan';
+COMMENT ON COLUMN public.meal_plan_entries.servings IS 'Servings to cook; NULL = the recipe''s own servings';
+
+CREATE INDEX IF NOT EXISTS idx_meal_plan_entries_owner_date ON public.meal_plan_entries(owner_id, planned_date);
+
+ALTER TABLE public.meal_plan_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own meal plan" ON public.meal_plan_entries
+    FOR SELECT USING (owner_id = auth.uid());
+
+CREATE POLICY "Users can add to own meal plan" ON public.meal_plan_entries
+    FOR INSERT WITH CHECK (owner_id = auth.uid());
+
+CREATE POLICY "Users can update own meal plan" ON public.meal_plan_entries
+    FOR UPDATE USING (owner_id = auth.uid());
+
+CREATE POLICY "Users can delete from own meal plan" ON public.meal_plan_entries
+    FOR DELETE USING (owner_id = auth.uid());
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
@@ -0,0 +1,137 @@
+-- ===========================================
+-- Migration: Pantry Inventory
+-- ===========================================
+-- PROBLEM: Once a shopping trip is completed the bought items disappear
+-- from the app, so there is no record of what is at home or what is about
+-- to go off - and no way to pick a recipe that uses it up.
+--
+-- SOLUTION:
+-- 1. pantry_items: what the user has at home, with quantity and an
+--    optional expiry date. Completing a shopping trip stocks the bought
+--    items; cooking a recipe takes its ingredients back out.
+-- 2. get_recipes_for_expiring_pantry(): recipes whose ingredients mention
+--    pantry items that expire soon, best matches first.
+-- ===========================================
+
+-- ===========================================
+-- TABLE: pantry_items
+-- ===========================================
+CREATE TABLE IF NOT EXISTS public.pantry_items (
+    id uuid DEFAULT gen_random_uuid() NOT NULL,
+    owner_id uuid NOT NULL,
+    name text NOT NULL,
+    quantity text,
+    amount numeric,
+    unit text,
+    category text DEFAULT 'Other',
+    photo_url text,
+    expires_on date,
+    source_list_id uuid,
+    created_date timestamp with time zone DEFAULT now(),
+    updated_date timestamp with time zone DEFAULT now(),
+    CONSTRAINT pantry_items_pkey PRIMARY KEY (id),
+    CONSTRAINT pantry_items_owner_id_fkey FOREIGN KEY (owner_id) REFERENCES public.profiles(id) ON DELETE CASCADE,
+    CONSTRAINT pantry_items_source_list_id_fkey FOREIGN KEY (source_list_id) REFERENCES public.shopping_lists(id) ON DELETE SET NULL
+);
+
+COMMENT ON TABLE public.pantry_items IS 'Groceries the user has at home';
+COMMENT ON COLUMN public.pantry_items.expires_on IS 'Use-by date; NULL = does not expire / unknown';
+COMMENT ON COLUMN public.pantry_items.source_list_id IS 'Shopping list the item was bought from, if any';
+
+CREATE INDEX IF NOT EXISTS idx_pantry_items_owner_expiry ON public.pantry_items(owner_id, expires_on);
+
+ALTER TABLE public.pantry_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own pantry" ON public.pantry_items
+    FOR SELECT USING (owner_id = auth.uid());
+
+CREATE POLICY "Users can add to own pantry" ON public.pantry_items
+    FOR INSERT WITH CHECK (owner_id = auth.uid());
+
+CREATE POLICY "Users can update own pantry" ON public.pantry_items
+    FOR UPDATE USING (owner_id = auth.uid());
+
+CREATE POLICY "Users can delete from own pantry" ON public.pantry_items
+    FOR DELETE USING (owner_id = auth.uid());
+
+-- ===========================================
+-- FUNCTION: get_recipes_for_expiring_pantry
+-- ===========================================
+-- An ingredient line matches a pantry item when it contains the item name
+-- as a word, singular or plural ("2 ripe tomatoes" matches "Tomato").
+-- Names shorter than 3 characters are skipped, they match too much.
+CREATE OR REPLACE FUNCTION public.get_recipes_for_expiring_pantry(
+    p_within_days integer DEFAULT 3,
+    p_limit integer DEFAULT 10
+)
+RETURNS TABLE (
+    recipe_id uuid,
+    full_title text,
+    photo_url text,
+    cooking_time text,
+    matched_items text[],
+    match_count integer,
+    soonest_expiry date
+)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    WITH expiring AS (
+        SELECT
+            p.name,
+            p.expires_on,
+            -- word-start match on the singular stem, regex characters escaped
+            '\m' || regexp_replace(
+                regexp_replace(lower(trim(p.name)), '(es|s)$', ''),
+                '([^[:alnum:] ])', '\\\1', 'g'
+            ) AS pattern
+        FROM pantry_items p
+        WHERE p.owner_id = auth.uid()
+          AND p.expires_on BETWEEN CURRENT_DATE AND CURRENT_DATE + p_within_days
+          AND length(trim(p.name)) >= 3
+    ),
+    candidate_recipes AS (
+        SELECT r.id, r.full_title, r.photo_url, r.cooking_time, r.ingredients
+        FROM recipes r
+        WHERE r.is_user_generated IS NOT TRUE
+           OR r.generated_by_user_id = auth.uid()
+           OR r.generated_by_user_id IN (SELECT get_user_family_member_ids(auth.uid()))
+    ),
+    ingredient_lines AS (
+        SELECT
+            cr.id AS recipe_id,
+            lower(CASE jsonb_typeof(line) WHEN 'string' THEN line #>> '{}' ELSE line ->> 'name' END) AS line
+        FROM candidate_recipes cr
+        CROSS JOIN LATERAL jsonb_array_elements(
+            CASE jsonb_typeof(cr.ingredients) WHEN 'array' THEN cr.ingredients ELSE '[]'::jsonb END
+        ) AS line
+    ),
+    matches AS (
+        SELECT DISTINCT il.recipe_id, e.name, e.expires_on
+        FROM ingredient_lines il
+        JOIN expiring e ON il.line ~ e.pattern
+    )
+    SELECT
+        cr.id,
+        cr.full_title,
+        cr.photo_url,
+        cr.cooking_time,
+        array_agg(DISTINCT m.name ORDER BY m.name),
+        count(DISTINCT m.name)::integer,
+        min(m.expires_on)
+    FROM matches m
+    JOIN candidate_recipes cr ON cr.id = m.recipe_id
+    GROUP BY cr.id, cr.full_title, cr.photo_url, cr.cooking_time
+    ORDER BY count(DISTINCT m.name) DESC, min(m.expires_on), cr.full_title
+    LIMIT p_limit;
+$$;
+
+COMMENT ON FUNCTION public.get_recipes_for_expiring_pantry(integer, integer) IS
+'Recipes that use the current user''s pantry items expiring within p_within_days, most matched items first';
+
+GRANT EXECUTE ON FUNCTION public.get_recipes_for_expiring_pantry(integer, integer) TO authenticated;
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
@@ -0,0 +1,41 @@
+-- ===========================================
+-- Migration: Recurring Tasks
+-- ===========================================
+-- PROBLEM: Tasks have a due date but no way to repeat, so "take out the
+-- trash every Tuesday" has to be re-created by hand every week.
+--
+-- SOLUTION:
+-- todos.recurrence: the repeat rule. Completing a recurring task creates
+-- the next occurrence with the rule, and the completed task drops it (so
+-- only the newest occurrence repeats).
+--
+-- Like due_date/due_time the rule is NOT encrypted: it holds no task
+-- content, and scheduling needs to read it (see taskEncryption.js).
+-- ===========================================
+
+-- ===========================================
+-- SCHEMA MODIFICATIONS: todos
+-- ===========================================
+ALTER TABLE public.todos
+ADD COLUMN IF NOT EXISTS recurrence jsonb;
+
+ALTER TABLE public.todos
+DROP CONSTRAINT IF EXISTS todos_recurrence_check;
+
+ALTER TABLE public.todos
+ADD CONSTRAINT todos_recurrence_check CHECK (
+    recurrence IS NULL
+    OR recurrence->>'freq' = ANY (ARRAY['daily', 'weekly', 'monthly', 'after_completion'])
+);
+
+COMMENT ON COLUMN public.todos.recurrence IS
+'Repeat rule, NULL = does not repeat. One of:
+  {"freq": "daily"}
+  {"freq": "weekly", "weekdays": [2, 4]}             -- 0 = Sunday
+  {"freq": "monthly", "day": 15}                     -- day of month (clamped to the month''s last day)
+  {"freq": "monthly", "week": 2, "weekday": 2}       -- 2nd Tuesday; week -1 = last
+  {"freq": "after_completion", "days": 3}            -- 3 days after it is completed';
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
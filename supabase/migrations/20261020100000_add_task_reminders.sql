@@ -0,0 +1,41 @@
+-- ===========================================
+-- Migration: Task Reminders
+-- ===========================================
+-- PROBLEM: Due dates are left unencrypted so notifications can be built on
+-- them, but nothing ever reminds the user that a task is due.
+--
+-- SOLUTION:
+-- todos.reminder_minutes_before: remind N minutes before the due date/time
+-- (0 = at the due time; tasks without a due time count as due at 9am).
+-- todos.reminder_at: a custom reminder time instead of an offset.
+--
+-- Reminders are scheduled on each device as local notifications (see
+-- src/utils/taskReminders.js), so no server-side job is needed. Like
+-- due_date/due_time these columns are NOT encrypted: they hold no task
+-- content, and scheduling needs to read them.
+-- ===========================================
+
+-- ===========================================
+-- SCHEMA MODIFICATIONS: todos
+-- ===========================================
+ALTER TABLE public.todos
+ADD COLUMN IF NOT EXISTS reminder_minutes_before integer,
+ADD COLUMN IF NOT EXISTS reminder_at timestamptz;
+
+ALTER TABLE public.todos
+DROP CONSTRAINT IF EXISTS todos_reminder_minutes_before_check;
+
+ALTER TABLE public.todos
+ADD CONSTRAINT todos_reminder_minutes_before_check CHECK (
+    reminder_minutes_before IS NULL OR reminder_minutes_before >= 0
+);
+
+COMMENT ON COLUMN public.todos.reminder_minutes_before IS
+'Remind this many minutes before the task is due (0 = at the due time). NULL = no reminder, unless reminder_at is set.';
+
+COMMENT ON COLUMN public.todos.reminder_at IS
+'Custom reminder time. Takes precedence over reminder_minutes_before.';
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
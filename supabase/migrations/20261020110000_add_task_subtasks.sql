@@ -0,0 +1,31 @@
+-- ===========================================
+-- Migration: Task Checklists (Subtasks)
+-- ===========================================
+-- PROBLEM: A task can only hold a free-text description, so multi-step
+-- tasks ("pack for the trip") have no way to track their steps.
+--
+-- SOLUTION:
+-- todos.subtasks: the task's checklist, an ordered JSON array of
+-- {id, title, done} items. It is encrypted client-side as ONE value, like
+-- title and description (see taskEncryption.js), which is why it's text
+-- rather than jsonb - the server sees neither the items nor their count.
+-- todos.complete_with_subtasks: complete the task when its last item is
+-- checked off.
+-- ===========================================
+
+-- ===========================================
+-- SCHEMA MODIFICATIONS: todos
+-- ===========================================
+ALTER TABLE public.todos
+ADD COLUMN IF NOT EXISTS subtasks text,
+ADD COLUMN IF NOT EXISTS complete_with_subtasks boolean NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN public.todos.subtasks IS
+'Encrypted (ENC:...) JSON array of checklist items [{"id", "title", "done"}], in display order. NULL = no checklist.';
+
+COMMENT ON COLUMN public.todos.complete_with_subtasks IS
+'Complete the task automatically when all of its checklist items are done.';
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
@@ -0,0 +1,143 @@
+-- ===========================================
+-- Migration: Task Assignment
+-- ===========================================
+-- PROBLEM: Family-shared tasks are visible to the whole family but nobody
+-- owns them, so "who's picking up the dry cleaning?" is settled outside
+-- the app.
+--
+-- SOLUTION:
+-- 1. todos.assigned_to: the family member responsible for the task. Only
+--    family-shared tasks can be assigned - the assignee needs the family
+--    key to decrypt them (see taskEncryption.js) and RLS to see them.
+-- 2. A trigger checks the assignee is an approved member of the task
+--    owner's family group - the FK and CHECK alone accept any profile.
+--    Assignments to or from a member are cleared when they leave the
+--    family, so recurring tasks don't copy a stale assignee forward.
+-- 3. todos joins the realtime publication, so an assignee's task list
+--    picks up new assignments live. Realtime respects the existing todos
+--    SELECT policy, so members only receive tasks they can already see.
+-- ===========================================
+
+-- ===========================================
+-- SCHEMA MODIFICATIONS: todos
+-- ===========================================
+ALTER TABLE public.todos
+ADD COLUMN IF NOT EXISTS assigned_to uuid;
+
+ALTER TABLE public.todos
+DROP CONSTRAINT IF EXISTS todos_assigned_to_fkey;
+
+ALTER TABLE public.todos
+ADD CONSTRAINT todos_assigned_to_fkey
+FOREIGN KEY (assigned_to) REFERENCES public.profiles(id) ON DELETE SET NULL;
+
+ALTER TABLE public.todos
+DROP CONSTRAINT IF EXISTS todos_assigned_to_shared_check;
+
+ALTER TABLE public.todos
+ADD CONSTRAINT todos_assigned_to_shared_check CHECK (
+    assigned_to IS NULL OR shared_with_family = true
+);
+
+COMMENT ON COLUMN public.todos.assigned_to IS
+'Family member (profiles.id) responsible for a family-shared task. NULL = unassigned.';
+
+CREATE INDEX IF NOT EXISTS idx_todos_assigned_to ON public.todos(assigned_to) WHERE assigned_to IS NOT NULL;
+
+-- ===========================================
+-- FUNCTION: validate_todo_assignee
+-- The family group is the task owner's (todos.created_by is their email).
+-- Only runs when the assignment, sharing or owner changes, so edits to
+-- other fields never trip over an assignee's membership.
+-- ===========================================
+CREATE OR REPLACE FUNCTION public.validate_todo_assignee()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.assigned_to IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM public.family_members owner_fm
+        JOIN public.profiles owner_p ON owner_p.id = owner_fm.user_id
+        JOIN public.family_members assignee_fm
+            ON assignee_fm.family_group_id = owner_fm.family_group_id
+        WHERE owner_p.email = NEW.created_by
+        AND owner_fm.status = 'approved'
+        AND assignee_fm.user_id = NEW.assigned_to
+        AND assignee_fm.status = 'approved'
+    ) THEN
+        RAISE EXCEPTION 'Tasks can only be assigned to approved members of the owner''s family'
+            USING ERRCODE = '23514';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS todos_validate_assignee ON public.todos;
+CREATE TRIGGER todos_validate_assignee
+    BEFORE INSERT OR UPDATE OF assigned_to, shared_with_family, created_by ON public.todos
+    FOR EACH ROW
+    EXECUTE FUNCTION public.validate_todo_assignee();
+
+-- ===========================================
+-- FUNCTION: clear_departed_member_assignments
+-- A user belongs to at most one family, so every assignment to them, and
+-- every assignment on their own tasks, came from the family they left.
+-- ===========================================
+CREATE OR REPLACE FUNCTION public.clear_departed_member_assignments()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF OLD.status <> 'approved' THEN
+        RETURN NULL;
+    END IF;
+    IF TG_OP = 'UPDATE'
+       AND NEW.status = 'approved'
+       AND NEW.family_group_id = OLD.family_group_id THEN
+        RETURN NULL;
+    END IF;
+
+    UPDATE public.todos
+    SET assigned_to = NULL
+    WHERE assigned_to IS NOT NULL
+    AND (
+        assigned_to = OLD.user_id
+        OR created_by = (SELECT email FROM public.profiles WHERE id = OLD.user_id)
+    );
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS family_members_clear_assignments ON public.family_members;
+CREATE TRIGGER family_members_clear_assignments
+    AFTER UPDATE OF status, family_group_id OR DELETE ON public.family_members
+    FOR EACH ROW
+    EXECUTE FUNCTION public.clear_departed_member_assignments();
+
+-- ===========================================
+-- REALTIME: Enable realtime for todos table
+-- ===========================================
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime'
+        AND schemaname = 'public'
+        AND tablename = 'todos'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE public.todos;
+    END IF;
+END $$;
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
@@ -0,0 +1,56 @@
+-- ===========================================
+-- Migration: Task Calendar Feeds
+-- ===========================================
+-- PROBLEM: Tasks can be exported as an .ics file, but a calendar app only
+-- sees the tasks as they were at export time.
+--
+-- SOLUTION: task_calendar_feeds holds one published iCalendar file per
+-- user, served by the task-calendar-feed edge function at a secret token
+-- URL that calendar apps subscribe to.
+--
+-- Task titles are encrypted in todos, so the server can't build the feed.
+-- The app builds it from the tasks it has already decrypted and uploads it
+-- (refreshing it whenever the task list changes). Publishing is opt-in:
+-- the feed is plaintext, readable by anyone with the link, and deleting
+-- the row turns it off and invalidates the link.
+-- ===========================================
+
+-- ===========================================
+-- TABLE: task_calendar_feeds
+-- ===========================================
+CREATE TABLE IF NOT EXISTS public.task_calendar_feeds (
+    id uuid DEFAULT gen_random_uuid() NOT NULL,
+    owner_id uuid NOT NULL,
+    token text DEFAULT replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', '') NOT NULL,
+    ics text DEFAULT '' NOT NULL,
+    created_date timestamp with time zone DEFAULT now(),
+    updated_date timestamp with time zone DEFAULT now(),
+    CONSTRAINT task_calendar_feeds_pkey PRIMARY KEY (id),
+    CONSTRAINT task_calendar_feeds_owner_id_key UNIQUE (owner_id),
+    CONSTRAINT task_calendar_feeds_token_key UNIQUE (token),
+    CONSTRAINT task_calendar_feeds_owner_id_fkey FOREIGN KEY (owner_id) REFERENCES public.profiles(id) ON DELETE CASCADE
+);
+
+COMMENT ON TABLE public.task_calendar_feeds IS 'Opt-in iCalendar feed of a user''s tasks, built and uploaded by the app';
+COMMENT ON COLUMN public.task_calendar_feeds.token IS 'Secret part of the subscription URL';
+COMMENT ON COLUMN public.task_calendar_feeds.ics IS 'Published calendar (plaintext - the user opted in)';
+
+ALTER TABLE public.task_calendar_feeds ENABLE ROW LEVEL SECURITY;
+
+-- The edge function reads feeds by token with the service role; users only
+-- ever see their own
+CREATE POLICY "Users can view own calendar feed" ON public.task_calendar_feeds
+    FOR SELECT USING (owner_id = auth.uid());
+
+CREATE POLICY "Users can create own calendar feed" ON public.task_calendar_feeds
+    FOR INSERT WITH CHECK (owner_id = auth.uid());
+
+CREATE POLICY "Users can update own calendar feed" ON public.task_calendar_feeds
+    FOR UPDATE USING (owner_id = auth.uid());
+
+CREATE POLICY "Users can delete own calendar feed" ON public.task_calendar_feeds
+    FOR DELETE USING (owner_id = auth.uid());
+
+-- ===========================================
+-- COMPLETE!
+-- ===========================================
@@ -0,0 +1,45 @@
+import { test, expect } from '@playwright/test';
+import { parseItemText, parseQuantity, scaleIngredientLine } from '../src/components/utils/ingredientParser.jsx';
+
+// Pure parser tests - no app or login needed
+test.describe('Item quantities - parser', () => {
+  test('should read a leading fraction', () => {
+    expect(parseItemText('1/2 lb butter')).toMatchObject({ name: 'butter', amount: 0.5, unit: 'lb' });
+    expect(parseItemText('3/4 cup sugar')).toMatchObject({ name: 'sugar', amount: 0.75, unit: 'cup' });
+  });
+
+  test('should read fractional quantities for merging', () => {
+    expect(parseQuantity('1 1/2 cups')).toEqual({ amount: 1.5, unit: 'cup' });
+    expect(parseQuantity('3/4 cup')).toEqual({ amount: 0.75, unit: 'cup' });
+  });
+
+  test('should read quantities before and after the name', () => {
+    expect(parseItemText('400g beef')).toMatchObject({ name: 'beef', amount: 400, unit: 'g' });
+    expect(parseItemText('3x apples')).toMatchObject({ name: 'apples', amount: 3, unit: null });
+    expect(parseItemText('2 apples')).toMatchObject({ name: 'apples', amount: 2, unit: null });
+    expect(parseItemText('Milk 2 liters')).toMatchObject({ name: 'Milk', amount: 2, unit: 'liter' });
+  });
+
+  test('should keep names that start with a number', () => {
+    expect(parseItemText('7up')).toMatchObject({ name: '7up', amount: null });
+    expect(parseItemText('7 Up')).toMatchObject({ name: '7 Up', amount: null });
+    expect(parseItemText('9 grain bread')).toMatchObject({ name: '9 grain bread', amount: null });
+    expect(parseItemText('2 9 grain bread')).toMatchObject({ name: '9 grain bread', amount: 2 });
+  });
+});
+
+test.describe('Recipe scaling - parser', () => {
+  test('should pluralize the unit for the scaled amount', () => {
+    expect(scaleIngredientLine('1 stick butter', 2)).toBe('2 sticks butter');
+    expect(scaleIngredientLine('2 cloves garlic, minced', 0.5)).toBe('1 clove garlic, minced');
+    expect(scaleIngredientLine('1 cup flour', 3)).toBe('3 cups flour');
+  });
+
+  test('should make a unitless noun agree with the scaled amount', () => {
+    expect(scaleIngredientLine('2 large eggs', 0.5)).toBe('1 large egg');
+    expect(scaleIngredientLine('1 medium onion, diced', 2)).toBe('2 medium onions, diced');
+    expect(scaleIngredientLine('1 ripe tomato', 3)).toBe('3 ripe tomatoes');
+    expect(scaleIngredientLine('4 cherries', 0.25)).toBe('1 cherry');
+    expect(scaleIngredientLine('3 eggs', 2)).toBe('6 eggs');
+  });
+});
@@ -246,6 +246,38 @@ test.describe('List Items', () => {
     });
   });
 
+  test.describe('Concurrent Edits', () => {
+    test('should not save an edit onto an item trashed on another device', async ({ page }) => {
+      const hasLists = await navigateToFirstList(page);
+      if (!hasLists) {
+        test.skip();
+        return;
+      }
+      const listId = new URL(page.url()).searchParams.get('listId');
+
+      // Runs in the app (through the dev server) so it uses the signed-in client
+      const result = await page.evaluate(async ({ listId, name }) => {
+        const { Item } = await import('/src/api/entities.js');
+        const item = await Item.create({ list_id: listId, name });
+        // Another device moves it to the trash...
+        await Item.delete(item.id);
+        try {
+          // ...while this one still edits the version it loaded
+          await Item.updateVersioned(item.id, { ...item, name: `${name} (edited)` }, item);
+          return { error: null, saved: await Item.get(item.id) };
+        } catch (error) {
+          return { error: (error as Error).message, saved: await Item.get(item.id) };
+        } finally {
+          await Item.hardDelete(item.id);
+        }
+      }, { listId, name: createTestShoppingItem().name });
+
+      expect(result.error).toMatch(/deleted by someone else/);
+      expect(result.saved.name).not.toMatch(/\(edited\)$/);
+      expect(result.saved.deleted_at).toBeTruthy();
+    });
+  });
+
   test.describe('Favorite Items', () => {
     test('should have favorite buttons on items', async ({ page }) => {
       const hasLists = await navigateToFirstList(page);
@@ -0,0 +1,150 @@
+import { test as base, expect } from '@playwright/test';
+import { test } from './fixtures/auth.fixture';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractRecipe, getPageText, getPageTitle, formatDuration, parseServings, mapCuisine } from '../supabase/functions/_shared/recipeExtractor';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Saved recipe pages, trimmed down to the parts the extractor reads
+const loadPage = (name: string) =>
+  fs.readFileSync(path.resolve(__dirname, 'fixtures', 'recipe-pages', name), 'utf8');
+
+base.describe('Recipe Import - extractor', () => {
+  base('should extract a JSON-LD recipe', () => {
+    const { recipe, source } = extractRecipe(loadPage('jsonld-recipe.html'));
+
+    expect(source).toBe('json-ld');
+    expect(recipe).toMatchObject({
+      recipe_name: 'Classic Banana Bread',
+      full_title: 'Classic Banana Bread',
+      cooking_time: '1 hr 15 mins',
+      cuisine: 'American',
+      servings: 8,
+      calories_per_serving: '240 calories',
+      photo_url: 'https://example.com/photos/banana-bread-16x9.jpg',
+    });
+    expect(recipe!.ingredients).toHaveLength(5);
+    expect(recipe!.ingredients[3]).toBe('1 ½ cups all-purpose flour');
+    expect(recipe!.steps[0]).toEqual({
+      title: 'Preheat',
+      instruction: 'Preheat the oven to 350°F and butter a 4x8-inch loaf pan.',
+    });
+    // Markup inside step text is stripped
+    expect(recipe!.steps[1]).toEqual({
+      title: 'Step 2',
+      instruction: 'Mix the bananas and melted butter. Stir in the sugar.',
+    });
+  });
+
+  base('should find a recipe inside a @graph with HowToSections', () => {
+    const { recipe, source } = extractRecipe(loadPage('jsonld-graph.html'));
+
+    expect(source).toBe('json-ld');
+    expect(recipe!.full_title).toBe('Weeknight Chicken Tikka Masala');
+    // prepTime + cookTime when there is no totalTime
+    expect(recipe!.cooking_time).toBe('1 hr');
+    expect(recipe!.cuisine).toBe('Indian / Pakistani');
+    expect(recipe!.servings).toBe(4);
+    expect(recipe!.photo_url).toBe('https://example.com/uploads/tikka.jpg');
+    expect(recipe!.steps.map(step => step.title)).toEqual(['Marinate', 'Marinate', 'Cook', 'Cook']);
+    expect(recipe!.steps[3].instruction).toContain('simmer for 20 minutes');
+  });
+
+  base('should fall back to microdata', () => {
+    const { recipe, source } = extractRecipe(loadPage('microdata-recipe.html'));
+
+    expect(source).toBe('microdata');
+    expect(recipe).toMatchObject({
+      // Not the nested author's itemprop="name"
+      full_title: "Grandma's Tomato Soup",
+      cooking_time: '45 mins',
+      cuisine: 'Italian',
+      servings: 6,
+      calories_per_serving: '180 cal',
+      photo_url: 'https://example.com/img/tomato-soup.jpg',
+    });
+    expect(recipe!.ingredients).toEqual([
+      '2 tbsp olive oil',
+      '1 onion, chopped',
+      '2 (28 oz) cans whole tomatoes',
+      '2 cups vegetable stock',
+    ]);
+    // One step per <li> of the instructions list
+    expect(recipe!.steps.map(step => step.instruction)).toEqual([
+      'Soften the onion in the olive oil.',
+      'Add the tomatoes and stock and simmer for 30 minutes.',
+      'Blend until smooth and season to taste.',
+    ]);
+  });
+
+  base('should return page text when there is no structured recipe', () => {
+    const html = loadPage('no-recipe.html');
+    const { recipe, source } = extractRecipe(html);
+
+    expect(recipe).toBeNull();
+    expect(source).toBeNull();
+    expect(getPageTitle(html)).toBe('Easy Pancakes');
+
+    const text = getPageText(html);
+    expect(text).toContain('Makes 4 servings & takes 20 minutes.');
+    expect(text).toContain('1 cup milk');
+    // Navigation, footer and scripts are left out
+    expect(text).not.toContain('Home');
+    expect(text).not.toContain('trackPageView');
+    expect(text).not.toContain('Pancake Blog');
+  });
+
+  base('should map schema.org values to the recipes table', () => {
+    expect(formatDuration('PT45M')).toBe('45 mins');
+    expect(formatDuration('PT2H')).toBe('2 hrs');
+    expect(formatDuration('P0DT1H1M')).toBe('1 hr 1 min');
+    expect(formatDuration('About 30 minutes')).toBe('About 30 minutes');
+    expect(formatDuration('PT0M')).toBeNull();
+
+    expect(parseServings('Serves 4-6')).toBe(4);
+    expect(parseServings(['12', '12 cookies'])).toBe(12);
+    expect(parseServings(2)).toBe(2);
+    expect(parseServings('a crowd')).toBeNull();
+
+    expect(mapCuisine('Tex-Mex')).toBe('Mexican');
+    expect(mapCuisine(['Asian', 'Thai'])).toBe('Thai');
+    expect(mapCuisine('Pakistani')).toBe('Indian / Pakistani');
+    expect(mapCuisine('Fusion')).toBe('Others');
+    expect(mapCuisine(undefined)).toBe('Others');
+  });
+});
+
+test.describe('Recipe Import - My Recipes', () => {
+  test('should show the error from the import function', async ({ authenticatedPage: page }) => {
+    await page.route('**/functions/v1/fetch-recipe-url', async (route) => {
+      await route.fulfill({
+        status: 502,
+        contentType: 'application/json',
+        body: JSON.stringify({ error: 'The page could not be loaded (HTTP 404)' }),
+      });
+    });
+
+    await page.goto('/MyRecipes');
+    await page.locator('button[role="tab"]:has-text("Create New")').click();
+    await page.locator('button:has-text("Import URL")').click();
+
+    await page.locator('input[type="url"]').fill('https://example.com/missing-recipe');
+    await page.locator('button:has-text("Import Recipe")').click();
+
+    await expect(page.locator('text=The page could not be loaded (HTTP 404)')).toBeVisible();
+  });
+
+  test('should ask for a full link', async ({ authenticatedPage: page }) => {
+    await page.goto('/MyRecipes');
+    await page.locator('button[role="tab"]:has-text("Create New")').click();
+    await page.locator('button:has-text("Import URL")').click();
+
+    await page.locator('input[type="url"]').fill('example.com/recipe');
+    await page.locator('button:has-text("Import Recipe")').click();
+
+    await expect(page.locator('text=Please enter a full link')).toBeVisible();
+  });
+});